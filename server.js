@@ -6,8 +6,10 @@ const path = require("path");
 const fs = require("fs");
 const crypto = require("crypto");
 const os = require("os");
+const { AsyncLocalStorage } = require("async_hooks");
 
 const OpenAI = require("openai");
+const { AzureOpenAI } = OpenAI;
 
 // ======================================================================
 // SEGURANÇA REPRODUTIVA E TIPO DE RECEITUÁRIO
@@ -30,150 +32,655 @@ function normalizeDrugKey(input) {
     .trim();
 }
 
-// Listas mínimas e conservadoras para tipo de receituário.
-// Sempre que não houver correspondência, retorna Receita simples.
+// Listas de controle especial da Portaria SVS/MS nº 344/1998 (anexo I, com as
+// atualizações por RDC) e antimicrobianos (RDC nº 471/2021), pelo princípio ativo.
+// Nomes já normalizados (minúsculas, sem acento). Sais e ésteres são reconhecidos
+// por conterem o nome (ex.: "cloridrato de sertralina", "citrato de fentanila").
+// Sem correspondência, o resultado é "não classificado" (nunca assume receita simples).
 const RECEITUARIO_LISTS = {
-  // C1: Outras substâncias sujeitas a controle especial (RCE, 2 vias, retenção).
-  C1: new Set([
-    "amitriptilina",
-    "fluoxetina",
-    "sertralina",
-    "paroxetina",
-    "citalopram",
-    "escitalopram",
-    "venlafaxina",
-    "desvenlafaxina",
-    "duloxetina",
-    "mirtazapina",
-    "bupropiona",
-    "clomipramina",
-    "imipramina",
-    "nortriptilina",
-    "trazodona",
-    "quetiapina",
-    "olanzapina",
-    "risperidona",
-    "haloperidol",
-    "clorpromazina",
-    "levomepromazina",
-    "ziprasidona",
-    "aripiprazol",
-    "lítio",
-    "litio",
-    "valproato",
-    "acido valproico",
-    "carbamazepina",
-    "lamotrigina",
-    "topiramato"
+  // A1: Entorpecentes.
+  A1: new Set([
+    "alfentanila", "alfentanil", "alfaprodina", "anileridina", "bezitramida", "buprenorfina",
+    "cetobemidona", "carfentanila", "dextromoramida", "difenoxilato", "difenoxina", "dipipanona",
+    "drotebanol", "etorfina", "fenazocina", "fenoperidina", "fentanila", "fentanil", "hidrocodona",
+    "hidromorfona", "isometadona", "levometorfano", "levorfanol", "metadona", "metopona",
+    "morfina", "oxicodona", "oximorfona", "opio", "petidina", "meperidina", "piritramida",
+    "remifentanila", "remifentanil", "sufentanila", "sufentanil", "tapentadol", "tebaina",
+    "tilidina", "trimeperidina"
+  ]),
+  // A2: Entorpecentes de uso permitido em concentrações especiais.
+  A2: new Set([
+    "acetildi hidrocodeina", "codeina", "dextropropoxifeno", "di hidrocodeina", "diidrocodeina",
+    "etilmorfina", "folcodina", "nalbufina", "nalorfina", "nicocodina", "nicodicodina",
+    "norcodeina", "propiram", "tramadol"
+  ]),
+  // A3: Psicotrópicos (Notificação de Receita A).
+  A3: new Set([
+    "anfetamina", "catina", "clobenzorex", "clorfentermina", "dexanfetamina", "dronabinol",
+    "fenciclidina", "fenetilina", "fenmetrazina", "levanfetamina", "levometanfetamina",
+    "lisdexanfetamina", "metanfetamina", "metilfenidato"
   ]),
-  // B1: Psicótropos (Notificação de Receita B - azul).
+  // B1: Psicotrópicos (Notificação de Receita B).
   B1: new Set([
-    "diazepam",
-    "clonazepam",
-    "alprazolam",
-    "lorazepam",
-    "midazolam",
-    "bromazepam",
-    "nitrazepam",
-    "flunitrazepam",
-    "zolpidem",
-    "zopiclona",
-    "eszopiclona"
+    "alobarbital", "alprazolam", "amobarbital", "aprobarbital", "barbital", "bromazepam",
+    "brotizolam", "butalbital", "butobarbital", "camazepam", "cetazolam", "ciclobarbital",
+    "clobazam", "clonazepam", "clorazepam", "clorazepato", "clordiazepoxido", "clotiazepam",
+    "cloxazolam", "delorazepam", "diazepam", "estazolam", "etclorvinol", "etinamato",
+    "fludiazepam", "flunitrazepam", "flurazepam", "glutetimida", "halazepam", "haloxazolam",
+    "loflazepato", "loprazolam", "lorazepam", "lormetazepam", "medazepam", "meprobamato",
+    "mesocarbo", "metiprilona", "midazolam", "nimetazepam", "nitrazepam", "nordazepam",
+    "oxazepam", "oxazolam", "pemolina", "pentobarbital", "pinazepam", "pipradrol",
+    "pirovalerona", "prazepam", "secobarbital", "temazepam", "tetrazepam", "triazolam",
+    "vinilbital", "zaleplona", "zolpidem", "zopiclona", "eszopiclona"
   ]),
-  // A1/A2: Entorpecentes (Notificação de Receita A - amarela).
-  A1: new Set([
-    "morfina",
-    "oxicodona",
-    "fentanil",
-    "metadona",
-    "codeina",
-    "tramadol",
-    "buprenorfina"
+  // B2: Psicotrópicos anorexígenos.
+  B2: new Set([
+    "aminorex", "anfepramona", "dietilpropiona", "femproporex", "fendimetrazina", "fentermina",
+    "mazindol", "mefenorex", "sibutramina"
+  ]),
+  // C1: Outras substâncias sujeitas a controle especial.
+  C1: new Set([
+    "acido valproico", "valproato", "divalproato", "agomelatina", "amissulprida", "amitriptilina",
+    "amoxapina", "aripiprazol", "asenapina", "atomoxetina", "biperideno", "bupropiona",
+    "buspirona", "carbamazepina", "cetamina", "escetamina", "citalopram", "clomipramina",
+    "clorpromazina", "clorprotixeno", "clozapina", "desipramina", "desvenlafaxina", "dissulfiram",
+    "dosulepina", "doxepina", "droperidol", "duloxetina", "escitalopram", "etomidato",
+    "etossuximida", "fenitoina", "flufenazina", "fluoxetina", "flupentixol", "fluvoxamina",
+    "gabapentina", "haloperidol", "imipramina", "isocarboxazida", "lacosamida", "lamotrigina",
+    "levetiracetam", "levomepromazina", "litio", "loxapina", "lurasidona", "maprotilina",
+    "melitraceno", "mianserina", "milnaciprano", "mirtazapina", "misoprostol", "moclobemida",
+    "naltrexona", "nefazodona", "nortriptilina", "olanzapina", "oxcarbazepina", "paliperidona",
+    "paroxetina", "penfluridol", "periciazina", "perfenazina", "pimozida", "pipotiazina",
+    "pregabalina", "primidona", "propofol", "quetiapina", "reboxetina", "risperidona",
+    "selegilina", "sertralina", "sulpirida", "tianeptina", "tioridazina", "topiramato",
+    "tranilcipromina", "trazodona", "trifluoperazina", "triexifenidil", "trimipramina",
+    "venlafaxina", "vigabatrina", "vortioxetina", "ziprasidona", "zuclopentixol"
+  ]),
+  // C2: Retinoides de uso sistêmico (adapaleno é só tópico e não consta da lista).
+  C2: new Set(["acitretina", "isotretinoina", "tretinoina"]),
+  // C3: Imunossupressoras (talidomida e análogos).
+  C3: new Set(["talidomida", "lenalidomida"]),
+  // C4: Antirretrovirais.
+  C4: new Set([
+    "abacavir", "atazanavir", "darunavir", "didanosina", "dolutegravir", "efavirenz",
+    "emtricitabina", "enfuvirtida", "estavudina", "etravirina", "fosamprenavir", "indinavir",
+    "lamivudina", "lopinavir", "maraviroque", "nelfinavir", "nevirapina", "raltegravir",
+    "ritonavir", "saquinavir", "tenofovir", "tipranavir", "zidovudina"
   ]),
-  // Antimicrobianos: receita de antimicrobiano (2 vias, retenção), conforme regulamentação.
+  // C5: Anabolizantes.
+  C5: new Set([
+    "androstanolona", "bolasterona", "boldenona", "clostebol", "di hidroepiandrosterona",
+    "drostanolona", "estanozolol", "etilestrenol", "fluoximesterona", "mesterolona",
+    "metandienona", "metenolona", "metiltestosterona", "mibolerona", "nandrolona",
+    "noretandrolona", "oxandrolona", "oximesterona", "oximetolona", "prasterona",
+    "somatropina", "testosterona", "trembolona"
+  ]),
+  // Antimicrobianos: receita de antimicrobiano (2 vias, retenção).
   ATM: new Set([
-    "amoxicilina",
-    "amoxicilina clavulanato",
-    "azitromicina",
-    "claritromicina",
-    "ceftriaxona",
-    "cefalexina",
-    "cefuroxima",
-    "ciprofloxacino",
-    "levofloxacino",
-    "norfloxacino",
-    "metronidazol",
-    "sulfametoxazol trimetoprima",
-    "doxiciclina",
-    "clindamicina",
-    "gentamicina",
-    "nitrofurantoina"
+    "acido nalidixico", "acido pipemidico", "amicacina", "amoxicilina", "ampicilina",
+    "azitromicina", "aztreonam", "benzilpenicilina", "cefaclor", "cefadroxila", "cefalexina",
+    "cefalotina", "cefazolina", "cefepima", "cefotaxima", "cefoxitina", "cefpodoxima",
+    "cefprozila", "ceftarolina", "ceftazidima", "ceftriaxona", "cefuroxima", "ciprofloxacino",
+    "claritromicina", "clindamicina", "cloranfenicol", "daptomicina", "doxiciclina",
+    "eritromicina", "ertapenem", "espiramicina", "estreptomicina", "fenoximetilpenicilina",
+    "fosfomicina", "gemifloxacino", "gentamicina", "imipenem", "levofloxacino", "lincomicina",
+    "linezolida", "meropenem", "metronidazol", "minociclina", "moxifloxacino", "nitrofurantoina",
+    "norfloxacino", "ofloxacino", "oxacilina", "piperacilina", "polimixina", "roxitromicina",
+    "secnidazol", "sulfadiazina", "sulfametoxazol", "teicoplanina", "tetraciclina", "tianfenicol",
+    "tigeciclina", "tinidazol", "tobramicina", "trimetoprima", "vancomicina"
   ])
 };
 
-// Dicionário curado (apenas quando há certeza operacional).
-// Campos: tipo_receituario, gravidez_categoria (A/B/C/D/X), lactacao_risco.
-// Se não houver chave, o sistema retorna "não informado" para gravidez/lactação.
-const DRUG_SAFETY_DB = {
-  "amitriptilina": {
+// Regra de prescrição/dispensação por lista (resumo; conferir a norma vigente).
+const RECEITUARIO_RULES = {
+  A1: {
+    descricao: "Entorpecentes",
+    receituario: "Notificação de Receita A (entorpecentes) - amarela",
+    validade_dias: 30,
+    quantidade_maxima: "até 30 dias de tratamento",
+    observacoes: "Notificação numerada pela vigilância sanitária, válida na UF de emissão, acompanhada de receita."
+  },
+  A2: {
+    descricao: "Entorpecentes de uso permitido em concentrações especiais",
+    receituario: "Notificação de Receita A (entorpecentes) - amarela",
+    validade_dias: 30,
+    quantidade_maxima: "até 30 dias de tratamento",
+    observacoes: "Preparações dentro dos limites do adendo da lista A2 (ex.: codeína ou tramadol até 100 mg por unidade posológica) seguem Receita de Controle Especial em 2 vias."
+  },
+  A2_ADENDO: {
+    descricao: "Entorpecentes da lista A2 dentro do adendo (até 100 mg por unidade posológica, isolados ou associados)",
+    receituario: "Receita de Controle Especial - 2 vias (branca, com retenção)",
+    validade_dias: 30,
+    quantidade_maxima: "até 30 dias de tratamento",
+    observacoes: "Adendo da lista A2: acima de 100 mg por unidade posológica vale a Notificação de Receita A."
+  },
+  A3: {
+    descricao: "Psicotrópicos (lista A3)",
+    receituario: "Notificação de Receita A (psicotrópicos) - amarela",
+    validade_dias: 30,
+    quantidade_maxima: "até 30 dias de tratamento",
+    observacoes: "Notificação numerada pela vigilância sanitária, válida na UF de emissão."
+  },
+  B1: {
+    descricao: "Psicotrópicos (lista B1)",
+    receituario: "Notificação de Receita B (B1) - azul",
+    validade_dias: 30,
+    quantidade_maxima: "até 60 dias de tratamento",
+    observacoes: "Válida na UF de emissão."
+  },
+  B2: {
+    descricao: "Psicotrópicos anorexígenos",
+    receituario: "Notificação de Receita B2 - azul",
+    validade_dias: 30,
+    quantidade_maxima: "até 30 dias de tratamento",
+    observacoes: "Exige termo de responsabilidade do prescritor quando previsto em norma (ex.: sibutramina)."
+  },
+  C1: {
+    descricao: "Outras substâncias sujeitas a controle especial",
+    receituario: "Receita de Controle Especial (C1) - 2 vias (branca, com retenção)",
+    validade_dias: 30,
+    quantidade_maxima: "até 60 dias de tratamento (antiparkinsonianos e anticonvulsivantes: até 6 meses)",
+    observacoes: "1ª via retida na farmácia; 2ª via devolvida ao paciente."
+  },
+  C2: {
+    descricao: "Retinoides de uso sistêmico",
+    receituario: "Notificação de Receita Especial de Retinoides - branca",
+    validade_dias: 30,
+    quantidade_maxima: "até 30 dias de tratamento",
+    observacoes: "Exige termo de consentimento pós-informação. Formulações de uso tópico seguem o adendo da lista C2."
+  },
+  C2_TOPICO: {
+    descricao: "Retinoides de uso tópico (adendo da lista C2)",
+    receituario: "Receita comum (uso tópico; venda sob prescrição, sem retenção)",
+    validade_dias: null,
+    quantidade_maxima: "conforme tratamento",
+    observacoes: "Adendo da lista C2: formulações tópicas ficam fora da Notificação de Receita Especial de Retinoides."
+  },
+  C3: {
+    descricao: "Imunossupressoras (talidomida e análogos)",
+    receituario: "Notificação de Receita de Talidomida - branca",
+    validade_dias: 20,
+    quantidade_maxima: "até 30 dias de tratamento",
+    observacoes: "Exige termo de responsabilidade/esclarecimento; dispensação restrita a unidades credenciadas."
+  },
+  C4: {
+    descricao: "Antirretrovirais",
+    receituario: "Receita de Controle Especial (C4) - 2 vias (ou formulário próprio do programa no SUS)",
+    validade_dias: 30,
+    quantidade_maxima: "conforme protocolo do programa",
+    observacoes: "No SUS, a dispensação segue o formulário do programa de IST/HIV/Aids."
+  },
+  C5: {
+    descricao: "Anabolizantes",
+    receituario: "Receita de Controle Especial (C5) - 2 vias (branca, com retenção)",
+    validade_dias: 30,
+    quantidade_maxima: "conforme tratamento",
+    observacoes: "A receita deve conter o CID e identificação completa do prescritor."
+  },
+  ATM: {
+    descricao: "Antimicrobianos",
+    receituario: "Receita de antimicrobiano - 2 vias (com retenção)",
+    validade_dias: 10,
+    quantidade_maxima: "conforme tratamento (uso contínuo: até 90 dias, com indicação na receita)",
+    observacoes: "Formulações de uso tópico/oftálmico/otológico não exigem retenção."
+  }
+};
+
+// Quando o medicamento combina substâncias de listas diferentes, vale a mais restritiva.
+const RECEITUARIO_LIST_ORDER = ["A1", "A2", "A3", "B1", "B2", "C3", "C2", "C1", "C5", "C4", "ATM"];
+// Ordem das regras, incluindo as dos adendos (mais restritiva primeiro).
+const RECEITUARIO_RULE_ORDER = ["A1", "A2", "A3", "B1", "B2", "C3", "C2", "C1", "A2_ADENDO", "C5", "C4", "ATM", "C2_TOPICO"];
+
+// Adendos da Portaria 344/98 por substância: "limite_mg" (por unidade posológica) ou
+// "topico" (forma de uso tópico) leva à regra do adendo.
+const A2_ADENDO_100MG = { regra: "A2_ADENDO", limite_mg: 100 };
+const C2_ADENDO_TOPICO = { regra: "C2_TOPICO", topico: true };
+const RECEITUARIO_ADENDOS = {
+  "acetildi hidrocodeina": A2_ADENDO_100MG, "codeina": A2_ADENDO_100MG, "di hidrocodeina": A2_ADENDO_100MG,
+  "diidrocodeina": A2_ADENDO_100MG, "etilmorfina": A2_ADENDO_100MG, "folcodina": A2_ADENDO_100MG,
+  "nicodicodina": A2_ADENDO_100MG, "norcodeina": A2_ADENDO_100MG, "tramadol": A2_ADENDO_100MG,
+  "isotretinoina": C2_ADENDO_TOPICO, "tretinoina": C2_ADENDO_TOPICO
+};
+const RECEITUARIO_TOPICAL_FORMS = ["gel", "creme", "pomada", "locao", "topico", "topica", "uso topico"];
+
+const RECEITUARIO_NAO_CLASSIFICADO = "Não classificado (conferir Portaria SVS/MS 344/98 e lista de antimicrobianos)";
+
+// Nomes comerciais frequentes -> princípio ativo (chaves normalizadas).
+const RECEITUARIO_BRAND_NAMES = {
+  "dimorf": "morfina", "durogesic": "fentanila", "oxycontin": "oxicodona", "tylex": "codeina",
+  "tramal": "tramadol", "ultracet": "tramadol", "nubain": "nalbufina", "ritalina": "metilfenidato",
+  "concerta": "metilfenidato", "venvanse": "lisdexanfetamina", "rivotril": "clonazepam",
+  "frontal": "alprazolam", "lexotan": "bromazepam", "valium": "diazepam", "dormonid": "midazolam",
+  "lorax": "lorazepam", "stilnox": "zolpidem", "patz": "zolpidem", "frisium": "clobazam",
+  "reductil": "sibutramina", "prozac": "fluoxetina", "zoloft": "sertralina", "lexapro": "escitalopram",
+  "cipramil": "citalopram", "pondera": "paroxetina", "efexor": "venlafaxina", "pristiq": "desvenlafaxina",
+  "cymbalta": "duloxetina", "remeron": "mirtazapina", "wellbutrin": "bupropiona", "zyban": "bupropiona",
+  "tryptanol": "amitriptilina", "amytril": "amitriptilina", "pamelor": "nortriptilina",
+  "anafranil": "clomipramina", "tofranil": "imipramina", "donaren": "trazodona", "seroquel": "quetiapina",
+  "zyprexa": "olanzapina", "risperdal": "risperidona", "haldol": "haloperidol", "amplictil": "clorpromazina",
+  "neozine": "levomepromazina", "geodon": "ziprasidona", "abilify": "aripiprazol", "leponex": "clozapina",
+  "carbolitium": "litio", "depakene": "valproato", "depakote": "divalproato", "tegretol": "carbamazepina",
+  "trileptal": "oxcarbazepina", "lamictal": "lamotrigina", "topamax": "topiramato",
+  "neurontin": "gabapentina", "lyrica": "pregabalina", "hidantal": "fenitoina", "keppra": "levetiracetam",
+  "akineton": "biperideno", "artane": "triexifenidil", "ketalar": "cetamina", "diprivan": "propofol",
+  "cytotec": "misoprostol", "roacutan": "isotretinoina", "neotigason": "acitretina",
+  "revlimid": "lenalidomida", "durateston": "testosterona", "deposteron": "testosterona",
+  "nebido": "testosterona", "deca durabolin": "nandrolona", "hemogenin": "oximetolona",
+  "amoxil": "amoxicilina", "clavulin": "amoxicilina", "zitromax": "azitromicina",
+  "klaricid": "claritromicina", "keflex": "cefalexina", "rocefin": "ceftriaxona",
+  "cipro": "ciprofloxacino", "levaquin": "levofloxacino", "bactrim": "sulfametoxazol",
+  "flagyl": "metronidazol", "macrodantina": "nitrofurantoina", "benzetacil": "benzilpenicilina",
+  "dalacin": "clindamicina", "vibramicina": "doxiciclina"
+};
+
+// Índice nome -> lista, do nome mais longo para o mais curto (multi-palavra primeiro).
+const RECEITUARIO_INDEX = RECEITUARIO_LIST_ORDER
+  .flatMap(lista => Array.from(RECEITUARIO_LISTS[lista]).map(nome => ({ nome, lista })))
+  .sort((a, b) => b.nome.length - a.nome.length);
+
+// Dose em mg por unidade escrita logo após a substância (ou o nome comercial):
+// "codeina 30 mg", "tramadol 50mg", "codeina fosfato 7,5 mg". null se ausente ou em mg/mL.
+function receituarioStrengthMg(k, nomes) {
+  for (const nome of nomes) {
+    const m = ` ${k} `.match(new RegExp(` ${nome} (?:[a-z]+ ){0,3}?(\\d+(?: \\d)?) ?mg (?!ml )`));
+    if (m) return Number(m[1].replace(" ", "."));
+  }
+  return null;
+}
+
+// Regra da substância considerando o adendo: { regra } ou, sem dado para decidir, { regra, alternativa }.
+function receituarioSubstanceRule(k, substancia, lista) {
+  const adendo = RECEITUARIO_ADENDOS[substancia];
+  if (!adendo) return { regra: lista };
+  if (adendo.topico) {
+    return RECEITUARIO_TOPICAL_FORMS.some(f => ` ${k} `.includes(` ${f} `)) ? { regra: adendo.regra } : { regra: lista };
+  }
+  const marcas = Object.keys(RECEITUARIO_BRAND_NAMES).filter(m => RECEITUARIO_BRAND_NAMES[m] === substancia);
+  const mg = receituarioStrengthMg(k, [substancia, ...marcas]);
+  if (mg === null) return { regra: lista, alternativa: adendo.regra, limite_mg: adendo.limite_mg };
+  return { regra: mg <= adendo.limite_mg ? adendo.regra : lista, dose_mg: mg };
+}
+
+// Classifica o medicamento (nome, sal ou nome comercial) nas listas de controle.
+// Retorna todas as substâncias reconhecidas e a regra mais restritiva, aplicando os
+// adendos (dose por unidade, uso tópico). Quando a dose decide o adendo e não foi
+// informada, "possibilidades" traz as duas regras e tipo_receituario cita ambas.
+function classifyReceituario(drugName) {
+  const k = normalizeDrugKey(drugName);
+  const out = {
+    medicamento: String(drugName || "").trim(),
+    classificado: false,
+    lista: "",
+    substancias: [],
+    tipo_receituario: RECEITUARIO_NAO_CLASSIFICADO,
+    regra: null
+  };
+  if (!k) return out;
+
+  let text = ` ${k} `;
+  for (const [marca, substancia] of Object.entries(RECEITUARIO_BRAND_NAMES)) {
+    if (text.includes(` ${marca} `)) text += `${substancia} `;
+  }
+
+  for (const { nome, lista } of RECEITUARIO_INDEX) {
+    if (!text.includes(` ${nome} `)) continue;
+    if (!out.substancias.some(s => s.substancia === nome)) {
+      out.substancias.push({ substancia: nome, lista, ...receituarioSubstanceRule(k, nome, lista) });
+    }
+    text = text.split(` ${nome} `).join("  ");
+  }
+  if (!out.substancias.length) return out;
+
+  const regra = RECEITUARIO_RULE_ORDER.find(r => out.substancias.some(s => s.regra === r));
+  const lista = regra.split("_")[0];
+  out.classificado = true;
+  out.lista = lista;
+  out.regra = { lista, adendo: regra !== lista, ...RECEITUARIO_RULES[regra] };
+  out.tipo_receituario = RECEITUARIO_RULES[regra].receituario;
+
+  const indefinida = out.substancias.find(s => s.regra === regra && s.alternativa);
+  if (indefinida) {
+    const alt = RECEITUARIO_RULES[indefinida.alternativa];
+    out.possibilidades = [
+      { condicao: `até ${indefinida.limite_mg} mg de ${indefinida.substancia} por unidade posológica`, regra: { lista, adendo: true, ...alt } },
+      { condicao: `acima de ${indefinida.limite_mg} mg de ${indefinida.substancia} por unidade posológica`, regra: out.regra }
+    ];
+    out.tipo_receituario = `${alt.receituario} (até ${indefinida.limite_mg} mg de ${indefinida.substancia} por unidade) ou ${out.tipo_receituario} (acima de ${indefinida.limite_mg} mg); informe a dose por unidade para definir`;
+  }
+  return out;
+}
+
+// Base curada embutida (versão 0 do formulário; ver "FORMULÁRIO CURADO").
+// Vale enquanto o administrador não enviar um formulário próprio.
+// Se o medicamento não estiver no formulário, o sistema retorna "não informado" para gravidez/lactação.
+const FORMULARY_SEED = [
+  {
+    medicamento: "amitriptilina",
     tipo_receituario: "Receita de Controle Especial (C1) - 2 vias (branca, com retenção)",
     gravidez_categoria: "C",
     lactacao_risco: "muito baixo risco"
   },
-  "fluoxetina": {
+  {
+    medicamento: "fluoxetina",
     tipo_receituario: "Receita de Controle Especial (C1) - 2 vias (branca, com retenção)",
     gravidez_categoria: "C",
     lactacao_risco: "baixo risco"
+  },
+  {
+    medicamento: "colecalciferol",
+    sinonimos: ["vitamina d", "vitamina d3", "cholecalciferol"],
+    apresentacoes: {
+      comprimido_simples: "não disponível",
+      comprimido_revestido: "1.000 UI; 2.000 UI; 7.000 UI",
+      capsula: "1.000 UI; 2.000 UI; 5.000 UI; 7.000 UI; 10.000 UI; 50.000 UI",
+      suspensao_oral: "não disponível",
+      gotas: "solução oral em gotas (ex.: 200 UI/gota; frascos 10 mL ou 20 mL)",
+      solucao_oral: "solução oral em gotas (ex.: 200 UI/gota)",
+      solucao_injetavel: "não disponível",
+      endovenosa: "não disponível",
+      intramuscular: "não disponível"
+    },
+    dose_maxima_diaria: "4.000 UI/dia (adulto)"
+  },
+  {
+    // Atenção: outras formas de ferro (ex.: sacarato, ferripolimaltose) são medicamentos distintos.
+    medicamento: "sulfato ferroso",
+    sinonimos: ["ferro (sulfato ferroso)"],
+    apresentacoes: {
+      comprimido_simples: "não disponível",
+      comprimido_revestido: "40 mg de ferro elementar/comprimido (padrão SUS)",
+      capsula: "não informado",
+      suspensao_oral: "xarope (ex.: 5 mg/mL de ferro elementar)",
+      gotas: "solução oral em gotas (ex.: 25 mg/mL de ferro elementar; 1 mg/gota)",
+      solucao_oral: "solução oral (ex.: 25 mg/mL de ferro elementar)",
+      solucao_injetavel: "não disponível",
+      endovenosa: "não disponível",
+      intramuscular: "não disponível"
+    },
+    dose_maxima_diaria: "200 mg/dia de ferro elementar (adulto)"
   }
-};
+];
 
 function getReceituarioByDrugKey(drugKey) {
-  const k = normalizeDrugKey(drugKey);
-  if (!k) return "Receita simples";
-
-  // correspondência direta
-  if (RECEITUARIO_LISTS.C1.has(k)) return "Receita de Controle Especial (C1) - 2 vias (branca, com retenção)";
-  if (RECEITUARIO_LISTS.B1.has(k)) return "Notificação de Receita B (B1) - azul";
-  if (RECEITUARIO_LISTS.A1.has(k)) return "Notificação de Receita A (entorpecentes) - amarela";
-  if (RECEITUARIO_LISTS.ATM.has(k)) return "Receita de antimicrobiano - 2 vias (com retenção)";
-
-  // heurística simples para combinações (ex.: amoxicilina + clavulanato)
-  if (k.includes("amoxicilina") && k.includes("clav")) return "Receita de antimicrobiano - 2 vias (com retenção)";
-
-  return "Receita simples";
+  return classifyReceituario(drugKey).tipo_receituario;
 }
 
 function getDrugSafetyInfo(drugName) {
   const key = normalizeDrugKey(drugName);
+  const controle = classifyReceituario(key);
   const base = {
     medicamento: String(drugName || "").trim() || "",
-    tipo_receituario: getReceituarioByDrugKey(key),
+    tipo_receituario: controle.tipo_receituario,
+    lista_controle: controle.lista,
     gravidez_categoria: "",
     lactacao_risco: ""
   };
-  const curated = DRUG_SAFETY_DB[key];
-  if (curated && typeof curated === "object") {
+  const curated = findFormularyEntry(key);
+  if (curated) {
+    // A lista de controle especial prevalece; o formulário só define o receituário
+    // de medicamentos fora das listas (ex.: "Receita simples" declarada pelo administrador).
     return {
       ...base,
-      ...curated,
-      medicamento: base.medicamento
+      tipo_receituario: controle.classificado ? base.tipo_receituario : (curated.tipo_receituario || base.tipo_receituario),
+      gravidez_categoria: curated.gravidez_categoria || "",
+      lactacao_risco: curated.lactacao_risco || "",
+      formulario_versao: getFormulary().versao
     };
   }
   return base;
 }
+
+// ======================================================================
+// INTERAÇÕES MEDICAMENTOSAS (TABELA CURADA LOCAL)
+// Objetivo: sinalizar interações de forma determinística, sem depender do modelo.
+// - Chaves sempre normalizadas com normalizeDrugKey (sem acento, minúsculas).
+// - Regras podem citar um fármaco ("varfarina") ou uma classe ("@aine").
+// - Apenas interações clinicamente consolidadas; ausência de alerta NÃO
+//   significa ausência de interação.
+// ======================================================================
+
+const DRUG_CLASSES = {
+  aine: ["ibuprofeno", "diclofenaco", "naproxeno", "cetoprofeno", "nimesulida", "piroxicam", "meloxicam", "cetorolaco", "indometacina", "celecoxibe", "etoricoxibe", "acido mefenamico"],
+  antiplaquetario: ["acido acetilsalicilico", "clopidogrel", "ticagrelor", "prasugrel"],
+  anticoagulante: ["varfarina", "rivaroxabana", "apixabana", "dabigatrana", "edoxabana", "heparina", "enoxaparina"],
+  ieca: ["captopril", "enalapril", "lisinopril", "ramipril", "perindopril"],
+  bra: ["losartana", "valsartana", "candesartana", "irbesartana", "olmesartana", "telmisartana"],
+  poupador_potassio: ["espironolactona", "eplerenona", "amilorida", "triantereno"],
+  potassio: ["cloreto de potassio"],
+  tiazidico: ["hidroclorotiazida", "clortalidona", "indapamida"],
+  diuretico_alca: ["furosemida", "bumetanida"],
+  isrs: ["fluoxetina", "sertralina", "paroxetina", "citalopram", "escitalopram", "fluvoxamina"],
+  irsn: ["venlafaxina", "desvenlafaxina", "duloxetina"],
+  imao: ["selegilina", "rasagilina", "tranilcipromina", "moclobemida", "linezolida"],
+  triptano: ["sumatriptana", "naratriptana", "zolmitriptana", "rizatriptana"],
+  opioide: ["morfina", "oxicodona", "fentanil", "metadona", "codeina", "tramadol", "buprenorfina", "tapentadol", "hidromorfona"],
+  depressor_snc: ["diazepam", "clonazepam", "alprazolam", "lorazepam", "midazolam", "bromazepam", "nitrazepam", "flunitrazepam", "zolpidem", "zopiclona", "eszopiclona", "fenobarbital"],
+  estatina_cyp3a4: ["sinvastatina", "lovastatina"],
+  inibidor_cyp3a4_forte: ["claritromicina", "eritromicina", "cetoconazol", "itraconazol", "posaconazol", "voriconazol", "ritonavir"],
+  quinolona: ["ciprofloxacino", "levofloxacino", "norfloxacino", "moxifloxacino"],
+  cation_polivalente: ["sulfato ferroso", "carbonato de calcio", "hidroxido de aluminio", "hidroxido de magnesio"],
+  nitrato: ["dinitrato de isossorbida", "mononitrato de isossorbida", "isossorbida", "nitroglicerina"],
+  inibidor_pde5: ["sildenafila", "tadalafila", "vardenafila"],
+  betabloqueador: ["propranolol", "atenolol", "metoprolol", "carvedilol", "bisoprolol", "nebivolol"],
+  bcc_nao_di: ["verapamil", "diltiazem"],
+  hipoglicemiante: ["insulina", "glibenclamida", "gliclazida", "glimepirida"],
+  indutor_enzimatico: ["carbamazepina", "fenitoina", "fenobarbital", "rifampicina"],
+  anticoncepcional_hormonal: ["etinilestradiol", "levonorgestrel", "desogestrel", "gestodeno", "drospirenona", "noretisterona"],
+  inibidor_bomba: ["omeprazol", "esomeprazol"],
+  prolonga_qt: ["amiodarona", "sotalol", "haloperidol", "quetiapina", "azitromicina", "claritromicina", "eritromicina", "ciprofloxacino", "levofloxacino", "moxifloxacino", "ondansetrona", "citalopram", "escitalopram", "metadona", "domperidona", "hidroxicloroquina", "cloroquina"]
+};
+
+// Nomes comerciais e grafias comuns -> chave canônica.
+const DRUG_ALIASES = {
+  "aas": "acido acetilsalicilico",
+  "acido acetil salicilico": "acido acetilsalicilico",
+  "aspirina": "acido acetilsalicilico",
+  "marevan": "varfarina",
+  "coumadin": "varfarina",
+  "warfarina": "varfarina",
+  "xarelto": "rivaroxabana",
+  "eliquis": "apixabana",
+  "pradaxa": "dabigatrana",
+  "clexane": "enoxaparina",
+  "plavix": "clopidogrel",
+  "bactrim": "sulfametoxazol trimetoprima",
+  "smx tmp": "sulfametoxazol trimetoprima",
+  "sulfametoxazol": "sulfametoxazol trimetoprima",
+  "puran t4": "levotiroxina",
+  "synthroid": "levotiroxina",
+  "euthyrox": "levotiroxina",
+  "glifage": "metformina",
+  "viagra": "sildenafila",
+  "cialis": "tadalafila",
+  "isordil": "dinitrato de isossorbida",
+  "monocordil": "mononitrato de isossorbida",
+  "lasix": "furosemida",
+  "aldactone": "espironolactona",
+  "tramal": "tramadol",
+  "rivotril": "clonazepam",
+  "dormonid": "midazolam",
+  "lexotan": "bromazepam",
+  "valium": "diazepam",
+  "prozac": "fluoxetina",
+  "zoloft": "sertralina",
+  "lipitor": "atorvastatina",
+  "zocor": "sinvastatina",
+  "carbolitium": "litio",
+  "tegretol": "carbamazepina",
+  "hidantal": "fenitoina",
+  "gardenal": "fenobarbital",
+  "ancoron": "amiodarona",
+  "cordarone": "amiodarona",
+  "voltaren": "diclofenaco",
+  "cataflam": "diclofenaco",
+  "advil": "ibuprofeno",
+  "alivium": "ibuprofeno",
+  "nisulid": "nimesulida",
+  "toragesic": "cetorolaco",
+  "profenid": "cetoprofeno",
+  "selozok": "metoprolol",
+  "zyloric": "alopurinol",
+  "imuran": "azatioprina",
+  "daonil": "glibenclamida",
+  "diamicron": "gliclazida",
+  "amaryl": "glimepirida",
+  "hctz": "hidroclorotiazida",
+  "slow k": "cloreto de potassio",
+  "kcl": "cloreto de potassio",
+  "zofran": "ondansetrona",
+  "vonau": "ondansetrona",
+  "plaquinol": "hidroxicloroquina"
+};
+
+// gravidade: contraindicada | grave | moderada | leve
+const DRUG_INTERACTIONS_DB = [
+  { a: "@anticoagulante", b: "@aine", gravidade: "grave", mecanismo: "Efeito antiplaquetário e lesão de mucosa gastrointestinal do AINE somados à anticoagulação.", efeito: "Aumento importante do risco de sangramento, inclusive digestivo.", conduta: "Evitar associação; se inevitável, comunicar prescritor, observar sinais de sangramento (melena, hematúria, gengivorragia, hematomas) e orientar o paciente." },
+  { a: "@anticoagulante", b: "@antiplaquetario", gravidade: "grave", mecanismo: "Somação de efeito anticoagulante e antiplaquetário.", efeito: "Aumento do risco de sangramento.", conduta: "Confirmar com prescritor se a associação é intencional; monitorar sinais de sangramento e hemoglobina conforme protocolo." },
+  { a: "varfarina", b: "sulfametoxazol trimetoprima", gravidade: "grave", mecanismo: "Inibição do CYP2C9 e deslocamento de ligação proteica.", efeito: "Elevação do INR e risco de sangramento.", conduta: "Comunicar prescritor; INR de controle em 3 a 5 dias; observar sangramentos." },
+  { a: "varfarina", b: "metronidazol", gravidade: "grave", mecanismo: "Inibição do metabolismo da varfarina (CYP2C9).", efeito: "Elevação do INR e risco de sangramento.", conduta: "Comunicar prescritor; INR de controle durante e após o tratamento; observar sangramentos." },
+  { a: "varfarina", b: "fluconazol", gravidade: "grave", mecanismo: "Inibição do CYP2C9.", efeito: "Elevação do INR e risco de sangramento.", conduta: "Comunicar prescritor; INR de controle; observar sangramentos." },
+  { a: "varfarina", b: "amiodarona", gravidade: "grave", mecanismo: "Inibição do CYP2C9 e CYP3A4 de início lento e longa duração.", efeito: "Elevação progressiva do INR.", conduta: "Comunicar prescritor (costuma exigir redução da dose de varfarina); INR semanal nas primeiras semanas." },
+  { a: "@ieca", b: "@poupador_potassio", gravidade: "grave", mecanismo: "Redução da excreção renal de potássio por ambos.", efeito: "Hipercalemia, com risco de arritmia.", conduta: "Confirmar indicação com prescritor; checar potássio e creatinina; atenção a fraqueza muscular, parestesias e alterações no ECG." },
+  { a: "@bra", b: "@poupador_potassio", gravidade: "grave", mecanismo: "Redução da excreção renal de potássio por ambos.", efeito: "Hipercalemia, com risco de arritmia.", conduta: "Confirmar indicação com prescritor; checar potássio e creatinina; atenção a fraqueza muscular, parestesias e alterações no ECG." },
+  { a: "@ieca", b: "@potassio", gravidade: "grave", mecanismo: "Aporte de potássio com redução da excreção renal.", efeito: "Hipercalemia.", conduta: "Comunicar prescritor; checar potássio sérico antes de administrar reposição." },
+  { a: "@bra", b: "@potassio", gravidade: "grave", mecanismo: "Aporte de potássio com redução da excreção renal.", efeito: "Hipercalemia.", conduta: "Comunicar prescritor; checar potássio sérico antes de administrar reposição." },
+  { a: "@poupador_potassio", b: "@potassio", gravidade: "grave", mecanismo: "Aporte de potássio com retenção renal de potássio.", efeito: "Hipercalemia.", conduta: "Comunicar prescritor; checar potássio sérico antes de administrar reposição." },
+  { a: "@ieca", b: "@bra", gravidade: "grave", mecanismo: "Duplo bloqueio do sistema renina-angiotensina-aldosterona.", efeito: "Hipercalemia, hipotensão e lesão renal aguda, sem benefício adicional na maioria dos casos.", conduta: "Confirmar com prescritor se a associação é intencional; monitorar PA, potássio e creatinina." },
+  { a: "@aine", b: "@ieca", gravidade: "moderada", mecanismo: "AINE reduz a síntese de prostaglandinas renais.", efeito: "Redução do efeito anti-hipertensivo e risco de lesão renal, principalmente em idosos e desidratados.", conduta: "Preferir analgésico alternativo; se mantido, monitorar PA, diurese e creatinina; orientar hidratação." },
+  { a: "@aine", b: "@bra", gravidade: "moderada", mecanismo: "AINE reduz a síntese de prostaglandinas renais.", efeito: "Redução do efeito anti-hipertensivo e risco de lesão renal, principalmente em idosos e desidratados.", conduta: "Preferir analgésico alternativo; se mantido, monitorar PA, diurese e creatinina; orientar hidratação." },
+  { a: "@aine", b: "@diuretico_alca", gravidade: "moderada", mecanismo: "AINE reduz a natriurese mediada por prostaglandinas.", efeito: "Redução do efeito diurético e risco de lesão renal.", conduta: "Monitorar diurese, peso, edema e creatinina; comunicar piora." },
+  { a: "litio", b: "@tiazidico", gravidade: "grave", mecanismo: "Redução da depuração renal do lítio.", efeito: "Intoxicação por lítio (tremor, confusão, vômitos, ataxia).", conduta: "Comunicar prescritor; litemia de controle; orientar sinais de intoxicação." },
+  { a: "litio", b: "@ieca", gravidade: "grave", mecanismo: "Redução da depuração renal do lítio.", efeito: "Intoxicação por lítio.", conduta: "Comunicar prescritor; litemia de controle; orientar sinais de intoxicação." },
+  { a: "litio", b: "@bra", gravidade: "grave", mecanismo: "Redução da depuração renal do lítio.", efeito: "Intoxicação por lítio.", conduta: "Comunicar prescritor; litemia de controle; orientar sinais de intoxicação." },
+  { a: "litio", b: "@aine", gravidade: "grave", mecanismo: "Redução da depuração renal do lítio.", efeito: "Intoxicação por lítio.", conduta: "Evitar AINE; se necessário, comunicar prescritor e solicitar litemia de controle." },
+  { a: "@isrs", b: "@imao", gravidade: "contraindicada", mecanismo: "Excesso de serotonina na fenda sináptica.", efeito: "Síndrome serotoninérgica potencialmente fatal.", conduta: "Não administrar; comunicar prescritor imediatamente (exige intervalo de washout)." },
+  { a: "@irsn", b: "@imao", gravidade: "contraindicada", mecanismo: "Excesso de serotonina na fenda sináptica.", efeito: "Síndrome serotoninérgica potencialmente fatal.", conduta: "Não administrar; comunicar prescritor imediatamente (exige intervalo de washout)." },
+  { a: "tramadol", b: "@isrs", gravidade: "grave", mecanismo: "Efeito serotoninérgico aditivo e redução do limiar convulsivo.", efeito: "Síndrome serotoninérgica e convulsões.", conduta: "Comunicar prescritor; observar agitação, tremor, hipertermia, mioclonias e sudorese." },
+  { a: "tramadol", b: "@irsn", gravidade: "grave", mecanismo: "Efeito serotoninérgico aditivo e redução do limiar convulsivo.", efeito: "Síndrome serotoninérgica e convulsões.", conduta: "Comunicar prescritor; observar agitação, tremor, hipertermia, mioclonias e sudorese." },
+  { a: "tramadol", b: "@imao", gravidade: "contraindicada", mecanismo: "Efeito serotoninérgico aditivo.", efeito: "Síndrome serotoninérgica potencialmente fatal.", conduta: "Não administrar; comunicar prescritor imediatamente." },
+  { a: "@triptano", b: "@isrs", gravidade: "moderada", mecanismo: "Efeito serotoninérgico aditivo.", efeito: "Risco de síndrome serotoninérgica.", conduta: "Orientar paciente sobre sinais (agitação, tremor, sudorese, febre) e procurar atendimento se surgirem." },
+  { a: "@triptano", b: "@irsn", gravidade: "moderada", mecanismo: "Efeito serotoninérgico aditivo.", efeito: "Risco de síndrome serotoninérgica.", conduta: "Orientar paciente sobre sinais (agitação, tremor, sudorese, febre) e procurar atendimento se surgirem." },
+  { a: "@opioide", b: "@depressor_snc", gravidade: "grave", mecanismo: "Depressão aditiva do sistema nervoso central e do centro respiratório.", efeito: "Sedação profunda, depressão respiratória e óbito.", conduta: "Confirmar com prescritor; monitorar nível de consciência, FR e SpO2; ter naloxona disponível; risco de queda." },
+  { a: "@estatina_cyp3a4", b: "@inibidor_cyp3a4_forte", gravidade: "contraindicada", mecanismo: "Inibição potente do CYP3A4 eleva muito a concentração da estatina.", efeito: "Miopatia e rabdomiólise.", conduta: "Não administrar em conjunto; comunicar prescritor (suspensão temporária da estatina costuma ser indicada)." },
+  { a: "atorvastatina", b: "@inibidor_cyp3a4_forte", gravidade: "grave", mecanismo: "Inibição do CYP3A4 eleva a concentração da atorvastatina.", efeito: "Miopatia e rabdomiólise.", conduta: "Comunicar prescritor; orientar dor muscular, fraqueza e urina escura." },
+  { a: "sinvastatina", b: "amiodarona", gravidade: "grave", mecanismo: "Inibição do metabolismo da sinvastatina.", efeito: "Miopatia e rabdomiólise (risco dose-dependente).", conduta: "Confirmar dose de sinvastatina com prescritor; orientar dor muscular e urina escura." },
+  { a: "@quinolona", b: "@cation_polivalente", gravidade: "moderada", mecanismo: "Quelação da quinolona por cátions no trato gastrointestinal.", efeito: "Redução importante da absorção do antibiótico e falha terapêutica.", conduta: "Aprazar a quinolona 2 horas antes ou 6 horas depois do ferro/cálcio/antiácido." },
+  { a: "levotiroxina", b: "@cation_polivalente", gravidade: "moderada", mecanismo: "Formação de complexos insolúveis no trato gastrointestinal.", efeito: "Redução da absorção da levotiroxina.", conduta: "Manter levotiroxina em jejum e aprazar ferro/cálcio/antiácido com intervalo mínimo de 4 horas." },
+  { a: "@nitrato", b: "@inibidor_pde5", gravidade: "contraindicada", mecanismo: "Vasodilatação aditiva mediada por óxido nítrico/GMPc.", efeito: "Hipotensão grave, síncope e isquemia.", conduta: "Não administrar nitrato se houve uso de inibidor de PDE5 nas últimas 24 a 48 horas; comunicar prescritor." },
+  { a: "@betabloqueador", b: "@hipoglicemiante", gravidade: "moderada", mecanismo: "Betabloqueio mascara sinais adrenérgicos e retarda recuperação da hipoglicemia.", efeito: "Hipoglicemia não percebida (sem taquicardia ou tremor).", conduta: "Monitorar glicemia capilar; orientar que sudorese pode ser o único sinal de hipoglicemia." },
+  { a: "@betabloqueador", b: "@bcc_nao_di", gravidade: "grave", mecanismo: "Efeito cronotrópico e dromotrópico negativo aditivo.", efeito: "Bradicardia, bloqueio atrioventricular e hipotensão.", conduta: "Confirmar com prescritor; aferir FC e PA antes de cada dose; suspender e comunicar se FC < 50 bpm." },
+  { a: "digoxina", b: "amiodarona", gravidade: "grave", mecanismo: "Redução da depuração da digoxina (inibição de glicoproteína P).", efeito: "Intoxicação digitálica (náuseas, bradicardia, arritmias, alteração visual).", conduta: "Comunicar prescritor (redução de dose costuma ser necessária); aferir FC apical antes da dose; digoxinemia conforme protocolo." },
+  { a: "digoxina", b: "claritromicina", gravidade: "grave", mecanismo: "Inibição da glicoproteína P.", efeito: "Intoxicação digitálica.", conduta: "Comunicar prescritor; aferir FC apical antes da dose; observar náuseas e alteração visual." },
+  { a: "digoxina", b: "@diuretico_alca", gravidade: "moderada", mecanismo: "Hipocalemia e hipomagnesemia induzidas pelo diurético.", efeito: "Maior sensibilidade à toxicidade digitálica.", conduta: "Monitorar potássio; aferir FC apical antes da dose." },
+  { a: "digoxina", b: "@tiazidico", gravidade: "moderada", mecanismo: "Hipocalemia e hipomagnesemia induzidas pelo diurético.", efeito: "Maior sensibilidade à toxicidade digitálica.", conduta: "Monitorar potássio; aferir FC apical antes da dose." },
+  { a: "metotrexato", b: "sulfametoxazol trimetoprima", gravidade: "grave", mecanismo: "Efeito antifolato aditivo e redução da excreção renal do metotrexato.", efeito: "Mielotoxicidade (pancitopenia) e mucosite.", conduta: "Comunicar prescritor; evitar associação; observar febre, úlceras orais e sangramentos." },
+  { a: "metformina", b: "contraste iodado", gravidade: "moderada", mecanismo: "Lesão renal induzida por contraste reduz a eliminação da metformina.", efeito: "Acidose lática.", conduta: "Seguir protocolo institucional de suspensão da metformina antes/depois do contraste; checar função renal." },
+  { a: "clopidogrel", b: "@inibidor_bomba", gravidade: "moderada", mecanismo: "Inibição do CYP2C19 reduz a ativação do clopidogrel.", efeito: "Redução do efeito antiplaquetário.", conduta: "Comunicar prescritor (pantoprazol costuma ser alternativa); não suspender por conta própria." },
+  { a: "@indutor_enzimatico", b: "@anticoncepcional_hormonal", gravidade: "grave", mecanismo: "Indução enzimática acelera o metabolismo dos hormônios.", efeito: "Falha contraceptiva e sangramento de escape.", conduta: "Orientar método contraceptivo adicional/alternativo e comunicar prescritor." },
+  { a: "alopurinol", b: "azatioprina", gravidade: "grave", mecanismo: "Inibição da xantina oxidase bloqueia o metabolismo da azatioprina.", efeito: "Mielotoxicidade grave.", conduta: "Comunicar prescritor (exige grande redução de dose); hemograma de controle." },
+  { a: "ciprofloxacino", b: "teofilina", gravidade: "grave", mecanismo: "Inibição do CYP1A2.", efeito: "Intoxicação por teofilina (taquicardia, vômitos, convulsões).", conduta: "Comunicar prescritor; observar sinais de toxicidade." },
+  { a: "@inibidor_bomba", b: "sulfato ferroso", gravidade: "leve", mecanismo: "Redução da acidez gástrica diminui a absorção do ferro.", efeito: "Resposta mais lenta à reposição de ferro.", conduta: "Orientar tomar o ferro longe das refeições e com fonte de vitamina C, quando possível." },
+  { a: "@prolonga_qt", b: "@prolonga_qt", gravidade: "grave", mecanismo: "Prolongamento aditivo do intervalo QT.", efeito: "Risco de torsades de pointes e arritmia ventricular.", conduta: "Comunicar prescritor; ECG basal e de controle conforme protocolo; corrigir potássio e magnésio." }
+];
+
+const INTERACTION_SEVERITY_ORDER = { contraindicada: 4, grave: 3, moderada: 2, leve: 1 };
+
+// Nomes reconhecíveis (canônicos + apelidos) ordenados do mais longo para o mais curto,
+// para que "mononitrato de isossorbida" vença "isossorbida".
+const KNOWN_DRUG_NAMES = (() => {
+  const names = new Map();
+  for (const list of Object.values(DRUG_CLASSES)) for (const n of list) names.set(n, n);
+  for (const r of DRUG_INTERACTIONS_DB) {
+    for (const side of [r.a, r.b]) if (!side.startsWith("@")) names.set(side, side);
+  }
+  for (const [alias, canonical] of Object.entries(DRUG_ALIASES)) names.set(alias, canonical);
+  return Array.from(names.entries()).sort((x, y) => y[0].length - x[0].length);
+})();
+
+// Identifica fármacos conhecidos em texto livre (transcrição, prescrição ou item de lista).
+function identifyDrugsInText(text) {
+  let padded = ` ${normalizeDrugKey(text)} `;
+  const found = [];
+  for (const [name, canonical] of KNOWN_DRUG_NAMES) {
+    const needle = ` ${name} `;
+    if (!padded.includes(needle)) continue;
+    if (!found.includes(canonical)) found.push(canonical);
+    padded = padded.split(needle).join(" ");
+  }
+  return found;
+}
+
+function drugInteractionTags(drugKey) {
+  const tags = new Set([drugKey]);
+  for (const [cls, list] of Object.entries(DRUG_CLASSES)) {
+    if (list.includes(drugKey)) tags.add(`@${cls}`);
+  }
+  return tags;
+}
+
+// Checagem par a par. Retorna as interações ordenadas por gravidade.
+function checkDrugInteractions(drugKeys) {
+  const keys = Array.from(new Set((Array.isArray(drugKeys) ? drugKeys : []).map(normalizeDrugKey).filter(Boolean)));
+  const tags = new Map(keys.map(k => [k, drugInteractionTags(k)]));
+  const out = [];
+
+  for (let i = 0; i < keys.length; i++) {
+    for (let j = i + 1; j < keys.length; j++) {
+      const ti = tags.get(keys[i]);
+      const tj = tags.get(keys[j]);
+      for (const r of DRUG_INTERACTIONS_DB) {
+        if (!((ti.has(r.a) && tj.has(r.b)) || (ti.has(r.b) && tj.has(r.a)))) continue;
+        out.push({
+          medicamentos: [keys[i], keys[j]],
+          gravidade: r.gravidade,
+          mecanismo: r.mecanismo,
+          efeito: r.efeito,
+          conduta_enfermagem: r.conduta,
+          regra: `${r.a} + ${r.b}`,
+          fonte: "tabela_local"
+        });
+      }
+    }
+  }
+
+  return out.sort((x, y) => (INTERACTION_SEVERITY_ORDER[y.gravidade] || 0) - (INTERACTION_SEVERITY_ORDER[x.gravidade] || 0));
+}
 // ======================================================================
 // ARMAZENAMENTO PERSISTENTE (opcional)
 // - Em Render Free, o filesystem é efêmero e perde dados em redeploy/restart.
 // - Persistent Disks exigem instância paga.
 // Solução robusta: usar DATABASE_URL (Postgres externo, ex.: Supabase/Neon/Render paid).
-// Implementação simples: persiste o "DB JSON" em uma única linha (JSONB).
+// Persiste em tabelas normalizadas com gravação por linha (ver "POSTGRES – TABELAS NORMALIZADAS").
 // ======================================================================
 
 let Pool = null;
 try { ({ Pool } = require("pg")); } catch { Pool = null; }
 
+// SQLite (better-sqlite3) é opcional: instalação em um único computador, sem internet.
+let SqliteDatabase = null;
+try { SqliteDatabase = require("better-sqlite3"); } catch { SqliteDatabase = null; }
+
 const DATABASE_URL = process.env.DATABASE_URL || "";
-const USE_PG_STORE = Boolean(DATABASE_URL) && Boolean(Pool);
+
+// STORAGE_BACKEND: "file" | "sqlite" | "postgres".
+// Sem a variável, mantém o comportamento anterior: Postgres se DATABASE_URL existir, senão arquivo.
+// Backend pedido e indisponível não cai para o arquivo: o servidor se recusa a subir
+// (STORAGE_BACKEND_ERROR), para não perder dados no próximo deploy.
+const STORAGE_BACKEND_REQUESTED = String(process.env.STORAGE_BACKEND || (DATABASE_URL ? "postgres" : "file")).trim().toLowerCase();
+const STORAGE_BACKEND_ERROR = (() => {
+  if (STORAGE_BACKEND_REQUESTED === "file") return "";
+  if (STORAGE_BACKEND_REQUESTED === "postgres") {
+    if (!Pool) return 'backend "postgres" pedido, mas o pacote "pg" não está instalado.';
+    if (!DATABASE_URL) return 'backend "postgres" pedido, mas DATABASE_URL não foi definida.';
+    return "";
+  }
+  if (STORAGE_BACKEND_REQUESTED === "sqlite") {
+    return SqliteDatabase ? "" : 'backend "sqlite" pedido, mas o pacote "better-sqlite3" não está instalado (npm install better-sqlite3).';
+  }
+  return `backend "${STORAGE_BACKEND_REQUESTED}" desconhecido (use file, sqlite ou postgres).`;
+})();
+const STORAGE_BACKEND = STORAGE_BACKEND_ERROR ? "file" : STORAGE_BACKEND_REQUESTED;
+const USE_PG_STORE = STORAGE_BACKEND === "postgres";
 const PG_STATE_ID = process.env.PG_STATE_ID || "main";
 let pgPool = null;
 
@@ -247,13 +754,88 @@ async function gerarMonografiaMedicamento(medicamento, fontesSugeridas) {
 
   if (!nome) return emptyOut();
 
+  // Dados do formulário curado têm prioridade sobre o modelo.
+  // "origem_campos" indica, para cada campo preenchido, se veio da Portaria 344/98, do formulário ou do modelo.
+  const curated = findFormularyEntry(nome);
+  const controle = classifyReceituario(nome);
+
+  function setPath(obj, p, v) {
+    const parts = p.split(".");
+    let cur = obj;
+    for (const k of parts.slice(0, -1)) cur = cur[k];
+    cur[parts[parts.length - 1]] = v;
+  }
+
+  function joinPresentations(pairs) {
+    const known = pairs.filter(([, v]) => v && v !== "não informado");
+    const available = known.filter(([, v]) => v !== "não disponível");
+    if (available.length) return available.map(([label, v]) => (label && available.length > 1) ? `${label}: ${v}` : v).join("; ");
+    return known.length ? "não disponível" : "";
+  }
+
+  function finalize(out, origemPadrao) {
+    const curatedPaths = new Set();
+    // Receituário de substância controlada vem sempre das listas da Portaria 344/98.
+    if (controle.classificado) out.tipo_receituario = controle.tipo_receituario;
+    if (curated) {
+      const put = (p, v) => {
+        const val = String(v || "").trim();
+        if (!val || val === "não informado") return;
+        setPath(out, p, val);
+        curatedPaths.add(p);
+      };
+      const ap = curated.apresentacoes || {};
+      if (!controle.classificado) put("tipo_receituario", curated.tipo_receituario);
+      put("categoria_gravidez", curated.gravidez_categoria);
+      put("uso_lactacao", curated.lactacao_risco);
+      put("posologia_adulto.oral.dose_maxima", curated.dose_maxima_diaria);
+      put("apresentacoes.comprimidos", joinPresentations([["simples", ap.comprimido_simples], ["revestido", ap.comprimido_revestido]]));
+      put("apresentacoes.capsulas", joinPresentations([["", ap.capsula]]));
+      put("apresentacoes.suspensao", joinPresentations([["", ap.suspensao_oral]]));
+      put("apresentacoes.gotas", joinPresentations([["", ap.gotas]]));
+      put("apresentacoes.solucao_oral", joinPresentations([["", ap.solucao_oral]]));
+      put("apresentacoes.injetavel", joinPresentations([["solução injetável", ap.solucao_injetavel], ["EV", ap.endovenosa], ["IM", ap.intramuscular]]));
+
+      const ped = curated.pediatria;
+      if (ped && ped.dose_mgkg) {
+        put("posologia_pediatrica.oral.dose_mgkg", `${ped.dose_mgkg} mg/kg/dose${ped.intervalo_horas ? ` a cada ${ped.intervalo_horas} h` : ""}`);
+        const max = [
+          ped.dose_max_mg_dose ? `${ped.dose_max_mg_dose} mg/dose` : "",
+          ped.dose_max_mgkg_dia ? `${ped.dose_max_mgkg_dia} mg/kg/dia` : "",
+          ped.dose_max_mg_dia ? `${ped.dose_max_mg_dia} mg/dia` : ""
+        ].filter(Boolean).join("; ");
+        put("posologia_pediatrica.oral.dose_maxima", max);
+        if (ped.idade_minima_meses !== null && ped.idade_minima_meses !== undefined) put("posologia_pediatrica.oral.idade_minima", `${ped.idade_minima_meses} meses`);
+        put("posologia_pediatrica.oral.observacoes", ped.observacoes);
+      }
+    }
+
+    const origem = {};
+    const walk = (obj, prefix) => {
+      for (const [k, v] of Object.entries(obj)) {
+        const p = prefix ? `${prefix}.${k}` : k;
+        if (p === "medicamento" || p === "fontes_sugeridas") continue;
+        if (v && typeof v === "object" && !Array.isArray(v)) { walk(v, p); continue; }
+        const filled = Array.isArray(v) ? v.length > 0 : String(v || "").trim() !== "";
+        if (!filled) continue;
+        if (p === "tipo_receituario" && controle.classificado) origem[p] = "portaria_344";
+        else origem[p] = curatedPaths.has(p) ? "formulario" : origemPadrao;
+      }
+    };
+    walk(out, "");
+
+    out.origem_campos = origem;
+    out.formulario_versao = curated ? getFormulary().versao : null;
+    return out;
+  }
+
   // Se não houver chave, retorna estrutura padrão com aviso (sem quebrar o clique no frontend)
-  if (!process.env.OPENAI_API_KEY) {
+  if (!llmAvailable()) {
     const out = emptyOut();
     out.pontos_enfermagem = [
-      "Sem chave OPENAI_API_KEY configurada no servidor. Configure a variável de ambiente para habilitar a monografia automática."
+      `${llmMissingMessage()} Configure o provedor para habilitar a monografia automática.`
     ];
-    return out;
+    return finalize(out, "sistema");
   }
 
   const safety = getDrugSafetyInfo(nome);
@@ -271,7 +853,10 @@ Medicamento solicitado: "${nome}"
 
 Informações de segurança já conhecidas (use como base, sem inventar além):
 ${JSON.stringify(safety)}
-
+${curated ? `
+Dados do formulário curado (prevalecem sobre qualquer outra fonte; não contradiga):
+${JSON.stringify({ apresentacoes: curated.apresentacoes, dose_maxima_diaria: curated.dose_maxima_diaria, pediatria: curated.pediatria })}
+` : ""}
 Responda EXCLUSIVAMENTE em JSON estrito (sem markdown), neste formato:
 {
   "medicamento": "string",
@@ -315,14 +900,16 @@ Responda EXCLUSIVAMENTE em JSON estrito (sem markdown), neste formato:
 
   let data = null;
   try {
-    data = await callOpenAIJson(prompt);
+    data = await callLlmJson(prompt);
   } catch (e) {
     // fallback seguro
     const out = emptyOut();
     out.pontos_enfermagem = [
-      "Falha ao gerar monografia automaticamente. Verifique logs do servidor e a chave OPENAI_API_KEY."
+      e?.code === "LLM_NOT_CONFIGURED"
+        ? e.message
+        : "Falha ao gerar monografia automaticamente. Verifique logs do servidor e a configuração do provedor de IA."
     ];
-    return out;
+    return finalize(out, "sistema");
   }
 
   const out = emptyOut();
@@ -404,42 +991,428 @@ Responda EXCLUSIVAMENTE em JSON estrito (sem markdown), neste formato:
     }));
   }
 
-  return out;
+  return finalize(out, "modelo");
 }
 
-async function pgEnsureTable() {
-  const pool = pgPoolOrNull();
-  if (!pool) return;
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS app_state (
-      id TEXT PRIMARY KEY,
-      data JSONB NOT NULL,
-      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+// ======================================================================
+// TABELAS NORMALIZADAS (Postgres / SQLite) – uma linha por registro
+// - Cada coleção do DB vira uma tabela com colunas indexáveis + "data" (JSON
+//   com o registro completo, para não perder campos novos).
+// - Gravação por linha: a cada saveDb só são enviados os registros alterados,
+//   incluídos ou removidos desde a última gravação (diff por hash), numa transação.
+// - Postgres: migrações versionadas em schema_migrations; a versão 2 importa o
+//   estado antigo de app_state (uma linha JSONB), que é mantido intacto para rollback.
+// ======================================================================
+
+const STORAGE_TABLES = [
+  { collection: "users", table: "users", columns: { login: u => u.login || "", parent_user_id: u => u.parentUserId || "", is_active: u => !!u.isActive, is_deleted: u => !!u.isDeleted } },
+  { collection: "payments", table: "payments", columns: { user_id: p => p.userId || "", month: p => p.month || "", paid_at: p => p.paidAt || "" } },
+  { collection: "audit", table: "audit", columns: { at: a => a.at || "", action: a => a.action || "", target: a => a.target || "" } },
+  { collection: "rosterConfigs", table: "roster_configs", keyed: true, columns: {} },
+  { collection: "rosterSchedules", table: "roster_schedules", columns: { user_key: s => s.userKey || "", month: s => s.month || "" } },
+  { collection: "patients", table: "patients", columns: { owner_key: p => p.ownerKey || "" } },
+  { collection: "patientRecords", table: "patient_records", columns: { owner_key: r => r.ownerKey || "", patient_id: r => r.patientId || "" } },
+  { collection: "atendimentos", table: "atendimentos", columns: { owner_key: a => a.ownerKey || "", patient_id: a => a.patientId || "" } },
+  { collection: "admins", table: "admins", columns: { login: a => a.login || "", role: a => a.role || "", is_deleted: a => !!a.isDeleted } },
+  { collection: "loginAttempts", table: "login_attempts", columns: { kind: x => x.kind || "", locked_until: x => x.lockedUntil || "" } },
+  { collection: "passwordResets", table: "password_resets", columns: { user_id: r => r.userId || "", expires_at: r => r.expiresAt || "" } },
+  { collection: "paymentOrders", table: "payment_orders", columns: { user_id: o => o.userId || "", status: o => o.status || "", created_at: o => o.createdAt || "" } },
+  { collection: "referralLedger", table: "referral_ledger", columns: { parent_user_id: e => e.parentUserId || "", month: e => e.month || "", status: e => e.status || "" } },
+  { collection: "meta", table: "app_meta", keyed: true, columns: {} }
+];
+
+const PG_BATCH_SIZE = 200;
+
+// Hash da última versão gravada de cada linha ("tabela:id"), por backend.
+const PG_ROW_HASHES = new Map();
+
+// Linhas de uma coleção do DB em memória: [{ id, values: [colunas...], data }].
+// Registros antigos sem "id" recebem um id estável derivado do conteúdo.
+function storageCollectionRows(db, spec) {
+  const source = db?.[spec.collection];
+  const entries = spec.keyed
+    ? Object.entries((source && typeof source === "object") ? source : {})
+    : (Array.isArray(source) ? source : []).filter(x => x && typeof x === "object").map(x => [x.id, x]);
+  const cols = Object.values(spec.columns);
+  return entries.map(([id, data]) => ({
+    id: String(id || ("h_" + sha256Hex(JSON.stringify(data)).slice(0, 24))),
+    values: cols.map(fn => fn(data || {})),
+    data
+  }));
+}
+
+// Compara o DB em memória com os hashes da última gravação.
+// Retorna as linhas a gravar/remover por tabela e os hashes que valerão após o commit.
+function storageRowChanges(dbObj, hashes) {
+  const changes = [];
+  const nextHashes = new Map();
+  for (const spec of STORAGE_TABLES) {
+    const upserts = [];
+    const seen = new Set();
+    for (const row of storageCollectionRows(dbObj, spec)) {
+      const key = `${spec.table}:${row.id}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const h = sha256Hex(JSON.stringify(row.data));
+      nextHashes.set(key, h);
+      if (hashes.get(key) !== h) upserts.push(row);
+    }
+    const deletes = [];
+    for (const key of hashes.keys()) {
+      if (key.startsWith(`${spec.table}:`) && !seen.has(key)) deletes.push(key.slice(spec.table.length + 1));
+    }
+    if (upserts.length || deletes.length) changes.push({ spec, upserts, deletes });
+  }
+  return { changes, nextHashes };
+}
+
+// Monta o DB a partir das linhas lidas ({ id, data }) e registra os hashes carregados.
+function storageDbFromRows(rowsByTable, hashes) {
+  const db = {};
+  hashes.clear();
+  for (const spec of STORAGE_TABLES) {
+    const rows = rowsByTable[spec.table] || [];
+    if (spec.keyed) db[spec.collection] = Object.fromEntries(rows.map(x => [x.id, x.data]));
+    else db[spec.collection] = rows.map(x => x.data);
+    for (const x of rows) hashes.set(`${spec.table}:${x.id}`, sha256Hex(JSON.stringify(x.data)));
+  }
+  return normalizeDb(db);
+}
+
+async function pgUpsertRows(client, spec, rows) {
+  const cols = ["id", ...Object.keys(spec.columns), "data"];
+  for (let i = 0; i < rows.length; i += PG_BATCH_SIZE) {
+    const chunk = rows.slice(i, i + PG_BATCH_SIZE);
+    const params = [];
+    const tuples = chunk.map(r => {
+      const vals = [r.id, ...r.values, JSON.stringify(r.data)];
+      const ph = vals.map((v, j) => `$${params.length + j + 1}${j === vals.length - 1 ? "::jsonb" : ""}`);
+      params.push(...vals);
+      return `(${ph.join(", ")})`;
+    });
+    const updates = cols.slice(1).map(c => `${c} = EXCLUDED.${c}`).concat("updated_at = now()");
+    await client.query(
+      `INSERT INTO ${spec.table} (${cols.join(", ")}) VALUES ${tuples.join(", ")} ON CONFLICT (id) DO UPDATE SET ${updates.join(", ")}`,
+      params
     );
-  `);
+  }
+}
+
+async function pgTableExists(client, table) {
+  const r = await client.query("SELECT to_regclass($1) AS t", [table]);
+  return Boolean(r.rows?.[0]?.t);
+}
+
+// Colunas das tabelas criadas na versão 1 (usadas pela importação da versão 2).
+const PG_V1_COLUMNS = {
+  users: ["login", "parent_user_id", "is_active", "is_deleted"],
+  payments: ["user_id", "month", "paid_at"],
+  audit: ["at", "action", "target"],
+  roster_configs: [],
+  roster_schedules: ["user_key", "month"],
+  patients: ["owner_key"],
+  patient_records: ["owner_key", "patient_id"],
+  atendimentos: ["owner_key", "patient_id"]
+};
+
+// Cada migração traz o SQL literal da sua versão: alterar STORAGE_TABLES não muda
+// o que uma versão já aplicada significa. Coluna nova = migração nova (ALTER TABLE).
+const PG_MIGRATIONS = [
+  {
+    version: 1,
+    name: "tabelas_normalizadas",
+    up: async (client) => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS users (
+          id TEXT PRIMARY KEY,
+          seq BIGSERIAL,
+          login TEXT NOT NULL DEFAULT '',
+          parent_user_id TEXT NOT NULL DEFAULT '',
+          is_active BOOLEAN,
+          is_deleted BOOLEAN,
+          data JSONB NOT NULL,
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        );
+        CREATE INDEX IF NOT EXISTS users_login_idx ON users (login);
+        CREATE INDEX IF NOT EXISTS users_parent_user_id_idx ON users (parent_user_id);
+        CREATE TABLE IF NOT EXISTS payments (
+          id TEXT PRIMARY KEY,
+          seq BIGSERIAL,
+          user_id TEXT NOT NULL DEFAULT '',
+          month TEXT NOT NULL DEFAULT '',
+          paid_at TEXT NOT NULL DEFAULT '',
+          data JSONB NOT NULL,
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        );
+        CREATE INDEX IF NOT EXISTS payments_user_id_idx ON payments (user_id);
+        CREATE INDEX IF NOT EXISTS payments_month_idx ON payments (month);
+        CREATE INDEX IF NOT EXISTS payments_paid_at_idx ON payments (paid_at);
+        CREATE TABLE IF NOT EXISTS audit (
+          id TEXT PRIMARY KEY,
+          seq BIGSERIAL,
+          at TEXT NOT NULL DEFAULT '',
+          action TEXT NOT NULL DEFAULT '',
+          target TEXT NOT NULL DEFAULT '',
+          data JSONB NOT NULL,
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        );
+        CREATE INDEX IF NOT EXISTS audit_at_idx ON audit (at);
+        CREATE INDEX IF NOT EXISTS audit_action_idx ON audit (action);
+        CREATE INDEX IF NOT EXISTS audit_target_idx ON audit (target);
+        CREATE TABLE IF NOT EXISTS roster_configs (
+          id TEXT PRIMARY KEY,
+          seq BIGSERIAL,
+          data JSONB NOT NULL,
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        );
+        CREATE TABLE IF NOT EXISTS roster_schedules (
+          id TEXT PRIMARY KEY,
+          seq BIGSERIAL,
+          user_key TEXT NOT NULL DEFAULT '',
+          month TEXT NOT NULL DEFAULT '',
+          data JSONB NOT NULL,
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        );
+        CREATE INDEX IF NOT EXISTS roster_schedules_user_key_idx ON roster_schedules (user_key);
+        CREATE INDEX IF NOT EXISTS roster_schedules_month_idx ON roster_schedules (month);
+        CREATE TABLE IF NOT EXISTS patients (
+          id TEXT PRIMARY KEY,
+          seq BIGSERIAL,
+          owner_key TEXT NOT NULL DEFAULT '',
+          data JSONB NOT NULL,
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        );
+        CREATE INDEX IF NOT EXISTS patients_owner_key_idx ON patients (owner_key);
+        CREATE TABLE IF NOT EXISTS patient_records (
+          id TEXT PRIMARY KEY,
+          seq BIGSERIAL,
+          owner_key TEXT NOT NULL DEFAULT '',
+          patient_id TEXT NOT NULL DEFAULT '',
+          data JSONB NOT NULL,
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        );
+        CREATE INDEX IF NOT EXISTS patient_records_owner_key_idx ON patient_records (owner_key);
+        CREATE INDEX IF NOT EXISTS patient_records_patient_id_idx ON patient_records (patient_id);
+        CREATE TABLE IF NOT EXISTS atendimentos (
+          id TEXT PRIMARY KEY,
+          seq BIGSERIAL,
+          owner_key TEXT NOT NULL DEFAULT '',
+          patient_id TEXT NOT NULL DEFAULT '',
+          data JSONB NOT NULL,
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        );
+        CREATE INDEX IF NOT EXISTS atendimentos_owner_key_idx ON atendimentos (owner_key);
+        CREATE INDEX IF NOT EXISTS atendimentos_patient_id_idx ON atendimentos (patient_id);
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: "importa_app_state",
+    up: async (client) => {
+      if (!(await pgTableExists(client, "app_state"))) return;
+      const r = await client.query("SELECT data FROM app_state WHERE id = $1 LIMIT 1", [PG_STATE_ID]);
+      const legacy = r.rows?.[0]?.data;
+      if (!legacy || typeof legacy !== "object") return;
+      const db = normalizeDb(legacy);
+      // Só as tabelas e colunas da versão 1: as demais ainda não existem neste ponto.
+      for (const [table, columns] of Object.entries(PG_V1_COLUMNS)) {
+        const spec = STORAGE_TABLES.find(t => t.table === table);
+        const v1 = { ...spec, columns: Object.fromEntries(columns.map(c => [c, spec.columns[c]])) };
+        const rows = storageCollectionRows(db, v1);
+        if (rows.length) await pgUpsertRows(client, v1, rows);
+      }
+    }
+  },
+  {
+    version: 3,
+    name: "tabela_admins",
+    up: async (client) => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS admins (
+          id TEXT PRIMARY KEY,
+          seq BIGSERIAL,
+          login TEXT NOT NULL DEFAULT '',
+          role TEXT NOT NULL DEFAULT '',
+          is_deleted BOOLEAN,
+          data JSONB NOT NULL,
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        );
+        CREATE INDEX IF NOT EXISTS admins_login_idx ON admins (login);
+        CREATE INDEX IF NOT EXISTS admins_role_idx ON admins (role);
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: "tabela_login_attempts",
+    up: async (client) => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS login_attempts (
+          id TEXT PRIMARY KEY,
+          seq BIGSERIAL,
+          kind TEXT NOT NULL DEFAULT '',
+          locked_until TEXT NOT NULL DEFAULT '',
+          data JSONB NOT NULL,
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        );
+        CREATE INDEX IF NOT EXISTS login_attempts_kind_idx ON login_attempts (kind);
+        CREATE INDEX IF NOT EXISTS login_attempts_locked_until_idx ON login_attempts (locked_until);
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: "tabela_password_resets",
+    up: async (client) => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS password_resets (
+          id TEXT PRIMARY KEY,
+          seq BIGSERIAL,
+          user_id TEXT NOT NULL DEFAULT '',
+          expires_at TEXT NOT NULL DEFAULT '',
+          data JSONB NOT NULL,
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        );
+        CREATE INDEX IF NOT EXISTS password_resets_user_id_idx ON password_resets (user_id);
+        CREATE INDEX IF NOT EXISTS password_resets_expires_at_idx ON password_resets (expires_at);
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: "tabela_payment_orders",
+    up: async (client) => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS payment_orders (
+          id TEXT PRIMARY KEY,
+          seq BIGSERIAL,
+          user_id TEXT NOT NULL DEFAULT '',
+          status TEXT NOT NULL DEFAULT '',
+          created_at TEXT NOT NULL DEFAULT '',
+          data JSONB NOT NULL,
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        );
+        CREATE INDEX IF NOT EXISTS payment_orders_user_id_idx ON payment_orders (user_id);
+        CREATE INDEX IF NOT EXISTS payment_orders_status_idx ON payment_orders (status);
+        CREATE INDEX IF NOT EXISTS payment_orders_created_at_idx ON payment_orders (created_at);
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: "tabela_referral_ledger",
+    up: async (client) => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS referral_ledger (
+          id TEXT PRIMARY KEY,
+          seq BIGSERIAL,
+          parent_user_id TEXT NOT NULL DEFAULT '',
+          month TEXT NOT NULL DEFAULT '',
+          status TEXT NOT NULL DEFAULT '',
+          data JSONB NOT NULL,
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        );
+        CREATE INDEX IF NOT EXISTS referral_ledger_parent_user_id_idx ON referral_ledger (parent_user_id);
+        CREATE INDEX IF NOT EXISTS referral_ledger_month_idx ON referral_ledger (month);
+        CREATE INDEX IF NOT EXISTS referral_ledger_status_idx ON referral_ledger (status);
+      `);
+    }
+  },
+  {
+    version: 8,
+    name: "tabela_app_meta",
+    up: async (client) => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS app_meta (
+          id TEXT PRIMARY KEY,
+          seq BIGSERIAL,
+          data JSONB NOT NULL,
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        );
+      `);
+    }
+  }
+];
+
+// Aplica as migrações pendentes, uma transação por versão.
+// O advisory lock evita que duas instâncias migrem ao mesmo tempo.
+async function pgRunMigrations() {
+  const pool = pgPoolOrNull();
+  if (!pool) return [];
+  const applied = [];
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock(hashtext('enfermagem_schema_migrations'))");
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+    const r = await client.query("SELECT version FROM schema_migrations");
+    const done = new Set((r.rows || []).map(x => Number(x.version)));
+    for (const m of PG_MIGRATIONS) {
+      if (done.has(m.version)) continue;
+      await client.query("BEGIN");
+      try {
+        await m.up(client);
+        await client.query("INSERT INTO schema_migrations (version, name) VALUES ($1, $2)", [m.version, m.name]);
+        await client.query("COMMIT");
+        applied.push(m.version);
+      } catch (e) {
+        await client.query("ROLLBACK").catch(() => {});
+        throw new Error(`Migração ${m.version} (${m.name}) falhou: ${e?.message || e}`);
+      }
+    }
+  } finally {
+    await client.query("SELECT pg_advisory_unlock(hashtext('enfermagem_schema_migrations'))").catch(() => {});
+    client.release();
+  }
+  return applied;
 }
 
 async function pgReadState() {
   const pool = pgPoolOrNull();
   if (!pool) return null;
-  await pgEnsureTable();
-  const r = await pool.query("SELECT data FROM app_state WHERE id = $1 LIMIT 1", [PG_STATE_ID]);
-  if (!r.rows || !r.rows.length) return null;
-  return r.rows[0].data;
+  const rowsByTable = {};
+  for (const spec of STORAGE_TABLES) {
+    const r = await pool.query(`SELECT id, data FROM ${spec.table} ORDER BY seq`);
+    rowsByTable[spec.table] = r.rows || [];
+  }
+  return storageDbFromRows(rowsByTable, PG_ROW_HASHES);
 }
 
+// Grava apenas as linhas que mudaram desde a última gravação bem-sucedida.
 async function pgWriteState(dbObj) {
   const pool = pgPoolOrNull();
   if (!pool) return;
-  await pgEnsureTable();
-  await pool.query(
-    "INSERT INTO app_state (id, data, updated_at) VALUES ($1, $2::jsonb, now()) ON CONFLICT (id) DO UPDATE SET data = EXCLUDED.data, updated_at = now()",
-    [PG_STATE_ID, JSON.stringify(dbObj)]
-  );
+
+  const { changes, nextHashes } = storageRowChanges(dbObj, PG_ROW_HASHES);
+  if (!changes.length) return;
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    for (const { spec, upserts, deletes } of changes) {
+      if (upserts.length) await pgUpsertRows(client, spec, upserts);
+      if (deletes.length) await client.query(`DELETE FROM ${spec.table} WHERE id = ANY($1::text[])`, [deletes]);
+    }
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+
+  PG_ROW_HASHES.clear();
+  for (const [k, v] of nextHashes) PG_ROW_HASHES.set(k, v);
 }
 
 function schedulePgSave(dbObj) {
-  // Não bloqueia a requisição; mantém última versão consistente no Postgres.
+  // Não bloqueia a requisição; as gravações são serializadas e a última versão em memória prevalece.
   if (!USE_PG_STORE) return;
 
   const doWrite = async () => {
@@ -465,21 +1438,354 @@ function schedulePgSave(dbObj) {
     });
 }
 
-async function hydrateDbFromPgIfAvailable() {
-  if (!USE_PG_STORE) return { backend: "file", hydrated: false };
+// ======================================================================
+// SQLITE – mesmo esquema normalizado, em um arquivo local (STORAGE_BACKEND=sqlite)
+// - Pensado para uma unidade de saúde rodando em um único computador, sem internet.
+// - Gravação síncrona dentro de uma transação (WAL + synchronous=FULL), sem fila.
+// - Versão do esquema em PRAGMA user_version.
+// - Requer o pacote opcional better-sqlite3 (npm install better-sqlite3); SQLITE_PATH define o arquivo.
+// ======================================================================
+
+let sqliteDb = null;
+const SQLITE_ROW_HASHES = new Map();
+const SQLITE_UPSERT_STMTS = new Map();
+
+function sqliteDbOrNull() {
+  if (STORAGE_BACKEND !== "sqlite") return null;
+  if (sqliteDb) return sqliteDb;
+  const file = process.env.SQLITE_PATH || path.join(DATA_DIR, "enfermagem.sqlite");
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  sqliteDb = new SqliteDatabase(file);
+  sqliteDb.pragma("journal_mode = WAL");
+  sqliteDb.pragma("synchronous = FULL");
+  sqliteDb.pragma("busy_timeout = 5000");
+  return sqliteDb;
+}
+
+// SQL literal por versão, como em PG_MIGRATIONS.
+const SQLITE_MIGRATIONS = [
+  {
+    version: 1,
+    name: "tabelas_normalizadas",
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS users (
+          id TEXT PRIMARY KEY,
+          login TEXT NOT NULL DEFAULT '',
+          parent_user_id TEXT NOT NULL DEFAULT '',
+          is_active INTEGER,
+          is_deleted INTEGER,
+          data TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS users_login_idx ON users (login);
+        CREATE INDEX IF NOT EXISTS users_parent_user_id_idx ON users (parent_user_id);
+        CREATE TABLE IF NOT EXISTS payments (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL DEFAULT '',
+          month TEXT NOT NULL DEFAULT '',
+          paid_at TEXT NOT NULL DEFAULT '',
+          data TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS payments_user_id_idx ON payments (user_id);
+        CREATE INDEX IF NOT EXISTS payments_month_idx ON payments (month);
+        CREATE INDEX IF NOT EXISTS payments_paid_at_idx ON payments (paid_at);
+        CREATE TABLE IF NOT EXISTS audit (
+          id TEXT PRIMARY KEY,
+          at TEXT NOT NULL DEFAULT '',
+          action TEXT NOT NULL DEFAULT '',
+          target TEXT NOT NULL DEFAULT '',
+          data TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS audit_at_idx ON audit (at);
+        CREATE INDEX IF NOT EXISTS audit_action_idx ON audit (action);
+        CREATE INDEX IF NOT EXISTS audit_target_idx ON audit (target);
+        CREATE TABLE IF NOT EXISTS roster_configs (
+          id TEXT PRIMARY KEY,
+          data TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS roster_schedules (
+          id TEXT PRIMARY KEY,
+          user_key TEXT NOT NULL DEFAULT '',
+          month TEXT NOT NULL DEFAULT '',
+          data TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS roster_schedules_user_key_idx ON roster_schedules (user_key);
+        CREATE INDEX IF NOT EXISTS roster_schedules_month_idx ON roster_schedules (month);
+        CREATE TABLE IF NOT EXISTS patients (
+          id TEXT PRIMARY KEY,
+          owner_key TEXT NOT NULL DEFAULT '',
+          data TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS patients_owner_key_idx ON patients (owner_key);
+        CREATE TABLE IF NOT EXISTS patient_records (
+          id TEXT PRIMARY KEY,
+          owner_key TEXT NOT NULL DEFAULT '',
+          patient_id TEXT NOT NULL DEFAULT '',
+          data TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS patient_records_owner_key_idx ON patient_records (owner_key);
+        CREATE INDEX IF NOT EXISTS patient_records_patient_id_idx ON patient_records (patient_id);
+        CREATE TABLE IF NOT EXISTS atendimentos (
+          id TEXT PRIMARY KEY,
+          owner_key TEXT NOT NULL DEFAULT '',
+          patient_id TEXT NOT NULL DEFAULT '',
+          data TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS atendimentos_owner_key_idx ON atendimentos (owner_key);
+        CREATE INDEX IF NOT EXISTS atendimentos_patient_id_idx ON atendimentos (patient_id);
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: "tabela_admins",
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS admins (
+          id TEXT PRIMARY KEY,
+          login TEXT NOT NULL DEFAULT '',
+          role TEXT NOT NULL DEFAULT '',
+          is_deleted INTEGER,
+          data TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS admins_login_idx ON admins (login);
+        CREATE INDEX IF NOT EXISTS admins_role_idx ON admins (role);
+      `);
+    }
+  },
+  {
+    version: 3,
+    name: "tabela_login_attempts",
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS login_attempts (
+          id TEXT PRIMARY KEY,
+          kind TEXT NOT NULL DEFAULT '',
+          locked_until TEXT NOT NULL DEFAULT '',
+          data TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS login_attempts_kind_idx ON login_attempts (kind);
+        CREATE INDEX IF NOT EXISTS login_attempts_locked_until_idx ON login_attempts (locked_until);
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: "tabela_password_resets",
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS password_resets (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL DEFAULT '',
+          expires_at TEXT NOT NULL DEFAULT '',
+          data TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS password_resets_user_id_idx ON password_resets (user_id);
+        CREATE INDEX IF NOT EXISTS password_resets_expires_at_idx ON password_resets (expires_at);
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: "tabela_payment_orders",
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS payment_orders (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL DEFAULT '',
+          status TEXT NOT NULL DEFAULT '',
+          created_at TEXT NOT NULL DEFAULT '',
+          data TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS payment_orders_user_id_idx ON payment_orders (user_id);
+        CREATE INDEX IF NOT EXISTS payment_orders_status_idx ON payment_orders (status);
+        CREATE INDEX IF NOT EXISTS payment_orders_created_at_idx ON payment_orders (created_at);
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: "tabela_referral_ledger",
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS referral_ledger (
+          id TEXT PRIMARY KEY,
+          parent_user_id TEXT NOT NULL DEFAULT '',
+          month TEXT NOT NULL DEFAULT '',
+          status TEXT NOT NULL DEFAULT '',
+          data TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS referral_ledger_parent_user_id_idx ON referral_ledger (parent_user_id);
+        CREATE INDEX IF NOT EXISTS referral_ledger_month_idx ON referral_ledger (month);
+        CREATE INDEX IF NOT EXISTS referral_ledger_status_idx ON referral_ledger (status);
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: "tabela_app_meta",
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS app_meta (
+          id TEXT PRIMARY KEY,
+          data TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+      `);
+    }
+  }
+];
+
+function sqliteRunMigrations() {
+  const db = sqliteDbOrNull();
+  if (!db) return [];
+  const current = Number(db.pragma("user_version", { simple: true }) || 0);
+  const applied = [];
+  for (const m of SQLITE_MIGRATIONS) {
+    if (m.version <= current) continue;
+    db.transaction(() => {
+      m.up(db);
+      db.pragma(`user_version = ${m.version}`);
+    })();
+    applied.push(m.version);
+  }
+  return applied;
+}
+
+function sqliteReadState() {
+  const db = sqliteDbOrNull();
+  if (!db) return null;
+  const rowsByTable = {};
+  for (const spec of STORAGE_TABLES) {
+    rowsByTable[spec.table] = db.prepare(`SELECT id, data FROM ${spec.table} ORDER BY rowid`).all()
+      .map(x => ({ id: x.id, data: JSON.parse(x.data) }));
+  }
+  return storageDbFromRows(rowsByTable, SQLITE_ROW_HASHES);
+}
+
+function sqliteUpsertStmt(db, spec) {
+  if (SQLITE_UPSERT_STMTS.has(spec.table)) return SQLITE_UPSERT_STMTS.get(spec.table);
+  const cols = ["id", ...Object.keys(spec.columns), "data", "updated_at"];
+  const stmt = db.prepare(
+    `INSERT INTO ${spec.table} (${cols.join(", ")}) VALUES (${cols.map(() => "?").join(", ")}) ` +
+    `ON CONFLICT (id) DO UPDATE SET ${cols.slice(1).map(c => `${c} = excluded.${c}`).join(", ")}`
+  );
+  SQLITE_UPSERT_STMTS.set(spec.table, stmt);
+  return stmt;
+}
+
+// Grava apenas as linhas alteradas, numa única transação (síncrona).
+function sqliteWriteState(dbObj) {
+  const db = sqliteDbOrNull();
+  if (!db) return;
+
+  const { changes, nextHashes } = storageRowChanges(dbObj, SQLITE_ROW_HASHES);
+  if (!changes.length) return;
+
+  const at = nowIso();
+  db.transaction(() => {
+    for (const { spec, upserts, deletes } of changes) {
+      const stmt = upserts.length ? sqliteUpsertStmt(db, spec) : null;
+      for (const r of upserts) {
+        // better-sqlite3 não aceita boolean: grava 1/0
+        const values = r.values.map(v => (typeof v === "boolean" ? (v ? 1 : 0) : v));
+        stmt.run(r.id, ...values, JSON.stringify(r.data), at);
+      }
+      if (deletes.length) {
+        const del = db.prepare(`DELETE FROM ${spec.table} WHERE id = ?`);
+        for (const id of deletes) del.run(id);
+      }
+    }
+  })();
+
+  SQLITE_ROW_HASHES.clear();
+  for (const [k, v] of nextHashes) SQLITE_ROW_HASHES.set(k, v);
+}
+
+// ======================================================================
+// ADAPTADORES DE ARMAZENAMENTO
+// - Interface: { name, init(), load(), persist(db, reason), seed(db) }.
+// - saveDb chama STORAGE.persist e mantém o arquivo JSON local como espelho/fallback.
+// - runDbTransaction agrupa operações de várias etapas em uma única gravação.
+// ======================================================================
+
+const FILE_STORAGE = {
+  name: "file",
+  init: () => [],
+  load: () => normalizeDb(loadDb()),
+  persist: (db, reason) => fileWriteState(db, reason),
+  seed: () => {}
+};
+
+const PG_STORAGE = {
+  name: "postgres",
+  init: pgRunMigrations,
+  load: pgReadState,
+  persist: schedulePgSave,
+  seed: pgWriteState
+};
+
+const SQLITE_STORAGE = {
+  name: "sqlite",
+  init: sqliteRunMigrations,
+  load: sqliteReadState,
+  persist: sqliteWriteState,
+  seed: sqliteWriteState
+};
+
+const STORAGE = { file: FILE_STORAGE, postgres: PG_STORAGE, sqlite: SQLITE_STORAGE }[STORAGE_BACKEND];
+
+async function hydrateDbFromStorage() {
+  if (STORAGE === FILE_STORAGE) return { backend: STORAGE.name, hydrated: false };
+  try {
+    const migrations = await STORAGE.init();
+    const data = await STORAGE.load();
+    if (data && dbScore(data) > 0) {
+      DB = data;
+      return { backend: STORAGE.name, hydrated: true, seeded: false, migrations };
+    }
+    // Banco ainda vazio: "semeia" com o que já está em memória (arquivo/local).
+    await STORAGE.seed(normalizeDb(DB));
+    return { backend: STORAGE.name, hydrated: true, seeded: true, migrations };
+  } catch (e) {
+    console.error(`[${STORAGE.name}] falha ao hidratar:`, e?.message || e);
+    return { backend: STORAGE.name, hydrated: false, error: e?.message || String(e) };
+  }
+}
+
+// Executa "fn" (síncrona) como uma unidade: as chamadas a saveDb (inclusive as de
+// audit) ficam adiadas e o estado é gravado uma única vez no final – no Postgres/SQLite,
+// numa só transação. Se "fn" lançar erro, o DB em memória volta ao estado anterior.
+let DB_TX_DEPTH = 0;
+
+function runDbTransaction(reason, fn) {
+  const snapshot = structuredClone(DB);
+  DB_TX_DEPTH++;
+  let out;
   try {
-    const data = await pgReadState();
-    if (data && typeof data === "object") {
-      DB = normalizeDb(data);
-      return { backend: "postgres", hydrated: true, seeded: false };
-    }
-    // Se não existir estado ainda, "semeia" com o que já está em memória (arquivo/local).
-    await pgWriteState(normalizeDb(DB));
-    return { backend: "postgres", hydrated: true, seeded: true };
+    out = fn(DB);
+    if (out && typeof out.then === "function") throw new Error("runDbTransaction aceita apenas funções síncronas.");
   } catch (e) {
-    console.error("[PG_STORE] falha ao hidratar:", e?.message || e);
-    return { backend: "postgres", hydrated: false, error: e?.message || String(e) };
+    DB_TX_DEPTH--;
+    DB = snapshot;
+    throw e;
   }
+  DB_TX_DEPTH--;
+  if (DB_TX_DEPTH === 0) saveDb(DB, reason);
+  return out;
 }
 
 
@@ -487,11 +1793,25 @@ const app = express();
 const port = process.env.PORT || 3000;
 
 // Configurações básicas
+// Atrás de proxy (Render etc.), req.ip vem de X-Forwarded-For apenas quando o salto é de rede privada.
+app.set("trust proxy", process.env.TRUST_PROXY || "loopback, linklocal, uniquelocal");
 app.use(cors());
 app.use(bodyParser.json({ limit: "25mb" }));
 app.use(bodyParser.urlencoded({ limit: "25mb", extended: true }));
 
-app.use(express.static(__dirname));
+// Arquivos estáticos da raiz, exceto a pasta de dados (DB, backups e outbox com códigos de recuperação).
+function isInsideDir(file, dir) {
+  const rel = path.relative(dir, file);
+  return rel === "" || (!rel.startsWith("..") && !path.isAbsolute(rel));
+}
+
+const serveStatic = express.static(__dirname);
+app.use((req, res, next) => {
+  let file = "";
+  try { file = path.join(__dirname, decodeURIComponent(req.path)); } catch { return next(); }
+  if (isInsideDir(file, DATA_DIR)) return next();
+  return serveStatic(req, res, next);
+});
 
 // Servir o index.html apenas na rota raiz (útil para testes locais)
 app.get("/", (req, res) => {
@@ -500,96 +1820,180 @@ app.get("/", (req, res) => {
 
 // Servir o index.html (útil para testes locais)
 
-// Cliente OpenAI usando a variável de ambiente do Render
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// ======================================================================
+// PROVEDORES DE LLM (camada plugável)
+// - LLM_PROVIDER: provedor padrão
+//   - "openai" (padrão): OPENAI_API_KEY (OPENAI_BASE_URL opcional)
+//   - "azure": AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY, AZURE_OPENAI_API_VERSION;
+//     o modelo é o nome do deployment (AZURE_OPENAI_DEPLOYMENT)
+//   - "local": servidor compatível com a API da OpenAI (Ollama, llama.cpp):
+//     LLM_LOCAL_BASE_URL (padrão Ollama), LLM_LOCAL_MODEL, LLM_LOCAL_API_KEY opcional
+//   - "stub": respostas determinísticas, sem rede (testes). Com LLM_STUB_FILE
+//     (JSON { "<rota>" | "*": resposta }) devolve a resposta fixa da rota.
+// - LLM_MODEL / LLM_VISION_MODEL: modelo do provedor padrão (texto / imagem).
+// - LLM_ROUTE_MODELS: por rota, "rota=[provedor:]modelo" separados por vírgula;
+//   "*" no fim da rota vale como prefixo. Ex. (transcrições só no servidor local):
+//   LLM_ROUTE_MODELS="/api/gerar-relatorio=local:llama3.1:8b,/api/educacao-saude*=gpt-4o"
+// - A rota vem de LLM_ROUTE (AsyncLocalStorage preenchido pelo middleware de /api).
+// ======================================================================
 
-// Função genérica para chamar o modelo e retornar o texto
-async function callOpenAI(prompt) {
-  if (!process.env.OPENAI_API_KEY) {
-    const err = new Error("OPENAI_API_KEY_MISSING");
-    err.code = "OPENAI_API_KEY_MISSING";
-    throw err;
-  }
-  const completion = await openai.chat.completions.create({
-    model: "gpt-4o-mini",
-    temperature: 0.2,
-    messages: [
-      {
-        role: "user",
-        content: prompt,
-      },
-    ],
-  });
+const LLM_PROVIDER_ALIASES = { openai: "openai", azure: "azure", local: "local", ollama: "local", llamacpp: "local", "llama.cpp": "local", compatible: "local", stub: "stub" };
 
-  const content = completion.choices?.[0]?.message?.content || "";
-  return content.trim();
+function llmProviderName(name) {
+  return LLM_PROVIDER_ALIASES[String(name || "").trim().toLowerCase()] || "";
 }
 
-// Função para obter JSON do modelo com fallback (extrai o primeiro bloco {...})
-async function callOpenAIJson(prompt, maxAttempts = 3) {
-  const attempts = Math.max(1, Math.min(5, parseInt(String(maxAttempts || 3), 10) || 3));
-  let lastErr = null;
-
-  for (let i = 0; i < attempts; i++) {
-    const tightenedPrompt = i === 0
-      ? prompt
-      : (prompt + "\n\nATENÇÃO: Responda SOMENTE com um objeto JSON válido. Não use markdown, não use blocos de código, não inclua explicações.");
+// Cliente OpenAI criado só no primeiro uso (sem chave, o servidor sobe mesmo assim).
+function lazyOpenAiClient(make) {
+  let client = null;
+  return () => (client = client || make());
+}
 
-    try {
-      const raw = await callOpenAI(tightenedPrompt);
+const openaiClient = lazyOpenAiClient(() => new OpenAI({ apiKey: process.env.OPENAI_API_KEY }));
 
-      // 1) JSON direto
-      try {
-        return JSON.parse(raw);
-      } catch {}
+// Variáveis obrigatórias ainda não definidas.
+function missingEnv(names) {
+  return names.filter(n => !String(process.env[n] || "").trim());
+}
 
-      // 2) extrai o primeiro bloco {...}
-      try {
-        const firstBrace = raw.indexOf("{");
-        const lastBrace = raw.lastIndexOf("}");
-        if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-          const jsonSlice = raw.slice(firstBrace, lastBrace + 1);
-          return JSON.parse(jsonSlice);
-        }
-      } catch {}
+// Provedores com a API de chat completions da OpenAI (OpenAI, Azure e servidores locais).
+// requiredEnv: variáveis sem as quais o provedor não está configurado.
+function openAiCompatibleProvider(name, getClient, requiredEnv, defaultModel) {
+  return {
+    name,
+    defaultModel,
+    missing: () => missingEnv(requiredEnv),
+    configured: () => !missingEnv(requiredEnv).length,
+    async complete({ model, messages, temperature }) {
+      const completion = await getClient().chat.completions.create({ model, temperature, messages });
+      return completion.choices?.[0]?.message?.content || "";
+    }
+  };
+}
 
-      // 3) extrai bloco ```json ... ```
-      try {
-        const m = raw.match(/```\s*json\s*([\s\S]*?)```/i);
-        if (m && m[1]) {
-          return JSON.parse(m[1].trim());
-        }
-      } catch {}
+// Texto da mensagem (conteúdo simples ou partes multimodais).
+function llmMessagesText(messages) {
+  return (messages || []).map(m => typeof m?.content === "string"
+    ? m.content
+    : (Array.isArray(m?.content) ? m.content.map(c => c?.text || c?.image_url?.url || "").join("\n") : "")).join("\n");
+}
 
-      throw new Error("Resposta do modelo não pôde ser convertida em JSON.");
-    } catch (e) {
-      lastErr = e;
+// Respostas fixas do stub (LLM_STUB_FILE), lidas uma única vez.
+let LLM_STUB_RESPONSES = null;
+function llmStubResponses() {
+  if (LLM_STUB_RESPONSES) return LLM_STUB_RESPONSES;
+  LLM_STUB_RESPONSES = {};
+  const file = String(process.env.LLM_STUB_FILE || "").trim();
+  if (!file) return LLM_STUB_RESPONSES;
+  try {
+    const data = JSON.parse(fs.readFileSync(file, "utf-8"));
+    if (data && typeof data === "object") LLM_STUB_RESPONSES = data;
+  } catch (e) {
+    console.error("[LLM] LLM_STUB_FILE ilegível:", e?.message || e);
+  }
+  return LLM_STUB_RESPONSES;
+}
+
+const LLM_PROVIDERS = {
+  openai: openAiCompatibleProvider("openai", openaiClient, ["OPENAI_API_KEY"], "gpt-4o-mini"),
+  azure: openAiCompatibleProvider(
+    "azure",
+    // baseURL explícito: OPENAI_BASE_URL (do provedor openai) não pode vazar para o Azure.
+    lazyOpenAiClient(() => new AzureOpenAI({
+      baseURL: `${String(process.env.AZURE_OPENAI_ENDPOINT || "").replace(/\/+$/, "")}/openai`,
+      apiKey: process.env.AZURE_OPENAI_API_KEY,
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION || "2024-10-21"
+    })),
+    ["AZURE_OPENAI_ENDPOINT", "AZURE_OPENAI_API_KEY"],
+    String(process.env.AZURE_OPENAI_DEPLOYMENT || "gpt-4o-mini")
+  ),
+  local: openAiCompatibleProvider(
+    "local",
+    lazyOpenAiClient(() => new OpenAI({
+      baseURL: String(process.env.LLM_LOCAL_BASE_URL || "http://127.0.0.1:11434/v1"),
+      apiKey: process.env.LLM_LOCAL_API_KEY || "local"
+    })),
+    [],
+    String(process.env.LLM_LOCAL_MODEL || "llama3.1")
+  ),
+  stub: {
+    name: "stub",
+    defaultModel: "stub",
+    missing: () => [],
+    configured: () => true,
+    async complete({ model, messages, route }) {
+      const fixed = llmStubResponses();
+      const hit = fixed[route] ?? fixed["*"];
+      if (hit !== undefined) return typeof hit === "string" ? hit : JSON.stringify(hit);
+      return JSON.stringify({ stub: true, route, model, hash: sha1Hex(llmMessagesText(messages)).slice(0, 12) });
     }
   }
+};
 
-  throw lastErr || new Error("Falha ao obter JSON do modelo.");
-}
+const LLM_DEFAULT_PROVIDER = llmProviderName(process.env.LLM_PROVIDER) || "openai";
 
-// Função para chamar o modelo com imagem (data URL) e retornar JSON
-async function callOpenAIVisionJson(prompt, imagemDataUrl) {
-  const completion = await openai.chat.completions.create({
-    model: "gpt-4o-mini",
-    temperature: 0.2,
-    messages: [
-      {
-        role: "user",
-        content: [
-          { type: "text", text: prompt },
-          { type: "image_url", image_url: { url: imagemDataUrl } }
-        ]
-      }
-    ]
-  });
+// Regras por rota: [{ route, prefix, provider, model }] (a primeira que casar vale).
+const LLM_ROUTE_MODELS = (() => {
+  const out = [];
+  for (const part of String(process.env.LLM_ROUTE_MODELS || "").split(",")) {
+    const i = part.indexOf("=");
+    if (i <= 0) continue;
+    let route = part.slice(0, i).trim();
+    let spec = part.slice(i + 1).trim();
+    const prefix = route.endsWith("*");
+    if (prefix) route = route.slice(0, -1);
+    // "provedor:modelo"; nomes de modelo também podem ter ":" (ex.: llama3.1:8b)
+    const j = spec.indexOf(":");
+    const provider = j > 0 ? llmProviderName(spec.slice(0, j)) : llmProviderName(spec);
+    if (provider) spec = j > 0 ? spec.slice(j + 1).trim() : "";
+    if (route) out.push({ route, prefix, provider: provider || "", model: spec });
+  }
+  return out;
+})();
+
+// Rota da requisição em curso (para a configuração de modelo por rota).
+const LLM_ROUTE = new AsyncLocalStorage();
+app.use("/api", (req, res, next) => LLM_ROUTE.run(req.baseUrl + req.path, next));
 
-  const raw = (completion.choices?.[0]?.message?.content || "").trim();
+// Provedor e modelo a usar na rota atual; kind = "text" | "vision".
+function llmRouteConfig(kind = "text", route = LLM_ROUTE.getStore() || "") {
+  const rule = LLM_ROUTE_MODELS.find(r => r.prefix ? route.startsWith(r.route) : route === r.route);
+  const provider = rule?.provider || LLM_DEFAULT_PROVIDER;
+  const envModel = provider === LLM_DEFAULT_PROVIDER
+    ? (kind === "vision" ? (process.env.LLM_VISION_MODEL || process.env.LLM_MODEL) : process.env.LLM_MODEL)
+    : "";
+  const model = rule?.model || String(envModel || "").trim() || LLM_PROVIDERS[provider].defaultModel;
+  return { route, provider, model };
+}
+
+// Há provedor configurado para a rota atual? (OpenAI/Azure exigem credenciais.)
+function llmAvailable() {
+  return LLM_PROVIDERS[llmRouteConfig().provider].configured();
+}
+
+// Aviso para o usuário quando o provedor da rota atual não está configurado.
+function llmMissingMessage() {
+  const { provider } = llmRouteConfig();
+  const faltando = LLM_PROVIDERS[provider].missing();
+  return `Provedor de IA "${provider}" não configurado no servidor${faltando.length ? ` (falta ${faltando.join(", ")})` : ""}.`;
+}
+
+// Chamada ao provedor da rota; sem configuração, lança LLM_NOT_CONFIGURED (mensagem com o que falta).
+async function llmComplete(messages, kind = "text") {
+  const cfg = llmRouteConfig(kind);
+  const provider = LLM_PROVIDERS[cfg.provider];
+  if (!provider.configured()) {
+    const err = new Error(llmMissingMessage());
+    err.code = "LLM_NOT_CONFIGURED";
+    err.provider = cfg.provider;
+    throw err;
+  }
+  const raw = await provider.complete({ model: cfg.model, temperature: 0.2, messages, route: cfg.route });
+  return String(raw || "").trim();
+}
 
+// Converte a resposta do modelo em JSON (direto ou o primeiro bloco {...}).
+function parseLlmJson(raw) {
   try {
     return JSON.parse(raw);
   } catch (e) {
@@ -602,8 +2006,74 @@ async function callOpenAIVisionJson(prompt, imagemDataUrl) {
     throw new Error("Resposta do modelo não pôde ser convertida em JSON.");
   }
 }
+
+// Função genérica para chamar o modelo e retornar o texto
+async function callLlm(prompt) {
+  return llmComplete([{ role: "user", content: prompt }]);
+}
+
+// Função para obter JSON do modelo com fallback (extrai o primeiro bloco {...})
+async function callLlmJson(prompt, maxAttempts = 3) {
+  const attempts = Math.max(1, Math.min(5, parseInt(String(maxAttempts || 3), 10) || 3));
+  let lastErr = null;
+
+  for (let i = 0; i < attempts; i++) {
+    const tightenedPrompt = i === 0
+      ? prompt
+      : (prompt + "\n\nATENÇÃO: Responda SOMENTE com um objeto JSON válido. Não use markdown, não use blocos de código, não inclua explicações.");
+
+    try {
+      const raw = await callLlm(tightenedPrompt);
+
+      // 1) JSON direto
+      try {
+        return JSON.parse(raw);
+      } catch {}
+
+      // 2) extrai o primeiro bloco {...}
+      try {
+        const firstBrace = raw.indexOf("{");
+        const lastBrace = raw.lastIndexOf("}");
+        if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
+          const jsonSlice = raw.slice(firstBrace, lastBrace + 1);
+          return JSON.parse(jsonSlice);
+        }
+      } catch {}
+
+      // 3) extrai bloco ```json ... ```
+      try {
+        const m = raw.match(/```\s*json\s*([\s\S]*?)```/i);
+        if (m && m[1]) {
+          return JSON.parse(m[1].trim());
+        }
+      } catch {}
+
+      throw new Error("Resposta do modelo não pôde ser convertida em JSON.");
+    } catch (e) {
+      // Sem provedor configurado não adianta tentar de novo
+      if (e?.code === "LLM_NOT_CONFIGURED") throw e;
+      lastErr = e;
+    }
+  }
+
+  throw lastErr || new Error("Falha ao obter JSON do modelo.");
+}
+
+// Função para chamar o modelo com imagem (data URL) e retornar JSON
+async function callLlmVisionJson(prompt, imagemDataUrl) {
+  const raw = await llmComplete([
+    {
+      role: "user",
+      content: [
+        { type: "text", text: prompt },
+        { type: "image_url", image_url: { url: imagemDataUrl } }
+      ]
+    }
+  ], "vision");
+  return parseLlmJson(raw);
+}
 // Função para chamar o modelo com múltiplas imagens (data URLs) e retornar JSON
-async function callOpenAIVisionJsonMulti(prompt, imagensDataUrl) {
+async function callLlmVisionJsonMulti(prompt, imagensDataUrl) {
   const imgs = Array.isArray(imagensDataUrl) ? imagensDataUrl : [];
   const content = [{ type: "text", text: prompt }];
 
@@ -615,25 +2085,8 @@ async function callOpenAIVisionJsonMulti(prompt, imagensDataUrl) {
     if (content.length >= 1 + 4) break; // texto + até 4 imagens
   }
 
-  const completion = await openai.chat.completions.create({
-    model: "gpt-4o-mini",
-    temperature: 0.2,
-    messages: [{ role: "user", content }]
-  });
-
-  const raw = (completion.choices?.[0]?.message?.content || "").trim();
-
-  try {
-    return JSON.parse(raw);
-  } catch (e) {
-    const firstBrace = raw.indexOf("{");
-    const lastBrace = raw.lastIndexOf("}");
-    if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-      const jsonSlice = raw.slice(firstBrace, lastBrace + 1);
-      return JSON.parse(jsonSlice);
-    }
-    throw new Error("Resposta do modelo não pôde ser convertida em JSON.");
-  }
+  const raw = await llmComplete([{ role: "user", content }], "vision");
+  return parseLlmJson(raw);
 }
 
 
@@ -671,7 +2124,7 @@ Formato obrigatório:
 }
 `;
 
-  const data = await callOpenAIVisionJsonMulti(prompt, imgs);
+  const data = await callLlmVisionJsonMulti(prompt, imgs);
 
   const tipo_anexo = (typeof data?.tipo_anexo === "string" ? data.tipo_anexo.trim() : "") || "indefinido";
   const resumo_objetivo = (typeof data?.resumo_objetivo === "string" ? data.resumo_objetivo.trim() : "");
@@ -806,7 +2259,118 @@ const LEGACY_DB_PATHS = [
 ];
 
 const BACKUP_DIR = path.join(DATA_DIR, "backups");
-const MAX_BACKUPS = 40;
+
+// Retenção dos backups automáticos (um por gravação), em camadas:
+// - os BACKUP_KEEP_RECENT mais novos;
+// - o mais novo de cada hora nas últimas BACKUP_KEEP_HOURLY horas com backup;
+// - o mais novo de cada dia (BACKUP_KEEP_DAILY) e de cada mês (BACKUP_KEEP_MONTHLY);
+// - backups "manual" e "pre-restore": os BACKUP_KEEP_MANUAL mais novos.
+const BACKUP_RETENTION = (() => {
+  const n = (name, def) => {
+    const v = parseInt(String(process.env[name] || ""), 10);
+    return Number.isFinite(v) && v >= 0 ? v : def;
+  };
+  return {
+    recent: n("BACKUP_KEEP_RECENT", 20),
+    hourly: n("BACKUP_KEEP_HOURLY", 48),
+    daily: n("BACKUP_KEEP_DAILY", 30),
+    monthly: n("BACKUP_KEEP_MONTHLY", 12),
+    manual: n("BACKUP_KEEP_MANUAL", 20)
+  };
+})();
+const BACKUP_PROTECTED_REASONS = new Set(["manual", "pre-restore"]);
+
+// ======================================================================
+// CRIPTOGRAFIA DE BACKUPS / EXPORTAÇÕES / SNAPSHOT (AES-256-GCM)
+// - BACKUP_ENCRYPTION_KEY: 32 bytes em hex (64) ou base64, ou uma frase-senha
+//   (derivada com scrypt). Sem chave, tudo continua em JSON puro.
+// - BACKUP_ENCRYPTION_KEYS_OLD: chaves anteriores (separadas por vírgula),
+//   aceitas só para decifrar – permite trocar a chave sem perder backups.
+// - Envelope versionado: { format, version, alg, kid, iv, tag, ciphertext }.
+//   "kid" identifica a chave; o cabeçalho entra como AAD, então qualquer
+//   alteração no envelope ou no conteúdo falha na verificação (tag do GCM).
+// - O arquivo principal do DB continua em claro (é o estado vivo do servidor).
+// ======================================================================
+
+const ENCRYPTED_FORMAT = "enfermagem-encrypted";
+const ENCRYPTED_VERSION = 1;
+const ENCRYPTED_ALG = "AES-256-GCM";
+
+function parseEncryptionKey(str) {
+  const s = String(str || "").trim();
+  if (!s) return null;
+  if (/^[0-9a-f]{64}$/i.test(s)) return Buffer.from(s, "hex");
+  if (/^[A-Za-z0-9+/]{43}=$/.test(s)) return Buffer.from(s, "base64");
+  return crypto.scryptSync(s, "enfermagem-backup-key-v1", 32);
+}
+
+const BACKUP_KEYS = [process.env.BACKUP_ENCRYPTION_KEY, ...String(process.env.BACKUP_ENCRYPTION_KEYS_OLD || "").split(",")]
+  .map(parseEncryptionKey)
+  .filter(Boolean)
+  .map(key => ({ key, kid: crypto.createHash("sha256").update(key).digest("hex").slice(0, 16) }));
+
+// Chave atual (a primeira), ou null se a criptografia estiver desligada.
+const BACKUP_KEY = process.env.BACKUP_ENCRYPTION_KEY ? BACKUP_KEYS[0] : null;
+
+function encryptionError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function isEncryptedEnvelope(x) {
+  return Boolean(x && typeof x === "object" && x.format === ENCRYPTED_FORMAT);
+}
+
+function envelopeAad(env) {
+  return Buffer.from(`${env.format}:${env.version}:${env.alg}:${env.kid}`, "utf-8");
+}
+
+function encryptEnvelope(text) {
+  if (!BACKUP_KEY) throw encryptionError("ENCRYPTION_KEY_MISSING", "Criptografia de backup não configurada.");
+  const env = { format: ENCRYPTED_FORMAT, version: ENCRYPTED_VERSION, alg: ENCRYPTED_ALG, kid: BACKUP_KEY.kid };
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", BACKUP_KEY.key, iv);
+  cipher.setAAD(envelopeAad(env));
+  const ciphertext = Buffer.concat([cipher.update(String(text), "utf-8"), cipher.final()]);
+  return {
+    ...env,
+    createdAt: nowIso(),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    ciphertext: ciphertext.toString("base64")
+  };
+}
+
+// Decifra e verifica a integridade. Lança erro com code ENCRYPTION_* se não for possível.
+function decryptEnvelope(env) {
+  if (!isEncryptedEnvelope(env)) throw encryptionError("ENCRYPTION_FORMAT", "Conteúdo não está no formato criptografado.");
+  if (env.version !== ENCRYPTED_VERSION || env.alg !== ENCRYPTED_ALG) {
+    throw encryptionError("ENCRYPTION_FORMAT", `Versão de criptografia não suportada (${env.version}/${env.alg}).`);
+  }
+  if (!BACKUP_KEYS.length) throw encryptionError("ENCRYPTION_KEY_MISSING", "Backup criptografado, mas BACKUP_ENCRYPTION_KEY não está configurada.");
+  const k = BACKUP_KEYS.find(x => x.kid === env.kid);
+  if (!k) throw encryptionError("ENCRYPTION_KEY_UNKNOWN", "Backup criptografado com outra chave.");
+  try {
+    const decipher = crypto.createDecipheriv("aes-256-gcm", k.key, Buffer.from(String(env.iv || ""), "base64"));
+    decipher.setAAD(envelopeAad(env));
+    decipher.setAuthTag(Buffer.from(String(env.tag || ""), "base64"));
+    return Buffer.concat([decipher.update(Buffer.from(String(env.ciphertext || ""), "base64")), decipher.final()]).toString("utf-8");
+  } catch {
+    throw encryptionError("ENCRYPTION_INTEGRITY", "Falha na verificação de integridade do backup (conteúdo alterado ou corrompido).");
+  }
+}
+
+// Texto a gravar fora do servidor: envelope cifrado se houver chave, senão o próprio texto.
+function maybeEncryptText(text) {
+  return BACKUP_KEY ? JSON.stringify(encryptEnvelope(text), null, 2) : text;
+}
+
+// Lê um JSON que pode estar cifrado (backup/snapshot). Lança erro em falha.
+function parseMaybeEncryptedJson(raw) {
+  const data = JSON.parse(raw);
+  return isEncryptedEnvelope(data) ? JSON.parse(decryptEnvelope(data)) : data;
+}
 
 function ensureBackupDir() {
   try { fs.mkdirSync(BACKUP_DIR, { recursive: true }); } catch {}
@@ -835,10 +2399,46 @@ function listBackupFiles() {
   }
 }
 
+// "<base>.backup-<AAAA-MM-DDTHH-MM-SS-mmmZ>-<motivo>.json" -> motivo
+function backupReasonFromName(name) {
+  const m = String(name || "").match(/\.backup-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z-(.+)\.json$/i);
+  return m ? m[1] : "";
+}
+
+// Arquivos a manter segundo BACKUP_RETENTION (lista já ordenada do mais novo para o mais antigo).
+function backupsToKeep(files) {
+  const keep = new Set(files.slice(0, BACKUP_RETENTION.recent).map(x => x.f));
+
+  const tiers = [
+    { limit: BACKUP_RETENTION.hourly, bucket: iso => iso.slice(0, 13) },
+    { limit: BACKUP_RETENTION.daily, bucket: iso => iso.slice(0, 10) },
+    { limit: BACKUP_RETENTION.monthly, bucket: iso => iso.slice(0, 7) }
+  ];
+  for (const tier of tiers) {
+    const seen = new Set();
+    for (const x of files) {
+      const b = tier.bucket(new Date(x.t).toISOString());
+      if (seen.has(b)) continue;
+      if (seen.size >= tier.limit) break;
+      seen.add(b);
+      keep.add(x.f);
+    }
+  }
+
+  files
+    .filter(x => BACKUP_PROTECTED_REASONS.has(backupReasonFromName(x.f)))
+    .slice(0, BACKUP_RETENTION.manual)
+    .forEach(x => keep.add(x.f));
+
+  return keep;
+}
+
 function rotateBackups() {
   const files = listBackupFiles();
-  for (let i = MAX_BACKUPS; i < files.length; i++) {
-    try { fs.unlinkSync(files[i].p); } catch {}
+  const keep = backupsToKeep(files);
+  for (const x of files) {
+    if (keep.has(x.f)) continue;
+    try { fs.unlinkSync(x.p); } catch {}
   }
 }
 
@@ -846,7 +2446,7 @@ function loadDbFromFile(filePath) {
   try {
     if (!fs.existsSync(filePath)) return null;
     const raw = fs.readFileSync(filePath, "utf-8");
-    const db = JSON.parse(raw);
+    const db = parseMaybeEncryptedJson(raw);
     if (!db || typeof db !== "object") return null;
     db.users = Array.isArray(db.users) ? db.users : [];
     db.payments = Array.isArray(db.payments) ? db.payments : [];
@@ -872,10 +2472,8 @@ function tryReadDbFile(filePath) {
     const raw = fs.readFileSync(filePath, "utf-8");
     const db = JSON.parse(raw);
     if (!db || typeof db !== "object") return null;
-    const users = Array.isArray(db.users) ? db.users : [];
-    const payments = Array.isArray(db.payments) ? db.payments : [];
-    const audit = Array.isArray(db.audit) ? db.audit : [];
-    return { users, payments, audit };
+    // Todas as coleções: o resultado pode ser mesclado e regravado (migrateDbIfNeeded).
+    return normalizeDb(db);
   } catch {
     return null;
   }
@@ -886,64 +2484,150 @@ function dbScore(db) {
   return (db.users?.length || 0) * 1000000 + (db.payments?.length || 0) * 1000 + (db.audit?.length || 0);
 }
 
-function mergeDbs(a, b) {
-  const out = { users: [], payments: [], audit: [] };
+// ======================================================================
+// MESCLA / SNAPSHOT POR ESQUEMA
+// - As coleções são as que normalizeDb conhece (lista = array de registros,
+//   mapa = objeto por chave, ex.: rosterConfigs). Coleções novas entram
+//   automaticamente com a regra padrão.
+// - Regra padrão: identidade pelo "id" (ou pela chave, nos mapas); em conflito,
+//   vence o registro com updatedAt/createdAt mais recente; empate mantém o atual.
+// - DB_MERGE_RULES ajusta identidade, versão, combinação e limite por coleção.
+// - Snapshot do GitHub: snapshot: true (sempre: usuários, pagamentos, administradores),
+//   "encrypted" (padrão: só com BACKUP_ENCRYPTION_KEY, pois inclui dados clínicos e
+//   financeiros de pacientes/clientes) ou false (nunca: dados voláteis).
+// ======================================================================
 
-  const usersMap = new Map();
-  for (const u of (Array.isArray(a?.users) ? a.users : [])) {
-    if (u && u.id) usersMap.set(u.id, u);
-  }
-  for (const u of (Array.isArray(b?.users) ? b.users : [])) {
-    if (!u || !u.id) continue;
-    const prev = usersMap.get(u.id);
-    if (!prev) {
-      usersMap.set(u.id, u);
-    } else {
-      const prevLogin = Date.parse(prev.lastLoginAt || "") || 0;
-      const newLogin = Date.parse(u.lastLoginAt || "") || 0;
-      usersMap.set(u.id, newLogin > prevLogin ? { ...prev, ...u } : { ...u, ...prev });
-    }
-  }
-  out.users = Array.from(usersMap.values());
+// Chaves do DB que não são dados (ficam fora de mescla/snapshot; o DB atual prevalece).
+const DB_META_KEYS = new Set(["meta"]);
 
-  const paySeen = new Set();
-  for (const p of [...(a?.payments || []), ...(b?.payments || [])]) {
-    if (!p || !p.userId || !p.month) continue;
-    const k = `${p.userId}|${p.month}|${p.paidAt || ""}`;
-    if (paySeen.has(k)) continue;
-    paySeen.add(k);
-    out.payments.push(p);
-  }
+const DB_MERGE_RULES = {
+  users: {
+    // Campos combinados: o registro com login mais recente sobrepõe o outro.
+    version: u => u.lastLoginAt || u.updatedAt || "",
+    combine: (prev, next) => ({ ...prev, ...next }),
+    snapshot: true,
+    snapshotOmit: ["sessions", "revokedSessions", "lastSeenAt", "lastLoginAt"]
+  },
+  payments: {
+    identity: p => (p.userId && p.month) ? `${p.userId}|${p.month}|${p.paidAt || ""}` : "",
+    version: () => "",
+    limit: 20000,
+    snapshot: true
+  },
+  audit: {
+    identity: x => `${x.at || ""}|${x.action || ""}|${x.target || ""}|${x.details || ""}`,
+    version: () => "",
+    limit: 5000,
+    snapshot: false
+  },
+  admins: { version: () => "", snapshot: true, snapshotOmit: ["lastLoginAt"] },
+  // Dados clínicos: nunca em texto claro no GitHub.
+  patients: { snapshot: "encrypted" },
+  patientRecords: { snapshot: "encrypted" },
+  atendimentos: { snapshot: "encrypted" },
+  paymentOrders: { version: o => o.paidAt || o.lastCheckAt || o.createdAt || "" },
+  loginAttempts: { version: () => "", snapshot: false },
+  passwordResets: { version: () => "", snapshot: false }
+};
+
+function dbCollectionSpecs() {
+  const empty = normalizeDb({});
+  return Object.keys(empty).filter(name => !DB_META_KEYS.has(name)).map(name => ({
+    name,
+    keyed: !Array.isArray(empty[name]),
+    identity: DB_MERGE_RULES[name]?.identity || (x => String(x?.id || "")),
+    version: DB_MERGE_RULES[name]?.version || (x => x?.updatedAt || x?.createdAt || ""),
+    combine: DB_MERGE_RULES[name]?.combine || ((prev, next) => next),
+    limit: DB_MERGE_RULES[name]?.limit || 0,
+    snapshot: DB_MERGE_RULES[name]?.snapshot ?? "encrypted",
+    snapshotOmit: DB_MERGE_RULES[name]?.snapshotOmit || []
+  }));
+}
+
+// Mescla "b" em "a" (a prevalece em empate) e informa, por coleção, o que foi
+// incluído, atualizado, ignorado (conflito perdido ou registro inválido) e igual.
+function mergeDbsWithReport(a, b) {
+  const out = {};
+  const report = {};
+  const REPORT_ITEMS = 50;
+
+  for (const spec of dbCollectionSpecs()) {
+    const r = { added: 0, updated: 0, skipped: 0, unchanged: 0, items: [] };
+    const note = (id, action, reason) => {
+      if (r.items.length < REPORT_ITEMS) r.items.push(reason ? { id, action, reason } : { id, action });
+    };
+
+    const entriesOf = (db) => {
+      const v = db?.[spec.name];
+      if (spec.keyed) return (v && typeof v === "object" && !Array.isArray(v)) ? Object.entries(v) : [];
+      return (Array.isArray(v) ? v : []).map(x => [x && typeof x === "object" ? spec.identity(x) : "", x]);
+    };
 
-  const audSeen = new Set();
-  for (const x of [...(a?.audit || []), ...(b?.audit || [])]) {
-    if (!x) continue;
-    const k = `${x.at || ""}|${x.action || ""}|${x.target || ""}|${x.details || ""}`;
-    if (audSeen.has(k)) continue;
-    audSeen.add(k);
-    out.audit.push(x);
+    const map = new Map();
+    for (const [id, x] of entriesOf(a)) {
+      if (x && id && !map.has(id)) map.set(id, x);
+    }
+    for (const [id, x] of entriesOf(b)) {
+      if (!x || !id) { r.skipped++; note(id || "", "skipped", "registro sem identificação"); continue; }
+      const prev = map.get(id);
+      if (!prev) { map.set(id, x); r.added++; note(id, "added"); continue; }
+      if (JSON.stringify(prev) === JSON.stringify(x)) { r.unchanged++; continue; }
+      const pv = Date.parse(spec.version(prev) || "") || 0;
+      const nv = Date.parse(spec.version(x) || "") || 0;
+      if (nv > pv) {
+        map.set(id, spec.combine(prev, x));
+        r.updated++;
+        note(id, "updated");
+      } else {
+        // O atual prevalece; campos que só o importado tem ainda podem entrar pela
+        // combinação da coleção, e aí o registro conta como atualizado.
+        const combined = spec.combine(x, prev);
+        if (JSON.stringify(combined) === JSON.stringify(prev)) {
+          r.skipped++;
+          note(id, "skipped", "versão atual é igual ou mais recente");
+        } else {
+          map.set(id, combined);
+          r.updated++;
+          note(id, "updated", "versão atual prevalece; campos ausentes completados");
+        }
+      }
+    }
+
+    if (spec.keyed) {
+      out[spec.name] = Object.fromEntries(map);
+    } else {
+      let list = Array.from(map.values());
+      if (spec.limit && list.length > spec.limit) list = list.slice(list.length - spec.limit);
+      out[spec.name] = list;
+    }
+    report[spec.name] = r;
   }
 
-  if (out.audit.length > 5000) out.audit = out.audit.slice(out.audit.length - 5000);
-  if (out.payments.length > 20000) out.payments = out.payments.slice(out.payments.length - 20000);
+  if (a?.meta) out.meta = a.meta;
+  return { db: out, report };
+}
 
-  return out;
+function mergeDbs(a, b) {
+  return mergeDbsWithReport(a, b).db;
 }
 
 function backupFile(filePath, reason = "auto") {
   try {
     ensureDataDir();
     ensureBackupDir();
-    if (!fs.existsSync(filePath)) return;
+    if (!fs.existsSync(filePath)) return "";
 
     const stamp = new Date().toISOString().replace(/[:.]/g, "-");
     const base = path.basename(filePath).replace(/\.json$/i, "");
     const safeReason = String(reason || "auto").replace(/[^a-z0-9_-]+/gi, "-").slice(0, 40) || "auto";
     const backupName = `${base}.backup-${stamp}-${safeReason}.json`;
     const backupPath = path.join(BACKUP_DIR, backupName);
-    fs.copyFileSync(filePath, backupPath);
+    if (BACKUP_KEY) safeWriteFileAtomic(backupPath, maybeEncryptText(fs.readFileSync(filePath, "utf-8")));
+    else fs.copyFileSync(filePath, backupPath);
     rotateBackups();
+    return backupName;
   } catch {}
+  return "";
 }
 
 
@@ -992,17 +2676,120 @@ function nowIso() {
   return new Date().toISOString();
 }
 
+// Mês corrente em UTC, o mesmo relógio de todayYMD e das contas de data da assinatura.
 function currentYYYYMM() {
-  const d = new Date();
-  const y = d.getFullYear();
-  const m = String(d.getMonth() + 1).padStart(2, "0");
-  return `${y}-${m}`;
+  return nowIso().slice(0, 7);
+}
+
+// "AAAA-MM" + n meses (n pode ser negativo).
+function addMonthsYYYYMM(month, n) {
+  const [y, m] = String(month || "").split("-").map(Number);
+  const d = new Date(Date.UTC(y, (m - 1) + Number(n || 0), 1));
+  return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, "0")}`;
 }
 
 function sha256(s) {
   return crypto.createHash("sha256").update(String(s)).digest("hex");
 }
 
+// ======================================================================
+// SENHAS – scrypt (KDF lento) + política configurável
+// - Formato: "scrypt$N$r$p$<hash hex>", com o sal em user.salt. Os parâmetros
+//   ficam gravados por usuário, então é possível endurecê-los sem invalidar senhas.
+// - Hashes antigos (sha256("sal:senha"), 64 hex) continuam aceitos e são
+//   regravados com scrypt no próximo login bem-sucedido.
+// - scrypt assíncrono (pool do libuv): o cálculo não trava o event loop. As rotas
+//   calculam o hash antes de ler/alterar o DB, para não intercalar estado.
+// - Parâmetros limitados (PASSWORD_SCRYPT_BOUNDS), tanto os do ambiente quanto os
+//   gravados em hashes importados.
+// ======================================================================
+
+// Teto de memória por hash: 128 * N * r = 256 MiB.
+const PASSWORD_SCRYPT_BOUNDS = { N: [1 << 14, 1 << 17], r: [8, 16], p: [1, 4] };
+
+// N precisa ser potência de 2: usa a maior potência que não passa do valor pedido.
+function clampScryptN(v) {
+  const n = clampInt(v, ...PASSWORD_SCRYPT_BOUNDS.N);
+  return 2 ** Math.floor(Math.log2(n));
+}
+
+const PASSWORD_SCRYPT = {
+  N: clampScryptN(process.env.PASSWORD_SCRYPT_N || 16384),
+  r: clampInt(process.env.PASSWORD_SCRYPT_R || 8, ...PASSWORD_SCRYPT_BOUNDS.r),
+  p: clampInt(process.env.PASSWORD_SCRYPT_P || 1, ...PASSWORD_SCRYPT_BOUNDS.p),
+  keylen: 64
+};
+
+function scryptParamsInBounds({ N, r, p, keylen }) {
+  const within = (v, [min, max]) => Number.isInteger(v) && v >= min && v <= max;
+  return within(N, PASSWORD_SCRYPT_BOUNDS.N) && (N & (N - 1)) === 0 &&
+    within(r, PASSWORD_SCRYPT_BOUNDS.r) && within(p, PASSWORD_SCRYPT_BOUNDS.p) &&
+    Number.isInteger(keylen) && keylen >= 16 && keylen <= 128;
+}
+
+const PASSWORD_POLICY = {
+  minLength: Math.max(4, Number(process.env.PASSWORD_MIN_LENGTH || 8)),
+  maxLength: 128,
+  requireLetterAndDigit: String(process.env.PASSWORD_REQUIRE_LETTER_AND_DIGIT || "true").toLowerCase() !== "false"
+};
+
+function scryptHex(password, salt, { N, r, p, keylen }) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(String(password), String(salt), keylen, { N, r, p, maxmem: 256 * N * r }, (err, key) => {
+      if (err) reject(err);
+      else resolve(key.toString("hex"));
+    });
+  });
+}
+
+// Retorna { salt, passwordHash } (aplicar com setUserPassword).
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const { N, r, p } = PASSWORD_SCRYPT;
+  return { salt, passwordHash: `scrypt$${N}$${r}$${p}$${await scryptHex(password, salt, PASSWORD_SCRYPT)}` };
+}
+
+// Grava no usuário/administrador um hash já calculado por hashPassword.
+function setUserPassword(user, hashed) {
+  user.salt = hashed.salt;
+  user.passwordHash = hashed.passwordHash;
+}
+
+function safeEqualHex(a, b) {
+  const x = Buffer.from(String(a || ""), "utf8");
+  const y = Buffer.from(String(b || ""), "utf8");
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// Retorna { ok, needsRehash }. needsRehash = hash legado ou parâmetros abaixo dos atuais.
+async function verifyUserPassword(user, password) {
+  const stored = String(user?.passwordHash || "");
+  const salt = String(user?.salt || "");
+  const parts = stored.split("$");
+  if (parts[0] === "scrypt" && parts.length === 5) {
+    const [N, r, p] = parts.slice(1, 4).map(Number);
+    const keylen = parts[4].length / 2;
+    if (!scryptParamsInBounds({ N, r, p, keylen })) return { ok: false, needsRehash: false };
+    const ok = safeEqualHex(await scryptHex(password, salt, { N, r, p, keylen }), parts[4]);
+    const weaker = N < PASSWORD_SCRYPT.N || r < PASSWORD_SCRYPT.r || p < PASSWORD_SCRYPT.p;
+    return { ok, needsRehash: ok && weaker };
+  }
+  const ok = safeEqualHex(sha256(`${salt}:${password}`), stored);
+  return { ok, needsRehash: ok };
+}
+
+// Retorna a mensagem de erro ("" se a senha atende à política).
+function passwordPolicyError(password, { login = "" } = {}) {
+  const pw = String(password || "");
+  if (pw.length < PASSWORD_POLICY.minLength) return `Senha muito curta. Use pelo menos ${PASSWORD_POLICY.minLength} caracteres.`;
+  if (pw.length > PASSWORD_POLICY.maxLength) return `Senha muito longa. Use no máximo ${PASSWORD_POLICY.maxLength} caracteres.`;
+  if (PASSWORD_POLICY.requireLetterAndDigit && !(/[A-Za-zÀ-ÿ]/.test(pw) && /\d/.test(pw))) {
+    return "A senha deve conter letras e números.";
+  }
+  if (login && pw.toLowerCase() === String(login).toLowerCase()) return "A senha não pode ser igual ao login.";
+  return "";
+}
+
 function onlyDigits(v) {
   return String(v || "").replace(/\D+/g, "");
 }
@@ -1058,23 +2845,136 @@ function normalizeDb(db) {
   out.audit = Array.isArray(out.audit) ? out.audit : [];
   out.rosterConfigs = (out.rosterConfigs && typeof out.rosterConfigs === "object") ? out.rosterConfigs : {};
   out.rosterSchedules = Array.isArray(out.rosterSchedules) ? out.rosterSchedules : [];
+  out.patients = Array.isArray(out.patients) ? out.patients : [];
+  out.patientRecords = Array.isArray(out.patientRecords) ? out.patientRecords : [];
+  out.atendimentos = Array.isArray(out.atendimentos) ? out.atendimentos : [];
+  out.admins = Array.isArray(out.admins) ? out.admins : [];
+  out.loginAttempts = Array.isArray(out.loginAttempts) ? out.loginAttempts : [];
+  out.passwordResets = Array.isArray(out.passwordResets) ? out.passwordResets : [];
+  out.paymentOrders = Array.isArray(out.paymentOrders) ? out.paymentOrders : [];
+  out.referralLedger = Array.isArray(out.referralLedger) ? out.referralLedger : [];
+  // Metadados do próprio DB (ex.: meta.schema = versão do esquema). Não é coleção de dados.
+  out.meta = (out.meta && typeof out.meta === "object" && !Array.isArray(out.meta)) ? out.meta : {};
   return out;
 }
 
+// ======================================================================
+// VERSÃO DO ESQUEMA DO DB (migrações de dados numeradas)
+// - DB_SCHEMA_MIGRATIONS corrige o formato dos registros; roda na subida
+//   (arquivo, Postgres ou SQLite) e em todo dado que entra por fora
+//   (snapshot do GitHub, import, restauração de backup).
+// - A versão aplicada fica no próprio DB em meta.schema
+//   { version, applied: [{ version, name, source, appliedAt }] }.
+// - Dado com versão maior que a deste código é recusado (DB_SCHEMA_DOWNGRADE):
+//   o servidor não sobe e import/restauração respondem 409.
+// - Não confundir com PG_MIGRATIONS/SQLITE_MIGRATIONS (layout das tabelas) nem
+//   com o "schemaVersion" do export/snapshot (formato do arquivo).
+// - Cada migração deve ser idempotente; nova migração = próximo número no fim.
+// ======================================================================
+
+const DB_SCHEMA_MIGRATIONS = [
+  {
+    version: 1,
+    name: "colecoes_base",
+    up: (db) => { normalizeDb(db); }
+  },
+  {
+    version: 2,
+    name: "sessoes_por_dispositivo",
+    // Campos antigos activeSession* (uma sessão por usuário) viram user.sessions[].
+    up: (db) => {
+      const legacy = ["activeSessionHash", "activeDeviceId", "activeSessionCreatedAt", "activeSessionLastSeenAt", "activeSessionExpiresAt"];
+      for (const user of db.users) {
+        if (!user || typeof user !== "object") continue;
+        if (!Array.isArray(user.sessions)) user.sessions = [];
+        if (user.activeSessionHash) {
+          user.sessions.push({
+            id: makeId("ses"),
+            tokenHash: String(user.activeSessionHash),
+            deviceId: String(user.activeDeviceId || ""),
+            deviceLabel: "",
+            ip: "",
+            userAgent: "",
+            createdAt: user.activeSessionCreatedAt || nowIso(),
+            lastSeenAt: user.activeSessionLastSeenAt || "",
+            expiresAt: user.activeSessionExpiresAt || ""
+          });
+        }
+        for (const k of legacy) delete user[k];
+      }
+    }
+  },
+  {
+    version: 3,
+    name: "cobertura_dos_pagamentos",
+    // Pagamentos antigos só tinham "month": grava o período coberto e o plano mensal.
+    up: (db) => {
+      for (const p of db.payments) {
+        if (!p || typeof p !== "object" || (p.coverageStart && p.coverageEnd)) continue;
+        const c = paymentCoverage(p);
+        if (!c) continue;
+        p.coverageStart = c.start;
+        p.coverageEnd = c.end;
+        if (!p.plan) p.plan = "monthly";
+      }
+    }
+  }
+];
+
+const DB_SCHEMA_VERSION = DB_SCHEMA_MIGRATIONS[DB_SCHEMA_MIGRATIONS.length - 1].version;
+
+// Versão do esquema de um DB (ou de um arquivo exportado/snapshot); 0 = anterior ao registro.
+function dbSchemaVersionOf(obj) {
+  return Number(obj?.meta?.schema?.version ?? obj?.dbSchemaVersion ?? 0) || 0;
+}
+
+// Aplica as migrações pendentes em "db" (altera e retorna o próprio objeto normalizado).
+// Lança erro com code DB_SCHEMA_DOWNGRADE se o dado for de uma versão mais nova.
+function migrateDbSchema(db, source = "local") {
+  const from = dbSchemaVersionOf(db);
+  if (from > DB_SCHEMA_VERSION) {
+    const err = new Error(`Dados na versão de esquema ${from}, mais nova que a suportada (${DB_SCHEMA_VERSION}). Atualize o servidor.`);
+    err.code = "DB_SCHEMA_DOWNGRADE";
+    err.from = from;
+    throw err;
+  }
+
+  const out = normalizeDb(db);
+  delete out.dbSchemaVersion;
+  const applied = [];
+  for (const m of DB_SCHEMA_MIGRATIONS) {
+    if (m.version <= from) continue;
+    m.up(out);
+    applied.push({ version: m.version, name: m.name, source, appliedAt: nowIso() });
+  }
+
+  const prev = Array.isArray(out.meta.schema?.applied) ? out.meta.schema.applied : [];
+  out.meta.schema = { version: Math.max(from, DB_SCHEMA_VERSION), applied: [...prev, ...applied].slice(-50) };
+  return { db: out, from, applied };
+}
+
 // Atenção: este método NUNCA deve zerar o banco por acidente.
 // - Escreve de forma atômica
 // - Cria backup antes de gravar
 // - Bloqueia gravação "vazia" se já houver dados (proteção anti-apagão)
 function saveDb(db, reason = "auto") {
-  // Persistência principal via Postgres (se DATABASE_URL configurado)
+  // Persistência principal via adaptador configurado (STORAGE_BACKEND).
   // Mantemos o arquivo local como fallback, mas no Render Free ele é efêmero.
+  // Dentro de runDbTransaction a gravação é adiada para o commit (uma única escrita).
+  if (DB_TX_DEPTH > 0) return;
   const next = normalizeDb(db);
-  if (USE_PG_STORE) {
-    // Atualiza em memória e agenda persistência
-    schedulePgSave(next);
+
+  if (STORAGE !== FILE_STORAGE) {
+    // Backend de banco: grava somente as linhas alteradas
+    try { STORAGE.persist(next, reason); } catch (e) { console.error(`[${STORAGE.name}] falha ao persistir:`, e?.message || e); }
     // ainda tenta escrever em disco quando possível (dev/local)
   }
 
+  fileWriteState(next, reason);
+}
+
+// Grava o arquivo JSON local (com backup rotativo e snapshot no GitHub).
+function fileWriteState(next, reason = "auto") {
   ensureDataDir();
   ensureBackupDir();
 
@@ -1120,38 +3020,31 @@ function parseGithubRepo(repoStr) {
   return { owner: m[1], repo: m[2] };
 }
 
+// Snapshot das coleções permitidas em DB_MERGE_RULES (as "encrypted" só com
+// BACKUP_ENCRYPTION_KEY), em ordem estável para que o hash só mude quando os dados mudarem.
 function buildGithubSnapshot(db) {
-  const users = (Array.isArray(db?.users) ? db.users : []).map(u => ({
-    id: u.id,
-    fullName: u.fullName,
-    dob: u.dob,
-    phone: u.phone,
-    login: u.login,
-    parentUserId: u.parentUserId || "",
-    commissionRate: (typeof u.commissionRate === "number" ? u.commissionRate : null),
-    salt: u.salt,
-    passwordHash: u.passwordHash,
-    isActive: !!u.isActive,
-    isDeleted: !!u.isDeleted,
-    createdAt: u.createdAt || ""
-  })).sort((a, b) => String(a.id || "").localeCompare(String(b.id || "")));
-
-  const payments = (Array.isArray(db?.payments) ? db.payments : []).map(p => ({
-    id: p.id,
-    userId: p.userId,
-    month: p.month,
-    paidAt: p.paidAt || "",
-    amount: p.amount || "",
-    method: p.method || "",
-    notes: p.notes || "",
-    receivedBy: p.receivedBy || ""
-  })).sort((a, b) => {
-    const ak = `${a.userId || ""}|${a.month || ""}|${a.paidAt || ""}|${a.id || ""}`;
-    const bk = `${b.userId || ""}|${b.month || ""}|${b.paidAt || ""}|${b.id || ""}`;
-    return ak.localeCompare(bk);
-  });
-
-  return { schemaVersion: 2, users, payments };
+  // schemaVersion = formato do snapshot; dbSchemaVersion = versão dos dados (DB_SCHEMA_MIGRATIONS).
+  const snap = { schemaVersion: 3, dbSchemaVersion: dbSchemaVersionOf(db) };
+  for (const spec of dbCollectionSpecs()) {
+    if (!spec.snapshot || (spec.snapshot === "encrypted" && !BACKUP_KEY)) continue;
+    const strip = (x) => {
+      if (!x || typeof x !== "object" || !spec.snapshotOmit.length) return x;
+      const copy = { ...x };
+      for (const k of spec.snapshotOmit) delete copy[k];
+      return copy;
+    };
+    const v = db?.[spec.name];
+    if (spec.keyed) {
+      const src = (v && typeof v === "object") ? v : {};
+      snap[spec.name] = Object.fromEntries(Object.keys(src).sort().map(k => [k, strip(src[k])]));
+    } else {
+      snap[spec.name] = (Array.isArray(v) ? v : [])
+        .filter(x => x && typeof x === "object")
+        .map(strip)
+        .sort((x, y) => String(spec.identity(x)).localeCompare(String(spec.identity(y))));
+    }
+  }
+  return snap;
 }
 
 function sha256Hex(str) {
@@ -1168,12 +3061,13 @@ function scheduleGithubSnapshot(db, reason = "auto") {
   if (!GITHUB_ENABLED) return;
 
   const snap = buildGithubSnapshot(db);
-  const contentStr = JSON.stringify(snap, null, 2);
-  const h = sha256Hex(contentStr);
+  const plainStr = JSON.stringify(snap, null, 2);
+  // Hash do conteúdo em claro: o envelope cifrado muda a cada gravação (IV novo).
+  const h = sha256Hex(plainStr);
 
   if (h && h === GH_LAST_HASH) return;
 
-  GH_PENDING_STR = contentStr;
+  GH_PENDING_STR = maybeEncryptText(plainStr);
   GH_PENDING_HASH = h;
 
   if (GH_TIMER) clearTimeout(GH_TIMER);
@@ -1237,7 +3131,7 @@ async function fetchGithubSnapshot() {
   if (!contentB64) return null;
 
   const txt = Buffer.from(String(contentB64).replace(/\n/g, ""), "base64").toString("utf-8");
-  const snap = JSON.parse(txt);
+  const snap = parseMaybeEncryptedJson(txt);
   if (!snap || typeof snap !== "object") return null;
   if (!Array.isArray(snap.users) || !Array.isArray(snap.payments)) return null;
   return snap;
@@ -1255,7 +3149,7 @@ async function pushGithubSnapshot(contentStr, contentHash, reason = "auto") {
     const sha = await getGithubFileSha(repoInfo.owner, repoInfo.repo, GITHUB_BRANCH, GITHUB_DB_PATH);
     const msg = `Auto-save usuários (${reason})`;
     await putGithubFile(repoInfo.owner, repoInfo.repo, GITHUB_BRANCH, GITHUB_DB_PATH, contentStr, msg, sha);
-    GH_LAST_HASH = contentHash || sha256Hex(contentStr);
+    GH_LAST_HASH = contentHash;
   } finally {
     GH_IN_FLIGHT = false;
   }
@@ -1272,12 +3166,20 @@ async function bootstrapFromGithubIfEmpty() {
     const snap = await fetchGithubSnapshot();
     if (!snap) return;
 
-    const restored = {
-      users: Array.isArray(snap.users) ? snap.users : [],
-      payments: Array.isArray(snap.payments) ? snap.payments : [],
-      audit: []
-    };
+    const { schemaVersion, ...collections } = snap;
+    let restored;
+    try {
+      restored = migrateDbSchema(collections, "github").db;
+    } catch (e) {
+      if (e?.code !== "DB_SCHEMA_DOWNGRADE") throw e;
+      console.error("[GITHUB] Snapshot ignorado:", e.message);
+      return;
+    }
 
+    // O super-admin gerado na inicialização (nunca usado) dá lugar aos administradores do snapshot
+    if (restored.admins.some(a => a && !a.isDeleted)) {
+      DB.admins = (DB.admins || []).filter(a => !(a && a.createdBy === "bootstrap" && !a.lastLoginAt));
+    }
     DB = mergeDbs(DB, restored);
     saveDb(DB, "github_bootstrap");
     console.log("[GITHUB] DB restaurado a partir do snapshot do GitHub.");
@@ -1289,28 +3191,112 @@ setTimeout(() => { bootstrapFromGithubIfEmpty(); }, 1500).unref?.();
 
 
 
-let DB = loadDb();
+let DB = normalizeDb(loadDb());
 
 // Sessões em memória
 const SESSIONS = new Map(); // token -> { role, userId, createdAt, lastSeenAt }
 const SESSION_TTL_MS = 1000 * 60 * 60 * 12; // 12h
 const SESSION_IDLE_TTL_MS = 1000 * 60 * 30; // 30 min sem heartbeat
 
-// Credenciais fixas do administrador (como solicitado), com possibilidade de override por variáveis
-const ADMIN_LOGIN = "027-315-125-80";
-const ADMIN_PASSWORD = "39-96-93";
-const ADMIN_LOGIN_N = onlyDigits(ADMIN_LOGIN);
-const ADMIN_PASSWORD_N = onlyDigits(ADMIN_PASSWORD);
-const ADMIN_PASSWORD_ALT_N = "390693"; // aceita variante digitada sem pontuação
+// ======================================================================
+// ADMINISTRADORES (contas no DB, com papéis)
+// - Cada administrador tem login próprio, senha com scrypt e um papel.
+// - Papéis: super_admin (tudo), financeiro (pagamentos), suporte (usuários/senhas).
+//   Dados clínicos (pacientes/atendimentos) exigem clinical.read / clinical.write.
+// - Primeira execução sem administradores: cria um super_admin a partir de
+//   ADMIN_LOGIN / ADMIN_PASSWORD (variáveis de ambiente). Sem ADMIN_PASSWORD,
+//   gera uma senha aleatória e mostra uma única vez no log.
+// ======================================================================
+
+const ADMIN_ROLES = {
+  super_admin: { label: "Super-admin", permissions: ["*"] },
+  financeiro: { label: "Financeiro", permissions: ["users.read", "payments.read", "payments.write", "audit.read"] },
+  suporte: { label: "Suporte", permissions: ["users.read", "users.write", "users.password", "users.unlock", "audit.read"] }
+};
+
+function adminHasPermission(admin, permission) {
+  const perms = ADMIN_ROLES[admin?.role]?.permissions || [];
+  return perms.includes("*") || perms.includes(permission);
+}
+
+// Logins numéricos (CPF) são comparados só pelos dígitos; os demais, sem diferenciar maiúsculas.
+function normalizeAdminLogin(login) {
+  const s = String(login || "").trim();
+  return /^[\d.\-\s]+$/.test(s) ? onlyDigits(s) : s.toLowerCase();
+}
+
+function findAdminByLogin(login) {
+  const key = normalizeAdminLogin(login);
+  if (!key) return null;
+  return (Array.isArray(DB.admins) ? DB.admins : [])
+    .find(a => a && !a.isDeleted && normalizeAdminLogin(a.login) === key) || null;
+}
+
+function publicAdmin(a) {
+  return {
+    id: a.id,
+    login: a.login,
+    fullName: a.fullName || "",
+    role: a.role,
+    roleLabel: ADMIN_ROLES[a.role]?.label || a.role,
+    isActive: !!a.isActive,
+    createdAt: a.createdAt || "",
+    createdBy: a.createdBy || "",
+    lastLoginAt: a.lastLoginAt || ""
+  };
+}
+
+async function ensureBootstrapAdmin() {
+  DB.admins = Array.isArray(DB.admins) ? DB.admins : [];
+  if (DB.admins.some(a => a && !a.isDeleted)) return;
+
+  const login = String(process.env.ADMIN_LOGIN || "admin").trim();
+  let password = String(process.env.ADMIN_PASSWORD || "");
+  if (!password) {
+    password = crypto.randomBytes(9).toString("base64url");
+    console.warn(`[ADMIN] Nenhum administrador cadastrado e ADMIN_PASSWORD não definido. Super-admin criado: login "${login}", senha "${password}". Altere-a após o primeiro acesso.`);
+  }
+
+  const admin = {
+    id: makeId("adm"),
+    login,
+    fullName: "Administrador",
+    role: "super_admin",
+    isActive: true,
+    isDeleted: false,
+    createdAt: nowIso(),
+    createdBy: "bootstrap",
+    lastLoginAt: ""
+  };
+  setUserPassword(admin, await hashPassword(password));
+  DB.admins.push(admin);
+  saveDb(DB, "admin_bootstrap");
+  audit("admin_bootstrap", admin.id, `Super-admin inicial criado: ${login}`, { id: "system", login: "system", role: "system" });
+}
+
+// Operador da requisição atual (usado por audit sem precisar repassar "req").
+const REQUEST_ACTOR = new AsyncLocalStorage();
 
-function audit(action, target, details) {
+function actorFromAuth(ctx) {
+  if (!ctx) return null;
+  if (ctx.role === "admin") return { id: ctx.admin.id, login: ctx.admin.login, role: ctx.admin.role };
+  if (ctx.user) return { id: ctx.user.id, login: ctx.user.login, role: ctx.role };
+  return null;
+}
+
+// "actor" é opcional: por padrão, o operador autenticado da requisição em curso.
+function audit(action, target, details, actor) {
   try {
+    const who = actor || REQUEST_ACTOR.getStore() || null;
     DB.audit.push({
       id: makeId("aud"),
       at: nowIso(),
       action: String(action || ""),
       target: String(target || ""),
-      details: String(details || "")
+      details: String(details || ""),
+      actorId: String(who?.id || ""),
+      actorLogin: String(who?.login || ""),
+      actorRole: String(who?.role || "")
     });
     // Mantém um limite para não crescer indefinidamente
     if (DB.audit.length > 5000) DB.audit = DB.audit.slice(DB.audit.length - 5000);
@@ -1338,44 +3324,123 @@ function tokenHash(token) {
   return sha256Hex(String(token || ""));
 }
 
-function isUserActiveSessionValid(user) {
-  try {
-    if (!user) return false;
-    const h = String(user.activeSessionHash || "");
-    const dev = String(user.activeDeviceId || "");
-    if (!h || !dev) return false;
-
-    const expMs = Date.parse(user.activeSessionExpiresAt || "") || 0;
-    const lastMs = Date.parse(user.activeSessionLastSeenAt || "") || 0;
-    if (!expMs || !lastMs) return false;
+// ======================================================================
+// SESSÕES DO ENFERMEIRO (vários dispositivos)
+// - user.sessions: [{ id, tokenHash, deviceId, deviceLabel, ip, userAgent,
+//   createdAt, lastSeenAt, expiresAt }] – uma sessão por dispositivo.
+// - Limite de dispositivos simultâneos por plano (SESSION_MAX_DEVICES, ex.:
+//   "trial:1,monthly:2,annual:3"). Com limite 1 vale a regra antiga "1 pessoa por
+//   conta": o novo login encerra o dispositivo anterior (SESSION_REPLACED).
+// - Ao atingir o limite, o dispositivo usado há mais tempo é encerrado.
+// - Sessões encerradas ficam em user.revokedSessions (últimas 20) só para
+//   informar ao dispositivo o motivo (SESSION_REPLACED / SESSION_REVOKED).
+// ======================================================================
 
-    const now = Date.now();
-    if (now > expMs) return false;
-    if ((now - lastMs) > SESSION_IDLE_TTL_MS) return false;
-    return true;
-  } catch {
-    return false;
+const SESSION_DEVICE_LIMITS = (() => {
+  const out = { trial: 1, monthly: 2, annual: 3 };
+  for (const part of String(process.env.SESSION_MAX_DEVICES || "").split(",")) {
+    const [plan, n] = part.split(":").map(x => String(x || "").trim());
+    if (out[plan] !== undefined && Number(n) >= 1) out[plan] = Math.floor(Number(n));
   }
+  return out;
+})();
+
+// Plano vigente: o da assinatura ativa (ou em carência), senão "trial".
+function userPlan(user) {
+  const sub = userSubscription(user?.id);
+  if (sub.status === "active" || sub.status === "grace") return sub.plan === "annual" ? "annual" : "monthly";
+  return "trial";
+}
+
+function userMaxDevices(user) {
+  return SESSION_DEVICE_LIMITS[userPlan(user)] || 1;
+}
+
+function isSessionRecordValid(s) {
+  if (!s || !s.tokenHash) return false;
+  const now = Date.now();
+  const expMs = Date.parse(s.expiresAt || "") || 0;
+  const lastMs = Date.parse(s.lastSeenAt || "") || 0;
+  return Boolean(expMs && lastMs && now <= expMs && (now - lastMs) <= SESSION_IDLE_TTL_MS);
+}
+
+// Lista de sessões do usuário (os campos antigos activeSession* são convertidos pela migração 2 do esquema).
+function userSessions(user) {
+  if (!user) return [];
+  if (!Array.isArray(user.sessions)) user.sessions = [];
+  return user.sessions;
 }
 
-function clearUserActiveSession(user, reason = "expired") {
-  if (!user) return;
-  user.activeSessionHash = "";
-  user.activeDeviceId = "";
-  user.activeSessionCreatedAt = "";
-  user.activeSessionLastSeenAt = "";
-  user.activeSessionExpiresAt = "";
+function findUserSession(user, token) {
+  const h = tokenHash(token);
+  return userSessions(user).find(s => s.tokenHash === h) || null;
 }
 
-function setUserActiveSession(user, token, deviceId) {
-  if (!user) return;
-  const nowIsoStr = nowIso();
-  user.activeSessionHash = tokenHash(token);
-  user.activeDeviceId = String(deviceId || "");
-  user.activeSessionCreatedAt = nowIsoStr;
-  user.activeSessionLastSeenAt = nowIsoStr;
-  user.activeSessionExpiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString();
+// Remove as sessões que satisfazem "match" e registra o motivo. Retorna as removidas.
+function revokeUserSessions(user, match, reason) {
+  const removed = [];
+  user.sessions = userSessions(user).filter(s => {
+    if (!match(s)) return true;
+    removed.push(s);
+    return false;
+  });
+  if (removed.length) {
+    user.revokedSessions = (Array.isArray(user.revokedSessions) ? user.revokedSessions : [])
+      .concat(removed.map(s => ({ tokenHash: s.tokenHash, reason, at: nowIso() })))
+      .slice(-20);
+    const hashes = new Set(removed.map(s => s.tokenHash));
+    for (const [t, s] of SESSIONS.entries()) {
+      if (s && s.role === "nurse" && s.userId === user.id && hashes.has(tokenHash(t))) SESSIONS.delete(t);
+    }
+  }
+  return removed;
+}
+
+// Expiradas saem sem registro de motivo (o dispositivo recebe SESSION_EXPIRED).
+function pruneUserSessions(user) {
+  const before = userSessions(user).length;
+  user.sessions = user.sessions.filter(isSessionRecordValid);
+  return user.sessions.length !== before;
+}
+
+function deviceLabelFromReq(req) {
+  const given = normalizeText(String(req.body?.deviceLabel || ""), 60);
+  if (given) return given;
+  const ua = String(req.headers["user-agent"] || "");
+  const os = /Android/i.test(ua) ? "Android" : /iPad|iPhone|iOS/i.test(ua) ? "iOS" : /Windows/i.test(ua) ? "Windows" : /Mac OS/i.test(ua) ? "Mac" : /Linux/i.test(ua) ? "Linux" : "";
+  const browser = /Edg\//.test(ua) ? "Edge" : /Chrome\//.test(ua) ? "Chrome" : /Firefox\//.test(ua) ? "Firefox" : /Safari\//.test(ua) ? "Safari" : "";
+  return [browser, os].filter(Boolean).join(" / ") || "Dispositivo";
+}
+
+// Cria a sessão do dispositivo, respeitando o limite do plano. Retorna { session, replaced[] }.
+function addUserSession(user, token, req, deviceId) {
+  pruneUserSessions(user);
+  const replaced = revokeUserSessions(user, s => s.deviceId === deviceId, "SESSION_REPLACED");
+
+  const max = userMaxDevices(user);
+  const others = user.sessions.slice().sort((a, b) => String(a.lastSeenAt || "").localeCompare(String(b.lastSeenAt || "")));
+  const excess = others.slice(0, Math.max(0, others.length - (max - 1)));
+  if (excess.length) {
+    const ids = new Set(excess.map(s => s.id));
+    replaced.push(...revokeUserSessions(user, s => ids.has(s.id), "SESSION_REPLACED"));
+  }
+
+  const now = nowIso();
+  const session = {
+    id: makeId("ses"),
+    tokenHash: tokenHash(token),
+    deviceId: String(deviceId || ""),
+    deviceLabel: deviceLabelFromReq(req),
+    ip: clientIp(req),
+    userAgent: normalizeText(String(req.headers["user-agent"] || ""), 200),
+    createdAt: now,
+    lastSeenAt: now,
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS).toISOString()
+  };
+  user.sessions.push(session);
+  return { session, replaced };
 }
+
 function getSession(token) {
   if (!token) return null;
   const s = SESSIONS.get(token);
@@ -1405,10 +3470,7 @@ function cleanupSessions() {
   let dirty = false;
   for (const u of (Array.isArray(DB?.users) ? DB.users : [])) {
     if (!u || u.isDeleted) continue;
-    if (u.activeSessionHash && !isUserActiveSessionValid(u)) {
-      clearUserActiveSession(u, "auto_expire");
-      dirty = true;
-    }
+    if (pruneUserSessions(u)) dirty = true;
   }
   if (dirty) saveDb(DB, "session_cleanup");
 }
@@ -1424,9 +3486,110 @@ function findUserByLogin(login) {
   return DB.users.find(u => onlyDigits(String(u.login || "").trim()) === ln) || null;
 }
 
+// ======================================================================
+// ASSINATURA (COBERTURA DO PLANO)
+// - Cada pagamento cobre um período: coverageStart..coverageEnd (AAAA-MM-DD).
+//   Pagamentos antigos, só com "month", cobrem o mês civil inteiro.
+// - Mensal cobre 1 mês e anual 12 meses. A renovação começa no dia seguinte ao
+//   fim da cobertura vigente (ou hoje, se a cobertura já venceu).
+// - Todas as datas (hoje, mês corrente, somas de dias/meses) são em UTC, para
+//   não virar o dia em horários diferentes conforme o fuso do servidor.
+// - Após o fim da cobertura há uma carência (SUBSCRIPTION_GRACE_DAYS, padrão 5)
+//   em que o acesso continua liberado e o status fica "grace".
+// ======================================================================
+const SUBSCRIPTION_GRACE_DAYS = (() => {
+  const n = parseInt(String(process.env.SUBSCRIPTION_GRACE_DAYS || "5"), 10);
+  if (!Number.isFinite(n) || n < 0) return 5;
+  return n;
+})();
+
+const SUBSCRIPTION_PLAN_MONTHS = { monthly: 1, annual: 12 };
+
+function todayYMD() {
+  return nowIso().slice(0, 10);
+}
+
+function addDaysYMD(ymd, n) {
+  const [y, m, d] = String(ymd || "").split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + Number(n || 0))).toISOString().slice(0, 10);
+}
+
+// Mesmo dia n meses depois (limitado ao último dia do mês: 31/01 + 1 mês = 28/02).
+function addMonthsYMD(ymd, n) {
+  const [y, m, d] = String(ymd || "").split("-").map(Number);
+  const lastDay = new Date(Date.UTC(y, m - 1 + Number(n || 0) + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(y, m - 1 + Number(n || 0), Math.min(d, lastDay))).toISOString().slice(0, 10);
+}
+
+function paymentCoverage(p) {
+  if (p && p.coverageStart && p.coverageEnd) return { start: p.coverageStart, end: p.coverageEnd };
+  const month = String(p?.month || "");
+  if (!/^\d{4}-\d{2}$/.test(month)) return null;
+  return { start: `${month}-01`, end: addDaysYMD(`${addMonthsYYYYMM(month, 1)}-01`, -1) };
+}
+
+// Período coberto por um plano contratado a partir de "start".
+function planCoverage(plan, start) {
+  const months = SUBSCRIPTION_PLAN_MONTHS[plan] || 1;
+  return { start, end: addDaysYMD(addMonthsYMD(start, months), -1) };
+}
+
+// Cobertura contínua do usuário (pagamentos encadeados) que contém hoje, ou a mais recente.
+function userSubscription(userId) {
+  const today = todayYMD();
+  const rows = DB.payments
+    .filter(p => p && p.userId === userId)
+    .map(p => ({ p, c: paymentCoverage(p) }))
+    .filter(x => x.c)
+    .sort((a, b) => a.c.start.localeCompare(b.c.start));
+
+  const chains = [];
+  for (const r of rows) {
+    const last = chains[chains.length - 1];
+    if (last && r.c.start <= addDaysYMD(last.end, 1)) {
+      if (r.c.end >= last.end) { last.end = r.c.end; last.plan = r.p.plan || "monthly"; }
+    } else {
+      chains.push({ start: r.c.start, end: r.c.end, plan: r.p.plan || "monthly" });
+    }
+  }
+
+  const chain = chains.find(c => c.start <= today && today <= addDaysYMD(c.end, SUBSCRIPTION_GRACE_DAYS))
+    || chains.filter(c => c.start <= today).pop()
+    || null;
+  if (!chain) {
+    return { plan: "", status: "none", coverageStart: "", coverageEnd: "", renewalDate: "", graceUntil: "", daysLeft: 0 };
+  }
+
+  const graceUntil = addDaysYMD(chain.end, SUBSCRIPTION_GRACE_DAYS);
+  const status = today <= chain.end ? "active" : today <= graceUntil ? "grace" : "expired";
+  const daysLeft = Math.max(0, Math.round((Date.parse(chain.end) - Date.parse(today)) / 86400000) + 1);
+  return {
+    plan: chain.plan,
+    status,
+    coverageStart: chain.start,
+    coverageEnd: chain.end,
+    renewalDate: addDaysYMD(chain.end, 1),
+    graceUntil,
+    daysLeft: status === "active" ? daysLeft : 0
+  };
+}
+
+// Início da próxima cobertura: emenda na vigente (inclusive na carência) ou começa hoje.
+function subscriptionRenewalStart(userId) {
+  const sub = userSubscription(userId);
+  if (sub.status === "active" || sub.status === "grace") return sub.renewalDate;
+  return todayYMD();
+}
+
+// Cobertura paga vigente hoje (sem contar a carência).
 function isUserPaidThisMonth(userId) {
-  const month = currentYYYYMM();
-  return DB.payments.some(p => p.userId === userId && p.month === month);
+  return userSubscription(userId).status === "active";
+}
+
+// Acesso liberado pela assinatura: cobertura vigente ou em carência.
+function isUserSubscriptionOk(userId) {
+  const status = userSubscription(userId).status;
+  return status === "active" || status === "grace";
 }
 
 // ======================================================================
@@ -1466,7 +3629,7 @@ function userTrialDaysLeft(user) {
 function isUserAccessOk(user) {
   if (!user || user.isDeleted) return false;
   if (!user.isActive) return false;
-  return isUserPaidThisMonth(user.id) || isUserTrialActive(user);
+  return isUserSubscriptionOk(user.id) || isUserTrialActive(user);
 }
 
 function isUserOnline(user) {
@@ -1501,22 +3664,38 @@ function authFromReq(req) {
 
   let sess = getSession(token);
 
-  // Fallback: sessão persistida no usuário (sobrevive a restart e permite bloqueio de 1 dispositivo por conta)
+  // Fallback: sessão persistida no usuário (sobrevive a restart e controla o limite de dispositivos)
   if (!sess && token) {
     const h = tokenHash(token);
-    const user = (Array.isArray(DB?.users) ? DB.users : []).find(u => u && !u.isDeleted && String(u.activeSessionHash || "") === h && isUserActiveSessionValid(u)) || null;
-    if (user) {
-      const createdAtMs = Date.parse(user.activeSessionCreatedAt || "") || Date.now();
-      const lastSeenAtMs = Date.parse(user.activeSessionLastSeenAt || "") || Date.now();
-      sess = { role: "nurse", userId: user.id, deviceId: String(user.activeDeviceId || ""), createdAt: createdAtMs, lastSeenAt: lastSeenAtMs };
+    let found = null;
+    for (const u of (Array.isArray(DB?.users) ? DB.users : [])) {
+      if (!u || u.isDeleted) continue;
+      const s = userSessions(u).find(x => x.tokenHash === h && isSessionRecordValid(x));
+      if (s) { found = { user: u, s }; break; }
+    }
+    if (found) {
+      const createdAtMs = Date.parse(found.s.createdAt || "") || Date.now();
+      const lastSeenAtMs = Date.parse(found.s.lastSeenAt || "") || Date.now();
+      sess = { role: "nurse", userId: found.user.id, deviceId: String(found.s.deviceId || ""), createdAt: createdAtMs, lastSeenAt: lastSeenAtMs };
       SESSIONS.set(token, sess);
+    } else {
+      // Sessão encerrada por outro dispositivo/limite: informa o motivo
+      for (const u of (Array.isArray(DB?.users) ? DB.users : [])) {
+        const r = (Array.isArray(u?.revokedSessions) ? u.revokedSessions : []).find(x => x && x.tokenHash === h);
+        if (r && /^SESSION_/.test(String(r.reason || ""))) return { invalidReason: r.reason };
+      }
     }
   }
 
   if (!sess) return null;
 
   if (sess.role === "admin") {
-    return { role: "admin", token, user: { id: "admin", login: ADMIN_LOGIN } };
+    const admin = (Array.isArray(DB.admins) ? DB.admins : []).find(a => a && a.id === sess.userId) || null;
+    if (!admin || admin.isDeleted || !admin.isActive) {
+      try { SESSIONS.delete(token); } catch {}
+      return null;
+    }
+    return { role: "admin", token, admin, user: { id: admin.id, login: admin.login, fullName: admin.fullName || "" } };
   }
 
   // Nurse: exige deviceId e valida contra sessão ativa persistida
@@ -1525,20 +3704,19 @@ function authFromReq(req) {
   const user = DB.users.find(u => u.id === sess.userId) || null;
   if (!user || user.isDeleted) return null;
 
-  const expectedHash = String(user.activeSessionHash || "");
-  const expectedDev = String(user.activeDeviceId || "");
-
-  if (!expectedHash || !expectedDev) return null;
-
-  if (expectedHash !== tokenHash(token) || expectedDev !== deviceId) {
+  const session = findUserSession(user, token);
+  if (!session || session.deviceId !== deviceId) {
     try { SESSIONS.delete(token); } catch {}
-    return { invalidReason: "SESSION_REPLACED" };
+    const h = tokenHash(token);
+    const revoked = (Array.isArray(user.revokedSessions) ? user.revokedSessions : []).find(r => r && r.tokenHash === h);
+    if (revoked && /^SESSION_/.test(String(revoked.reason || ""))) return { invalidReason: revoked.reason };
+    return session ? { invalidReason: "SESSION_REPLACED" } : { invalidReason: "SESSION_EXPIRED" };
   }
 
-  if (!isUserActiveSessionValid(user)) {
+  if (!isSessionRecordValid(session)) {
     try { SESSIONS.delete(token); } catch {}
     try {
-      clearUserActiveSession(user, "expired");
+      pruneUserSessions(user);
       saveDb(DB, "session_expired");
     } catch {}
     return { invalidReason: "SESSION_EXPIRED" };
@@ -1546,7 +3724,7 @@ function authFromReq(req) {
 
   try { sess.lastSeenAt = Date.now(); } catch {}
 
-  return { role: "nurse", token, user };
+  return { role: "nurse", token, user, session };
 }
 
 
@@ -1558,6 +3736,9 @@ function sendAuthFailure(res, ctx) {
   if (code === "SESSION_EXPIRED") {
     return res.status(401).json({ error: "Sessão expirada. Faça login novamente.", code: "SESSION_EXPIRED" });
   }
+  if (code === "SESSION_REVOKED") {
+    return res.status(401).json({ error: "Sessão encerrada a partir de outro dispositivo desta conta.", code: "SESSION_REVOKED" });
+  }
   if (code === "DEVICE_INVALID") {
     return res.status(401).json({ error: "Dispositivo inválido. Atualize a página e faça login novamente.", code: "DEVICE_INVALID" });
   }
@@ -1569,12 +3750,28 @@ function requireAuth(req, res, next) {
   if (!ctx) return res.status(401).json({ error: "Não autenticado.", code: "UNAUTH" });
   if (ctx.invalidReason) return sendAuthFailure(res, ctx);
   req.auth = ctx;
-  next();
+  REQUEST_ACTOR.run(actorFromAuth(ctx), next);
 }
 
-function requireAdmin(req, res, next) {
-  if (!req.auth || req.auth.role !== "admin") return res.status(403).json({ error: "Acesso restrito ao administrador." });
-  next();
+// Uso: requireAdmin("payments.write"). Verifica a permissão no papel do administrador.
+function requireAdmin(permission) {
+  return (req, res, next) => {
+    if (!req.auth || req.auth.role !== "admin") return res.status(403).json({ error: "Acesso restrito ao administrador." });
+    if (!adminHasPermission(req.auth.admin, permission)) {
+      return res.status(403).json({ error: "Seu perfil de administrador não tem permissão para esta ação.", code: "ADMIN_FORBIDDEN", permission });
+    }
+    next();
+  };
+}
+
+// Rotas clínicas (abertas a enfermeiros): administradores só com a permissão clínica.
+function requireClinicalAccess(permission) {
+  return (req, res, next) => {
+    if (req.auth?.role === "admin" && !adminHasPermission(req.auth.admin, permission)) {
+      return res.status(403).json({ error: "Seu perfil de administrador não tem acesso a dados clínicos.", code: "ADMIN_FORBIDDEN", permission });
+    }
+    next();
+  };
 }
 
 function requirePaidOrAdmin(req, res, next) {
@@ -1585,6 +3782,7 @@ function requirePaidOrAdmin(req, res, next) {
     if (!ctx) return res.status(401).json({ error: "Não autenticado.", code: "UNAUTH" });
     if (ctx.invalidReason) return sendAuthFailure(res, ctx);
     req.auth = ctx;
+    return REQUEST_ACTOR.run(actorFromAuth(ctx), () => requirePaidOrAdmin(req, res, next));
   }
 
   if (req.auth.role === "admin") return next();
@@ -1593,8 +3791,8 @@ function requirePaidOrAdmin(req, res, next) {
   if (!user || user.isDeleted) return res.status(403).json({ error: "Usuário inválido." });
   if (!user.isActive) return res.status(403).json({ error: "Acesso bloqueado: usuário inativo. Procure o administrador." });
 
-  // Permite acesso se o usuário pagou o mês OU está dentro do período de teste.
-  if (!(isUserPaidThisMonth(user.id) || isUserTrialActive(user))) {
+  // Permite acesso se a assinatura cobre hoje (ou está na carência) OU durante o teste.
+  if (!(isUserSubscriptionOk(user.id) || isUserTrialActive(user))) {
     return res.status(402).json({ error: "Acesso bloqueado: mensalidade em débito. Procure o administrador." });
   }
   next();
@@ -1604,7 +3802,7 @@ function requirePaidOrAdmin(req, res, next) {
 
 // Cadastro público (auto-cadastro do enfermeiro)
 // Observação: o acesso ao sistema continua condicionado à liberação e mensalidade (pagamento do mês).
-app.post("/api/auth/signup", (req, res) => {
+app.post("/api/auth/signup", async (req, res) => {
   try {
     const fullName = String(req.body?.fullName || "").trim();
     const dob = String(req.body?.dob || "").trim();
@@ -1625,17 +3823,15 @@ app.post("/api/auth/signup", (req, res) => {
       return res.status(400).json({ error: "Login inválido. Use apenas letras, números, ponto, sublinhado, hífen ou @." });
     }
 
-    if (password.length < 4) {
-      return res.status(400).json({ error: "Senha muito curta. Use pelo menos 4 caracteres." });
-    }
+    const passwordError = passwordPolicyError(password, { login });
+    if (passwordError) return res.status(400).json({ error: passwordError });
+
+    const { salt, passwordHash } = await hashPassword(password);
 
     if (findUserByLogin(login)) {
       return res.status(409).json({ error: "Já existe usuário com este login." });
     }
 
-    const salt = crypto.randomBytes(10).toString("hex");
-    const passwordHash = sha256(`${salt}:${password}`);
-
     const user = {
       id: makeId("usr"),
       fullName,
@@ -1653,11 +3849,7 @@ app.post("/api/auth/signup", (req, res) => {
       trialEndsAt: trialEndsAtFromNowIso(),
       lastLoginAt: "",
       lastSeenAt: "",
-      activeSessionHash: "",
-      activeDeviceId: "",
-      activeSessionCreatedAt: "",
-      activeSessionLastSeenAt: "",
-      activeSessionExpiresAt: ""
+      sessions: []
     };
 
     DB.users.push(user);
@@ -1670,7 +3862,130 @@ app.post("/api/auth/signup", (req, res) => {
   }
 });
 
-app.post("/api/auth/login", (req, res) => {
+// ======================================================================
+// PROTEÇÃO CONTRA FORÇA BRUTA NO LOGIN
+// - Contadores de falhas por login+IP e por IP, gravados em DB.loginAttempts
+//   (sobrevivem a restart e vão para o mesmo backend de armazenamento).
+// - O bloqueio de um login vale só para o IP que errou: quem sabe o CPF de
+//   alguém não consegue trancar o acesso dela de outro lugar.
+// - Ao atingir o limite, bloqueio temporário com duração exponencial
+//   (LOGIN_LOCK_BASE_SEC * 2^n, até LOGIN_LOCK_MAX_SEC). Cada bloqueio é auditado.
+// - Falhas antigas (fora da janela) são descartadas; login bem-sucedido zera o contador do login naquele IP.
+// ======================================================================
+
+const LOGIN_LOCK = {
+  maxFailuresPerLogin: Number(process.env.LOGIN_MAX_FAILURES || 5),
+  maxFailuresPerIp: Number(process.env.LOGIN_MAX_FAILURES_PER_IP || 20),
+  windowMs: 15 * 60 * 1000,
+  baseLockMs: Number(process.env.LOGIN_LOCK_BASE_SEC || 60) * 1000,
+  maxLockMs: Number(process.env.LOGIN_LOCK_MAX_SEC || 3600) * 1000,
+  maxEntries: 5000
+};
+
+function clientIp(req) {
+  return String(req.ip || req.socket?.remoteAddress || "").replace(/^::ffff:/, "") || "desconhecido";
+}
+
+function loginAttemptIds(req, login) {
+  const ids = [`ip:${clientIp(req)}`];
+  const key = normalizeAdminLogin(login);
+  if (key) ids.unshift(`login:${key}@${clientIp(req)}`);
+  return ids;
+}
+
+function findLoginAttempt(id) {
+  return (Array.isArray(DB.loginAttempts) ? DB.loginAttempts : []).find(x => x && x.id === id) || null;
+}
+
+// Retorna o bloqueio ativo mais longo entre login e IP (ou null).
+function activeLoginLock(req, login) {
+  const now = Date.now();
+  let worst = null;
+  for (const id of loginAttemptIds(req, login)) {
+    const x = findLoginAttempt(id);
+    const until = Date.parse(x?.lockedUntil || "") || 0;
+    if (until > now && (!worst || until > worst.until)) worst = { id, until };
+  }
+  if (!worst) return null;
+  return { id: worst.id, lockedUntil: new Date(worst.until).toISOString(), retryAfterSec: Math.ceil((worst.until - now) / 1000) };
+}
+
+function pruneLoginAttempts() {
+  const now = Date.now();
+  DB.loginAttempts = (DB.loginAttempts || []).filter(x => {
+    const last = Date.parse(x?.lastFailureAt || "") || 0;
+    const until = Date.parse(x?.lockedUntil || "") || 0;
+    // Mantém o histórico de bloqueios por 24h para o backoff continuar crescendo
+    return until > now || (now - last) < Math.max(LOGIN_LOCK.windowMs, 24 * 60 * 60 * 1000);
+  });
+  if (DB.loginAttempts.length > LOGIN_LOCK.maxEntries) {
+    DB.loginAttempts.sort((a, b) => String(a.lastFailureAt || "").localeCompare(String(b.lastFailureAt || "")));
+    DB.loginAttempts = DB.loginAttempts.slice(DB.loginAttempts.length - LOGIN_LOCK.maxEntries);
+  }
+}
+
+function registerLoginFailure(req, login) {
+  const now = Date.now();
+  DB.loginAttempts = Array.isArray(DB.loginAttempts) ? DB.loginAttempts : [];
+  let locked = null;
+
+  for (const id of loginAttemptIds(req, login)) {
+    let x = findLoginAttempt(id);
+    if (!x) {
+      x = { id, kind: id.split(":")[0], key: id.slice(id.indexOf(":") + 1), failures: 0, lockCount: 0, firstFailureAt: "", lastFailureAt: "", lockedUntil: "" };
+      DB.loginAttempts.push(x);
+    }
+    const last = Date.parse(x.lastFailureAt || "") || 0;
+    if (now - last > LOGIN_LOCK.windowMs) {
+      x.failures = 0;
+      x.firstFailureAt = new Date(now).toISOString();
+    }
+    x.failures += 1;
+    x.lastFailureAt = new Date(now).toISOString();
+
+    const limit = x.kind === "ip" ? LOGIN_LOCK.maxFailuresPerIp : LOGIN_LOCK.maxFailuresPerLogin;
+    if (x.failures >= limit) {
+      const ms = Math.min(LOGIN_LOCK.maxLockMs, LOGIN_LOCK.baseLockMs * Math.pow(2, x.lockCount || 0));
+      x.lockCount = (x.lockCount || 0) + 1;
+      x.failures = 0;
+      x.lockedUntil = new Date(now + ms).toISOString();
+      audit("login_lockout", id, `Bloqueio de login por ${Math.round(ms / 1000)}s após ${limit} falhas (${x.kind}: ${x.key}; bloqueio nº ${x.lockCount})`);
+      if (!locked || ms > locked.ms) locked = { id, ms };
+    }
+  }
+
+  pruneLoginAttempts();
+  saveDb(DB, "login_failure");
+  return locked;
+}
+
+function clearLoginFailures(req, login) {
+  const key = normalizeAdminLogin(login);
+  const x = key ? findLoginAttempt(`login:${key}@${clientIp(req)}`) : null;
+  if (!x || (!x.failures && !x.lockedUntil)) return;
+  x.failures = 0;
+  x.lockedUntil = "";
+}
+
+function sendLoginLocked(res, lock) {
+  res.setHeader("Retry-After", String(lock.retryAfterSec));
+  return res.status(429).json({
+    error: `Muitas tentativas de login. Tente novamente em ${Math.ceil(lock.retryAfterSec / 60)} minuto(s).`,
+    code: "LOGIN_LOCKED",
+    retryAfterSec: lock.retryAfterSec,
+    lockedUntil: lock.lockedUntil
+  });
+}
+
+// Falha de credencial: registra e, se gerou bloqueio, já responde 429.
+function loginFailed(req, res, login, status, error) {
+  registerLoginFailure(req, login);
+  const lock = activeLoginLock(req, login);
+  if (lock) return sendLoginLocked(res, lock);
+  return res.status(status).json({ error });
+}
+
+app.post("/api/auth/login", async (req, res) => {
   try {
     const login = String(req.body?.login || "").trim();
     const senha = String(req.body?.senha || "").trim();
@@ -1679,44 +3994,59 @@ app.post("/api/auth/login", (req, res) => {
     const deviceId = getDeviceIdFromReq(req);
     if (!deviceId) return res.status(400).json({ error: "Dispositivo inválido. Atualize a página e tente novamente." });
 
-    // Admin (aceita com ou sem pontuação)
-    const loginN = onlyDigits(login);
-    const senhaN = onlyDigits(senha);
-    if ((login === ADMIN_LOGIN && senha === ADMIN_PASSWORD) || (loginN && senhaN && loginN === ADMIN_LOGIN_N && (senhaN === ADMIN_PASSWORD_N || senhaN === ADMIN_PASSWORD_ALT_N))) {
-      const token = createSession("admin", "admin", deviceId);
-      audit("admin_login", "admin", "Login do administrador");
-      return res.json({ token, role: "admin", login: ADMIN_LOGIN, currentMonth: currentYYYYMM() });
+    const lock = activeLoginLock(req, login);
+    if (lock) return sendLoginLocked(res, lock);
+
+    // Administrador (login numérico aceito com ou sem pontuação)
+    const admin = findAdminByLogin(login);
+    if (admin && admin.isActive) {
+      const check = await verifyUserPassword(admin, senha);
+      if (check.ok) {
+        if (check.needsRehash) setUserPassword(admin, await hashPassword(senha));
+        clearLoginFailures(req, login);
+        admin.lastLoginAt = nowIso();
+        saveDb(DB, "admin_login");
+        const token = createSession("admin", admin.id, deviceId);
+        audit("admin_login", admin.id, `Login do administrador ${admin.login}`, { id: admin.id, login: admin.login, role: admin.role });
+        return res.json({
+          token,
+          role: "admin",
+          login: admin.login,
+          adminRole: admin.role,
+          permissions: ADMIN_ROLES[admin.role]?.permissions || [],
+          currentMonth: currentYYYYMM()
+        });
+      }
     }
 
     // Usuário enfermeiro
     const user = findUserByLogin(login);
-    if (!user || user.isDeleted) return res.status(401).json({ error: "Credenciais inválidas." });
+    if (!user || user.isDeleted) return loginFailed(req, res, login, 401, "Credenciais inválidas.");
     if (!user.isActive) return res.status(403).json({ error: "Acesso bloqueado: usuário inativo. Procure o administrador." });
 
-    const computed = sha256(`${user.salt || ""}:${senha}`);
-    if (computed !== user.passwordHash) return res.status(401).json({ error: "Credenciais inválidas." });
+    const check = await verifyUserPassword(user, senha);
+    if (!check.ok) return loginFailed(req, res, login, 401, "Credenciais inválidas.");
+    clearLoginFailures(req, login);
+    if (check.needsRehash) {
+      // Migração transparente: regrava com scrypt (parâmetros atuais) usando a senha recém-validada
+      setUserPassword(user, await hashPassword(senha));
+      saveDb(DB, "password_rehash");
+      audit("user_password_rehash", user.id, `Hash de senha atualizado para scrypt: ${user.login}`);
+    }
 
     // Bloqueio por mensalidade em débito (exceto durante o teste gratuito)
-    if (!(isUserPaidThisMonth(user.id) || isUserTrialActive(user))) {
+    if (!(isUserSubscriptionOk(user.id) || isUserTrialActive(user))) {
       return res.status(403).json({ error: "Acesso bloqueado: mensalidade em débito. Procure o administrador." });
     }
 
-    // Regra 1 pessoa por conta (1 dispositivo por vez)
-    // - Ao fazer login em um novo dispositivo, a sessão anterior é encerrada automaticamente.
-    // - O dispositivo antigo será deslogado na próxima requisição (401 com code SESSION_REPLACED).
-    if (user.activeSessionHash) {
-      if (!isUserActiveSessionValid(user)) {
-        clearUserActiveSession(user, "auto_expire_on_login");
-      } else if (String(user.activeDeviceId || "") !== deviceId) {
-        audit("nurse_session_replaced", user.id, `Sessão substituída: ${user.activeDeviceId || "-"} -> ${deviceId}`);
-      }
-    }
-
-    // Remove tokens antigos em memória (se existirem) e cria nova sessão
-    invalidateUserSessions(user.id);
-
+    // Limite de dispositivos do plano (ver "SESSÕES DO ENFERMEIRO")
+    // - Se o limite já foi atingido, o dispositivo usado há mais tempo é encerrado.
+    // - O dispositivo encerrado será deslogado na próxima requisição (401 com code SESSION_REPLACED).
     const token = createSession("nurse", user.id, deviceId);
-    setUserActiveSession(user, token, deviceId);
+    const { session, replaced } = addUserSession(user, token, req, deviceId);
+    for (const old of replaced.filter(x => x.deviceId !== deviceId)) {
+      audit("nurse_session_replaced", user.id, `Sessão substituída (limite de ${userMaxDevices(user)} dispositivo(s)): ${old.deviceLabel || old.deviceId || "-"} -> ${session.deviceLabel}`);
+    }
 
     user.lastLoginAt = nowIso();
     user.lastSeenAt = nowIso();
@@ -1737,6 +4067,7 @@ app.post("/api/auth/login", (req, res) => {
       trialStartedAt: user.trialStartedAt || "",
       trialEndsAt: user.trialEndsAt || "",
       trialDaysLeft: userTrialDaysLeft(user),
+      subscription: userSubscription(user.id),
       user: {
         id: user.id,
         fullName: user.fullName,
@@ -1758,9 +4089,178 @@ app.post("/api/auth/login", (req, res) => {
 });
 
 
+// ======================================================================
+// RECUPERAÇÃO DE SENHA (código de uso único)
+// - /api/auth/forgot gera um código de 6 dígitos, válido por poucos minutos,
+//   guardado apenas como hash em DB.passwordResets. A resposta é sempre a mesma,
+//   exista ou não o login (não revela cadastros).
+// - O código é entregue pelo canal configurado em PASSWORD_RESET_CHANNEL.
+//   Local: "file" (padrão; DATA_DIR/outbox, fora dos arquivos estáticos). O código
+//   nunca vai para o log. SMS/WhatsApp/e-mail entram como novos adaptadores em
+//   PASSWORD_RESET_CHANNELS.
+// - /api/auth/reset valida o código (limite de tentativas por código, e as falhas
+//   contam no bloqueio de login por força bruta) e grava a nova senha.
+// ======================================================================
+
+const PASSWORD_RESET = {
+  ttlMs: Number(process.env.PASSWORD_RESET_TTL_MIN || 15) * 60 * 1000,
+  maxAttempts: 5,
+  resendIntervalMs: 60 * 1000,
+  maxPerHour: 5
+};
+
+function maskPhone(phone) {
+  const d = onlyDigits(phone);
+  return d.length >= 4 ? `***${d.slice(-4)}` : "***";
+}
+
+// Adaptador: send({ user, code, expiresAt }) -> { destination } (pode lançar erro).
+const PASSWORD_RESET_CHANNELS = {
+  file: {
+    send: ({ user, code, expiresAt }) => {
+      const dir = path.join(DATA_DIR, "outbox");
+      fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+      const line = JSON.stringify({ at: nowIso(), tipo: "password_reset", login: user.login, phone: user.phone || "", code, expiresAt });
+      fs.appendFileSync(path.join(dir, "password_reset.jsonl"), line + "\n", { encoding: "utf-8", mode: 0o600 });
+      console.log(`[RESET] Código de recuperação para ${user.login} (tel. ${maskPhone(user.phone)}) gravado na outbox (válido até ${expiresAt}).`);
+      return { destination: `arquivo (${maskPhone(user.phone)})` };
+    }
+  }
+};
+
+function passwordResetChannel() {
+  const name = String(process.env.PASSWORD_RESET_CHANNEL || "file").trim().toLowerCase();
+  return { name, adapter: PASSWORD_RESET_CHANNELS[name] || null };
+}
+
+function passwordResetCodeHash(resetId, code) {
+  return sha256Hex(`${resetId}:${String(code || "").trim()}`);
+}
+
+function prunePasswordResets() {
+  const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+  DB.passwordResets = (DB.passwordResets || []).filter(r => r && (Date.parse(r.createdAt || "") || 0) > cutoff);
+}
+
+app.post("/api/auth/forgot", (req, res) => {
+  const generic = { ok: true, message: "Se o login estiver cadastrado, um código de recuperação será enviado ao contato registrado." };
+  try {
+    const login = String(req.body?.login || "").trim();
+    if (!login) return res.status(400).json({ error: "Informe o login." });
+
+    const user = findUserByLogin(login);
+    if (!user || user.isDeleted || !user.isActive) return res.json(generic);
+
+    prunePasswordResets();
+    const now = Date.now();
+    const mine = DB.passwordResets.filter(r => r.userId === user.id);
+    const lastAt = Math.max(0, ...mine.map(r => Date.parse(r.createdAt || "") || 0));
+    const lastHour = mine.filter(r => now - (Date.parse(r.createdAt || "") || 0) < 60 * 60 * 1000).length;
+    if (now - lastAt < PASSWORD_RESET.resendIntervalMs || lastHour >= PASSWORD_RESET.maxPerHour) {
+      audit("password_reset_throttled", user.id, `Pedido de recuperação ignorado (limite de envio) para ${user.login}`);
+      return res.json(generic);
+    }
+
+    const channel = passwordResetChannel();
+    if (!channel.adapter) {
+      console.error(`[RESET] Canal de entrega desconhecido: ${channel.name}`);
+      return res.status(503).json({ error: "Recuperação de senha indisponível no momento. Procure o administrador." });
+    }
+
+    // Um código novo invalida os anteriores ainda pendentes
+    for (const r of mine) if (!r.usedAt && !r.revokedAt) r.revokedAt = nowIso();
+
+    const code = String(crypto.randomInt(0, 1_000_000)).padStart(6, "0");
+    const reset = {
+      id: makeId("rst"),
+      userId: user.id,
+      codeHash: "",
+      channel: channel.name,
+      destination: "",
+      attempts: 0,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + PASSWORD_RESET.ttlMs).toISOString(),
+      usedAt: "",
+      revokedAt: "",
+      ip: clientIp(req)
+    };
+    reset.codeHash = passwordResetCodeHash(reset.id, code);
+
+    try {
+      reset.destination = String(channel.adapter.send({ user, code, expiresAt: reset.expiresAt })?.destination || channel.name);
+    } catch (e) {
+      console.error("[RESET] Falha ao enviar código:", e?.message || e);
+      audit("password_reset_delivery_failed", user.id, `Falha no envio (${channel.name}): ${e?.message || e}`);
+      return res.status(503).json({ error: "Não foi possível enviar o código agora. Tente novamente mais tarde." });
+    }
+
+    DB.passwordResets.push(reset);
+    saveDb(DB, "password_reset_request");
+    audit("password_reset_requested", user.id, `Código de recuperação enviado para ${user.login} via ${channel.name} (${reset.destination})`);
+    return res.json(generic);
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Falha ao solicitar recuperação de senha." });
+  }
+});
+
+app.post("/api/auth/reset", async (req, res) => {
+  try {
+    const login = String(req.body?.login || "").trim();
+    const code = String(req.body?.code || "").trim();
+    const newPassword = String(req.body?.newPassword || "").trim();
+    if (!login || !code || !newPassword) return res.status(400).json({ error: "Login, código e nova senha são obrigatórios." });
+
+    const lock = activeLoginLock(req, login);
+    if (lock) return sendLoginLocked(res, lock);
+
+    const invalid = "Código inválido ou expirado.";
+    const user = findUserByLogin(login);
+    if (!user || user.isDeleted || !user.isActive) return loginFailed(req, res, login, 400, invalid);
+
+    const passwordError = passwordPolicyError(newPassword, { login: user.login });
+    if (passwordError) return res.status(400).json({ error: passwordError });
+    // Hash antes de consultar o código: validação e consumo do código ficam no mesmo trecho síncrono
+    const hashed = await hashPassword(newPassword);
+
+    const now = Date.now();
+    const reset = (DB.passwordResets || [])
+      .filter(r => r && r.userId === user.id && !r.usedAt && !r.revokedAt)
+      .sort((a, b) => String(b.createdAt || "").localeCompare(String(a.createdAt || "")))[0] || null;
+    if (!reset || (Date.parse(reset.expiresAt || "") || 0) <= now || reset.attempts >= PASSWORD_RESET.maxAttempts) {
+      return loginFailed(req, res, login, 400, invalid);
+    }
+
+    if (!safeEqualHex(passwordResetCodeHash(reset.id, code), reset.codeHash)) {
+      reset.attempts += 1;
+      if (reset.attempts >= PASSWORD_RESET.maxAttempts) {
+        reset.revokedAt = nowIso();
+        audit("password_reset_exhausted", user.id, `Código de recuperação invalidado após ${reset.attempts} tentativas (${user.login})`);
+      }
+      return loginFailed(req, res, login, 400, invalid);
+    }
+
+    reset.usedAt = nowIso();
+    setUserPassword(user, hashed);
+    clearLoginFailures(req, login);
+    // Senha nova: encerra a sessão ativa (outro dispositivo pode estar usando a senha antiga)
+    revokeUserSessions(user, () => true, "SESSION_REVOKED");
+    invalidateUserSessions(user.id);
+    saveDb(DB, "password_reset");
+    audit("password_reset_completed", user.id, `Senha redefinida por código de recuperação (${user.login})`);
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Falha ao redefinir a senha." });
+  }
+});
+
 app.get("/api/auth/me", requireAuth, (req, res) => {
   const role = req.auth.role;
-  if (role === "admin") return res.json({ role: "admin" });
+  if (role === "admin") {
+    const a = req.auth.admin;
+    return res.json({ role: "admin", admin: publicAdmin(a), adminRole: a.role, permissions: ADMIN_ROLES[a.role]?.permissions || [] });
+  }
 
   const u = req.auth.user;
   return res.json({
@@ -1775,6 +4275,7 @@ app.get("/api/auth/me", requireAuth, (req, res) => {
     trialStartedAt: u.trialStartedAt || "",
     trialEndsAt: u.trialEndsAt || "",
     trialDaysLeft: userTrialDaysLeft(u),
+    subscription: userSubscription(u.id),
     user: {
       id: u.id,
       fullName: u.fullName,
@@ -1798,14 +4299,13 @@ app.post("/api/auth/logout", requireAuth, (req, res) => {
   try {
     if (req.auth && req.auth.role === "nurse") {
       const u = req.auth.user;
-      if (u && String(u.activeSessionHash || "") === tokenHash(token)) {
-        clearUserActiveSession(u, "logout");
+      if (u && revokeUserSessions(u, s => s.tokenHash === tokenHash(token), "logout").length) {
         u.lastSeenAt = nowIso();
         saveDb(DB, "logout");
         audit("nurse_logout", u.id, `Logout do usuário ${u.login}`);
       }
     } else if (req.auth && req.auth.role === "admin") {
-      audit("admin_logout", "admin", "Logout do administrador");
+      audit("admin_logout", req.auth.admin.id, `Logout do administrador ${req.auth.admin.login}`);
     }
   } catch {}
 
@@ -1823,10 +4323,12 @@ app.post("/api/auth/heartbeat", requireAuth, (req, res) => {
       const nowIsoStr = nowIso();
       u.lastSeenAt = nowIsoStr;
 
-      // Mantém sessão ativa (1 dispositivo) viva enquanto houver heartbeat
-      if (String(u.activeSessionHash || "") === tokenHash(req.auth.token)) {
-        u.activeSessionLastSeenAt = nowIsoStr;
-        u.activeSessionExpiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString();
+      // Mantém a sessão deste dispositivo viva enquanto houver heartbeat
+      const session = req.auth.session;
+      if (session) {
+        session.lastSeenAt = nowIsoStr;
+        session.expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString();
+        session.ip = clientIp(req);
       }
 
       saveDb(DB, "heartbeat");
@@ -1836,14 +4338,104 @@ app.post("/api/auth/heartbeat", requireAuth, (req, res) => {
   return res.json({ ok: true });
 });
 
+// Sessões do enfermeiro: lista os dispositivos conectados e permite encerrá-los.
+function publicUserSession(s, current) {
+  return {
+    id: s.id,
+    deviceId: s.deviceId,
+    deviceLabel: s.deviceLabel || "",
+    ip: s.ip || "",
+    userAgent: s.userAgent || "",
+    createdAt: s.createdAt || "",
+    lastSeenAt: s.lastSeenAt || "",
+    expiresAt: s.expiresAt || "",
+    current: Boolean(current && current.id === s.id)
+  };
+}
+
+function requireNurse(req, res, next) {
+  if (req.auth?.role !== "nurse") return res.status(403).json({ error: "Disponível apenas para usuários." });
+  return next();
+}
+
+app.get("/api/auth/sessions", requireAuth, requireNurse, (req, res) => {
+  try {
+    const u = req.auth.user;
+    if (pruneUserSessions(u)) saveDb(DB, "session_prune");
+    const sessions = userSessions(u)
+      .slice()
+      .sort((a, b) => String(b.lastSeenAt || "").localeCompare(String(a.lastSeenAt || "")))
+      .map(s => publicUserSession(s, req.auth.session));
+    return res.json({ plan: userPlan(u), maxDevices: userMaxDevices(u), sessions });
+  } catch (e) {
+    return res.status(500).json({ error: "Falha ao listar sessões." });
+  }
+});
+
+app.put("/api/auth/sessions/:id", requireAuth, requireNurse, (req, res) => {
+  try {
+    const u = req.auth.user;
+    const s = userSessions(u).find(x => x.id === String(req.params.id || ""));
+    if (!s) return res.status(404).json({ error: "Sessão não encontrada." });
+    const label = normalizeText(String(req.body?.deviceLabel || ""), 60);
+    if (!label) return res.status(400).json({ error: "Informe o nome do dispositivo." });
+    s.deviceLabel = label;
+    saveDb(DB, "session_label");
+    return res.json({ ok: true, session: publicUserSession(s, req.auth.session) });
+  } catch (e) {
+    return res.status(500).json({ error: "Falha ao atualizar sessão." });
+  }
+});
+
+app.delete("/api/auth/sessions/:id", requireAuth, requireNurse, (req, res) => {
+  try {
+    const u = req.auth.user;
+    const id = String(req.params.id || "");
+    const removed = revokeUserSessions(u, s => s.id === id, "SESSION_REVOKED");
+    if (!removed.length) return res.status(404).json({ error: "Sessão não encontrada." });
+    saveDb(DB, "session_revoke");
+    audit("nurse_session_revoked", u.id, `Sessão encerrada pelo usuário ${u.login}: ${removed[0].deviceLabel || removed[0].deviceId || "-"}`);
+    return res.json({ ok: true, current: Boolean(req.auth.session && req.auth.session.id === id) });
+  } catch (e) {
+    return res.status(500).json({ error: "Falha ao encerrar sessão." });
+  }
+});
+
+app.post("/api/auth/sessions/revoke-others", requireAuth, requireNurse, (req, res) => {
+  try {
+    const u = req.auth.user;
+    const currentId = req.auth.session?.id || "";
+    const removed = revokeUserSessions(u, s => s.id !== currentId, "SESSION_REVOKED");
+    if (removed.length) {
+      saveDb(DB, "session_revoke");
+      audit("nurse_session_revoked", u.id, `Outras sessões encerradas pelo usuário ${u.login}: ${removed.length}`);
+    }
+    return res.json({ ok: true, revoked: removed.length });
+  } catch (e) {
+    return res.status(500).json({ error: "Falha ao encerrar sessões." });
+  }
+});
+
 
 
 // ======================================================================
 // ROTAS DO CLIENTE (SUBUSUÁRIOS + CÁLCULO DE DESCONTO)
-// - Cada subusuário cadastrado gera 25% de desconto, limitado a 100%.
+// - Cada subusuário ativo gera desconto igual à sua comissão (commissionRate,
+//   padrão 25%), limitado a 100%.
 // - O desconto só é aplicado se o usuário principal estiver com o mês atual em dia.
+// - O cálculo de cada mês fica registrado no livro de indicações (ver abaixo).
 // ======================================================================
 
+// Valores base (sem distinção PIX/Cartão)
+// Mensal: R$ 25,00
+// Anual: R$ 240,00
+const BILLING_BASE_PRICES = {
+  monthly: 25,
+  annual: 240
+};
+
+const REFERRAL_DEFAULT_RATE = 0.25;
+
 function listActiveFriends(parentUserId) {
   const pid = String(parentUserId || "");
   return (Array.isArray(DB?.users) ? DB.users : [])
@@ -1859,69 +4451,257 @@ function listActiveFriends(parentUserId) {
     .sort((a,b) => String(a.createdAt||"").localeCompare(String(b.createdAt||"")));
 }
 
-function computeClientBilling(parentUserId) {
-  const pid = String(parentUserId || "");
-  const parent = (Array.isArray(DB?.users) ? DB.users : []).find(u => u && !u.isDeleted && String(u.id || "") === pid) || null;
-  const friends = listActiveFriends(parentUserId);
-  const eligibleDiscount = isUserPaidThisMonth(parentUserId);
-  const discountPercent = eligibleDiscount ? Math.min(25 * friends.length, 100) : 0;
+// ======================================================================
+// LIVRO DE INDICAÇÕES (DESCONTOS / COMISSÕES POR MÊS)
+// - Uma entrada por titular e mês (DB.referralLedger): quais subusuários
+//   contaram, o desconto concedido e a comissão de cada um.
+// - O mês corrente fica "open" e é regravado só em mutações (cadastro de
+//   subusuário, pagamentos, bloqueios/exclusões) e na virada do mês; cada
+//   mudança fica em "changes" com o motivo. Meses anteriores são fechados
+//   ("closed") e não mudam.
+// - As rotas de leitura mostram a apuração de agora sem gravar no DB.
+// - Regras do subusuário:
+//   - "counted": ativo e com acesso (teste gratuito ou assinatura/carência);
+//   - "lapsed": teste e assinatura vencidos – deixa de contar até voltar a pagar;
+//   - "inactive": bloqueado pelo administrador;
+//   - "deleted": excluído – não conta mais, mas continua listado no mês da exclusão.
+// ======================================================================
 
-  // Valores base (sem distinção PIX/Cartão)
-  // Mensal: R$ 25,00
-  // Anual: R$ 240,00
-  const base = {
-    monthly: 25,
-    annual: 240
-  };
+function referralFriendStatus(friend) {
+  if (friend.isDeleted) return "deleted";
+  if (!friend.isActive) return "inactive";
+  if (!(isUserSubscriptionOk(friend.id) || isUserTrialActive(friend))) return "lapsed";
+  return "counted";
+}
 
-  const mult = 1 - (discountPercent / 100);
+const REFERRAL_STATUS_MESSAGES = {
+  counted: "passou a contar para o desconto",
+  lapsed: "deixou de contar: teste gratuito e mensalidade vencidos",
+  inactive: "deixou de contar: bloqueado pelo administrador",
+  deleted: "deixou de contar: subusuário excluído"
+};
+
+function buildReferralEntry(parentUserId, month, known) {
   const round2 = (x) => Math.round(Number(x) * 100) / 100;
+  const eligible = isUserPaidThisMonth(parentUserId);
+
+  let remaining = BILLING_BASE_PRICES.monthly;
+  const friends = DB.users
+    .filter(u => u && String(u.parentUserId || "") === parentUserId && (!u.isDeleted || known.has(u.id)))
+    .sort((a, b) => String(a.createdAt || "").localeCompare(String(b.createdAt || "")))
+    .map(u => {
+      const status = referralFriendStatus(u);
+      const commissionRate = (typeof u.commissionRate === "number") ? u.commissionRate : REFERRAL_DEFAULT_RATE;
+      // Comissão = parcela da mensalidade base que o subusuário abate (teto: a própria mensalidade).
+      const commission = (eligible && status === "counted") ? Math.min(round2(BILLING_BASE_PRICES.monthly * commissionRate), remaining) : 0;
+      remaining = round2(remaining - commission);
+      return { userId: u.id, login: u.login || "", fullName: u.fullName || "", status, commissionRate, commission };
+    });
 
-  const final = {
-    monthly: round2(base.monthly * mult),
-    annual: round2(base.annual * mult)
-  };
+  const ratePercent = friends.filter(f => f.status === "counted").reduce((acc, f) => acc + f.commissionRate * 100, 0);
+  const discountPercent = eligible ? Math.min(Math.round(ratePercent * 100) / 100, 100) : 0;
+  const mult = 1 - (discountPercent / 100);
 
   return {
-    friends,
-    eligibleDiscount,
+    id: `ref_${parentUserId}_${month}`,
+    parentUserId,
+    month,
+    status: "open",
+    eligible,
     discountPercent,
-    base,
-    final,
-    paidCurrentMonth: isUserPaidThisMonth(parentUserId),
-    isTrialActive: isUserTrialActive(parent),
-    trialEndsAt: parent?.trialEndsAt || "",
-    trialDaysLeft: userTrialDaysLeft(parent),
-    accessOk: isUserAccessOk(parent)
+    commissionTotal: round2(friends.reduce((acc, f) => acc + f.commission, 0)),
+    base: { ...BILLING_BASE_PRICES },
+    final: {
+      monthly: round2(BILLING_BASE_PRICES.monthly * mult),
+      annual: round2(BILLING_BASE_PRICES.annual * mult)
+    },
+    friends
   };
 }
 
-app.get("/api/client/friends", requireAuth, (req, res) => {
-  try {
-    if (req.auth.role !== "nurse") return res.status(403).json({ error: "Acesso negado." });
-    const parentId = req.auth.user?.id;
-    if (!parentId) return res.status(400).json({ error: "Usuário inválido." });
-    return res.json({ friends: listActiveFriends(parentId) });
-  } catch (e) {
-    return res.status(500).json({ error: "Falha ao carregar subusuários." });
+// Motivos da diferença entre duas apurações (mesmo mês ou mês anterior).
+function referralChanges(before, after) {
+  const at = nowIso();
+  const out = [];
+  if (before && before.eligible !== after.eligible) {
+    out.push({ at, userId: after.parentUserId, from: String(before.eligible), to: String(after.eligible),
+      message: after.eligible ? "Titular com mensalidade em dia: desconto liberado" : "Titular sem pagamento vigente: desconto suspenso" });
+  }
+  const prev = new Map((before?.friends || []).map(f => [f.userId, f]));
+  for (const f of after.friends) {
+    const p = prev.get(f.userId);
+    prev.delete(f.userId);
+    if (p && p.status === f.status) continue;
+    if (!p && f.status !== "counted") continue;
+    const message = !p ? `Novo subusuário ${f.login} passou a contar para o desconto` : `Subusuário ${f.login} ${REFERRAL_STATUS_MESSAGES[f.status]}`;
+    out.push({ at, userId: f.userId, from: p?.status || "", to: f.status, message });
+  }
+  for (const p of prev.values()) {
+    if (p.status === "counted") out.push({ at, userId: p.userId, from: p.status, to: "deleted", message: `Subusuário ${p.login} ${REFERRAL_STATUS_MESSAGES.deleted}` });
   }
-});
+  return out;
+}
 
-app.post("/api/client/friends", requireAuth, (req, res) => {
-  try {
-    if (req.auth.role !== "nurse") return res.status(403).json({ error: "Acesso negado." });
-    const parentId = req.auth.user?.id;
-    if (!parentId) return res.status(400).json({ error: "Usuário inválido." });
+function referralSignature(e) {
+  return JSON.stringify([e.eligible, e.discountPercent, e.friends.map(f => [f.userId, f.status, f.commissionRate])]);
+}
 
-    const fullName = String(req.body?.fullName || "").trim();
-    const dob = String(req.body?.dob || "").trim();
-    const phone = String(req.body?.phone || "").trim();
-    const login = String(req.body?.login || "").trim();
-    const password = String(req.body?.password || "").trim();
+// Apuração do mês corrente sem gravar: a entrada do livro (mesmo objeto, se
+// nada mudou) ou uma cópia com a situação de agora e os motivos pendentes.
+function viewReferralLedger(parentUserId) {
+  const pid = String(parentUserId || "");
+  const month = currentYYYYMM();
+  const stored = DB.referralLedger.find(e => e.id === `ref_${pid}_${month}`) || null;
+  const next = buildReferralEntry(pid, month, new Set((stored?.friends || []).map(f => f.userId)));
 
-    if (!fullName || !phone || !login || !password) {
-      return res.status(400).json({ error: "Nome completo, telefone, CPF (Login) e senha são obrigatórios." });
-    }
+  if (!stored) {
+    const previous = DB.referralLedger.find(e => e.id === `ref_${pid}_${addMonthsYYYYMM(month, -1)}`) || null;
+    return {
+      ...next,
+      previousDiscountPercent: previous ? previous.discountPercent : null,
+      changes: previous ? referralChanges(previous, next) : []
+    };
+  }
+  if (referralSignature(stored) === referralSignature(next)) return stored;
+  return { ...stored, ...next, changes: (stored.changes || []).concat(referralChanges(stored, next)).slice(-50) };
+}
+
+// Grava a apuração do mês corrente do titular e fecha os meses anteriores. Retorna a entrada do mês.
+function refreshReferralLedger(parentUserId) {
+  const pid = String(parentUserId || "");
+  const month = currentYYYYMM();
+  const now = nowIso();
+  let dirty = false;
+
+  for (const e of DB.referralLedger) {
+    if (e.parentUserId === pid && e.status === "open" && e.month < month) {
+      e.status = "closed";
+      e.closedAt = now;
+      dirty = true;
+    }
+  }
+
+  let entry = DB.referralLedger.find(e => e.id === `ref_${pid}_${month}`) || null;
+  const next = viewReferralLedger(pid);
+  if (!entry) {
+    entry = { ...next, createdAt: now, updatedAt: now };
+    DB.referralLedger.push(entry);
+    dirty = true;
+  } else if (next !== entry) {
+    Object.assign(entry, next, { updatedAt: now });
+    dirty = true;
+  }
+
+  if (dirty) saveDb(DB, "referral_ledger");
+  return entry;
+}
+
+function refreshAllReferralLedgers() {
+  try {
+    const parents = new Set(DB.users.filter(u => u && u.parentUserId).map(u => String(u.parentUserId)));
+    for (const pid of parents) {
+      const parent = DB.users.find(u => u.id === pid);
+      if (parent && !parent.isDeleted) refreshReferralLedger(pid);
+    }
+  } catch (e) {
+    console.error("[referral] falha ao atualizar livro:", e?.message || e);
+  }
+}
+
+// Virada do mês: fecha os meses anteriores e abre o mês novo de cada titular.
+// A primeira verificação após o início também cobre viradas com o servidor parado.
+let referralLedgerMonth = "";
+function closeReferralMonthIfNeeded() {
+  const month = currentYYYYMM();
+  if (month === referralLedgerMonth) return;
+  referralLedgerMonth = month;
+  refreshAllReferralLedgers();
+}
+
+setInterval(closeReferralMonthIfNeeded, 1000 * 60 * 60).unref?.();
+
+// Após pagamento/bloqueio/exclusão: atualiza o livro do titular e o do próprio usuário (se tiver subusuários).
+function refreshReferralLedgersFor(userId) {
+  const u = DB.users.find(x => x.id === userId);
+  if (!u) return;
+  if (u.parentUserId) refreshReferralLedger(u.parentUserId);
+  if (DB.users.some(x => String(x.parentUserId || "") === u.id)) refreshReferralLedger(u.id);
+}
+
+function publicReferralEntry(e) {
+  return {
+    month: e.month,
+    status: e.status,
+    eligible: e.eligible,
+    discountPercent: e.discountPercent,
+    previousDiscountPercent: e.previousDiscountPercent ?? null,
+    commissionTotal: e.commissionTotal,
+    base: e.base,
+    final: e.final,
+    friends: e.friends,
+    changes: e.changes || [],
+    updatedAt: e.updatedAt || "",
+    closedAt: e.closedAt || ""
+  };
+}
+
+function referralHistory(parentUserId, limit) {
+  return DB.referralLedger
+    .filter(e => e.parentUserId === parentUserId)
+    .sort((a, b) => String(b.month).localeCompare(String(a.month)))
+    .slice(0, limit)
+    .map(publicReferralEntry);
+}
+
+function computeClientBilling(parentUserId) {
+  const pid = String(parentUserId || "");
+  const parent = (Array.isArray(DB?.users) ? DB.users : []).find(u => u && !u.isDeleted && String(u.id || "") === pid) || null;
+  const friends = listActiveFriends(parentUserId);
+  const ledger = viewReferralLedger(pid);
+  const statusById = new Map(ledger.friends.map(f => [f.userId, f.status]));
+
+  return {
+    friends: friends.map(f => ({ ...f, referralStatus: statusById.get(f.id) || "" })),
+    eligibleDiscount: ledger.eligible,
+    discountPercent: ledger.discountPercent,
+    base: ledger.base,
+    final: ledger.final,
+    referralChanges: ledger.changes.slice(-10),
+    paidCurrentMonth: isUserPaidThisMonth(parentUserId),
+    subscription: userSubscription(parentUserId),
+    isTrialActive: isUserTrialActive(parent),
+    trialEndsAt: parent?.trialEndsAt || "",
+    trialDaysLeft: userTrialDaysLeft(parent),
+    accessOk: isUserAccessOk(parent)
+  };
+}
+
+app.get("/api/client/friends", requireAuth, (req, res) => {
+  try {
+    if (req.auth.role !== "nurse") return res.status(403).json({ error: "Acesso negado." });
+    const parentId = req.auth.user?.id;
+    if (!parentId) return res.status(400).json({ error: "Usuário inválido." });
+    return res.json({ friends: listActiveFriends(parentId) });
+  } catch (e) {
+    return res.status(500).json({ error: "Falha ao carregar subusuários." });
+  }
+});
+
+app.post("/api/client/friends", requireAuth, async (req, res) => {
+  try {
+    if (req.auth.role !== "nurse") return res.status(403).json({ error: "Acesso negado." });
+    const parentId = req.auth.user?.id;
+    if (!parentId) return res.status(400).json({ error: "Usuário inválido." });
+
+    const fullName = String(req.body?.fullName || "").trim();
+    const dob = String(req.body?.dob || "").trim();
+    const phone = String(req.body?.phone || "").trim();
+    const login = String(req.body?.login || "").trim();
+    const password = String(req.body?.password || "").trim();
+
+    if (!fullName || !phone || !login || !password) {
+      return res.status(400).json({ error: "Nome completo, telefone, CPF (Login) e senha são obrigatórios." });
+    }
 
     if (login.length < 3 || login.length > 40) {
       return res.status(400).json({ error: "Login inválido. Use entre 3 e 40 caracteres." });
@@ -1929,17 +4709,15 @@ app.post("/api/client/friends", requireAuth, (req, res) => {
     if (!/^[A-Za-z0-9._@-]+$/.test(login)) {
       return res.status(400).json({ error: "Login inválido. Use apenas letras, números, ponto, sublinhado, hífen ou @." });
     }
-    if (password.length < 4) {
-      return res.status(400).json({ error: "Senha muito curta. Use pelo menos 4 caracteres." });
-    }
+    const passwordError = passwordPolicyError(password, { login });
+    if (passwordError) return res.status(400).json({ error: passwordError });
+
+    const { salt, passwordHash } = await hashPassword(password);
 
     if (findUserByLogin(login)) {
       return res.status(409).json({ error: "Já existe usuário com este login." });
     }
 
-    const salt = crypto.randomBytes(10).toString("hex");
-    const passwordHash = sha256(`${salt}:${password}`);
-
     const user = {
       id: makeId("usr"),
       fullName,
@@ -1957,16 +4735,13 @@ app.post("/api/client/friends", requireAuth, (req, res) => {
       trialEndsAt: trialEndsAtFromNowIso(),
       lastLoginAt: "",
       lastSeenAt: "",
-      activeSessionHash: "",
-      activeDeviceId: "",
-      activeSessionCreatedAt: "",
-      activeSessionLastSeenAt: "",
-      activeSessionExpiresAt: ""
+      sessions: []
     };
 
     DB.users.push(user);
     saveDb(DB, "add_friend");
     audit("subuser_add", parentId, `Subusuário cadastrado: ${user.login}`);
+    refreshReferralLedger(parentId);
     return res.json({ ok: true, id: user.id });
   } catch (e) {
     console.error(e);
@@ -1987,18 +4762,33 @@ app.get("/api/client/billing", requireAuth, (req, res) => {
   }
 });
 
+app.get("/api/client/referrals", requireAuth, (req, res) => {
+  try {
+    if (req.auth.role !== "nurse") return res.status(403).json({ error: "Acesso negado." });
+    const parentId = req.auth.user?.id;
+    const months = Math.min(Math.max(parseInt(String(req.query?.months || "12"), 10) || 12, 1), 60);
+    const current = viewReferralLedger(parentId);
+    return res.json({ current: publicReferralEntry(current), history: referralHistory(parentId, months) });
+  } catch (e) {
+    return res.status(500).json({ error: "Falha ao carregar indicações." });
+  }
+});
+
 // ======================================================================
 // ROTA DO CLIENTE – GERAR LINK DE PAGAMENTO (INFINITEPAY CHECKOUT)
 // - O frontend abre o checkout e o cliente escolhe Pix ou Cartão na tela da InfinitePay.
 // - Documentação: POST https://api.infinitepay.io/invoices/public/checkout/links
+// - INFINITEPAY_API_URL permite apontar para um servidor falso em testes locais.
 // ======================================================================
 
+const INFINITEPAY_API_URL = String(process.env.INFINITEPAY_API_URL || "https://api.infinitepay.io").trim().replace(/\/+$/, "");
+
 async function infinitePayCreateCheckoutLink(payload) {
   // Usa fetch nativo (Node 18+). Se não existir, falha com mensagem clara.
   const hasFetch = (typeof fetch === "function");
   if (!hasFetch) throw new Error("Ambiente sem fetch disponível para integração com a InfinitePay.");
 
-  const resp = await fetch("https://api.infinitepay.io/invoices/public/checkout/links", {
+  const resp = await fetch(INFINITEPAY_API_URL + "/invoices/public/checkout/links", {
     method: "POST",
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify(payload)
@@ -2073,6 +4863,7 @@ app.post("/api/client/infinitepay/checkout-link", requireAuth, async (req, res)
 
     const allowedOrigin = String(process.env.ALLOWED_ORIGIN || "").trim();
     const redirectUrl = allowedOrigin ? (allowedOrigin.replace(/\/$/, "") + "/?pagamento=retorno") : undefined;
+    const webhookUrl = infinitePayWebhookUrl();
 
     const payload = {
       handle,
@@ -2090,7 +4881,8 @@ app.post("/api/client/infinitepay/checkout-link", requireAuth, async (req, res)
         email: (u.email ? String(u.email).trim() : undefined),
         phone_number: customerPhone || undefined
       },
-      redirect_url: redirectUrl
+      redirect_url: redirectUrl,
+      webhook_url: webhookUrl
     };
 
     // Remove campos undefined do payload
@@ -2117,8 +4909,27 @@ app.post("/api/client/infinitepay/checkout-link", requireAuth, async (req, res)
       return res.status(502).json({ error: "Link de pagamento não retornado pela InfinitePay." });
     }
 
+    // Pedido pendente: o webhook (ou o retorno do checkout) confirma e registra o pagamento.
+    DB.paymentOrders.push({
+      id: orderNsu,
+      userId: parentId,
+      plan,
+      amountCents,
+      invoiceSlug: slug,
+      checkoutUrl: url,
+      status: "pending",
+      createdAt: nowIso(),
+      paidAt: "",
+      transactionNsu: "",
+      captureMethod: "",
+      receiptUrl: "",
+      coverageStart: "",
+      coverageEnd: ""
+    });
+    saveDb(DB, "payment_order_create");
+
     // Log mínimo (sem dados sensíveis)
-    audit("infinitepay_link", parentId, `Gerado link ${plan} (${amountCents} centavos) slug=${slug || "-"}`);
+    audit("infinitepay_link", parentId, `Gerado link ${plan} (${amountCents} centavos) slug=${slug || "-"} pedido=${orderNsu}`);
 
     return res.json({
       ok: true,
@@ -2135,10 +4946,226 @@ app.post("/api/client/infinitepay/checkout-link", requireAuth, async (req, res)
   }
 });
 
+// ======================================================================
+// CONCILIAÇÃO DE PAGAMENTOS (INFINITEPAY)
+// - Cada link gera um pedido pendente em DB.paymentOrders (id = order_nsu).
+// - A InfinitePay chama POST /api/webhooks/infinitepay quando o pagamento é
+//   aprovado. O corpo do webhook não é confiável por si só: o pagamento é
+//   sempre confirmado em /invoices/public/checkout/payment_check antes de gravar.
+// - Pedido pago gera um pagamento por mês do plano (1 ou 12), emendados na
+//   cobertura vigente (ver "ASSINATURA"). Callbacks repetidos não duplicam.
+// - Webhook: PUBLIC_BASE_URL (URL pública do backend) + INFINITEPAY_WEBHOOK_TOKEN
+//   (opcional, enviado como ?token= e conferido no recebimento).
+// ======================================================================
+
+const INFINITEPAY_WEBHOOK_TOKEN = String(process.env.INFINITEPAY_WEBHOOK_TOKEN || "").trim();
+
+function infinitePayWebhookUrl() {
+  const base = String(process.env.PUBLIC_BASE_URL || "").trim().replace(/\/+$/, "");
+  if (!base) return undefined;
+  const qs = INFINITEPAY_WEBHOOK_TOKEN ? `?token=${encodeURIComponent(INFINITEPAY_WEBHOOK_TOKEN)}` : "";
+  return `${base}/api/webhooks/infinitepay${qs}`;
+}
+
+async function infinitePayPaymentCheck(payload) {
+  const resp = await fetch(INFINITEPAY_API_URL + "/invoices/public/checkout/payment_check", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload)
+  });
+
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok) {
+    const err = new Error((data && (data.error || data.message)) ? String(data.error || data.message) : "Falha ao consultar pagamento.");
+    err.statusCode = resp.status;
+    throw err;
+  }
+  return data;
+}
+
+function publicPaymentOrder(o) {
+  return {
+    order_nsu: o.id,
+    userId: o.userId,
+    plan: o.plan,
+    amount_cents: o.amountCents,
+    status: o.status,
+    invoice_slug: o.invoiceSlug || "",
+    checkout_url: o.status === "pending" ? (o.checkoutUrl || "") : "",
+    createdAt: o.createdAt || "",
+    paidAt: o.paidAt || "",
+    capture_method: o.captureMethod || "",
+    receipt_url: o.receiptUrl || "",
+    coverageStart: o.coverageStart || "",
+    coverageEnd: o.coverageEnd || ""
+  };
+}
+
+// Confirma o pedido na InfinitePay e registra os pagamentos (idempotente).
+// Retorna { status, order, created[] } ou { status, error }.
+async function reconcilePaymentOrder(orderNsu, hints, source) {
+  const order = DB.paymentOrders.find(o => o.id === String(orderNsu || ""));
+  if (!order) return { status: 404, error: "Pedido não encontrado." };
+  if (order.status === "paid") return { status: 200, order, created: [] };
+
+  const handle = String(process.env.INFINITEPAY_HANDLE || "").trim();
+  const check = await infinitePayPaymentCheck({
+    handle,
+    order_nsu: order.id,
+    transaction_nsu: String(hints?.transactionNsu || order.transactionNsu || "") || undefined,
+    slug: String(hints?.slug || order.invoiceSlug || "") || undefined
+  });
+
+  order.lastCheckAt = nowIso();
+  if (!check || !check.success || !check.paid) {
+    saveDb(DB, "payment_order_check");
+    return { status: 202, order, created: [] };
+  }
+
+  const paidCents = Number(check.paid_amount ?? check.amount ?? 0);
+  if (!(paidCents >= Number(order.amountCents || 0))) {
+    order.status = "amount_mismatch";
+    saveDb(DB, "payment_order_check");
+    audit("payment_order_mismatch", order.userId, `Pedido ${order.id}: pago ${paidCents} centavos, esperado ${order.amountCents}`);
+    return { status: 409, error: "Valor pago diferente do pedido." };
+  }
+
+  const out = runDbTransaction("payment_infinitepay", () => {
+    // Outro callback pode ter concluído enquanto a consulta estava em andamento.
+    const order = DB.paymentOrders.find(o => o.id === String(orderNsu || ""));
+    if (!order) return { status: 404, error: "Pedido não encontrado." };
+    if (order.status === "paid") return { status: 200, order, created: [] };
+
+    const user = DB.users.find(u => u.id === order.userId);
+    if (!user) return { status: 404, error: "Usuário do pedido não encontrado." };
+
+    const coverage = planCoverage(order.plan, subscriptionRenewalStart(order.userId));
+    const paidAt = nowIso();
+    // Um pagamento por mês coberto (anual = 12, encadeados); o último mês leva o resto dos centavos.
+    const months = SUBSCRIPTION_PLAN_MONTHS[order.plan] || 1;
+    const created = Array.from({ length: months }, (_, i) => {
+      const start = addMonthsYMD(coverage.start, i);
+      const cents = Math.floor(paidCents / months) + (i === months - 1 ? paidCents % months : 0);
+      return {
+        id: makeId("pay"),
+        userId: order.userId,
+        month: start.slice(0, 7),
+        paidAt,
+        amount: cents / 100,
+        method: `infinitepay:${String(check.capture_method || hints?.captureMethod || "checkout")}`,
+        notes: `Pedido ${order.id}${months > 1 ? ` (anuidade ${i + 1}/${months})` : ""}`,
+        receivedBy: "infinitepay",
+        plan: order.plan,
+        coverageStart: start,
+        coverageEnd: addDaysYMD(addMonthsYMD(coverage.start, i + 1), -1),
+        orderNsu: order.id
+      };
+    });
+    DB.payments.push(...created);
+    if (DB.payments.length > 20000) DB.payments = DB.payments.slice(DB.payments.length - 20000);
+
+    order.status = "paid";
+    order.paidAt = paidAt;
+    order.paidAmountCents = paidCents;
+    order.transactionNsu = String(hints?.transactionNsu || order.transactionNsu || "");
+    order.captureMethod = String(check.capture_method || hints?.captureMethod || "");
+    order.receiptUrl = String(hints?.receiptUrl || order.receiptUrl || "");
+    order.coverageStart = coverage.start;
+    order.coverageEnd = coverage.end;
+
+    audit("payment_infinitepay", order.userId, `Pagamento confirmado (${source}): pedido ${order.id} | ${order.plan} | cobertura ${coverage.start} a ${coverage.end}`, { id: "", login: "infinitepay", role: "system" });
+    return { status: 200, order, created };
+  });
+  if (out.created?.length) refreshReferralLedgersFor(out.order.userId);
+  return out;
+}
+
+app.post("/api/webhooks/infinitepay", async (req, res) => {
+  try {
+    if (INFINITEPAY_WEBHOOK_TOKEN) {
+      const got = String(req.query?.token || "");
+      if (!safeEqualHex(sha256(got), sha256(INFINITEPAY_WEBHOOK_TOKEN))) {
+        return res.status(401).json({ error: "Token inválido." });
+      }
+    }
+    const body = req.body || {};
+    const orderNsu = String(body.order_nsu || "").trim();
+    if (!orderNsu) return res.status(400).json({ error: "order_nsu ausente." });
+
+    const out = await reconcilePaymentOrder(orderNsu, {
+      transactionNsu: body.transaction_nsu,
+      slug: body.invoice_slug,
+      captureMethod: body.capture_method,
+      receiptUrl: body.receipt_url
+    }, "webhook");
+
+    // 4xx/5xx faz a InfinitePay repetir o envio; pedido desconhecido não adianta repetir.
+    if (out.status === 404) return res.json({ ok: false, error: out.error });
+    if (out.status === 202) return res.status(400).json({ error: "Pagamento ainda não confirmado." });
+    if (out.error) return res.status(out.status).json({ error: out.error });
+    return res.json({ ok: true, status: out.order.status });
+  } catch (e) {
+    console.error("[InfinitePay] erro no webhook:", e?.message || e);
+    return res.status(500).json({ error: "Falha ao processar webhook." });
+  }
+});
+
+// Retorno do checkout (redirect_url): o frontend pede a confirmação sem esperar o webhook.
+app.post("/api/client/infinitepay/confirm", requireAuth, async (req, res) => {
+  try {
+    if (req.auth.role !== "nurse") return res.status(403).json({ error: "Acesso negado." });
+    const orderNsu = String(req.body?.order_nsu || "").trim();
+    const order = DB.paymentOrders.find(o => o.id === orderNsu && o.userId === req.auth.user.id);
+    if (!order) return res.status(404).json({ error: "Pedido não encontrado." });
+
+    const out = await reconcilePaymentOrder(orderNsu, {
+      transactionNsu: req.body?.transaction_nsu,
+      slug: req.body?.slug || req.body?.invoice_slug,
+      captureMethod: req.body?.capture_method,
+      receiptUrl: req.body?.receipt_url
+    }, "retorno");
+    if (out.error) return res.status(out.status).json({ error: out.error });
+    return res.json({ ok: true, order: publicPaymentOrder(out.order) });
+  } catch (e) {
+    return res.status(502).json({ error: "Falha ao confirmar pagamento.", code: "INFINITEPAY_ERROR" });
+  }
+});
+
+app.get("/api/client/infinitepay/orders", requireAuth, (req, res) => {
+  if (req.auth.role !== "nurse") return res.status(403).json({ error: "Acesso negado." });
+  const orders = DB.paymentOrders
+    .filter(o => o.userId === req.auth.user.id)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+    .slice(0, 50)
+    .map(publicPaymentOrder);
+  return res.json({ orders });
+});
+
+app.get("/api/admin/payment-orders", requireAuth, requireAdmin("payments.read"), (req, res) => {
+  const status = String(req.query?.status || "").trim();
+  const userId = String(req.query?.userId || "").trim();
+  const orders = DB.paymentOrders
+    .filter(o => (!status || o.status === status) && (!userId || o.userId === userId))
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+    .slice(0, 500)
+    .map(publicPaymentOrder);
+  return res.json({ orders });
+});
+
+app.post("/api/admin/payment-orders/:id/reconcile", requireAuth, requireAdmin("payments.write"), async (req, res) => {
+  try {
+    const out = await reconcilePaymentOrder(req.params.id, {}, "admin");
+    if (out.error) return res.status(out.status).json({ error: out.error });
+    return res.json({ ok: true, order: publicPaymentOrder(out.order), created: out.created.length });
+  } catch (e) {
+    return res.status(502).json({ error: "Falha ao consultar a InfinitePay.", code: "INFINITEPAY_ERROR" });
+  }
+});
+
 
 
 // Rotas administrativas
-app.get("/api/admin/users", requireAuth, requireAdmin, (req, res) => {
+app.get("/api/admin/users", requireAuth, requireAdmin("users.read"), (req, res) => {
   const users = DB.users
     .filter(u => !u.isDeleted)
     .map(u => ({
@@ -2158,13 +5185,14 @@ app.get("/api/admin/users", requireAuth, requireAdmin, (req, res) => {
       trialEndsAt: u.trialEndsAt || "",
       isTrialActive: isUserTrialActive(u),
       trialDaysLeft: userTrialDaysLeft(u),
+      subscription: userSubscription(u.id),
       accessOk: isUserAccessOk(u)
     }))
     .sort((a,b) => (a.fullName||"").localeCompare(b.fullName||""));
   return res.json({ users });
 });
 
-app.post("/api/admin/users", requireAuth, requireAdmin, (req, res) => {
+app.post("/api/admin/users", requireAuth, requireAdmin("users.write"), async (req, res) => {
   try {
     const fullName = String(req.body?.fullName || "").trim();
     const dob = String(req.body?.dob || "").trim();
@@ -2175,11 +5203,11 @@ app.post("/api/admin/users", requireAuth, requireAdmin, (req, res) => {
     if (!fullName || !phone || !login || !password) {
       return res.status(400).json({ error: "Nome completo, telefone, CPF (Login) e senha são obrigatórios." });
     }
+    const passwordError = passwordPolicyError(password, { login });
+    if (passwordError) return res.status(400).json({ error: passwordError });
+    const { salt, passwordHash } = await hashPassword(password);
     if (findUserByLogin(login)) return res.status(409).json({ error: "Já existe usuário com este login." });
 
-    const salt = crypto.randomBytes(10).toString("hex");
-    const passwordHash = sha256(`${salt}:${password}`);
-
     const user = {
       id: makeId("usr"),
       fullName,
@@ -2197,11 +5225,7 @@ app.post("/api/admin/users", requireAuth, requireAdmin, (req, res) => {
       trialEndsAt: trialEndsAtFromNowIso(),
       lastLoginAt: "",
       lastSeenAt: "",
-      activeSessionHash: "",
-      activeDeviceId: "",
-      activeSessionCreatedAt: "",
-      activeSessionLastSeenAt: "",
-      activeSessionExpiresAt: ""
+      sessions: []
     };
 
     DB.users.push(user);
@@ -2213,7 +5237,7 @@ app.post("/api/admin/users", requireAuth, requireAdmin, (req, res) => {
     return res.status(500).json({ error: "Falha ao cadastrar usuário." });
   }
 });
-app.put("/api/admin/users/:id", requireAuth, requireAdmin, (req, res) => {
+app.put("/api/admin/users/:id", requireAuth, requireAdmin("users.write"), async (req, res) => {
   try {
     const id = String(req.params.id || "");
     const user = DB.users.find(u => u.id === id && !u.isDeleted);
@@ -2229,6 +5253,13 @@ app.put("/api/admin/users/:id", requireAuth, requireAdmin, (req, res) => {
       return res.status(400).json({ error: "Nome completo, data de nascimento, telefone e login são obrigatórios." });
     }
 
+    if (password) {
+      const passwordError = passwordPolicyError(password, { login });
+      if (passwordError) return res.status(400).json({ error: passwordError });
+    }
+    const hashed = password ? await hashPassword(password) : null;
+    if (user.isDeleted) return res.status(404).json({ error: "Usuário não encontrado." });
+
     // Se mudar o login, garantir unicidade
     const existing = DB.users.find(u => !u.isDeleted && u.id !== id && String(u.login || "").toLowerCase() === String(login).toLowerCase());
     if (existing) return res.status(409).json({ error: "Já existe usuário com este login." });
@@ -2238,10 +5269,8 @@ app.put("/api/admin/users/:id", requireAuth, requireAdmin, (req, res) => {
     user.phone = phone;
     user.login = login;
 
-    if (password) {
-      const salt = crypto.randomBytes(10).toString("hex");
-      user.salt = salt;
-      user.passwordHash = sha256(`${salt}:${password}`);
+    if (hashed) {
+      setUserPassword(user, hashed);
       audit("user_update_password", id, `Senha atualizada para ${user.login}`);
     }
 
@@ -2255,17 +5284,19 @@ app.put("/api/admin/users/:id", requireAuth, requireAdmin, (req, res) => {
 });
 
 
-app.post("/api/admin/users/:id/reset-password", requireAuth, requireAdmin, (req, res) => {
+app.post("/api/admin/users/:id/reset-password", requireAuth, requireAdmin("users.password"), async (req, res) => {
   try {
     const id = String(req.params.id || "");
     const newPassword = String(req.body?.newPassword || "").trim();
     if (!newPassword) return res.status(400).json({ error: "Nova senha é obrigatória." });
     const user = DB.users.find(u => u.id === id && !u.isDeleted);
     if (!user) return res.status(404).json({ error: "Usuário não encontrado." });
+    const passwordError = passwordPolicyError(newPassword, { login: user.login });
+    if (passwordError) return res.status(400).json({ error: passwordError });
 
-    const salt = crypto.randomBytes(10).toString("hex");
-    user.salt = salt;
-    user.passwordHash = sha256(`${salt}:${newPassword}`);
+    const hashed = await hashPassword(newPassword);
+    if (user.isDeleted) return res.status(404).json({ error: "Usuário não encontrado." });
+    setUserPassword(user, hashed);
     saveDb(DB);
     audit("user_reset_password", id, `Senha resetada para ${user.login}`);
     return res.json({ ok: true });
@@ -2275,7 +5306,57 @@ app.post("/api/admin/users/:id/reset-password", requireAuth, requireAdmin, (req,
   }
 });
 
-app.post("/api/admin/users/:id/active", requireAuth, requireAdmin, (req, res) => {
+// Bloqueios de login (força bruta): lista e desbloqueio manual.
+app.get("/api/admin/login-locks", requireAuth, requireAdmin("users.unlock"), (req, res) => {
+  const now = Date.now();
+  const locks = (DB.loginAttempts || [])
+    .filter(x => x && ((Date.parse(x.lockedUntil || "") || 0) > now || x.failures > 0))
+    .map(x => ({
+      id: x.id,
+      kind: x.kind,
+      key: x.key,
+      failures: x.failures || 0,
+      lockCount: x.lockCount || 0,
+      lastFailureAt: x.lastFailureAt || "",
+      lockedUntil: x.lockedUntil || "",
+      locked: (Date.parse(x.lockedUntil || "") || 0) > now
+    }))
+    .sort((a, b) => String(b.lastFailureAt).localeCompare(String(a.lastFailureAt)));
+  return res.json({ locks });
+});
+
+// Body: { id } (ex.: "login:12345678900@1.2.3.4", "ip:1.2.3.4"), ou { login } (todos os IPs
+// daquele login; com { login, ip }, só aquele IP), ou { ip }.
+app.post("/api/admin/login-locks/unlock", requireAuth, requireAdmin("users.unlock"), (req, res) => {
+  try {
+    const id = String(req.body?.id || "").trim();
+    const login = normalizeAdminLogin(String(req.body?.login || "").trim());
+    const ip = String(req.body?.ip || "").trim();
+    if (!id && !login && !ip) return res.status(400).json({ error: "Informe id, login ou ip." });
+
+    const matches = (DB.loginAttempts || []).filter(x => {
+      if (!x) return false;
+      if (id) return x.id === id;
+      if (login) return x.kind === "login" && (ip ? x.key === `${login}@${ip}` : x.key.startsWith(`${login}@`));
+      return x.id === `ip:${ip}`;
+    });
+    if (!matches.length) return res.status(404).json({ error: "Nenhum bloqueio encontrado." });
+
+    for (const x of matches) {
+      x.failures = 0;
+      x.lockCount = 0;
+      x.lockedUntil = "";
+      audit("login_unlock", x.id, `Desbloqueio manual de login (${x.kind}: ${x.key})`);
+    }
+    saveDb(DB, "login_unlock");
+    return res.json({ ok: true, ids: matches.map(x => x.id) });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Falha ao desbloquear login." });
+  }
+});
+
+app.post("/api/admin/users/:id/active", requireAuth, requireAdmin("users.write"), (req, res) => {
   try {
     const id = String(req.params.id || "");
     const active = !!req.body?.active;
@@ -2284,6 +5365,7 @@ app.post("/api/admin/users/:id/active", requireAuth, requireAdmin, (req, res) =>
     user.isActive = active;
     saveDb(DB);
     audit("user_set_active", id, `Ativo=${active} para ${user.login}`);
+    refreshReferralLedgersFor(id);
     return res.json({ ok: true });
   } catch (e) {
     console.error(e);
@@ -2291,15 +5373,17 @@ app.post("/api/admin/users/:id/active", requireAuth, requireAdmin, (req, res) =>
   }
 });
 
-app.delete("/api/admin/users/:id", requireAuth, requireAdmin, (req, res) => {
+app.delete("/api/admin/users/:id", requireAuth, requireAdmin("users.write"), (req, res) => {
   try {
     const id = String(req.params.id || "");
     const user = DB.users.find(u => u.id === id && !u.isDeleted);
     if (!user) return res.status(404).json({ error: "Usuário não encontrado." });
     user.isDeleted = true;
     user.isActive = false;
+    user.deletedAt = nowIso();
     saveDb(DB);
     audit("user_delete_logical", id, `Exclusão lógica de ${user.login}`);
+    refreshReferralLedgersFor(id);
     return res.json({ ok: true });
   } catch (e) {
     console.error(e);
@@ -2307,45 +5391,63 @@ app.delete("/api/admin/users/:id", requireAuth, requireAdmin, (req, res) => {
   }
 });
 
-app.post("/api/admin/users/:id/pay", requireAuth, requireAdmin, (req, res) => {
+app.post("/api/admin/users/:id/pay", requireAuth, requireAdmin("payments.write"), (req, res) => {
   try {
     const id = String(req.params.id || "");
     const month = String(req.body?.month || "").trim();
     const amount = (req.body?.amount === null || req.body?.amount === undefined || req.body?.amount === "") ? null : Number(req.body.amount);
     const method = String(req.body?.method || "").trim();
     const notes = String(req.body?.notes || "").trim();
+    const plan = String(req.body?.plan || "monthly").trim().toLowerCase();
 
     if (!month || !/^\d{4}-\d{2}$/.test(month)) return res.status(400).json({ error: "Mês inválido. Use AAAA-MM." });
-    const user = DB.users.find(u => u.id === id && !u.isDeleted);
-    if (!user) return res.status(404).json({ error: "Usuário não encontrado." });
+    if (!SUBSCRIPTION_PLAN_MONTHS[plan]) return res.status(400).json({ error: "Plano inválido." });
 
-    const exists = DB.payments.some(p => p.userId === id && p.month === month);
-    if (exists) return res.status(409).json({ error: "Este mês já consta como pago para o usuário." });
+    // Mensal cobre o mês civil informado; anual cobre 12 meses a partir do dia 1º desse mês.
+    const coverage = planCoverage(plan, `${month}-01`);
 
-    const entry = {
-      id: makeId("pay"),
-      userId: id,
-      month,
-      paidAt: nowIso(),
-      amount: (Number.isFinite(amount) ? amount : null),
-      method,
-      notes,
-      receivedBy: (req.auth?.user?.login || ADMIN_LOGIN || "admin")
-    };
-    DB.payments.push(entry);
-    // Mantém limite (histórico permanente, mas com teto alto)
-    if (DB.payments.length > 20000) DB.payments = DB.payments.slice(DB.payments.length - 20000);
+    // Pagamento + auditoria gravados juntos (uma transação no backend de banco).
+    const result = runDbTransaction("payment_add", () => {
+      const user = DB.users.find(u => u.id === id && !u.isDeleted);
+      if (!user) return { status: 404, error: "Usuário não encontrado." };
 
-    saveDb(DB);
-    audit("payment_add", id, `Pagamento registrado: ${month} | recebido por: ${req.auth?.user?.login || ADMIN_LOGIN}`);
-    return res.json({ ok: true, payment: entry });
+      const exists = DB.payments.some(p => {
+        const c = p.userId === id ? paymentCoverage(p) : null;
+        return c && c.start <= coverage.end && coverage.start <= c.end;
+      });
+      if (exists) return { status: 409, error: plan === "annual" ? "Parte deste período já consta como pago para o usuário." : "Este mês já consta como pago para o usuário." };
+
+      const entry = {
+        id: makeId("pay"),
+        userId: id,
+        month,
+        paidAt: nowIso(),
+        amount: (Number.isFinite(amount) ? amount : null),
+        method,
+        notes,
+        receivedBy: (req.auth?.user?.login || "admin"),
+        plan,
+        coverageStart: coverage.start,
+        coverageEnd: coverage.end
+      };
+      DB.payments.push(entry);
+      // Mantém limite (histórico permanente, mas com teto alto)
+      if (DB.payments.length > 20000) DB.payments = DB.payments.slice(DB.payments.length - 20000);
+
+      audit("payment_add", id, `Pagamento registrado: ${plan === "annual" ? `anual ${coverage.start} a ${coverage.end}` : month} | recebido por: ${req.auth?.user?.login || "admin"}`);
+      return { entry };
+    });
+
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    refreshReferralLedgersFor(id);
+    return res.json({ ok: true, payment: result.entry });
   } catch (e) {
     console.error(e);
     return res.status(500).json({ error: "Falha ao registrar pagamento." });
   }
 });
 
-app.get("/api/admin/users/:id/payments", requireAuth, requireAdmin, (req, res) => {
+app.get("/api/admin/users/:id/payments", requireAuth, requireAdmin("payments.read"), (req, res) => {
   const id = String(req.params.id || "");
   const payments = DB.payments
     .filter(p => p.userId === id)
@@ -2353,7 +5455,50 @@ app.get("/api/admin/users/:id/payments", requireAuth, requireAdmin, (req, res) =
   return res.json({ payments });
 });
 
-app.get("/api/admin/payments", requireAuth, requireAdmin, (req, res) => {
+// Relatório de indicações do mês: desconto e comissões por titular.
+app.get("/api/admin/referrals", requireAuth, requireAdmin("payments.read"), (req, res) => {
+  try {
+    const month = String(req.query?.month || currentYYYYMM()).trim();
+    if (!/^\d{4}-\d{2}$/.test(month)) return res.status(400).json({ error: "Mês inválido. Use AAAA-MM." });
+    // Mês corrente: apuração de agora para cada titular, sem gravar.
+    let ledger = DB.referralLedger.filter(e => e.month === month);
+    if (month === currentYYYYMM()) {
+      const parents = new Set(ledger.map(e => e.parentUserId));
+      for (const u of DB.users) {
+        if (u && u.parentUserId && DB.users.some(x => x.id === u.parentUserId && !x.isDeleted)) parents.add(String(u.parentUserId));
+      }
+      ledger = Array.from(parents, viewReferralLedger);
+    }
+
+    const usersById = new Map(DB.users.map(u => [u.id, u]));
+    const entries = ledger
+      .map(e => ({
+        parentUserId: e.parentUserId,
+        parentName: usersById.get(e.parentUserId)?.fullName || "",
+        parentLogin: usersById.get(e.parentUserId)?.login || "",
+        ...publicReferralEntry(e)
+      }))
+      .sort((a, b) => (a.parentName || "").localeCompare(b.parentName || ""));
+
+    const totals = {
+      parents: entries.length,
+      countedFriends: entries.reduce((acc, e) => acc + e.friends.filter(f => f.status === "counted").length, 0),
+      commissionTotal: Math.round(entries.reduce((acc, e) => acc + Number(e.commissionTotal || 0), 0) * 100) / 100
+    };
+    return res.json({ month, totals, entries });
+  } catch (e) {
+    return res.status(500).json({ error: "Falha ao gerar relatório de indicações." });
+  }
+});
+
+app.get("/api/admin/users/:id/referrals", requireAuth, requireAdmin("payments.read"), (req, res) => {
+  const id = String(req.params.id || "");
+  const user = DB.users.find(u => u.id === id);
+  if (!user) return res.status(404).json({ error: "Usuário não encontrado." });
+  return res.json({ history: referralHistory(id, 60) });
+});
+
+app.get("/api/admin/payments", requireAuth, requireAdmin("payments.read"), (req, res) => {
   const usersById = new Map(DB.users.map(u => [u.id, u]));
   const payments = DB.payments
     .map(p => {
@@ -2367,33 +5512,101 @@ app.get("/api/admin/payments", requireAuth, requireAdmin, (req, res) => {
         amount: p.amount,
         method: p.method,
         notes: p.notes,
-        receivedBy: p.receivedBy || ""
+        receivedBy: p.receivedBy || "",
+        plan: p.plan || "monthly",
+        coverageStart: paymentCoverage(p)?.start || "",
+        coverageEnd: paymentCoverage(p)?.end || ""
       };
     })
     .sort((a,b) => (String(b.paidAt||"").localeCompare(String(a.paidAt||""))));
   return res.json({ payments });
 });
 
-app.get("/api/admin/audit", requireAuth, requireAdmin, (req, res) => {
+// Auditoria: eventos gravados por audit() (logins, sessões, senhas, backups, escalas...).
+// Filtros: action (lista separada por vírgula), user (id ou login do alvo), actor (id ou login do
+// operador), from/to (AAAA-MM-DD), q (texto).
+// Paginação: page (1..n), pageSize (até 500). format=csv exporta todos os eventos filtrados.
+const AUDIT_PAGE_SIZE_MAX = 500;
+
+function filterAuditEvents(query) {
+  const q = query || {};
+  const actions = normalizeArrayOfStrings(String(q.action || "").split(","), 50, 60);
+  const userRaw = normalizeText(String(q.user || ""), 80);
+  const from = normalizeText(String(q.from || ""), 10);
+  const to = normalizeText(String(q.to || ""), 10);
+  const text = normalizeText(String(q.q || ""), 120).toLowerCase();
+  const actor = normalizeText(String(q.actor || ""), 80);
+
   const usersById = new Map(DB.users.map(u => [u.id, u]));
-  const auditList = DB.payments
-    .map(p => {
-      const u = usersById.get(p.userId);
+  const targets = new Set();
+  if (userRaw) {
+    targets.add(userRaw);
+    const u = DB.users.find(x => x && (x.id === userRaw || x.login === userRaw || x.login === onlyDigits(userRaw)));
+    if (u) targets.add(u.id);
+  }
+
+  return (Array.isArray(DB.audit) ? DB.audit : [])
+    .filter(a => a && (!actions.length || actions.includes(a.action)))
+    .filter(a => !targets.size || targets.has(a.target))
+    .filter(a => !actor || a.actorId === actor || normalizeAdminLogin(a.actorLogin) === normalizeAdminLogin(actor))
+    .filter(a => !from || String(a.at || "").slice(0, 10) >= from)
+    .filter(a => !to || String(a.at || "").slice(0, 10) <= to)
+    .filter(a => !text || `${a.action} ${a.target} ${a.details}`.toLowerCase().includes(text))
+    .sort((a, b) => String(b.at || "").localeCompare(String(a.at || "")))
+    .map(a => {
+      const u = usersById.get(a.target);
       return {
-        at: p.paidAt,
-        userId: p.userId,
-        userName: u?.fullName || "",
-        userLogin: u?.login || "",
-        month: p.month,
-        paidAt: p.paidAt,
-        amount: p.amount,
-        method: p.method,
-        notes: p.notes,
-        receivedBy: p.receivedBy || ""
+        id: a.id,
+        at: a.at,
+        action: a.action,
+        target: a.target,
+        targetName: u?.fullName || "",
+        targetLogin: u?.login || "",
+        actorLogin: a.actorLogin || "",
+        actorRole: a.actorRole || "",
+        details: a.details
       };
-    })
-    .sort((a, b) => (String(b.at || "").localeCompare(String(a.at || ""))));
-  return res.json({ audit: auditList });
+    });
+}
+
+// CSV com ";" (padrão do Excel em pt-BR). Células iniciadas por = + - @ recebem apóstrofo
+// para não serem interpretadas como fórmula.
+function auditToCsv(rows) {
+  const cols = ["at", "action", "target", "targetName", "targetLogin", "actorLogin", "actorRole", "details"];
+  const cell = (v) => {
+    let s = String(v ?? "");
+    if (/^[=+\-@]/.test(s)) s = "'" + s;
+    return /[";\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [cols.join(";"), ...rows.map(r => cols.map(c => cell(r[c])).join(";"))].join("\r\n");
+}
+
+app.get("/api/admin/audit", requireAuth, requireAdmin("audit.read"), (req, res) => {
+  try {
+    const rows = filterAuditEvents(req.query);
+
+    if (String(req.query?.format || "") === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="enfermagem-auditoria-${new Date().toISOString().slice(0,10)}.csv"`);
+      return res.status(200).send("\uFEFF" + auditToCsv(rows));
+    }
+
+    const pageSize = Math.max(1, Math.min(AUDIT_PAGE_SIZE_MAX, parseInt(String(req.query?.pageSize || "50"), 10) || 50));
+    const pages = Math.max(1, Math.ceil(rows.length / pageSize));
+    const page = Math.max(1, Math.min(pages, parseInt(String(req.query?.page || "1"), 10) || 1));
+    const actions = Array.from(new Set((DB.audit || []).map(a => a && a.action).filter(Boolean))).sort();
+
+    return res.json({
+      audit: rows.slice((page - 1) * pageSize, page * pageSize),
+      total: rows.length,
+      page,
+      pageSize,
+      pages,
+      actions
+    });
+  } catch (e) {
+    return res.status(500).json({ error: "Falha ao carregar auditoria." });
+  }
 });
 // ======================================================================
 // BACKUP / RESTAURAÇÃO (ADMIN) – segurança contra perda de dados
@@ -2401,19 +5614,23 @@ app.get("/api/admin/audit", requireAuth, requireAdmin, (req, res) => {
 // - Importa/mescla backup sem apagar histórico (merge)
 // ======================================================================
 
-app.get("/api/admin/backup/list", requireAuth, requireAdmin, (req, res) => {
+app.get("/api/admin/backup/list", requireAuth, requireAdmin("backup"), (req, res) => {
   try {
-    const items = listBackupFiles().slice(0, 50).map(x => ({
+    const limit = Math.min(Math.max(parseInt(String(req.query?.limit || "50"), 10) || 50, 1), 500);
+    const files = listBackupFiles();
+    const items = files.slice(0, limit).map(x => ({
       file: x.f,
-      mtimeMs: x.t
+      mtimeMs: x.t,
+      createdAt: new Date(x.t).toISOString(),
+      reason: backupReasonFromName(x.f)
     }));
-    return res.json({ items });
+    return res.json({ items, total: files.length, retention: BACKUP_RETENTION });
   } catch (e) {
     return res.status(500).json({ error: "Falha ao listar backups." });
   }
 });
 
-app.post("/api/admin/backup/create", requireAuth, requireAdmin, (req, res) => {
+app.post("/api/admin/backup/create", requireAuth, requireAdmin("backup"), (req, res) => {
   try {
     backupFile(DB_PATH, "manual");
     audit("backup_manual", "db", "Backup manual criado");
@@ -2423,101 +5640,762 @@ app.post("/api/admin/backup/create", requireAuth, requireAdmin, (req, res) => {
   }
 });
 
-app.get("/api/admin/backup/export", requireAuth, requireAdmin, (req, res) => {
+app.get("/api/admin/backup/export", requireAuth, requireAdmin("backup"), (req, res) => {
   try {
+    // schemaVersion = formato do arquivo; dbSchemaVersion = versão dos dados (também em db.meta.schema).
     const payload = {
       schemaVersion: 1,
+      dbSchemaVersion: dbSchemaVersionOf(DB),
       exportedAt: nowIso(),
       app: "Atendimento de Enfermagem",
       db: normalizeDb(DB),
     };
+    // Com BACKUP_ENCRYPTION_KEY, o arquivo baixado é o envelope cifrado (hashes de senha não saem em claro).
+    const suffix = BACKUP_KEY ? ".enc" : "";
     res.setHeader("Content-Type", "application/json; charset=utf-8");
-    res.setHeader("Content-Disposition", `attachment; filename="enfermagem-backup-${new Date().toISOString().slice(0,10)}.json"`);
-    return res.status(200).send(JSON.stringify(payload, null, 2));
+    res.setHeader("Content-Disposition", `attachment; filename="enfermagem-backup-${new Date().toISOString().slice(0,10)}${suffix}.json"`);
+    return res.status(200).send(maybeEncryptText(JSON.stringify(payload, null, 2)));
   } catch (e) {
     return res.status(500).json({ error: "Falha ao exportar backup." });
   }
 });
 
-app.post("/api/admin/backup/import", requireAuth, requireAdmin, (req, res) => {
+// Quantidade de registros por coleção (mapas contam as chaves).
+function dbCollectionCounts(db) {
+  const out = {};
+  for (const spec of dbCollectionSpecs()) {
+    const v = db?.[spec.name];
+    out[spec.name] = spec.keyed ? Object.keys(v || {}).length : (Array.isArray(v) ? v.length : 0);
+  }
+  return out;
+}
+
+app.post("/api/admin/backup/import", requireAuth, requireAdmin("backup"), (req, res) => {
   try {
-    const body = req.body || {};
+    let body = req.body || {};
+    // Backup cifrado: decifra e verifica a integridade antes de qualquer mescla.
+    if (isEncryptedEnvelope(body)) {
+      try {
+        body = { ...JSON.parse(decryptEnvelope(body)), dryRun: body.dryRun };
+      } catch (e) {
+        return res.status(400).json({ error: e?.code ? e.message : "Backup criptografado inválido.", code: e?.code || "ENCRYPTION_FORMAT" });
+      }
+    }
+    const dryRun = ["1", "true"].includes(String(req.query?.dryRun ?? body.dryRun ?? "").toLowerCase());
     const incoming = body.db && typeof body.db === "object" ? body.db : body;
-    const imported = normalizeDb(incoming);
+    const { dryRun: _dryRun, schemaVersion, ...collections } = incoming;
+    let imported;
+    try {
+      imported = migrateDbSchema(collections, "import").db;
+    } catch (e) {
+      if (e?.code !== "DB_SCHEMA_DOWNGRADE") throw e;
+      return res.status(409).json({ error: e.message, code: e.code });
+    }
 
     // Mescla: nunca apaga, apenas adiciona/atualiza pelo critério do mergeDbs
-    const before = { users: DB.users.length, payments: DB.payments.length, audit: DB.audit.length };
-    const merged = mergeDbs(DB, imported);
+    const before = dbCollectionCounts(DB);
+    const { db: merged, report } = mergeDbsWithReport(DB, imported);
+    const after = dbCollectionCounts(merged);
+
+    if (dryRun) return res.json({ ok: true, dryRun: true, before, after, report });
 
-    DB = merged;
+    DB = normalizeDb(merged);
     saveDb(DB, "import");
-    audit("backup_import", "db", `Import realizado. Antes users=${before.users}, payments=${before.payments}; Depois users=${DB.users.length}, payments=${DB.payments.length}`);
+    const summary = Object.entries(report)
+      .filter(([, r]) => r.added || r.updated || r.skipped)
+      .map(([name, r]) => `${name}: +${r.added} ~${r.updated} !${r.skipped}`)
+      .join("; ");
+    audit("backup_import", "db", `Import realizado. ${summary || "Nenhuma alteração."}`);
 
-    return res.json({
-      ok: true,
-      before,
-      after: { users: DB.users.length, payments: DB.payments.length, audit: DB.audit.length }
-    });
+    return res.json({ ok: true, dryRun: false, before, after, report });
   } catch (e) {
     console.error(e);
     return res.status(500).json({ error: "Falha ao importar backup." });
   }
 });
 
+// ======================================================================
+// RESTAURAÇÃO PONTUAL (a partir dos backups rotativos)
+// - GET  /api/admin/backup/restore/:file -> prévia: o que voltaria e o que
+//   sumiria, por coleção (com a lista de usuários, pagamentos e escalas).
+// - POST /api/admin/backup/restore/:file { mode: "replace" | "merge" }
+//   - replace: o DB passa a ser exatamente o do backup (antes é criado um
+//     backup "pre-restore", que permite desfazer). Se o backup não tiver
+//     super_admin ativo, os administradores atuais são mantidos.
+//   - merge: mesma mescla do import (nunca apaga).
+// ======================================================================
+
+const RESTORE_DIFF_LABELS = {
+  users: u => `${u.login || "-"} (${u.fullName || "-"})`,
+  payments: p => `${p.userId || "-"} ${p.month || ""}`.trim(),
+  rosterSchedules: r => `${r.userKey || "-"} ${r.month || ""} ${r.title || ""}`.trim(),
+  rosterConfigs: (c, key) => key
+};
+
+function findBackupFile(name) {
+  const f = path.basename(String(name || ""));
+  return listBackupFiles().find(x => x.f === f) || null;
+}
+
+// "added": existe no backup e não no DB atual; "removed": existe hoje e some no replace.
+function backupRestoreDiff(current, backup) {
+  const out = {};
+  for (const spec of dbCollectionSpecs()) {
+    const entriesOf = (db) => spec.keyed
+      ? Object.entries(db?.[spec.name] || {})
+      : (Array.isArray(db?.[spec.name]) ? db[spec.name] : []).filter(x => x && typeof x === "object").map(x => [spec.identity(x), x]);
+    const cur = new Map(entriesOf(current));
+    const bak = new Map(entriesOf(backup));
+    const added = [...bak.keys()].filter(k => k && !cur.has(k));
+    const removed = [...cur.keys()].filter(k => k && !bak.has(k));
+    const changed = [...bak.keys()].filter(k => cur.has(k) && JSON.stringify(cur.get(k)) !== JSON.stringify(bak.get(k))).length;
+    const label = RESTORE_DIFF_LABELS[spec.name];
+    out[spec.name] = {
+      current: cur.size,
+      backup: bak.size,
+      added: added.length,
+      removed: removed.length,
+      changed,
+      ...(label ? {
+        addedItems: added.slice(0, 100).map(k => label(bak.get(k), k)),
+        removedItems: removed.slice(0, 100).map(k => label(cur.get(k), k))
+      } : {})
+    };
+  }
+  return out;
+}
+
+function loadBackupForRestore(name) {
+  const b = findBackupFile(name);
+  if (!b) return { status: 404, error: "Backup não encontrado." };
+  let raw = null;
+  try {
+    raw = parseMaybeEncryptedJson(fs.readFileSync(b.p, "utf-8"));
+  } catch (e) {
+    return { status: 422, error: e?.code ? e.message : "Backup ilegível.", code: e?.code };
+  }
+  if (!raw || typeof raw !== "object") return { status: 422, error: "Backup ilegível." };
+  let db = null;
+  try {
+    db = migrateDbSchema(raw, "restore").db;
+  } catch (e) {
+    if (e?.code !== "DB_SCHEMA_DOWNGRADE") throw e;
+    return { status: 409, error: e.message, code: e.code };
+  }
+  return { file: b.f, createdAt: new Date(b.t).toISOString(), reason: backupReasonFromName(b.f), db };
+}
+
+app.get("/api/admin/backup/restore/:file", requireAuth, requireAdmin("backup"), (req, res) => {
+  try {
+    const b = loadBackupForRestore(req.params.file);
+    if (b.error) return res.status(b.status).json({ error: b.error, code: b.code });
+    return res.json({ file: b.file, createdAt: b.createdAt, reason: b.reason, diff: backupRestoreDiff(DB, b.db) });
+  } catch (e) {
+    return res.status(500).json({ error: "Falha ao comparar backup." });
+  }
+});
+
+app.post("/api/admin/backup/restore/:file", requireAuth, requireAdmin("backup"), (req, res) => {
+  try {
+    const mode = String(req.body?.mode || "replace").trim().toLowerCase();
+    if (!["replace", "merge"].includes(mode)) return res.status(400).json({ error: "Modo inválido. Use replace ou merge." });
+
+    const b = loadBackupForRestore(req.params.file);
+    if (b.error) return res.status(b.status).json({ error: b.error, code: b.code });
+    if (dbScore(b.db) === 0) return res.status(422).json({ error: "Backup vazio: restauração bloqueada." });
+
+    const diff = backupRestoreDiff(DB, b.db);
+    // Sem o ponto de desfazer (arquivo ausente ou cópia falhou), nada é alterado.
+    const preRestoreBackup = backupFile(DB_PATH, "pre-restore");
+    if (!preRestoreBackup) {
+      console.error("[BACKUP] Restauração cancelada: não foi possível criar o backup pré-restauração.");
+      return res.status(500).json({ error: "Não foi possível criar o backup de segurança antes da restauração. Nada foi alterado." });
+    }
+
+    if (mode === "merge") {
+      const { db: merged, report } = mergeDbsWithReport(DB, b.db);
+      DB = normalizeDb(merged);
+      saveDb(DB, "restore_merge");
+      audit("backup_restore", "db", `Backup ${b.file} mesclado (pré-restauração: ${preRestoreBackup || "-"})`);
+      return res.json({ ok: true, mode, file: b.file, preRestoreBackup, report });
+    }
+
+    const restored = b.db;
+    const hasSuperAdmin = restored.admins.some(a => a && a.role === "super_admin" && a.isActive && !a.isDeleted);
+    if (!hasSuperAdmin) restored.admins = DB.admins;
+
+    DB = restored;
+    saveDb(DB, "restore_replace");
+    audit("backup_restore", "db", `DB substituído pelo backup ${b.file} de ${b.createdAt} (pré-restauração: ${preRestoreBackup || "-"}; usuários +${diff.users.added} -${diff.users.removed}; pagamentos +${diff.payments.added} -${diff.payments.removed})`);
+    return res.json({ ok: true, mode, file: b.file, preRestoreBackup, adminsKept: !hasSuperAdmin, diff });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Falha ao restaurar backup." });
+  }
+});
+
 
 
 
 
 // ======================================================================
-// BASE INTERNA (CURADA) – APRESENTAÇÕES E DOSAGEM MÁXIMA
-// Observação: esta base existe apenas para melhorar consistência quando o
-// modelo não retornar dados completos. Não é exibida ao usuário.
+// ROTAS – ADMINISTRADORES (somente super_admin)
 // ======================================================================
 
-function getKnownPresentationsMaxDose(medicamentoOriginal) {
-  const med = String(medicamentoOriginal || "").trim().toLowerCase();
-  if (!med) return null;
+function adminSessionsInvalidate(adminId) {
+  try {
+    for (const [t, s] of SESSIONS.entries()) {
+      if (s && s.role === "admin" && s.userId === adminId) SESSIONS.delete(t);
+    }
+  } catch {}
+}
 
-  // Vitamina D (colecalciferol)
-  if (med.includes("vitamina d") || med.includes("colecalciferol") || med.includes("colecalciferol") || med.includes("cholecalciferol")) {
-    return {
-      apresentacoes: {
-        comprimido_simples: "não disponível",
-        comprimido_revestido: "1.000 UI; 2.000 UI; 7.000 UI",
-        capsula: "1.000 UI; 2.000 UI; 5.000 UI; 7.000 UI; 10.000 UI; 50.000 UI",
-        suspensao_oral: "não disponível",
-        gotas: "solução oral em gotas (ex.: 200 UI/gota; frascos 10 mL ou 20 mL)",
-        solucao_oral: "solução oral em gotas (ex.: 200 UI/gota)",
-        solucao_injetavel: "não disponível",
-        endovenosa: "não disponível",
-        intramuscular: "não disponível",
-      },
-      dosagem_maxima_diaria: "4.000 UI/dia (adulto)"
+// Impede que o sistema fique sem nenhum super_admin ativo.
+function isLastActiveSuperAdmin(admin) {
+  if (!admin || admin.role !== "super_admin" || !admin.isActive || admin.isDeleted) return false;
+  return !(DB.admins || []).some(a => a && a.id !== admin.id && a.role === "super_admin" && a.isActive && !a.isDeleted);
+}
+
+app.get("/api/admin/admins", requireAuth, requireAdmin("admins.manage"), (req, res) => {
+  const admins = (DB.admins || [])
+    .filter(a => a && !a.isDeleted)
+    .map(publicAdmin)
+    .sort((a, b) => String(a.login).localeCompare(String(b.login)));
+  const roles = Object.entries(ADMIN_ROLES).map(([id, r]) => ({ id, label: r.label, permissions: r.permissions }));
+  return res.json({ admins, roles });
+});
+
+app.post("/api/admin/admins", requireAuth, requireAdmin("admins.manage"), async (req, res) => {
+  try {
+    const login = String(req.body?.login || "").trim();
+    const fullName = normalizeText(String(req.body?.fullName || ""), 120);
+    const password = String(req.body?.password || "").trim();
+    const role = String(req.body?.role || "").trim();
+
+    if (!login || !password) return res.status(400).json({ error: "Login e senha são obrigatórios." });
+    if (login.length < 3 || login.length > 40 || !/^[A-Za-z0-9._@-]+$/.test(login)) {
+      return res.status(400).json({ error: "Login inválido. Use de 3 a 40 letras, números, ponto, sublinhado, hífen ou @." });
+    }
+    if (!ADMIN_ROLES[role]) return res.status(400).json({ error: "Papel inválido.", roles: Object.keys(ADMIN_ROLES) });
+    const passwordError = passwordPolicyError(password, { login });
+    if (passwordError) return res.status(400).json({ error: passwordError });
+    const hashed = await hashPassword(password);
+    if (findAdminByLogin(login)) return res.status(409).json({ error: "Já existe administrador com este login." });
+
+    const admin = {
+      id: makeId("adm"),
+      login,
+      fullName,
+      role,
+      isActive: true,
+      isDeleted: false,
+      createdAt: nowIso(),
+      createdBy: req.auth.admin.login,
+      lastLoginAt: ""
     };
+    setUserPassword(admin, hashed);
+    DB.admins.push(admin);
+    saveDb(DB, "admin_create");
+    audit("admin_create", admin.id, `Administrador criado: ${login} (${role})`);
+    return res.json({ ok: true, admin: publicAdmin(admin) });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Falha ao criar administrador." });
   }
+});
 
-  // Sulfato ferroso (ferro oral)
-  // Atenção: outras formas de ferro (ex.: sacarato, ferripolimaltose) são medicamentos distintos.
-  if (med.includes("sulfato ferroso") || med.includes("ferro (sulfato ferroso)") || med === "ferro") {
-    return {
-      apresentacoes: {
-        comprimido_simples: "não disponível",
-        comprimido_revestido: "40 mg de ferro elementar/comprimido (padrão SUS)",
-        capsula: "não informado",
-        suspensao_oral: "xarope (ex.: 5 mg/mL de ferro elementar)",
-        gotas: "solução oral em gotas (ex.: 25 mg/mL de ferro elementar; 1 mg/gota)",
-        solucao_oral: "solução oral (ex.: 25 mg/mL de ferro elementar)",
-        solucao_injetavel: "não disponível",
-        endovenosa: "não disponível",
-        intramuscular: "não disponível",
-      },
-      dosagem_maxima_diaria: "200 mg/dia de ferro elementar (adulto)"
-    };
+app.put("/api/admin/admins/:id", requireAuth, requireAdmin("admins.manage"), async (req, res) => {
+  try {
+    const id = String(req.params.id || "");
+    const admin = (DB.admins || []).find(a => a && a.id === id && !a.isDeleted);
+    if (!admin) return res.status(404).json({ error: "Administrador não encontrado." });
+
+    const role = req.body?.role === undefined ? admin.role : String(req.body.role || "").trim();
+    const isActive = req.body?.isActive === undefined ? !!admin.isActive : !!req.body.isActive;
+    const password = String(req.body?.password || "").trim();
+    if (!ADMIN_ROLES[role]) return res.status(400).json({ error: "Papel inválido.", roles: Object.keys(ADMIN_ROLES) });
+    if (password) {
+      const passwordError = passwordPolicyError(password, { login: admin.login });
+      if (passwordError) return res.status(400).json({ error: passwordError });
+    }
+    const hashed = password ? await hashPassword(password) : null;
+    if (admin.isDeleted) return res.status(404).json({ error: "Administrador não encontrado." });
+    if ((role !== "super_admin" || !isActive) && isLastActiveSuperAdmin(admin)) {
+      return res.status(409).json({ error: "É necessário manter pelo menos um super-admin ativo." });
+    }
+
+    const changes = [];
+    if (req.body?.fullName !== undefined) admin.fullName = normalizeText(String(req.body.fullName || ""), 120);
+    if (role !== admin.role) { changes.push(`papel ${admin.role} -> ${role}`); admin.role = role; }
+    if (isActive !== !!admin.isActive) { changes.push(isActive ? "reativado" : "desativado"); admin.isActive = isActive; }
+    if (hashed) { setUserPassword(admin, hashed); changes.push("senha alterada"); }
+    admin.updatedAt = nowIso();
+
+    // Papel, status ou senha alterados: encerra as sessões abertas desse administrador
+    if (changes.length) adminSessionsInvalidate(admin.id);
+
+    saveDb(DB, "admin_update");
+    audit("admin_update", admin.id, `Administrador ${admin.login}: ${changes.join(", ") || "dados atualizados"}`);
+    return res.json({ ok: true, admin: publicAdmin(admin) });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Falha ao atualizar administrador." });
+  }
+});
+
+app.delete("/api/admin/admins/:id", requireAuth, requireAdmin("admins.manage"), (req, res) => {
+  try {
+    const id = String(req.params.id || "");
+    const admin = (DB.admins || []).find(a => a && a.id === id && !a.isDeleted);
+    if (!admin) return res.status(404).json({ error: "Administrador não encontrado." });
+    if (admin.id === req.auth.admin.id) return res.status(409).json({ error: "Não é possível excluir o próprio acesso." });
+    if (isLastActiveSuperAdmin(admin)) return res.status(409).json({ error: "É necessário manter pelo menos um super-admin ativo." });
+
+    admin.isDeleted = true;
+    admin.isActive = false;
+    admin.updatedAt = nowIso();
+    adminSessionsInvalidate(admin.id);
+    saveDb(DB, "admin_delete");
+    audit("admin_delete", admin.id, `Administrador excluído: ${admin.login}`);
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Falha ao excluir administrador." });
   }
+});
+
+
+// ======================================================================
+// FORMULÁRIO CURADO (VERSIONADO) – APRESENTAÇÕES, DOSES E SEGURANÇA
+// - Arquivo JSON/CSV enviado pelo administrador e guardado em DATA_DIR/formulario.
+// - Cada envio válido vira uma nova versão (formulario-v0001.json, ...); a versão
+//   ativa fica em ativo.json e pode ser trocada (rollback).
+// - Sem arquivo, vale a base embutida (FORMULARY_SEED, versão 0).
+// - Monografia e informações de segurança preferem estes dados ao modelo.
+// ======================================================================
+
+const FORMULARY_DIR = path.join(DATA_DIR, "formulario");
+const FORMULARY_ACTIVE_PATH = path.join(FORMULARY_DIR, "ativo.json");
+const FORMULARY_MAX_ITEMS = 5000;
+
+const FORMULARY_PRESENTATION_KEYS = [
+  "comprimido_simples",
+  "comprimido_revestido",
+  "capsula",
+  "suspensao_oral",
+  "gotas",
+  "solucao_oral",
+  "solucao_injetavel",
+  "endovenosa",
+  "intramuscular"
+];
+
+const FORMULARY_PEDIATRIC_NUMBERS = [
+  "dose_mgkg",
+  "intervalo_horas",
+  "dose_max_mg_dose",
+  "dose_max_mg_dia",
+  "dose_max_mgkg_dia",
+  "idade_minima_meses"
+];
+
+let FORMULARY = null; // { versao, criadoEm, itens, index }
+
+function ensureFormularyDir() {
+  try { fs.mkdirSync(FORMULARY_DIR, { recursive: true }); } catch {}
+}
+
+function formularyVersionPath(versao) {
+  return path.join(FORMULARY_DIR, `formulario-v${String(versao).padStart(4, "0")}.json`);
+}
 
+function listFormularyVersions() {
+  ensureFormularyDir();
+  try {
+    return fs.readdirSync(FORMULARY_DIR)
+      .map(f => f.match(/^formulario-v(\d+)\.json$/))
+      .filter(Boolean)
+      .map(m => parseInt(m[1], 10))
+      .sort((a, b) => a - b);
+  } catch {
+    return [];
+  }
+}
+
+function readFormularyVersion(versao) {
+  if (Number(versao) === 0) {
+    return { versao: 0, criadoEm: "", criadoPor: "sistema", origem: "embutido", itens: validateFormularyItems(FORMULARY_SEED).itens };
+  }
+  try {
+    const raw = fs.readFileSync(formularyVersionPath(versao), "utf-8");
+    const data = JSON.parse(raw);
+    if (!data || !Array.isArray(data.itens)) return null;
+    return data;
+  } catch {
+    return null;
+  }
+}
+
+// Índice por chave normalizada (nome + sinônimos), do nome mais longo para o mais curto.
+function buildFormularyIndex(itens) {
+  const names = [];
+  for (const it of itens) {
+    names.push([it.chave, it]);
+    for (const s of (it.sinonimos || [])) {
+      const k = normalizeDrugKey(s);
+      if (k) names.push([k, it]);
+    }
+  }
+  return names.sort((a, b) => b[0].length - a[0].length);
+}
+
+function loadActiveFormulary() {
+  let versao = 0;
+  try {
+    const active = JSON.parse(fs.readFileSync(FORMULARY_ACTIVE_PATH, "utf-8"));
+    versao = parseInt(String(active?.versao ?? "0"), 10) || 0;
+  } catch {}
+
+  let data = readFormularyVersion(versao);
+  if (!data) {
+    console.error(`[FORMULARIO] versão ativa ${versao} ilegível; usando base embutida.`);
+    data = readFormularyVersion(0);
+  }
+  return { versao: data.versao, criadoEm: data.criadoEm || "", itens: data.itens, index: buildFormularyIndex(data.itens) };
+}
+
+function getFormulary() {
+  if (!FORMULARY) FORMULARY = loadActiveFormulary();
+  return FORMULARY;
+}
+
+// Procura o medicamento no formulário ativo: somente nome ou sinônimo exato.
+// Nada de correspondência parcial: "sacarato de ferro" ou "paracetamol e codeína"
+// não podem herdar apresentações e doses de outro medicamento.
+function findFormularyEntry(medicamento) {
+  const k = normalizeDrugKey(medicamento);
+  if (!k) return null;
+  const { index } = getFormulary();
+  const exact = index.find(([name]) => name === k);
+  return exact ? exact[1] : null;
+}
+
+function formularyNumber(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(String(v).replace(",", "."));
+  return Number.isFinite(n) ? n : NaN;
+}
+
+// Valida e normaliza os itens do formulário. Nunca lança; devolve erros por item.
+function validateFormularyItems(rawItems) {
+  const erros = [];
+  const avisos = [];
+  const itens = [];
+  const seen = new Map();
+
+  const list = Array.isArray(rawItems) ? rawItems : [];
+  if (!list.length) erros.push({ item: null, campo: "", mensagem: "Formulário sem itens." });
+  if (list.length > FORMULARY_MAX_ITEMS) erros.push({ item: null, campo: "", mensagem: `Formulário com mais de ${FORMULARY_MAX_ITEMS} itens.` });
+
+  list.slice(0, FORMULARY_MAX_ITEMS).forEach((raw, i) => {
+    const r = (raw && typeof raw === "object") ? raw : {};
+    const err = (campo, mensagem) => erros.push({ item: i + 1, medicamento: String(r.medicamento || ""), campo, mensagem });
+
+    const medicamento = normalizeText(String(r.medicamento || ""), 140);
+    const chave = normalizeDrugKey(medicamento);
+    if (!chave) return err("medicamento", "Nome do medicamento é obrigatório.");
+
+    const sinonimos = normalizeArrayOfStrings(Array.isArray(r.sinonimos) ? r.sinonimos : String(r.sinonimos || "").split("|"), 30, 140);
+
+    const apresentacoes = {};
+    const ap = (r.apresentacoes && typeof r.apresentacoes === "object") ? r.apresentacoes : {};
+    for (const k of FORMULARY_PRESENTATION_KEYS) apresentacoes[k] = normalizeText(String(ap[k] ?? ""), 600);
+    for (const k of Object.keys(ap)) {
+      if (!FORMULARY_PRESENTATION_KEYS.includes(k)) avisos.push({ item: i + 1, medicamento, campo: `apresentacoes.${k}`, mensagem: "Campo desconhecido ignorado." });
+    }
+
+    const gravidez = normalizeText(String(r.gravidez_categoria || ""), 2).toUpperCase();
+    if (gravidez && !["A", "B", "C", "D", "X"].includes(gravidez)) err("gravidez_categoria", "Use A, B, C, D ou X.");
+
+    const concentracoes = [];
+    for (const c of (Array.isArray(r.concentracoes) ? r.concentracoes : [])) {
+      const mgPorMl = formularyNumber(c?.mg_por_ml);
+      const gotasPorMl = formularyNumber(c?.gotas_por_ml);
+      const descricao = normalizeText(String(c?.descricao || ""), 160);
+      if (!descricao) { err("concentracoes", "Concentração sem descrição."); continue; }
+      if (!(mgPorMl > 0)) { err("concentracoes", `Concentração "${descricao}" sem mg_por_ml válido.`); continue; }
+      if (Number.isNaN(gotasPorMl) || (gotasPorMl !== null && gotasPorMl <= 0)) { err("concentracoes", `Concentração "${descricao}" com gotas_por_ml inválido.`); continue; }
+      concentracoes.push({ descricao, forma: normalizeText(String(c?.forma || ""), 40), mg_por_ml: mgPorMl, gotas_por_ml: gotasPorMl });
+    }
+
+    let pediatria = null;
+    if (r.pediatria && typeof r.pediatria === "object") {
+      pediatria = { observacoes: normalizeText(String(r.pediatria.observacoes || ""), 600) };
+      for (const k of FORMULARY_PEDIATRIC_NUMBERS) {
+        const n = formularyNumber(r.pediatria[k]);
+        if (Number.isNaN(n) || (n !== null && n < 0)) err(`pediatria.${k}`, "Valor numérico inválido.");
+        pediatria[k] = Number.isNaN(n) ? null : n;
+      }
+      if (pediatria.dose_mgkg !== null && !(pediatria.dose_max_mg_dose || pediatria.dose_max_mg_dia || pediatria.dose_max_mgkg_dia)) {
+        avisos.push({ item: i + 1, medicamento, campo: "pediatria", mensagem: "Dose mg/kg sem dose máxima; o cálculo pediátrico será recusado." });
+      }
+    }
+
+    for (const name of [chave, ...sinonimos.map(normalizeDrugKey)]) {
+      if (!name) continue;
+      const prev = seen.get(name);
+      if (prev !== undefined && prev !== i) err("sinonimos", `Nome "${name}" repetido (item ${prev + 1}).`);
+      seen.set(name, i);
+    }
+
+    const tipoReceituario = normalizeText(String(r.tipo_receituario || ""), 220);
+    const controle = classifyReceituario(medicamento);
+    const aceitos = controle.possibilidades ? controle.possibilidades.map(p => p.regra.receituario) : [controle.tipo_receituario];
+    if (controle.classificado && tipoReceituario && !aceitos.includes(tipoReceituario)) {
+      avisos.push({ item: i + 1, medicamento, campo: "tipo_receituario", mensagem: `Lista ${controle.lista} da Portaria 344/98 prevalece: "${controle.tipo_receituario}".` });
+    }
+
+    itens.push({
+      medicamento,
+      chave,
+      sinonimos,
+      apresentacoes,
+      concentracoes,
+      dose_maxima_diaria: normalizeText(String(r.dose_maxima_diaria || ""), 220),
+      gravidez_categoria: gravidez,
+      lactacao_risco: normalizeText(String(r.lactacao_risco || ""), 220),
+      tipo_receituario: tipoReceituario,
+      pediatria,
+      fontes: normalizeArrayOfStrings(Array.isArray(r.fontes) ? r.fontes : String(r.fontes || "").split("|"), 10, 300)
+    });
+  });
+
+  return { ok: erros.length === 0, erros: erros.slice(0, 200), avisos: avisos.slice(0, 200), itens };
+}
+
+// CSV simples (RFC 4180: aspas duplas, separador ";" ou ",").
+// Colunas: medicamento, sinonimos (separados por |), dose_maxima_diaria, gravidez_categoria,
+// lactacao_risco, tipo_receituario, fontes, apresentacao_<chave>, ped_<campo> e
+// concentracoes ("descricao=mg_por_ml[:gotas_por_ml]" separadas por |).
+function parseFormularyCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const firstLine = src.split(/\r?\n/, 1)[0] || "";
+  const sep = (firstLine.split(";").length > firstLine.split(",").length) ? ";" : ",";
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === sep) { row.push(cell); cell = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else cell += ch;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+
+  const nonEmpty = rows.filter(r => r.some(c => String(c).trim()));
+  if (!nonEmpty.length) return [];
+  const header = nonEmpty[0].map(h => normalizeDrugKey(h).replace(/ /g, "_"));
+
+  return nonEmpty.slice(1).map(cells => {
+    const get = (k) => {
+      const idx = header.indexOf(k);
+      return idx === -1 ? "" : String(cells[idx] ?? "").trim();
+    };
+    const item = {
+      medicamento: get("medicamento"),
+      sinonimos: get("sinonimos"),
+      dose_maxima_diaria: get("dose_maxima_diaria"),
+      gravidez_categoria: get("gravidez_categoria"),
+      lactacao_risco: get("lactacao_risco"),
+      tipo_receituario: get("tipo_receituario"),
+      fontes: get("fontes"),
+      apresentacoes: {},
+      concentracoes: []
+    };
+    for (const k of FORMULARY_PRESENTATION_KEYS) item.apresentacoes[k] = get(`apresentacao_${k}`);
+
+    const conc = get("concentracoes");
+    for (const part of conc ? conc.split("|") : []) {
+      const m = part.match(/^(.*)=\s*([\d.,]+)\s*(?::\s*([\d.,]+))?\s*$/);
+      item.concentracoes.push(m ? { descricao: m[1].trim(), mg_por_ml: m[2], gotas_por_ml: m[3] || null } : { descricao: part.trim(), mg_por_ml: null });
+    }
+
+    const ped = {};
+    let hasPed = false;
+    for (const k of [...FORMULARY_PEDIATRIC_NUMBERS, "observacoes"]) {
+      ped[k] = get(`ped_${k}`);
+      if (ped[k]) hasPed = true;
+    }
+    if (hasPed) item.pediatria = ped;
+    return item;
+  });
+}
+
+function parseFormularyUpload(body) {
+  const b = body || {};
+  const formato = String(b.formato || (Array.isArray(b.itens) ? "json" : "")).toLowerCase();
+  if (formato === "csv") return parseFormularyCsv(b.conteudo);
+  if (Array.isArray(b.itens)) return b.itens;
+  if (typeof b.conteudo === "string") {
+    try {
+      const parsed = JSON.parse(b.conteudo);
+      return Array.isArray(parsed) ? parsed : (Array.isArray(parsed?.itens) ? parsed.itens : null);
+    } catch {
+      return null;
+    }
+  }
   return null;
 }
 
+function diffFormularies(fromItens, toItens) {
+  const a = new Map((fromItens || []).map(it => [it.chave, it]));
+  const b = new Map((toItens || []).map(it => [it.chave, it]));
+  const adicionados = [];
+  const removidos = [];
+  const alterados = [];
+
+  const flatten = (obj, prefix, out) => {
+    for (const [k, v] of Object.entries(obj || {})) {
+      const p = prefix ? `${prefix}.${k}` : k;
+      if (v && typeof v === "object" && !Array.isArray(v)) flatten(v, p, out);
+      else out[p] = JSON.stringify(v ?? null);
+    }
+    return out;
+  };
+
+  for (const [k, it] of b) {
+    if (!a.has(k)) { adicionados.push(it.medicamento); continue; }
+    const fa = flatten(a.get(k), "", {});
+    const fb = flatten(it, "", {});
+    const campos = Array.from(new Set([...Object.keys(fa), ...Object.keys(fb)])).filter(p => fa[p] !== fb[p]).sort();
+    if (campos.length) alterados.push({ medicamento: it.medicamento, campos });
+  }
+  for (const [k, it] of a) if (!b.has(k)) removidos.push(it.medicamento);
+
+  return { adicionados, removidos, alterados };
+}
+
+// Mantém a assinatura antiga: apresentações + dose máxima diária do formulário ativo.
+function getKnownPresentationsMaxDose(medicamentoOriginal) {
+  const entry = findFormularyEntry(medicamentoOriginal);
+  if (!entry) return null;
+  const hasPresentation = FORMULARY_PRESENTATION_KEYS.some(k => entry.apresentacoes[k]);
+  if (!hasPresentation && !entry.dose_maxima_diaria) return null;
+  return {
+    apresentacoes: { ...entry.apresentacoes },
+    dosagem_maxima_diaria: entry.dose_maxima_diaria
+  };
+}
+
+app.get("/api/admin/formulario", requireAuth, requireAdmin("formulary"), (req, res) => {
+  try {
+    const ativo = getFormulary();
+    const versoes = [0, ...listFormularyVersions()].map(v => {
+      const data = readFormularyVersion(v);
+      return {
+        versao: v,
+        criadoEm: data?.criadoEm || "",
+        criadoPor: data?.criadoPor || "",
+        origem: data?.origem || "",
+        itens: Array.isArray(data?.itens) ? data.itens.length : 0
+      };
+    });
+    const withItems = String(req.query?.itens || "") === "1";
+    return res.json({ versaoAtiva: ativo.versao, versoes, ...(withItems ? { itens: ativo.itens } : {}) });
+  } catch (e) {
+    return res.status(500).json({ error: "Falha ao carregar formulário." });
+  }
+});
+
+app.post("/api/admin/formulario/validar", requireAuth, requireAdmin("formulary"), (req, res) => {
+  try {
+    const raw = parseFormularyUpload(req.body);
+    if (!raw) return res.status(400).json({ error: "Conteúdo inválido. Envie { formato: \"json\"|\"csv\", conteudo } ou { itens: [...] }." });
+    const result = validateFormularyItems(raw);
+    return res.json({
+      ok: result.ok,
+      erros: result.erros,
+      avisos: result.avisos,
+      itens: result.itens.length,
+      diff: diffFormularies(getFormulary().itens, result.itens)
+    });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Falha ao validar formulário." });
+  }
+});
+
+app.post("/api/admin/formulario", requireAuth, requireAdmin("formulary"), (req, res) => {
+  try {
+    const raw = parseFormularyUpload(req.body);
+    if (!raw) return res.status(400).json({ error: "Conteúdo inválido. Envie { formato: \"json\"|\"csv\", conteudo } ou { itens: [...] }." });
+    const result = validateFormularyItems(raw);
+    if (!result.ok) return res.status(400).json({ error: "Formulário inválido.", erros: result.erros, avisos: result.avisos });
+
+    const anterior = getFormulary();
+    const versao = Math.max(0, ...listFormularyVersions()) + 1;
+    const data = {
+      versao,
+      criadoEm: nowIso(),
+      criadoPor: req.auth?.user?.login || "admin",
+      origem: String(req.body?.formato || "json").toLowerCase() === "csv" ? "upload-csv" : "upload-json",
+      itens: result.itens
+    };
+
+    ensureFormularyDir();
+    safeWriteFileAtomic(formularyVersionPath(versao), JSON.stringify(data, null, 2));
+    safeWriteFileAtomic(FORMULARY_ACTIVE_PATH, JSON.stringify({ versao, ativadoEm: nowIso() }, null, 2));
+    FORMULARY = null;
+
+    const diff = diffFormularies(anterior.itens, result.itens);
+    audit("formulary_upload", "formulario", `Versão ${versao} ativada (${result.itens.length} itens; +${diff.adicionados.length} -${diff.removidos.length} ~${diff.alterados.length})`);
+    return res.json({ ok: true, versao, avisos: result.avisos, diff });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Falha ao salvar formulário." });
+  }
+});
+
+app.post("/api/admin/formulario/ativar", requireAuth, requireAdmin("formulary"), (req, res) => {
+  try {
+    const versao = parseInt(String(req.body?.versao ?? ""), 10);
+    if (!Number.isFinite(versao) || versao < 0) return res.status(400).json({ error: "Versão inválida." });
+    if (versao > 0 && !readFormularyVersion(versao)) return res.status(404).json({ error: "Versão não encontrada." });
+
+    ensureFormularyDir();
+    safeWriteFileAtomic(FORMULARY_ACTIVE_PATH, JSON.stringify({ versao, ativadoEm: nowIso() }, null, 2));
+    FORMULARY = null;
+    audit("formulary_activate", "formulario", `Versão ${versao} ativada`);
+    return res.json({ ok: true, versao });
+  } catch (e) {
+    return res.status(500).json({ error: "Falha ao ativar versão do formulário." });
+  }
+});
+
+app.get("/api/admin/formulario/diff", requireAuth, requireAdmin("formulary"), (req, res) => {
+  try {
+    const de = parseInt(String(req.query?.de ?? ""), 10);
+    const para = (req.query?.para === undefined || req.query?.para === "") ? getFormulary().versao : parseInt(String(req.query.para), 10);
+    if (!Number.isFinite(de) || !Number.isFinite(para)) return res.status(400).json({ error: "Informe as versões (de, para)." });
+
+    const a = readFormularyVersion(de);
+    const b = readFormularyVersion(para);
+    if (!a || !b) return res.status(404).json({ error: "Versão não encontrada." });
+    return res.json({ de, para, diff: diffFormularies(a.itens, b.itens) });
+  } catch (e) {
+    return res.status(500).json({ error: "Falha ao comparar versões do formulário." });
+  }
+});
+
 
 // ======================================================================
 // ROTA 1 – GERAR SOAP E PRESCRIÇÃO A PARTIR DA TRANSCRIÇÃO (EXISTENTE)
@@ -2527,12 +6405,20 @@ app.post("/api/gerar-soap", requirePaidOrAdmin, async(req, res) => {
   try {
     const { transcricao } = req.body || {};
 
-    if ((!transcricao || !String(transcricao).trim()) && (!imagens || !imagens.length)) {
+    if (!transcricao || !String(transcricao).trim()) {
       return res.status(400).json({ error: "O campo 'transcricao' é obrigatório." });
     }
 
     const safeTranscricao = normalizeText(transcricao, 25000);
 
+    // Consulta de retorno: inclui as últimas evoluções do paciente (se informado).
+    const patient = resolvePatientFromReq(req);
+    const historicoN = clampNumber(parseInt(String(req.body?.historico_n ?? "3"), 10), 0, 10);
+    const historico = (patient && historicoN > 0)
+      ? buildPatientHistoryBlock(patient, historicoN, normalizeText(String(req.body?.atendimento_id || ""), 50))
+      : { texto: "", usados: [] };
+    const temHistorico = historico.usados.length > 0;
+
     const prompt = `
 Você é um enfermeiro humano escrevendo documentação clínica a partir da transcrição integral de um atendimento (português do Brasil).
 Seu usuário é sempre um enfermeiro (enfermagem na APS ou pronto atendimento).
@@ -2553,7 +6439,8 @@ Formato de saída: JSON estrito, sem texto fora do JSON, com as chaves:
 {
   "soap": "S: ...\nO: ...\nA: ...\nP: ...",
   "evolucao_enfermagem": "Evolução de enfermagem em texto corrido",
-  "prescricao": "Plano de cuidados em texto corrido ou itens numerados"
+  "prescricao": "Plano de cuidados em texto corrido ou itens numerados"${temHistorico ? `,
+  "mudancas_desde_ultima_consulta": "Comparação objetiva com a consulta anterior"` : ""}
 }
 
 Conteúdo mínimo esperado:
@@ -2576,18 +6463,38 @@ PLANO DE CUIDADOS (prescrição de enfermagem):
 - Educação em saúde (orientações e checagem de compreensão).
 - Retorno/reavaliação (quando e com quais critérios).
 - Critérios objetivos para escalar ao médico.
-
+${temHistorico ? `
+MUDANÇAS DESDE A ÚLTIMA CONSULTA (consulta de retorno):
+- O histórico abaixo vem de consultas anteriores registradas no sistema. Use-o apenas como comparação; os dados atuais vêm somente da transcrição.
+- Compare com a consulta mais recente: queixas, sinais vitais (PA, glicemia, peso/IMC quando citados), adesão ao tratamento e às orientações, medicações em uso, intercorrências e metas.
+- Em hipertensão e diabetes, destaque controle pressórico/glicêmico, sinais de lesão de órgão-alvo, pé diabético e hipoglicemias quando citados.
+- Se um dado não foi citado hoje, escreva "não reavaliado nesta consulta" em vez de repetir o valor antigo.
+- No SOAP, registre brevemente a evolução em relação à consulta anterior.
+
+Histórico do paciente (da consulta mais recente para a mais antiga):
+"""${historico.texto}"""
+` : ""}
 Transcrição:
 """${safeTranscricao}"""
 `;
 
-    const data = await callOpenAIJson(prompt);
+    const data = await callLlmJson(prompt);
 
     const soap = typeof data?.soap === "string" ? data.soap.trim() : "";
     const evolucao_enfermagem = typeof data?.evolucao_enfermagem === "string" ? data.evolucao_enfermagem.trim() : "";
     const prescricao = typeof data?.prescricao === "string" ? data.prescricao.trim() : "";
+    const mudancas_desde_ultima_consulta = (temHistorico && typeof data?.mudancas_desde_ultima_consulta === "string")
+      ? data.mudancas_desde_ultima_consulta.trim()
+      : "";
+
+    const out = { soap, evolucao_enfermagem, prescricao };
+    if (temHistorico) {
+      out.mudancas_desde_ultima_consulta = mudancas_desde_ultima_consulta;
+      out.historico_utilizado = historico.usados;
+    }
 
-    return res.json({ soap, evolucao_enfermagem, prescricao });
+    const vinculo = attachGeneratedOutput(req, "soap", temHistorico ? { soap, evolucao_enfermagem, prescricao, mudancas_desde_ultima_consulta } : { soap, evolucao_enfermagem, prescricao });
+    return res.json({ ...out, ...vinculo });
   } catch (e) {
     console.error(e);
     return res.status(500).json({ error: "Falha interna ao gerar evolução/plano de cuidados." });
@@ -2606,6 +6513,8 @@ app.post("/api/gerar-triagem-hospitalar", requirePaidOrAdmin, async(req, res) =>
     const t = normalizeText(transcricao || "", 12000);
     if (!t || t.length < 30) {
       return res.json({
+        sinais_vitais: null,
+        escore_alerta: null,
         nivel_risco: "não informado",
         tempo_maximo: "",
         justificativa_risco: "",
@@ -2621,6 +6530,10 @@ app.post("/api/gerar-triagem-hospitalar", requirePaidOrAdmin, async(req, res) =>
       });
     }
 
+    // Extração por padrões e escore rodam mesmo sem modelo configurado
+    const vitais = await vitalSignsAndScoreFromTranscript(req, t);
+    const escoreTexto = formatEarlyWarningScore(vitais.escore_alerta);
+
     const prompt = `
 Você é um enfermeiro preceptor especializado em triagem hospitalar (porta de urgência/emergência).
 Tarefa: a partir da transcrição de uma triagem gravada, gere um relatório técnico completo e acionável para uso imediato.
@@ -2632,6 +6545,9 @@ Regras:
 - Classifique risco por cores (Vermelho, Laranja, Amarelo, Verde, Azul) e indique tempo máximo de atendimento.
 - Foque em segurança: identificar red flags, ABCDE, dor, sangramento, dispneia, rebaixamento de consciência, sinais de sepse, choque, AVC, SCA, anafilaxia, trauma, gestação, pediatria, intoxicação quando pertinente.
 
+${escoreTexto ? `Escore de alerta precoce calculado pelo sistema (não recalcule; cite-o na justificativa e nas condutas):
+${escoreTexto}
+` : ""}
 Formato de saída: JSON estrito, exatamente com as chaves abaixo:
 {
   "nivel_risco": "Vermelho|Laranja|Amarelo|Verde|Azul|não informado",
@@ -2652,12 +6568,13 @@ Transcrição:
 """${t}"""
 `;
 
-    if (!process.env.OPENAI_API_KEY) {
+    if (!llmAvailable()) {
       return res.json({
+        ...vitais,
         nivel_risco: "não informado",
         tempo_maximo: "",
-        justificativa_risco: "",
-        alertas_red_flags: "Sem chave OPENAI_API_KEY configurada no servidor.",
+        justificativa_risco: escoreTexto,
+        alertas_red_flags: llmMissingMessage(),
         condutas_nao_medicamentosas: "",
         condutas_medicamentosas: "",
         medidas_exames_imediatos: "",
@@ -2669,9 +6586,10 @@ Transcrição:
       });
     }
 
-    const data = await callOpenAIJson(prompt);
+    const data = await callLlmJson(prompt);
 
     const out = {
+      ...vitais,
       nivel_risco: normalizeText(data?.nivel_risco || "não informado", 40) || "não informado",
       tempo_maximo: normalizeText(data?.tempo_maximo || "", 120),
       justificativa_risco: normalizeText(data?.justificativa_risco || "", 1200),
@@ -2686,6 +6604,8 @@ Transcrição:
       relatorio_completo: normalizeText(data?.relatorio_completo || "", 6000)
     };
 
+    Object.assign(out, attachGeneratedOutput(req, "triagem_hospitalar", out));
+
     return res.json(out);
   } catch (e) {
     console.error(e);
@@ -2740,7 +6660,7 @@ Transcrição:
 """${t}"""
 `;
 
-    const data = await callOpenAIJson(prompt);
+    const data = await callLlmJson(prompt);
     const passagem = typeof data?.passagem_plantao === "string" ? data.passagem_plantao.trim() : "";
 
     return res.json({ passagem_plantao: passagem });
@@ -2785,7 +6705,7 @@ app.post("/api/perguntas-essenciais-passagem-plantao", requirePaidOrAdmin, async
     const passagem = normalizeText(req.body?.passagem_plantao, 12000);
     if (!passagem) return res.json({ perguntas: [] });
 
-    if (!process.env.OPENAI_API_KEY) {
+    if (!llmAvailable()) {
       return res.json({ perguntas: gerarPerguntasEssenciaisPassagemFallback(passagem) });
     }
 
@@ -2808,7 +6728,7 @@ Passagem de plantão atual:
 """${passagem}"""
 `;
 
-    const data = await callOpenAIJson(prompt);
+    const data = await callLlmJson(prompt);
     const perguntas = normalizeArrayOfStrings(data?.perguntas, 8, 220);
     return res.json({ perguntas });
   } catch (e) {
@@ -2830,9 +6750,9 @@ app.post("/api/atualizar-passagem-plantao", requirePaidOrAdmin, async (req, res)
 
     if (!passagemAtual) return res.json({ passagem_plantao: "" });
 
-    if (!process.env.OPENAI_API_KEY) {
+    if (!llmAvailable()) {
       // Sem chave, devolve a passagem atual com um rodapé curto.
-      const msg = "Sem chave OPENAI_API_KEY configurada no servidor.";
+      const msg = llmMissingMessage();
       const extra = complementos ? ("\n\nComplementos registrados:\n" + complementos) : "";
       return res.json({ passagem_plantao: (passagemAtual + extra + "\n\nObservação: " + msg).trim() });
     }
@@ -2861,7 +6781,7 @@ Transcrição base (se ajudar a contextualizar, pode usar, mas não é obrigató
 """${transcricaoBase || ""}"""
 `;
 
-    const data = await callOpenAIJson(prompt);
+    const data = await callLlmJson(prompt);
     const passagem = typeof data?.passagem_plantao === "string" ? data.passagem_plantao.trim() : "";
     return res.json({ passagem_plantao: passagem || passagemAtual });
   } catch (e) {
@@ -2909,7 +6829,7 @@ SOAP:
 """${safeSoap}"""
 `;
 
-    const data = await callOpenAIJson(prompt);
+    const data = await callLlmJson(prompt);
     const rawItems = Array.isArray(data?.itens) ? data.itens : [];
     const itens = [];
     const secOk = new Set(["S", "O", "A", "P", "G"]);
@@ -3003,11 +6923,12 @@ Falas adicionais (perguntas, respostas e informações espontâneas):
 """${qaText}"""
 `;
 
-    const data = await callOpenAIJson(prompt);
+    const data = await callLlmJson(prompt);
     const soap = typeof data?.soap === "string" ? data.soap.trim() : safeSoap;
     const evolucao_enfermagem = typeof data?.evolucao_enfermagem === "string" ? data.evolucao_enfermagem.trim() : "";
     const prescricao = typeof data?.prescricao === "string" ? data.prescricao.trim() : "";
-    return res.json({ soap, evolucao_enfermagem, prescricao });
+    const vinculo = attachGeneratedOutput(req, "soap", { soap, evolucao_enfermagem, prescricao });
+    return res.json({ soap, evolucao_enfermagem, prescricao, ...vinculo });
   } catch (e) {
     console.error(e);
     return res.status(500).json({ error: "Falha interna ao atualizar evolução." });
@@ -3021,7 +6942,7 @@ Falas adicionais (perguntas, respostas e informações espontâneas):
 // ROTA 3 – GERAR PASSAGEM DE PLANTÃO (SBAR) A PARTIR DA TRANSCRIÇÃO (NOVO)
 // ======================================================================
 
-async function generateSbarTextFromTranscript(transcricao) {
+async function generateSbarTextFromTranscript(transcricao, escoreTexto) {
   const safeTranscricao = normalizeText(transcricao || "", 25000);
   if (!safeTranscricao || safeTranscricao.length < 30) return "";
 
@@ -3051,12 +6972,15 @@ Saída:
 
 Formato de saída: JSON estrito:
 { "sbar": "Identificação: ...\nSituação: ...\nBackground: ...\nAvaliação: ...\nRecomendação: ...\nItens críticos não informados: ..." }
-
+${escoreTexto ? `
+Escore de alerta precoce calculado pelo sistema (não recalcule; inclua em Avaliação e use a recomendação de escalonamento em Recomendação):
+${escoreTexto}
+` : ""}
 Transcrição:
 """${safeTranscricao}"""
 `;
 
-  const data = await callOpenAIJson(prompt);
+  const data = await callLlmJson(prompt);
   const sbar = typeof data?.sbar === "string" ? data.sbar.trim() : "";
   return sbar;
 }
@@ -3070,12 +6994,14 @@ app.post("/api/gerar-sbar", requirePaidOrAdmin, async (req, res) => {
       return res.json({ sbar: "" });
     }
 
-    if (!process.env.OPENAI_API_KEY) {
-      return res.json({ sbar: "Identificação: não informado\nSituação: não informado\nBackground: não informado\nAvaliação: não informado\nRecomendação: não informado\nItens críticos não informados: Sem chave OPENAI_API_KEY configurada no servidor." });
+    if (!llmAvailable()) {
+      return res.json({ sbar: "Identificação: não informado\nSituação: não informado\nBackground: não informado\nAvaliação: não informado\nRecomendação: não informado\nItens críticos não informados: " + llmMissingMessage() });
     }
 
-    const sbar = await generateSbarTextFromTranscript(t);
-    return res.json({ sbar });
+    const vitais = await vitalSignsAndScoreFromTranscript(req, t);
+    const sbar = await generateSbarTextFromTranscript(t, formatEarlyWarningScore(vitais.escore_alerta));
+    const vinculo = attachGeneratedOutput(req, "sbar", { sbar, sinais_vitais: vitais.sinais_vitais, escore_alerta: vitais.escore_alerta });
+    return res.json({ sbar, ...vitais, ...vinculo });
   } catch (e) {
     console.error(e);
     return res.status(500).json({ error: "Falha interna ao gerar SBAR." });
@@ -3092,8 +7018,8 @@ app.post("/api/prescricao-hospitalar", requirePaidOrAdmin, async (req, res) => {
       return res.json({ prescricao_hospitalar: "" });
     }
 
-    if (!process.env.OPENAI_API_KEY) {
-      return res.json({ prescricao_hospitalar: "Identificação: não informado\nSituação: não informado\nBackground: não informado\nAvaliação: não informado\nRecomendação: não informado\nItens críticos não informados: Sem chave OPENAI_API_KEY configurada no servidor." });
+    if (!llmAvailable()) {
+      return res.json({ prescricao_hospitalar: "Identificação: não informado\nSituação: não informado\nBackground: não informado\nAvaliação: não informado\nRecomendação: não informado\nItens críticos não informados: " + llmMissingMessage() });
     }
 
     const sbar = await generateSbarTextFromTranscript(t);
@@ -3122,8 +7048,8 @@ app.post("/api/classificar-gestacao-lactacao", requirePaidOrAdmin, async(req, re
 
     // Mantém comportamento previsível mesmo se o backend estiver sem chave.
     // (Evita 500 e permite o usuário entender o motivo.)
-    if (!process.env.OPENAI_API_KEY) {
-      const msg = "Sem chave OPENAI_API_KEY configurada no servidor.";
+    if (!llmAvailable()) {
+      const msg = llmMissingMessage();
       return res.json({
         sae: "Coleta de dados: não informado\n\nDiagnósticos de enfermagem sugeridos: não informado\n\nResultados esperados: não informado\n\nIntervenções: não informado\n\nObservação: " + msg,
         orientacoes: "Orientações ao paciente: não informado\n\nSinais de alerta: não informado\n\nRetorno: não informado\n\nObservação: " + msg
@@ -3150,15 +7076,16 @@ Contexto:
 """${safeContexto}"""
 `;
 
-    const data = await callOpenAIJson(prompt);
+    const data = await callLlmJson(prompt);
     const sae = typeof data?.sae === "string" ? data.sae.trim() : "";
     const orientacoes = typeof data?.orientacoes === "string" ? data.orientacoes.trim() : "";
-    return res.json({ sae, orientacoes });
+    const vinculo = attachGeneratedOutput(req, "sae_orientacoes", { sae, orientacoes });
+    return res.json({ sae, orientacoes, ...vinculo });
   } catch (e) {
     console.error(e);
     // Erro de configuração: retorna 200 com aviso (mais útil para o usuário do que 500 genérico)
-    if (String(e?.code || "") === "OPENAI_API_KEY_MISSING" || String(e?.message || "") === "OPENAI_API_KEY_MISSING") {
-      const msg = "Sem chave OPENAI_API_KEY configurada no servidor.";
+    if (e?.code === "LLM_NOT_CONFIGURED") {
+      const msg = e.message;
       return res.json({
         sae: "Coleta de dados: não informado\n\nDiagnósticos de enfermagem sugeridos: não informado\n\nResultados esperados: não informado\n\nIntervenções: não informado\n\nObservação: " + msg,
         orientacoes: "Orientações ao paciente: não informado\n\nSinais de alerta: não informado\n\nRetorno: não informado\n\nObservação: " + msg
@@ -3180,14 +7107,40 @@ Contexto:
 // ROTA 4.15 – INTERAÇÕES MEDICAMENTOSAS ENTRE MEDICAMENTOS PRESCRITOS (NOVA)
 // ======================================================================
 
+// A checagem de interações é determinística (tabela curada local) e vem antes do texto do modelo.
+// Aceita "medicamentos" (lista) e/ou "contexto" (texto livre, de onde os fármacos são reconhecidos).
 app.post("/api/interacoes-medicamentosas", requirePaidOrAdmin, async(req, res) => {
   try {
     const { contexto } = req.body || {};
-    if (!contexto || !String(contexto).trim()) {
-      return res.json({ registro: "" });
+    const lista = normalizeArrayOfStrings(req.body?.medicamentos, 40, 160);
+    if ((!contexto || !String(contexto).trim()) && !lista.length) {
+      return res.json({ interacoes: [], medicamentos_identificados: [], nao_reconhecidos: [], registro: "" });
     }
 
-    const safeContexto = normalizeText(contexto, 25000);
+    const safeContexto = normalizeText(contexto || "", 25000);
+
+    const identificados = [];
+    const nao_reconhecidos = [];
+    for (const item of lista) {
+      const found = identifyDrugsInText(item);
+      if (!found.length) nao_reconhecidos.push(item);
+      for (const k of found) if (!identificados.includes(k)) identificados.push(k);
+    }
+    for (const k of identifyDrugsInText(safeContexto)) if (!identificados.includes(k)) identificados.push(k);
+
+    const interacoes = checkDrugInteractions(identificados);
+    const out = {
+      interacoes,
+      maior_gravidade: interacoes.length ? interacoes[0].gravidade : "",
+      medicamentos_identificados: identificados,
+      nao_reconhecidos,
+      aviso: "Checagem restrita à tabela local de interações; ausência de alerta não exclui interação. Confirme na bula e com o prescritor.",
+      registro: ""
+    };
+
+    const interacoesTexto = interacoes.length
+      ? interacoes.map(x => `- ${x.medicamentos.join(" + ")} (${x.gravidade}): ${x.efeito} Conduta: ${x.conduta_enfermagem}`).join("\n")
+      : "Nenhuma interação encontrada na tabela local.";
 
     const prompt = `
 Você é um enfermeiro humano. Gere um REGISTRO DE ADMINISTRAÇÃO SEGURA DE MEDICAMENTOS (enfermagem), baseado no contexto.
@@ -3201,17 +7154,30 @@ Inclua, quando aplicável:
 Regras:
 - Sem emojis e sem símbolos gráficos.
 - Não invente doses ou diluições se não estiverem no contexto; use "não informado".
+- As interações abaixo foram verificadas pelo sistema. Cite-as com a conduta indicada; não acrescente nem remova interações.
 
 Formato de saída: JSON estrito:
 { "registro": "..." }
 
+Medicamentos: ${identificados.concat(nao_reconhecidos).join(", ") || "não informado"}
+
+Interações verificadas:
+${interacoesTexto}
+
 Contexto:
 """${safeContexto}"""
 `;
 
-    const data = await callOpenAIJson(prompt);
-    const registro = typeof data?.registro === "string" ? data.registro.trim() : "";
-    return res.json({ registro });
+    // O texto do modelo é complementar: falha aqui não pode esconder as interações já calculadas.
+    try {
+      const data = await callLlmJson(prompt);
+      out.registro = typeof data?.registro === "string" ? data.registro.trim() : "";
+    } catch (e) {
+      console.error("[INTERACOES] falha ao gerar registro:", e?.message || e);
+    }
+
+    const vinculo = attachGeneratedOutput(req, "administracao_medicamentos", { interacoes, registro: out.registro });
+    return res.json({ ...out, ...vinculo });
   } catch (e) {
     console.error(e);
     return res.status(500).json({ error: "Falha interna ao gerar registro." });
@@ -3260,7 +7226,7 @@ Contexto:
 """${safeContexto}"""
 `;
 
-    const data = await callOpenAIJson(prompt);
+    const data = await callLlmJson(prompt);
     const curativos = typeof data?.curativos === "string" ? data.curativos.trim() : "";
     return res.json({ curativos });
   } catch (e) {
@@ -3308,7 +7274,7 @@ Fala:
 """${safeTranscricao}"""
 `;
 
-    const data = await callOpenAIJson(prompt);
+    const data = await callLlmJson(prompt);
 
     let nome = typeof data?.nome === "string" ? data.nome.trim() : null;
     if (nome === "") nome = null;
@@ -3331,7 +7297,675 @@ Fala:
 
 
 
+// ======================================================================
+// ROTA 4.2B – EXTRAIR SINAIS VITAIS E ESCORE DE ALERTA (NEWS2 / PEWS)
+// ======================================================================
+
+app.post("/api/extrair-sinais-vitais", requirePaidOrAdmin, async (req, res) => {
+  try {
+    const t = normalizeText(req.body?.transcricao || "", 25000);
+    const temInformados = Object.values(sanitizeVitalSigns(req.body?.sinais_vitais)).some(x => x !== null);
+    if (!t && !temInformados) {
+      return res.json({ sinais_vitais: emptyVitalSigns(), sinais_vitais_origem: {}, escore_alerta: null });
+    }
+
+    const out = await vitalSignsAndScoreFromTranscript(req, t);
+    return res.json(out);
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Falha interna ao extrair sinais vitais." });
+  }
+});
+
+
+
+
+
+
+// ======================================================================
+// SINAIS VITAIS – EXTRAÇÃO E SANEAMENTO
+// - Padrões determinísticos ("FC 118", "PA 90x60", "SpO2 88%") rodam sempre,
+//   sem depender de modelo; o modelo, se configurado, só completa o que faltou.
+// - O modelo só extrai números explícitos da fala/texto; valores fora de faixa
+//   fisiológica ou que não aparecem no texto são descartados.
+// - Valores informados diretamente ("sinais_vitais" no corpo) prevalecem.
+// ======================================================================
+
+const VITAL_SIGN_RANGES = {
+  fc: { min: 20, max: 250, nome: "FC (bpm)" },
+  fr: { min: 4, max: 80, nome: "FR (irpm)" },
+  pas: { min: 40, max: 300, nome: "PA sistólica (mmHg)" },
+  pad: { min: 20, max: 200, nome: "PA diastólica (mmHg)" },
+  spo2: { min: 50, max: 100, nome: "SpO2 (%)" },
+  temperatura: { min: 30, max: 45, nome: "Temperatura (°C)" },
+  dor: { min: 0, max: 10, nome: "Dor (0-10)" },
+  glasgow: { min: 3, max: 15, nome: "Glasgow" },
+  glicemia: { min: 10, max: 1500, nome: "Glicemia capilar (mg/dL)" }
+};
+
+const hasVital = (v) => v !== null && v !== undefined;
+
+// Consciência na escala ACVPU (Alerta, Confusão nova, Voz, Dor, Sem resposta).
+const CONSCIOUSNESS_LEVELS = ["A", "C", "V", "P", "U"];
+
+function emptyVitalSigns() {
+  const out = {};
+  for (const k of Object.keys(VITAL_SIGN_RANGES)) out[k] = null;
+  out.o2_suplementar = null;
+  out.consciencia = null;
+  return out;
+}
+
+// O número extraído precisa estar escrito no texto (ex.: 38,5 / 38.5), para evitar valor inventado.
+function vitalValueInText(v, text) {
+  const n = Number(v);
+  const inteiro = Math.trunc(n);
+  const dec = Math.round((n - inteiro) * 10);
+  const pattern = dec ? `${inteiro}[.,]${dec}` : `${inteiro}(?:[.,]0)?`;
+  return new RegExp(`(^|[^0-9])${pattern}([^0-9]|$)`).test(String(text || ""));
+}
+
+// Normaliza um objeto de sinais vitais; "textoFonte" ativa a checagem de presença no texto.
+function sanitizeVitalSigns(raw, textoFonte) {
+  const out = emptyVitalSigns();
+  const r = (raw && typeof raw === "object") ? raw : {};
+  for (const [k, faixa] of Object.entries(VITAL_SIGN_RANGES)) {
+    if (r[k] === null || r[k] === undefined || r[k] === "") continue;
+    const n = Number(String(r[k]).replace(",", "."));
+    if (!Number.isFinite(n) || n < faixa.min || n > faixa.max) continue;
+    if (textoFonte !== undefined && !vitalValueInText(n, textoFonte)) continue;
+    out[k] = Math.round(n * 10) / 10;
+  }
+  if (typeof r.o2_suplementar === "boolean") out.o2_suplementar = r.o2_suplementar;
+  const consciencia = String(r.consciencia || "").trim().toUpperCase();
+  if (CONSCIOUSNESS_LEVELS.includes(consciencia)) out.consciencia = consciencia;
+  return out;
+}
+
+// Idade do corpo da requisição ("idade_meses" ou "idade" em anos). null se ausente; NaN se inválida.
+function readAgeMonths(body) {
+  const meses = body?.idade_meses;
+  const anos = body?.idade;
+  if (meses !== undefined && meses !== null && meses !== "") return Number(meses);
+  if (anos !== undefined && anos !== null && anos !== "") return Number(anos) * 12;
+  return null;
+}
+
+// Combina valores informados (prioridade) com os extraídos do texto.
+function mergeVitalSigns(informados, extraidos) {
+  const out = emptyVitalSigns();
+  const origem = {};
+  for (const k of Object.keys(out)) {
+    if (informados[k] !== null) { out[k] = informados[k]; origem[k] = "informado"; }
+    else if (extraidos[k] !== null) { out[k] = extraidos[k]; origem[k] = "extraido"; }
+  }
+  return { sinais_vitais: out, origem };
+}
+
+// Padrões sobre o texto minúsculo e sem acento; o grupo 1 é o valor (a PA usa os grupos 1 e 2).
+const VITAL_SIGN_PATTERNS = {
+  fc: [/\b(?:fc|frequencia cardiaca|pulso)\s*(?:de|:|=|em)?\s*(\d{2,3})\b/, /\b(\d{2,3})\s*bpm\b/],
+  fr: [/\b(?:fr|frequencia respiratoria)\s*(?:de|:|=|em)?\s*(\d{1,2})\b/, /\b(\d{1,2})\s*(?:irpm|ipm|rpm)\b/],
+  spo2: [/\b(?:spo2|sato2|sat|saturacao|saturando|saturou|satura|oximetria)(?:\s*(?:de)?\s*(?:o2|oxigenio))?\s*(?:de|:|=|em)?\s*(\d{2,3})\b/],
+  temperatura: [
+    /\b(?:temperatura|temp|tax|tax\.|t\.ax)(?:\s*axilar)?\s*(?:de|:|=|em)?\s*(\d{2}(?:[.,]\d)?)\b/,
+    /\b(\d{2}(?:[.,]\d)?)\s*(?:°|º|graus)/
+  ],
+  dor: [/\bdor\b[^.;\n]{0,30}?\b(\d{1,2})\s*(?:\/\s*10|de 10|em 10)\b/, /\b(?:eva|escala de dor)\s*(?:de|:|=)?\s*(\d{1,2})\b/],
+  glasgow: [/\b(?:glasgow|ecg|gcs)\s*(?:de|:|=|em)?\s*(\d{1,2})\b/],
+  glicemia: [/\b(?:glicemia(?: capilar)?|hgt|dextro|glicose)\s*(?:de|:|=|em)?\s*(\d{2,4})\b/]
+};
+// PA também falada em cmHg ("pa de 13 por 8" = 130 x 80 mmHg).
+const BLOOD_PRESSURE_PATTERNS = [
+  /\b(?:pa|pressao(?: arterial)?)\s*(?:de|:|=|em)?\s*(\d{1,3})\s*(?:x|\/|por)\s*(\d{1,3})\b/,
+  /\b(\d{2,3})\s*(?:x|\/)\s*(\d{2,3})\s*mmhg\b/
+];
+const O2_SUPPLEMENT_PATTERN = /\b(?:com|em uso de|recebendo|em)\s+(?:o2|oxigenio|oxigenoterapia|cateter nasal|cateter de o2|mascara|venturi)\b/;
+// Idade só em formas ancoradas no paciente ("paciente de 67 anos", "idade 5",
+// "8 meses de idade"); "filho de 10 anos" ou "há 2 anos" não contam.
+const AGE_PATTERNS = [
+  /\bidade\s*(?:de|:|=)?\s*(\d{1,3})\s*(anos?|mes|meses)?\b/,
+  /\b(\d{1,3})\s*(anos?|mes|meses) de idade\b/,
+  /\b(?:paciente|pcte|pct|crianca|lactente|bebe|recem nascido|rn|menino|menina|adolescente|idoso|idosa|homem|mulher|senhor|senhora|gestante|puerpera)\s*(?:de|com)\s*(\d{1,3})\s*(anos?|mes|meses)\b/
+];
+
+function foldVitalText(texto) {
+  return String(texto || "").toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+}
+
+// Idade em anos a partir de "67 anos", "8 meses" ou "idade 5"; null se ausente.
+function extractAgeYears(s) {
+  const m = AGE_PATTERNS.map(re => s.match(re)).find(Boolean);
+  if (!m) return null;
+  const n = String(m[2] || "ano").startsWith("ano") ? Number(m[1]) : Number(m[1]) / 12;
+  return n < 130 ? Math.round(n * 100) / 100 : null;
+}
+
+// Extração sem modelo. Retorna { sinais_vitais, idade_anos }.
+function extractVitalSignsByPattern(texto) {
+  const s = foldVitalText(texto);
+  const raw = {};
+  for (const [k, padroes] of Object.entries(VITAL_SIGN_PATTERNS)) {
+    const m = padroes.map(re => s.match(re)).find(Boolean);
+    if (m) raw[k] = m[1];
+  }
+  const pa = BLOOD_PRESSURE_PATTERNS.map(re => s.match(re)).find(Boolean);
+  if (pa) {
+    const cmHg = Number(pa[1]) < 40 && Number(pa[2]) < 30;
+    raw.pas = Number(pa[1]) * (cmHg ? 10 : 1);
+    raw.pad = Number(pa[2]) * (cmHg ? 10 : 1);
+  }
+  if (O2_SUPPLEMENT_PATTERN.test(s)) raw.o2_suplementar = true;
+  else if (/\bar ambiente\b/.test(s)) raw.o2_suplementar = false;
+  // Valores lidos do próprio texto: sem a checagem de presença (a PA em cmHg é convertida)
+  return { sinais_vitais: sanitizeVitalSigns(raw), idade_anos: extractAgeYears(s) };
+}
+
+// Retorna { sinais_vitais, idade_anos, falha }. Nunca lança.
+// Os padrões sempre rodam; o modelo (se configurado) só preenche os campos que ficaram vazios.
+async function extractVitalSignsFromText(texto) {
+  const safeTexto = normalizeText(texto, 25000);
+  if (!safeTexto) return { sinais_vitais: emptyVitalSigns(), idade_anos: null, falha: false };
+
+  const porPadrao = extractVitalSignsByPattern(safeTexto);
+  if (!llmAvailable()) return { ...porPadrao, falha: false };
+
+  const prompt = `
+Você é um enfermeiro extraindo SINAIS VITAIS de um texto clínico.
+Extraia somente valores numéricos explicitamente escritos no texto. Não estime, não calcule, não invente.
+
+Formato de saída: JSON estrito:
+{
+  "fc": "number ou null (frequência cardíaca, bpm)",
+  "fr": "number ou null (frequência respiratória, irpm)",
+  "pas": "number ou null (pressão sistólica, mmHg)",
+  "pad": "number ou null (pressão diastólica, mmHg)",
+  "spo2": "number ou null (saturação de O2, %)",
+  "temperatura": "number ou null (°C)",
+  "dor": "number ou null (escala 0 a 10)",
+  "glasgow": "number ou null (3 a 15)",
+  "glicemia": "number ou null (mg/dL)",
+  "o2_suplementar": "true se em uso de oxigênio suplementar, false se em ar ambiente, null se não informado",
+  "consciencia": "A (alerta), C (confusão nova), V (responde à voz), P (responde à dor), U (sem resposta) ou null",
+  "idade_anos": "number ou null (idade do paciente em anos; bebês em fração, ex.: 0.5)"
+}
+
+Texto:
+"""${safeTexto}"""
+`;
+
+  try {
+    const data = await callLlmJson(prompt);
+    const idade = Number(data?.idade_anos);
+    const idadeOk = data?.idade_anos !== null && Number.isFinite(idade) && idade >= 0 && idade < 130
+      && (idade < 1 || vitalValueInText(idade, safeTexto));
+    const { sinais_vitais } = mergeVitalSigns(porPadrao.sinais_vitais, sanitizeVitalSigns(data, safeTexto));
+    return { sinais_vitais, idade_anos: porPadrao.idade_anos ?? (idadeOk ? idade : null), falha: false };
+  } catch (e) {
+    console.error("[SINAIS VITAIS] falha na extração:", e?.message || e);
+    return { ...porPadrao, falha: true };
+  }
+}
+
+
+// ======================================================================
+// ESCORES DE ALERTA PRECOCE – NEWS2 (ADULTOS) E PEWS (PEDIATRIA)
+// - Calculados no servidor a partir dos sinais vitais saneados.
+// - Parâmetro ausente não pontua: o escore fica "parcial" e o total é um mínimo.
+// - NEWS2 usa a escala 1 de SpO2 (sem ajuste para hipercapnia).
+// - PEWS segue o modelo Brighton do frontend (comportamento, cardiovascular,
+//   respiratório); itens clínicos (cor, TPC, retrações) podem ser informados.
+// ======================================================================
+
+const EWS_PEDIATRIC_AGE_MONTHS = 16 * 12;
+
+// Faixas de referência aproximadas (FC/FR em repouso) por idade; ajustar ao protocolo local.
+const PEWS_NORMAL_RANGES = [
+  { ate_meses: 3, fc: [110, 160], fr: [30, 60] },
+  { ate_meses: 12, fc: [100, 150], fr: [25, 50] },
+  { ate_meses: 48, fc: [90, 140], fr: [20, 40] },
+  { ate_meses: 144, fc: [70, 120], fr: [16, 30] },
+  { ate_meses: 216, fc: [60, 100], fr: [12, 20] }
+];
+
+function news2Points(v) {
+  const pontos = {};
+  if (hasVital(v.fr)) pontos.fr = v.fr <= 8 ? 3 : v.fr <= 11 ? 1 : v.fr <= 20 ? 0 : v.fr <= 24 ? 2 : 3;
+  if (hasVital(v.spo2)) pontos.spo2 = v.spo2 <= 91 ? 3 : v.spo2 <= 93 ? 2 : v.spo2 <= 95 ? 1 : 0;
+  if (typeof v.o2_suplementar === "boolean") pontos.o2_suplementar = v.o2_suplementar ? 2 : 0;
+  if (hasVital(v.pas)) pontos.pas = v.pas <= 90 ? 3 : v.pas <= 100 ? 2 : v.pas <= 110 ? 1 : v.pas <= 219 ? 0 : 3;
+  if (hasVital(v.fc)) pontos.fc = v.fc <= 40 ? 3 : v.fc <= 50 ? 1 : v.fc <= 90 ? 0 : v.fc <= 110 ? 1 : v.fc <= 130 ? 2 : 3;
+  if (hasVital(v.temperatura)) pontos.temperatura = v.temperatura <= 35 ? 3 : v.temperatura <= 36 ? 1 : v.temperatura <= 38 ? 0 : v.temperatura <= 39 ? 1 : 2;
+  const consciencia = v.consciencia || (hasVital(v.glasgow) ? (v.glasgow === 15 ? "A" : "C") : null);
+  if (consciencia) pontos.consciencia = consciencia === "A" ? 0 : 3;
+  return pontos;
+}
+
+function computeNews2(v) {
+  const pontos = news2Points(v);
+  const faltantes = ["fr", "spo2", "o2_suplementar", "pas", "fc", "temperatura", "consciencia"].filter(k => pontos[k] === undefined);
+  const total = Object.values(pontos).reduce((a, b) => a + b, 0);
+  const algumTres = Object.values(pontos).some(p => p === 3);
+
+  let risco = "baixo";
+  let recomendacao = "Manter monitorização de rotina (mínimo a cada 12 h).";
+  if (total >= 7) {
+    risco = "alto";
+    recomendacao = "Resposta de emergência: avaliação médica imediata/time de resposta rápida e monitorização contínua; considerar transferência para cuidado intensivo.";
+  } else if (total >= 5) {
+    risco = "médio";
+    recomendacao = "Resposta urgente: avaliação médica imediata e monitorização no mínimo de 1 em 1 hora.";
+  } else if (algumTres) {
+    risco = "baixo-médio";
+    recomendacao = "Parâmetro isolado com 3 pontos: avaliação médica urgente e monitorização no mínimo de 1 em 1 hora.";
+  } else if (total >= 1) {
+    recomendacao = "Avaliação do enfermeiro e monitorização no mínimo a cada 4 a 6 h.";
+  }
+
+  return { escala: "NEWS2", total, risco, recomendacao, componentes: pontos, parametros_faltantes: faltantes, parcial: faltantes.length > 0 };
+}
+
+function pewsNormalRange(idadeMeses) {
+  return PEWS_NORMAL_RANGES.find(r => idadeMeses < r.ate_meses) || PEWS_NORMAL_RANGES[PEWS_NORMAL_RANGES.length - 1];
+}
+
+function readPewsItem(v) {
+  const n = Number(v);
+  return (v !== null && v !== undefined && v !== "" && Number.isInteger(n) && n >= 0 && n <= 3) ? n : null;
+}
+
+// "manual" (opcional): { comportamento, cardiovascular, respiratorio } de 0 a 3, como no frontend.
+// Cada item manual prevalece sobre o derivado dos sinais vitais.
+function computePews(v, idadeMeses, manual) {
+  const m = (manual && typeof manual === "object") ? manual : {};
+  const faixa = pewsNormalRange(idadeMeses);
+  const componentes = {};
+  const origem = {};
+
+  let comportamento = readPewsItem(m.comportamento);
+  if (comportamento !== null) origem.comportamento = "informado";
+  else if (v.consciencia) {
+    comportamento = { A: 0, V: 1, C: 3, P: 3, U: 3 }[v.consciencia];
+    origem.comportamento = "sinais_vitais";
+  }
+  if (comportamento !== null) componentes.comportamento = comportamento;
+
+  let cardio = readPewsItem(m.cardiovascular);
+  if (cardio !== null) origem.cardiovascular = "informado";
+  else if (hasVital(v.fc)) {
+    const [min, max] = faixa.fc;
+    cardio = (v.fc < min || v.fc >= max + 30) ? 3 : v.fc >= max + 20 ? 2 : 0;
+    origem.cardiovascular = "sinais_vitais";
+  }
+  if (cardio !== null) componentes.cardiovascular = cardio;
+
+  let resp = readPewsItem(m.respiratorio);
+  if (resp !== null) origem.respiratorio = "informado";
+  else if (hasVital(v.fr)) {
+    const [min, max] = faixa.fr;
+    resp = (v.fr <= min - 5 || v.fr >= max + 30) ? 3 : v.fr >= max + 20 ? 2 : v.fr >= max + 10 ? 1 : 0;
+    if (v.o2_suplementar === true) resp = Math.max(resp, 1);
+    origem.respiratorio = "sinais_vitais";
+  }
+  if (resp !== null) componentes.respiratorio = resp;
+
+  const faltantes = ["comportamento", "cardiovascular", "respiratorio"].filter(k => componentes[k] === undefined);
+  const total = Object.values(componentes).reduce((a, b) => a + b, 0);
+  const algumTres = Object.values(componentes).some(p => p === 3);
+
+  let risco = "baixo";
+  let recomendacao = "Manter monitorização de rotina conforme protocolo.";
+  if (total >= 5) {
+    risco = "elevado";
+    recomendacao = "Avaliação médica imediata e acionamento do time de resposta rápida conforme protocolo institucional.";
+  } else if (total >= 3 || algumTres) {
+    risco = "intermediário";
+    recomendacao = "Reavaliação pelo enfermeiro e comunicação ao médico; aumentar a frequência de monitorização e escalonar conforme protocolo local.";
+  }
+
+  return {
+    escala: "PEWS",
+    total,
+    risco,
+    recomendacao,
+    componentes,
+    componentes_origem: origem,
+    faixa_referencia: { fc: faixa.fc, fr: faixa.fr },
+    parametros_faltantes: faltantes,
+    parcial: faltantes.length > 0 || Object.values(origem).includes("sinais_vitais")
+  };
+}
+
+// Escolhe a escala pela idade: PEWS abaixo de 16 anos; NEWS2 para adultos ou idade desconhecida.
+function computeEarlyWarningScore(v, { idadeMeses, pews } = {}) {
+  const idadeOk = Number.isFinite(idadeMeses) && idadeMeses >= 0;
+  if (idadeOk && idadeMeses < EWS_PEDIATRIC_AGE_MONTHS) return computePews(v, idadeMeses, pews);
+  const out = computeNews2(v);
+  if (!idadeOk) out.aviso = "Idade não informada: aplicado NEWS2 (adulto). Em crianças, usar PEWS.";
+  return out;
+}
+
+// Resumo de uma linha para incluir nos prompts (o modelo não recalcula).
+function formatEarlyWarningScore(e) {
+  if (!e) return "";
+  const comp = Object.entries(e.componentes).map(([k, p]) => `${k} ${p}`).join(", ") || "nenhum parâmetro";
+  return `${e.escala} ${e.parcial ? "(parcial) " : ""}= ${e.total} (risco ${e.risco}; ${comp}). Recomendação: ${e.recomendacao}`;
+}
+
+// Extração + escore, usado pelas rotas de triagem hospitalar e SBAR.
+async function vitalSignsAndScoreFromTranscript(req, transcricao) {
+  const informados = sanitizeVitalSigns(req.body?.sinais_vitais);
+  const extraidos = await extractVitalSignsFromText(transcricao);
+  const { sinais_vitais, origem } = mergeVitalSigns(informados, extraidos.sinais_vitais);
+
+  let idadeMeses = readAgeMonths(req.body);
+  if (!Number.isFinite(idadeMeses) && extraidos.idade_anos !== null) idadeMeses = extraidos.idade_anos * 12;
+
+  const temAlgum = Object.keys(sinais_vitais).some(k => sinais_vitais[k] !== null);
+  const escore_alerta = temAlgum ? computeEarlyWarningScore(sinais_vitais, { idadeMeses, pews: req.body?.pews }) : null;
+  return { sinais_vitais, sinais_vitais_origem: origem, escore_alerta };
+}
+
+
+// ======================================================================
+// MOTOR DE CLASSIFICAÇÃO DE RISCO (ESTILO MANCHESTER)
+// - A cor é calculada por regras: limiares de sinais vitais, discriminadores
+//   gerais e fluxogramas por queixa. Vale a cor mais grave entre as regras
+//   disparadas; todas são devolvidas para auditoria.
+// - Discriminadores de texto ignoram termos negados ("nega dispneia", "sem febre").
+// - Limiares para adultos; em crianças, confirmar com o protocolo pediátrico local.
+// ======================================================================
+
+const TRIAGE_ENGINE_VERSION = "regras-v1";
+
+const TRIAGE_LEVELS = {
+  Vermelho: { prioridade: 1, tempo_maximo_min: 0, tempo_maximo: "imediato", significado: "Emergência. Atendimento imediato." },
+  Laranja: { prioridade: 2, tempo_maximo_min: 10, tempo_maximo: "10 minutos", significado: "Muito urgente. Prioridade alta de atendimento." },
+  Amarelo: { prioridade: 3, tempo_maximo_min: 60, tempo_maximo: "60 minutos", significado: "Urgente. Necessita avaliação em curto prazo." },
+  Verde: { prioridade: 4, tempo_maximo_min: 120, tempo_maximo: "120 minutos", significado: "Pouco urgente. Pode aguardar com segurança, mantendo reavaliação se piora." },
+  Azul: { prioridade: 5, tempo_maximo_min: 240, tempo_maximo: "240 minutos", significado: "Não urgente. Caso de baixa gravidade, orientar e agendar conforme necessidade." }
+};
+
+const TRIAGE_LEGENDA = Object.entries(TRIAGE_LEVELS).map(([cor, n]) => ({ cor, significado: n.significado }));
+
+// Limiares de sinais vitais (adulto).
+const TRIAGE_VITAL_RULES = [
+  { id: "sem_resposta", cor: "Vermelho", descricao: "Sem resposta (ACVPU U)", test: v => v.consciencia === "U" },
+  { id: "glasgow_ate_8", cor: "Vermelho", descricao: "Glasgow ≤ 8 (não responsivo)", test: v => hasVital(v.glasgow) && v.glasgow <= 8 },
+  { id: "spo2_menor_85", cor: "Vermelho", descricao: "SpO2 < 85%", test: v => hasVital(v.spo2) && v.spo2 < 85 },
+  { id: "pas_menor_80", cor: "Vermelho", descricao: "PA sistólica < 80 mmHg (choque)", test: v => hasVital(v.pas) && v.pas < 80 },
+  { id: "fc_extrema", cor: "Vermelho", descricao: "FC ≤ 40 ou ≥ 150 bpm", test: v => hasVital(v.fc) && (v.fc <= 40 || v.fc >= 150) },
+  { id: "fr_extrema", cor: "Vermelho", descricao: "FR ≤ 8 ou ≥ 35 irpm", test: v => hasVital(v.fr) && (v.fr <= 8 || v.fr >= 35) },
+
+  { id: "consciencia_alterada", cor: "Laranja", descricao: "Alteração do nível de consciência (ACVPU C, V ou P)", test: v => ["C", "V", "P"].includes(v.consciencia) },
+  { id: "glasgow_9_14", cor: "Laranja", descricao: "Alteração do nível de consciência (Glasgow 9 a 14)", test: v => hasVital(v.glasgow) && v.glasgow <= 14 },
+  { id: "spo2_muito_baixa", cor: "Laranja", descricao: "SpO2 muito baixa (< 90% em ar ambiente ou < 95% com O2)", test: v => hasVital(v.spo2) && (v.spo2 < 90 || (v.o2_suplementar === true && v.spo2 < 95)) },
+  { id: "pas_menor_90", cor: "Laranja", descricao: "PA sistólica < 90 mmHg", test: v => hasVital(v.pas) && v.pas < 90 },
+  { id: "pa_muito_elevada", cor: "Laranja", descricao: "PA ≥ 220 x 130 mmHg", test: v => (hasVital(v.pas) && v.pas >= 220) || (hasVital(v.pad) && v.pad >= 130) },
+  { id: "fc_alterada", cor: "Laranja", descricao: "FC ≤ 50 ou ≥ 130 bpm", test: v => hasVital(v.fc) && (v.fc <= 50 || v.fc >= 130) },
+  { id: "fr_elevada", cor: "Laranja", descricao: "FR ≥ 30 irpm", test: v => hasVital(v.fr) && v.fr >= 30 },
+  { id: "temperatura_muito_alta", cor: "Laranja", descricao: "Temperatura ≥ 41 °C", test: v => hasVital(v.temperatura) && v.temperatura >= 41 },
+  { id: "hipotermia", cor: "Laranja", descricao: "Temperatura < 35 °C", test: v => hasVital(v.temperatura) && v.temperatura < 35 },
+  { id: "dor_intensa", cor: "Laranja", descricao: "Dor intensa (8 a 10)", test: v => hasVital(v.dor) && v.dor >= 8 },
+  { id: "hipoglicemia", cor: "Laranja", descricao: "Glicemia < 60 mg/dL", test: v => hasVital(v.glicemia) && v.glicemia < 60 },
+
+  { id: "spo2_baixa", cor: "Amarelo", descricao: "SpO2 baixa (< 95% em ar ambiente)", test: v => hasVital(v.spo2) && v.spo2 < 95 },
+  { id: "fc_elevada", cor: "Amarelo", descricao: "FC ≥ 110 bpm", test: v => hasVital(v.fc) && v.fc >= 110 },
+  { id: "fr_alterada", cor: "Amarelo", descricao: "FR ≥ 25 irpm", test: v => hasVital(v.fr) && v.fr >= 25 },
+  { id: "pa_elevada", cor: "Amarelo", descricao: "PA ≥ 180 x 110 mmHg", test: v => (hasVital(v.pas) && v.pas >= 180) || (hasVital(v.pad) && v.pad >= 110) },
+  { id: "febre_alta", cor: "Amarelo", descricao: "Temperatura ≥ 38,5 °C", test: v => hasVital(v.temperatura) && v.temperatura >= 38.5 },
+  { id: "dor_moderada", cor: "Amarelo", descricao: "Dor moderada (4 a 7)", test: v => hasVital(v.dor) && v.dor >= 4 },
+  { id: "hiperglicemia", cor: "Amarelo", descricao: "Glicemia > 300 mg/dL", test: v => hasVital(v.glicemia) && v.glicemia > 300 },
+
+  { id: "febre", cor: "Verde", descricao: "Temperatura ≥ 37,5 °C", test: v => hasVital(v.temperatura) && v.temperatura >= 37.5 },
+  { id: "dor_leve", cor: "Verde", descricao: "Dor leve (1 a 3)", test: v => hasVital(v.dor) && v.dor >= 1 }
+];
+
+// Discriminadores válidos em qualquer queixa (termos normalizados, sem acento).
+const TRIAGE_GENERAL_DISCRIMINATORS = [
+  { id: "parada_cardiorrespiratoria", cor: "Vermelho", descricao: "Parada cardiorrespiratória", termos: ["parada cardiorrespiratoria", "parada cardiaca", "sem pulso"] },
+  { id: "via_aerea", cor: "Vermelho", descricao: "Comprometimento de via aérea", termos: ["obstrucao de via aerea", "engasgado", "engasgo", "estridor", "edema de glote"] },
+  { id: "nao_responsivo", cor: "Vermelho", descricao: "Não responsivo", termos: ["inconsciente", "nao responsivo", "irresponsivo", "desacordado", "nao responde"] },
+  { id: "convulsionando", cor: "Vermelho", descricao: "Convulsionando no momento", termos: ["convulsionando", "em crise convulsiva", "crise convulsiva em curso"] },
+  { id: "hemorragia_grave", cor: "Vermelho", descricao: "Hemorragia grave", termos: ["hemorragia grave", "hemorragia exsanguinante", "sangramento intenso", "sangramento abundante"] },
+  { id: "anafilaxia", cor: "Vermelho", descricao: "Anafilaxia", termos: ["anafilaxia", "choque anafilatico"] },
+  { id: "alteracao_consciencia", cor: "Laranja", descricao: "Alteração aguda do nível de consciência", termos: ["confuso", "confusao mental", "desorientado", "rebaixamento", "sonolento"] },
+  { id: "deficit_neurologico", cor: "Laranja", descricao: "Déficit neurológico agudo", termos: ["perda de forca", "fraqueza em um lado", "hemiparesia", "hemiplegia", "desvio de rima", "boca torta", "dificuldade para falar", "afasia", "disartria"] },
+  { id: "dor_intensa_relato", cor: "Laranja", descricao: "Dor intensa (relato)", termos: ["dor intensa", "dor insuportavel", "dor muito forte"] },
+  { id: "risco_autoagressao", cor: "Laranja", descricao: "Risco alto de autoagressão", termos: ["tentativa de suicidio", "ideacao suicida", "quer se matar"] },
+  { id: "dor_moderada_relato", cor: "Amarelo", descricao: "Dor moderada (relato)", termos: ["dor moderada"] },
+  { id: "dor_leve_relato", cor: "Verde", descricao: "Dor leve (relato)", termos: ["dor leve"] }
+];
+
+// Fluxogramas por queixa: "termos" identificam a queixa; "padrao" é a cor quando
+// nenhum discriminador do fluxograma dispara.
+const TRIAGE_FLOWCHARTS = {
+  dor_toracica: {
+    nome: "Dor torácica",
+    termos: ["dor toracica", "dor no peito", "dor precordial", "aperto no peito"],
+    padrao: "Amarelo",
+    discriminadores: [
+      { id: "dor_cardiaca", cor: "Laranja", descricao: "Dor sugestiva de origem cardíaca (aperto, irradiação, sudorese)", termos: ["dor precordial", "aperto no peito", "irradia", "irradiando", "irradiada", "sudorese"] },
+      { id: "dor_toracica_dispneia", cor: "Laranja", descricao: "Dor torácica com dispneia", termos: ["dispneia", "falta de ar"] },
+      { id: "dor_pleuritica", cor: "Amarelo", descricao: "Dor pleurítica", termos: ["piora ao respirar", "ventilatorio dependente"] }
+    ]
+  },
+  dispneia: {
+    nome: "Dispneia",
+    termos: ["dispneia", "falta de ar", "cansaco para respirar", "chiado no peito", "sibilancia", "sibilos"],
+    padrao: "Amarelo",
+    discriminadores: [
+      { id: "esforco_respiratorio_intenso", cor: "Laranja", descricao: "Esforço respiratório intenso", termos: ["tiragem", "musculatura acessoria", "incapaz de falar", "nao consegue falar", "cianose", "batimento de asa de nariz"] }
+    ]
+  },
+  cefaleia: {
+    nome: "Cefaleia",
+    termos: ["cefaleia", "dor de cabeca"],
+    padrao: "Verde",
+    discriminadores: [
+      { id: "cefaleia_subita", cor: "Laranja", descricao: "Cefaleia de início súbito / pior dor da vida", termos: ["subita", "subitamente", "pior dor", "em trovoada"] },
+      { id: "sinais_meningeos", cor: "Laranja", descricao: "Sinais meníngeos", termos: ["rigidez de nuca", "rigidez nucal"] },
+      { id: "cefaleia_vomitos", cor: "Amarelo", descricao: "Cefaleia com vômitos", termos: ["vomito", "vomitos", "vomitando"] }
+    ]
+  },
+  dor_abdominal: {
+    nome: "Dor abdominal",
+    termos: ["dor abdominal", "dor na barriga", "dor no abdome", "dor no estomago"],
+    padrao: "Verde",
+    discriminadores: [
+      { id: "sangramento_digestivo", cor: "Laranja", descricao: "Hematêmese ou melena", termos: ["vomito com sangue", "vomitando sangue", "hematemese", "melena", "fezes pretas"] },
+      { id: "irradiacao_dorso", cor: "Laranja", descricao: "Dor irradiada para o dorso", termos: ["irradia para as costas", "irradiando para as costas", "irradia para o dorso"] },
+      { id: "vomitos_persistentes", cor: "Amarelo", descricao: "Vômitos persistentes", termos: ["vomitos persistentes", "nao para de vomitar", "vomitos incoerciveis"] }
+    ]
+  },
+  neurologico: {
+    nome: "Déficit neurológico agudo",
+    termos: ["fraqueza em um lado", "perda de forca", "boca torta", "desvio de rima", "dificuldade para falar", "hemiparesia", "afasia", "disartria"],
+    padrao: "Laranja",
+    discriminadores: []
+  },
+  convulsao: {
+    nome: "Convulsão",
+    termos: ["convulsao", "convulsionando", "crise convulsiva", "epilepsia"],
+    padrao: "Amarelo",
+    discriminadores: [
+      { id: "convulsao_ativa", cor: "Vermelho", descricao: "Convulsionando no momento", termos: ["convulsionando", "em crise", "crise em curso"] }
+    ]
+  },
+  trauma: {
+    nome: "Trauma",
+    termos: ["queda", "acidente", "trauma", "fratura", "ferimento", "atropelamento", "batida"],
+    padrao: "Verde",
+    discriminadores: [
+      { id: "mecanismo_significativo", cor: "Laranja", descricao: "Mecanismo de trauma significativo", termos: ["atropelamento", "capotamento", "ejetado", "queda de altura", "arma de fogo", "arma branca"] },
+      { id: "deformidade", cor: "Amarelo", descricao: "Deformidade ou fratura exposta", termos: ["deformidade", "fratura exposta"] }
+    ]
+  },
+  gestante: {
+    nome: "Gestante",
+    termos: ["gestante", "gravida", "gestacao", "gravidez"],
+    padrao: "Amarelo",
+    discriminadores: [
+      { id: "sangramento_gestante", cor: "Laranja", descricao: "Sangramento vaginal na gestação", termos: ["sangramento vaginal", "sangramento"] }
+    ]
+  },
+  febre: {
+    nome: "Febre / mal-estar",
+    termos: ["febre", "febril", "mal estar", "calafrio", "calafrios"],
+    padrao: "Verde",
+    discriminadores: []
+  },
+  nao_urgente: {
+    nome: "Demanda não urgente",
+    termos: ["renovacao de receita", "renovar receita", "troca de receita", "atestado", "resultado de exame", "mostrar exame", "retirada de pontos", "retirar pontos", "troca de curativo"],
+    padrao: "Azul",
+    discriminadores: []
+  }
+};
+
+const TRIAGE_NEGATIONS = new Set(["nega", "negou", "negando", "sem", "nao", "ausencia", "nenhum", "nenhuma", "nunca"]);
+// Encerram o alcance de uma negação ("sem febre, mas com dor toracica"; "sem febre com dor toracica").
+const TRIAGE_NEGATION_BREAKS = new Set(["mas", "porem", "contudo", "entretanto", "com"]);
+// Ligam os itens de uma enumeração negada ("nega febre, dispneia ou dor toracica").
+const TRIAGE_ENUMERATION_JOINERS = new Set(["e", "ou", "nem"]);
+// Verbos que abrem uma nova oração e encerram a negação ("nega alergias e esta inconsciente"),
+// exceto logo após a própria negação ("nao apresenta febre").
+const TRIAGE_CLAUSE_VERBS = new Set([
+  "apresenta", "apresentando", "apresentou", "esta", "estava", "encontra", "encontrava",
+  "refere", "referindo", "referiu", "relata", "relatando", "relatou", "queixa", "queixando", "queixou",
+  "evolui", "evoluindo", "evoluiu", "tem", "tinha", "teve", "sente", "sentindo", "sentiu",
+  "chega", "chegou", "fica", "ficou", "inicia", "iniciando", "iniciou", "mantem", "mantendo", "manteve",
+  "possui", "informa", "informou", "afirma", "afirmou", "confirma", "confirmou", "admite", "admitiu",
+  "cursa", "cursando"
+]);
+
+function triageEndsNegation(t, anterior) {
+  return TRIAGE_NEGATION_BREAKS.has(t) || (TRIAGE_CLAUSE_VERBS.has(t) && !TRIAGE_NEGATIONS.has(anterior));
+}
+
+// A vírgula só mantém a negação se a enumeração for fechada por "e/ou/nem"
+// antes de um verbo ou quebra ("nega febre, dispneia ou dor"); senão encerra
+// ("sem alergias, inconsciente").
+function triageEnumerationContinues(partes) {
+  let anterior = "";
+  for (const parte of partes) {
+    for (const t of parte) {
+      if (TRIAGE_ENUMERATION_JOINERS.has(t)) return true;
+      if (triageEndsNegation(t, anterior)) return false;
+      anterior = t;
+    }
+  }
+  return false;
+}
+
+// Frases normalizadas ([.;:!?] e quebra de linha); cada token vem com "negado"
+// (negação ativa antes dele). A vírgula vira um separador que não casa com termos.
+function triageSentences(texto) {
+  const out = [];
+  for (const frase of String(texto || "").split(/[.;:!?\n]+/)) {
+    const partes = frase.split(",").map(p => normalizeDrugKey(p).split(" ").filter(Boolean)).filter(p => p.length);
+    const tokens = [];
+    let negando = false;
+    let anterior = "";
+    partes.forEach((parte, i) => {
+      if (i > 0) {
+        if (negando && !triageEnumerationContinues(partes.slice(i))) negando = false;
+        tokens.push({ t: ",", negado: negando });
+      }
+      for (const t of parte) {
+        if (triageEndsNegation(t, anterior)) negando = false;
+        tokens.push({ t, negado: negando });
+        if (TRIAGE_NEGATIONS.has(t)) negando = true;
+        anterior = t;
+      }
+    });
+    if (tokens.length) out.push(tokens);
+  }
+  return out;
+}
+
+// Devolve o primeiro termo presente e não negado.
+function findTriageTerm(sentences, termos) {
+  for (const termo of termos) {
+    const alvo = termo.split(" ");
+    for (const tokens of sentences) {
+      for (let i = 0; i + alvo.length <= tokens.length; i++) {
+        if (tokens[i].negado || !alvo.every((t, j) => tokens[i + j].t === t)) continue;
+        return termo;
+      }
+    }
+  }
+  return "";
+}
+
+// Classifica a partir de sinais vitais saneados, texto e (opcional) queixa informada.
+function classifyTriage({ sinaisVitais, texto, queixa }) {
+  const v = sinaisVitais || emptyVitalSigns();
+  const sentences = triageSentences(texto);
+  const regras = [];
+
+  for (const r of TRIAGE_VITAL_RULES) {
+    if (r.test(v)) regras.push({ id: r.id, tipo: "sinal_vital", cor: r.cor, descricao: r.descricao });
+  }
+  for (const d of TRIAGE_GENERAL_DISCRIMINATORS) {
+    const termo = findTriageTerm(sentences, d.termos);
+    if (termo) regras.push({ id: d.id, tipo: "discriminador_geral", cor: d.cor, descricao: d.descricao, termo });
+  }
+
+  const queixaKey = normalizeDrugKey(queixa).replace(/ /g, "_");
+  const fluxogramas = Object.keys(TRIAGE_FLOWCHARTS).filter(k => k === queixaKey || findTriageTerm(sentences, TRIAGE_FLOWCHARTS[k].termos));
+  for (const k of fluxogramas) {
+    const f = TRIAGE_FLOWCHARTS[k];
+    let disparou = false;
+    for (const d of f.discriminadores) {
+      const termo = findTriageTerm(sentences, d.termos);
+      if (!termo) continue;
+      disparou = true;
+      regras.push({ id: `${k}.${d.id}`, tipo: "discriminador_fluxograma", fluxograma: k, cor: d.cor, descricao: d.descricao, termo });
+    }
+    if (!disparou) regras.push({ id: `${k}.padrao`, tipo: "padrao_fluxograma", fluxograma: k, cor: f.padrao, descricao: `${f.nome}: sem discriminadores de maior gravidade` });
+  }
+
+  // Demanda não urgente só vale se nenhuma outra regra disparou.
+  const efetivas = regras.some(r => r.cor !== "Azul") ? regras.filter(r => r.cor !== "Azul") : regras;
+
+  const vitaisPresentes = Object.keys(VITAL_SIGN_RANGES).filter(k => hasVital(v[k]));
+  const dados_faltantes = ["fc", "fr", "pas", "spo2", "temperatura", "dor", "glasgow"]
+    .filter(k => !hasVital(v[k]))
+    .map(k => VITAL_SIGN_RANGES[k].nome);
+
+  let regra = efetivas.reduce((best, r) => (!best || TRIAGE_LEVELS[r.cor].prioridade < TRIAGE_LEVELS[best.cor].prioridade ? r : best), null);
+  if (!regra && vitaisPresentes.length) {
+    regra = { id: "sem_discriminadores", tipo: "padrao", cor: "Verde", descricao: "Nenhum discriminador de gravidade nos dados informados" };
+  }
+
+  if (!regra) {
+    return {
+      cor: "Não informado",
+      significado: "Sem dados suficientes para classificar.",
+      prioridade: null,
+      tempo_maximo: "",
+      tempo_maximo_min: null,
+      fluxogramas: [],
+      regra_disparada: null,
+      regras_disparadas: [],
+      dados_faltantes
+    };
+  }
 
+  const nivel = TRIAGE_LEVELS[regra.cor];
+  return {
+    cor: regra.cor,
+    significado: nivel.significado,
+    prioridade: nivel.prioridade,
+    tempo_maximo: nivel.tempo_maximo,
+    tempo_maximo_min: nivel.tempo_maximo_min,
+    fluxogramas: fluxogramas.map(k => ({ id: k, nome: TRIAGE_FLOWCHARTS[k].nome })),
+    regra_disparada: regra,
+    regras_disparadas: regras.sort((a, b) => TRIAGE_LEVELS[a.cor].prioridade - TRIAGE_LEVELS[b.cor].prioridade),
+    dados_faltantes
+  };
+}
 
 
 // ======================================================================
@@ -3341,107 +7975,218 @@ Fala:
 app.post("/api/classificacao-risco", requirePaidOrAdmin, async(req, res) => {
   try {
     const { contexto } = req.body || {};
-    if (!contexto || !String(contexto).trim()) {
+    const queixa = normalizeText(req.body?.queixa, 60);
+    const informados = sanitizeVitalSigns(req.body?.sinais_vitais);
+    const temInformados = Object.keys(VITAL_SIGN_RANGES).some(k => informados[k] !== null);
+
+    if ((!contexto || !String(contexto).trim()) && !temInformados && !queixa) {
       return res.json({
         cor: "Não informado",
         significado: "Sem dados suficientes para classificar.",
-        legenda: [
-          { cor: "Vermelho", significado: "Emergência. Atendimento imediato." },
-          { cor: "Laranja", significado: "Muito urgente. Prioridade alta de atendimento." },
-          { cor: "Amarelo", significado: "Urgente. Necessita avaliação em curto prazo." },
-          { cor: "Verde", significado: "Pouco urgente. Pode aguardar com segurança, mantendo reavaliação se piora." },
-          { cor: "Azul", significado: "Não urgente. Caso de baixa gravidade, orientar e agendar conforme necessidade." }
-        ]
+        legenda: TRIAGE_LEGENDA
       });
     }
 
-    const safeContexto = normalizeText(contexto, 25000);
+    const safeContexto = normalizeText(contexto || "", 25000);
 
-    const prompt = `
-Você é um enfermeiro humano realizando CLASSIFICAÇÃO DE RISCO por cores com base no contexto do atendimento (transcrição + SOAP + conduta).
+    // O modelo apenas extrai os sinais vitais; a cor é decidida pelas regras.
+    const extraidos = await extractVitalSignsFromText(safeContexto);
+    const { sinais_vitais, origem } = mergeVitalSigns(informados, extraidos.sinais_vitais);
 
-Tarefa:
-1) Escolher UMA cor entre: Vermelho, Laranja, Amarelo, Verde, Azul.
-2) Explicar de forma curta o significado da cor escolhida para priorização do atendimento.
-3) Sempre devolver também uma legenda com o significado de cada cor.
+    const resultado = classifyTriage({ sinaisVitais: sinais_vitais, texto: safeContexto, queixa });
 
-Regras obrigatórias:
-- Não invente sinais vitais, sintomas ou exames. Use apenas o que estiver no contexto.
-- Se o contexto estiver insuficiente para classificar com segurança, retorne "Não informado" e explique que faltam dados críticos.
-- Sem emojis e sem símbolos gráficos.
-- Não fazer diagnóstico médico definitivo.
+    const out = {
+      ...resultado,
+      sinais_vitais,
+      sinais_vitais_origem: origem,
+      motor: TRIAGE_ENGINE_VERSION,
+      legenda: TRIAGE_LEGENDA,
+      aviso: extraidos.falha
+        ? "Falha ao extrair sinais vitais do texto; classificação feita apenas com os dados informados e discriminadores do texto."
+        : "Classificação por regras (limiares para adultos). Reavaliar periodicamente e sempre que houver piora."
+    };
 
-Formato de saída: JSON estrito, sem texto fora do JSON:
-{
-  "cor": "Vermelho|Laranja|Amarelo|Verde|Azul|Não informado",
-  "significado": "string curta",
-  "legenda": [
-    { "cor": "Vermelho", "significado": "..." },
-    { "cor": "Laranja", "significado": "..." },
-    { "cor": "Amarelo", "significado": "..." },
-    { "cor": "Verde", "significado": "..." },
-    { "cor": "Azul", "significado": "..." }
-  ]
-}
+    Object.assign(out, attachGeneratedOutput(req, "classificacao_risco", {
+      cor: out.cor,
+      significado: out.significado,
+      tempo_maximo: out.tempo_maximo,
+      regra_disparada: out.regra_disparada,
+      regras_disparadas: out.regras_disparadas,
+      sinais_vitais,
+      motor: TRIAGE_ENGINE_VERSION
+    }));
 
-Contexto:
-\"\"\"${safeContexto}\"\"\"
-`;
+    return res.json(out);
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Falha interna ao gerar a classificação de risco." });
+  }
+});
 
-    const data = await callOpenAIJson(prompt);
 
-    const cor = typeof data?.cor === "string" ? data.cor.trim() : "Não informado";
-    const significado = typeof data?.significado === "string" ? data.significado.trim() : "";
-    const legendaRaw = Array.isArray(data?.legenda) ? data.legenda : [];
 
-    const legenda = legendaRaw
-      .map((x) => ({
-        cor: normalizeText(x?.cor || "", 30),
-        significado: normalizeText(x?.significado || "", 220)
-      }))
-      .filter((x) => x.cor && x.significado)
-      .slice(0, 5);
-
-    const legendaFallback = [
-      { cor: "Vermelho", significado: "Emergência. Atendimento imediato." },
-      { cor: "Laranja", significado: "Muito urgente. Prioridade alta de atendimento." },
-      { cor: "Amarelo", significado: "Urgente. Necessita avaliação em curto prazo." },
-      { cor: "Verde", significado: "Pouco urgente. Pode aguardar com segurança, mantendo reavaliação se piora." },
-      { cor: "Azul", significado: "Não urgente. Caso de baixa gravidade, orientar e agendar conforme necessidade." }
-    ];
+// ======================================================================
+// ROTA 4.3B – MONOGRAFIA DE MEDICAMENTO (BULA ORGANIZADA)
+// ======================================================================
+
+app.post("/api/medicamento-monografia", requirePaidOrAdmin, async (req, res) => {
+  try {
+    const medicamento = normalizeText(req.body?.medicamento, 140);
+
+    if (!medicamento) {
+      return res.status(400).json({ error: "Informe o nome do medicamento." });
+    }
+
+    const fontesSugeridas = Array.isArray(req.body?.fontes_sugeridas) ? req.body.fontes_sugeridas : [];
+    const monografia = await gerarMonografiaMedicamento(medicamento, fontesSugeridas);
+
+    return res.json({ monografia });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Falha interna ao gerar a monografia do medicamento." });
+  }
+});
+
+
+// ======================================================================
+// ROTA – TIPO DE RECEITUÁRIO (PORTARIA SVS/MS 344/98 E ANTIMICROBIANOS)
+// Determinística: lista e regra da substância; sem correspondência => "não classificado".
+// ======================================================================
+
+app.post("/api/receituario-controle", requirePaidOrAdmin, (req, res) => {
+  try {
+    const lista = normalizeArrayOfStrings(req.body?.medicamentos, 40, 160);
+    const unico = normalizeText(req.body?.medicamento, 160);
+    if (unico && !lista.includes(unico)) lista.unshift(unico);
+    if (!lista.length) return res.status(400).json({ error: "Informe o nome do medicamento." });
 
+    const resultados = lista.map(classifyReceituario);
     return res.json({
-      cor: cor || "Não informado",
-      significado: significado || (cor && cor !== "Não informado" ? "Priorizar atendimento conforme classificação." : "Sem dados suficientes para classificar."),
-      legenda: legenda.length ? legenda : legendaFallback
+      resultados,
+      aviso: "Classificação pelas listas locais da Portaria 344/98 e de antimicrobianos. \"Não classificado\" não significa receita simples: confirme na norma vigente."
     });
   } catch (e) {
     console.error(e);
-    return res.status(500).json({ error: "Falha interna ao gerar a classificação de risco." });
+    return res.status(500).json({ error: "Falha interna ao classificar o receituário." });
   }
 });
 
 
-
 // ======================================================================
-// ROTA 4.3B – MONOGRAFIA DE MEDICAMENTO (BULA ORGANIZADA)
+// ROTA – CALCULADORA DE DOSE PEDIÁTRICA (SOMENTE FORMULÁRIO CURADO)
+// - Usa exclusivamente "pediatria" e "concentracoes" do formulário ativo.
+// - Sem dado curado suficiente (dose mg/kg, intervalo, dose máxima, concentração),
+//   o cálculo é recusado; o modelo nunca é consultado.
+// - Volumes são arredondados para baixo, para nunca ultrapassar a dose máxima.
 // ======================================================================
 
-app.post("/api/medicamento-monografia", requirePaidOrAdmin, async (req, res) => {
+function floorTo(n, casas) {
+  const f = Math.pow(10, casas);
+  return Math.floor(n * f + 1e-9) / f;
+}
+
+// Só aceita a apresentação pela descrição exata ou pela forma (se única): um volume
+// calculado com a concentração errada é pior que a recusa.
+function pickFormularyConcentration(entry, apresentacao) {
+  const lista = Array.isArray(entry.concentracoes) ? entry.concentracoes : [];
+  if (!lista.length) return { error: "Formulário sem concentração cadastrada para este medicamento." };
+
+  const k = normalizeDrugKey(apresentacao);
+  if (!k) {
+    if (lista.length === 1) return { concentracao: lista[0] };
+    return { error: "Informe a apresentação.", opcoes: lista.map(c => c.descricao) };
+  }
+  const exata = lista.find(c => normalizeDrugKey(c.descricao) === k);
+  if (exata) return { concentracao: exata };
+  const porForma = lista.filter(c => normalizeDrugKey(c.forma) === k);
+  if (porForma.length > 1) return { error: "Mais de uma concentração para esta forma; informe a apresentação.", opcoes: porForma.map(c => c.descricao) };
+  const found = porForma[0];
+  if (!found) return { error: "Apresentação não encontrada no formulário.", opcoes: lista.map(c => c.descricao) };
+  return { concentracao: found };
+}
+
+// Retorna { error, opcoes? } quando o cálculo não pode ser feito com segurança.
+function calcularDosePediatrica(entry, { pesoKg, idadeMeses, apresentacao }) {
+  const ped = entry.pediatria;
+  if (!ped || !(ped.dose_mgkg > 0)) return { error: "Formulário sem dose pediátrica (mg/kg) para este medicamento." };
+  if (!(ped.intervalo_horas > 0)) return { error: "Formulário sem intervalo entre doses para este medicamento." };
+  if (!(ped.dose_max_mg_dose > 0 || ped.dose_max_mg_dia > 0 || ped.dose_max_mgkg_dia > 0)) {
+    return { error: "Formulário sem dose máxima pediátrica para este medicamento." };
+  }
+  if (ped.idade_minima_meses !== null && ped.idade_minima_meses !== undefined && idadeMeses < ped.idade_minima_meses) {
+    return { error: `Idade abaixo da mínima do formulário (${ped.idade_minima_meses} meses).` };
+  }
+
+  const escolha = pickFormularyConcentration(entry, apresentacao);
+  if (escolha.error) return escolha;
+  const conc = escolha.concentracao;
+
+  const dosesPorDia = 24 / ped.intervalo_horas;
+  const doseCalculada = ped.dose_mgkg * pesoKg;
+
+  const limites = [];
+  if (ped.dose_max_mg_dose > 0) limites.push({ mg: ped.dose_max_mg_dose, regra: `dose máxima de ${ped.dose_max_mg_dose} mg/dose` });
+  if (ped.dose_max_mg_dia > 0) limites.push({ mg: ped.dose_max_mg_dia / dosesPorDia, regra: `dose máxima de ${ped.dose_max_mg_dia} mg/dia` });
+  if (ped.dose_max_mgkg_dia > 0) limites.push({ mg: (ped.dose_max_mgkg_dia * pesoKg) / dosesPorDia, regra: `dose máxima de ${ped.dose_max_mgkg_dia} mg/kg/dia` });
+  const limite = limites.reduce((min, l) => (l.mg < min.mg ? l : min));
+
+  const limitada = doseCalculada > limite.mg;
+  const doseMg = floorTo(Math.min(doseCalculada, limite.mg), 1);
+  const doseMl = floorTo(doseMg / conc.mg_por_ml, 1);
+  const doseGotas = conc.gotas_por_ml ? Math.floor(doseMg / conc.mg_por_ml * conc.gotas_por_ml + 1e-9) : null;
+  if (!(doseMl > 0)) return { error: "Volume calculado abaixo de 0,1 mL; conferir apresentação e prescrição." };
+
+  return {
+    medicamento: entry.medicamento,
+    peso_kg: pesoKg,
+    idade_meses: idadeMeses,
+    apresentacao: { descricao: conc.descricao, forma: conc.forma, mg_por_ml: conc.mg_por_ml, gotas_por_ml: conc.gotas_por_ml },
+    dose_mg_kg: ped.dose_mgkg,
+    dose_calculada_mg: floorTo(doseCalculada, 1),
+    dose_mg: doseMg,
+    dose_ml: doseMl,
+    dose_gotas: doseGotas,
+    intervalo_horas: ped.intervalo_horas,
+    doses_por_dia: floorTo(dosesPorDia, 1),
+    frequencia: `a cada ${ped.intervalo_horas} h`,
+    dose_diaria_mg: floorTo(doseMg * dosesPorDia, 1),
+    dose_maxima: {
+      mg_dose: ped.dose_max_mg_dose || null,
+      mg_dia: ped.dose_max_mg_dia || null,
+      mg_kg_dia: ped.dose_max_mgkg_dia || null
+    },
+    limitada_pela_dose_maxima: limitada,
+    regra_limitante: limitada ? limite.regra : "",
+    calculo: `${ped.dose_mgkg} mg/kg x ${pesoKg} kg = ${floorTo(doseCalculada, 1)} mg${limitada ? ` (limitado a ${doseMg} mg: ${limite.regra})` : ""}; ${doseMg} mg / ${conc.mg_por_ml} mg/mL = ${doseMl} mL`,
+    observacoes: ped.observacoes || ""
+  };
+}
+
+app.post("/api/calcular-dose-pediatrica", requirePaidOrAdmin, (req, res) => {
   try {
     const medicamento = normalizeText(req.body?.medicamento, 140);
+    const apresentacao = normalizeText(req.body?.apresentacao, 160);
+    const pesoKg = Number(String(req.body?.peso_kg ?? "").replace(",", "."));
+    const idadeMeses = readAgeMonths(req.body);
 
-    if (!medicamento) {
-      return res.status(400).json({ error: "Informe o nome do medicamento." });
-    }
+    if (!medicamento) return res.status(400).json({ error: "Informe o nome do medicamento." });
+    if (!Number.isFinite(pesoKg) || pesoKg <= 0 || pesoKg > 150) return res.status(400).json({ error: "Peso inválido (kg)." });
+    if (idadeMeses === null || !Number.isFinite(idadeMeses) || idadeMeses < 0 || idadeMeses > 216) return res.status(400).json({ error: "Idade inválida (informe idade em anos ou idade_meses; até 18 anos)." });
 
-    const fontesSugeridas = Array.isArray(req.body?.fontes_sugeridas) ? req.body.fontes_sugeridas : [];
-    const monografia = await gerarMonografiaMedicamento(medicamento, fontesSugeridas);
+    const entry = findFormularyEntry(medicamento);
+    if (!entry) return res.status(422).json({ error: "Medicamento fora do formulário curado; cálculo recusado." });
 
-    return res.json({ monografia });
+    const out = calcularDosePediatrica(entry, { pesoKg, idadeMeses, apresentacao });
+    if (out.error) return res.status(422).json({ error: `${out.error} Cálculo recusado.`, opcoes: out.opcoes || [] });
+
+    out.formulario_versao = getFormulary().versao;
+    out.aviso = "Cálculo baseado exclusivamente no formulário curado. Confira com a prescrição e a bula antes de administrar.";
+
+    const vinculo = attachGeneratedOutput(req, "dose_pediatrica", out);
+    return res.json({ ...out, ...vinculo });
   } catch (e) {
     console.error(e);
-    return res.status(500).json({ error: "Falha interna ao gerar a monografia do medicamento." });
+    return res.status(500).json({ error: "Falha interna ao calcular a dose pediátrica." });
   }
 });
 
@@ -3479,7 +8224,7 @@ Formato de saída: JSON estrito:
 }
 `;
 
-  const data = await callOpenAIVisionJson(prompt, safeImage);
+  const data = await callLlmVisionJson(prompt, safeImage);
 
   const descricao_tecnica = typeof data?.descricao_tecnica === "string" ? data.descricao_tecnica.trim() : "";
   const tratamento_nao_medicamentoso = typeof data?.tratamento_nao_medicamentoso === "string" ? data.tratamento_nao_medicamentoso.trim() : "";
@@ -3605,7 +8350,7 @@ Formato de saída: JSON estrito:
 }
 `;
 
-  const data = await callOpenAIVisionJson(prompt, safeImage);
+  const data = await callLlmVisionJson(prompt, safeImage);
 
   const transcricao_legivel = typeof data?.transcricao_legivel === "string" ? data.transcricao_legivel.trim() : "";
   const achados_principais = typeof data?.achados_principais === "string" ? data.achados_principais.trim() : "";
@@ -3649,7 +8394,7 @@ Responda EXCLUSIVAMENTE em JSON, sem markdown, neste formato:
 }
 `;
 
-  const data = await callOpenAIVisionJson(prompt, safeImage);
+  const data = await callLlmVisionJson(prompt, safeImage);
 
   const tipo_documento = typeof data?.tipo_documento === "string" ? data.tipo_documento.trim() : "";
   const identificacao = typeof data?.identificacao === "string" ? data.identificacao.trim() : "";
@@ -3689,7 +8434,7 @@ Responda EXCLUSIVAMENTE em JSON, sem markdown, neste formato:
 }
 `;
 
-  const data = await callOpenAIVisionJsonMulti(prompt, imagensDataUrl);
+  const data = await callLlmVisionJsonMulti(prompt, imagensDataUrl);
 
   const transcricao_organizada = typeof data?.transcricao_organizada === "string" ? data.transcricao_organizada.trim() : "";
   const campos_pendentes = typeof data?.campos_pendentes === "string" ? data.campos_pendentes.trim() : "";
@@ -3846,32 +8591,7 @@ Responda EXCLUSIVAMENTE em JSON, neste formato:
 `;
 
   const imgs = Array.isArray(imagensDataUrl) ? imagensDataUrl.filter(Boolean).slice(0, 4) : [];
-  const content = [{ type: "text", text: prompt }];
-  for (const url of imgs) {
-    content.push({ type: "image_url", image_url: { url } });
-  }
-
-  const completion = await openai.chat.completions.create({
-    model: "gpt-4o-mini",
-    temperature: 0.2,
-    messages: [{ role: "user", content }]
-  });
-
-  const raw = (completion.choices?.[0]?.message?.content || "").trim();
-
-  let data;
-  try {
-    data = JSON.parse(raw);
-  } catch (e) {
-    const firstBrace = raw.indexOf("{");
-    const lastBrace = raw.lastIndexOf("}");
-    if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-      const jsonSlice = raw.slice(firstBrace, lastBrace + 1);
-      data = JSON.parse(jsonSlice);
-    } else {
-      throw new Error("Resposta do modelo não pôde ser convertida em JSON.");
-    }
-  }
+  const data = await callLlmVisionJsonMulti(prompt, imgs);
 
   const cab = (data && typeof data.cabecalho === "object" && data.cabecalho) ? data.cabecalho : {};
   const medicamentos = Array.isArray(data?.medicamentos) ? data.medicamentos : [];
@@ -3998,7 +8718,7 @@ Pergunta:
 """${safeQ}"""
 `;
 
-  const data = await callOpenAIJson(prompt);
+  const data = await callLlmJson(prompt);
   return typeof data?.resposta === "string" ? data.resposta.trim() : "";
 }
 
@@ -4181,7 +8901,7 @@ Transcrição:
 """${safeTranscricao}"""
 `;
 
-    const data = await callOpenAIJson(prompt);
+    const data = await callLlmJson(prompt);
 
     const tipo = (typeof data?.tipo_documento === "string" ? data.tipo_documento.trim() : "") || (tipoSelecionado || "");
     const finalidade = typeof data?.finalidade === "string" ? data.finalidade.trim() : "";
@@ -4355,7 +9075,7 @@ Transcrição:
 """${safeTranscricao}"""
 `;
 
-  const data = await callOpenAIJson(prompt);
+  const data = await callLlmJson(prompt);
 
   const tipo_documento = (typeof data?.tipo_documento === "string" ? data.tipo_documento.trim() : "") || tipoFinal;
   const doenca_ou_queixa_principal = typeof data?.doenca_ou_queixa_principal === "string" ? data.doenca_ou_queixa_principal.trim() : "";
@@ -4393,14 +9113,14 @@ app.post("/api/gerar-documento-medico", requirePaidOrAdmin, async (req, res) =>
 
     const tipoSelecionado = (typeof tipo_documento === "string" && tipo_documento.trim()) ? tipo_documento.trim() : null;
 
-    if (!process.env.OPENAI_API_KEY) {
+    if (!llmAvailable()) {
       const tipoFallback = tipoSelecionado || inferMedicalDocumentTypeHeuristic(transcricao);
       return res.json({
         tipo_documento: tipoFallback,
         doenca_ou_queixa_principal: "não informado",
         exames_mencionados: [],
         campos_pendentes: [
-          "Sem chave OPENAI_API_KEY configurada no servidor.",
+          llmMissingMessage(),
           "Os anexos enviados não puderam ser analisados sem a chave configurada.",
           ...suggestMedicalDocumentQuestionsHeuristic(transcricao, tipoFallback)
         ].slice(0, 8),
@@ -4426,7 +9146,8 @@ app.post("/api/gerar-documento-medico", requirePaidOrAdmin, async (req, res) =>
     }
 
     const out = await generateMedicalDocumentFromTranscript(transcricao, tipoSelecionado, anexos);
-    return res.json(out);
+    const vinculo = attachGeneratedOutput(req, "documento_medico", out);
+    return res.json({ ...out, ...vinculo });
   } catch (e) {
     console.error(e);
     return res.status(500).json({ error: "Falha interna ao gerar documento médico." });
@@ -4505,7 +9226,7 @@ async function generateDocumentLiveGuide(transcricao) {
   }
 
   // Com API Key, tenta uma inferência melhor
-  if (process.env.OPENAI_API_KEY) {
+  if (llmAvailable()) {
     const prompt = `
 Você está auxiliando um enfermeiro a redigir um documento a partir de uma transcrição.
 Tarefa: identificar o tipo de documento mais provável e sugerir no máximo 3 perguntas essenciais (curtas e objetivas) para completar o documento.
@@ -4523,7 +9244,7 @@ Retorne JSON estrito no formato:
 Transcrição (trecho):
 """${safeTranscricao}"""
 `;
-    const data = await callOpenAIJson(prompt);
+    const data = await callLlmJson(prompt);
     const tipo = typeof data?.tipo_documento === "string" ? data.tipo_documento.trim() : "";
     const perguntas = Array.isArray(data?.perguntas) ? data.perguntas : (Array.isArray(data?.perguntas_sugeridas) ? data.perguntas_sugeridas : []);
     const outPerg = normalizeArrayOfStrings(perguntas, 3, 220);
@@ -4731,15 +9452,592 @@ app.delete("/api/escala/schedules/:id", requireAuth, (req, res) => {
   }
 });
 
+// ======================================================================
+// MÓDULO: Cadastro de pacientes (histórico entre atendimentos)
+// - Cada paciente pertence ao usuário logado (mesmo escopo das escalas).
+// - Saídas geradas (SOAP, triagem, SBAR, classificação de risco) podem ser
+//   anexadas ao paciente via "paciente_id" para que o próximo atendimento
+//   comece a partir do histórico.
+// ======================================================================
+
+const PATIENT_RECORDS_MAX_PER_PATIENT = 500;
+
+function isValidCpf(cpf) {
+  const d = onlyDigits(cpf);
+  if (d.length !== 11 || /^(\d)\1{10}$/.test(d)) return false;
+  const calc = (len) => {
+    let sum = 0;
+    for (let i = 0; i < len; i++) sum += Number(d[i]) * (len + 1 - i);
+    const r = (sum * 10) % 11;
+    return r === 10 ? 0 : r;
+  };
+  return calc(9) === Number(d[9]) && calc(10) === Number(d[10]);
+}
+
+function isValidCns(cns) {
+  const d = onlyDigits(cns);
+  if (d.length !== 15 || !/^[12789]/.test(d)) return false;
+  let sum = 0;
+  for (let i = 0; i < 15; i++) sum += Number(d[i]) * (15 - i);
+  return sum % 11 === 0;
+}
+
+// Dono dos dados clínicos da requisição ("" para administrador sem a permissão).
+function clinicalOwnerKey(req, permission = "clinical.read") {
+  if (req?.auth?.role === "admin" && !adminHasPermission(req.auth.admin, permission)) return "";
+  return rosterUserKey(req);
+}
+
+function findPatientForOwner(key, id) {
+  const pid = String(id || "");
+  if (!key || !pid) return null;
+  return (Array.isArray(DB.patients) ? DB.patients : [])
+    .find(p => p && !p.isDeleted && p.id === pid && (p.ownerKey === key || key === "admin")) || null;
+}
+
+function findPatientByIdentifier(key, cpf, cns, exceptId) {
+  const c = onlyDigits(cpf);
+  const n = onlyDigits(cns);
+  if (!c && !n) return null;
+  return (Array.isArray(DB.patients) ? DB.patients : []).find(p => {
+    if (!p || p.isDeleted || p.ownerKey !== key || p.id === exceptId) return false;
+    return (c && p.cpf === c) || (n && p.cns === n);
+  }) || null;
+}
+
+// Lê e valida os campos editáveis do paciente. "base" permite atualização parcial.
+function readPatientFields(body, base) {
+  const b = body || {};
+  const prev = base || {};
+  const pick = (k, maxLen) => normalizeText(String(b[k] ?? prev[k] ?? ""), maxLen);
+
+  const fields = {
+    fullName: pick("fullName", 160),
+    cpf: onlyDigits(b.cpf ?? prev.cpf ?? ""),
+    cns: onlyDigits(b.cns ?? prev.cns ?? ""),
+    dob: pick("dob", 10),
+    sex: pick("sex", 20),
+    phone: pick("phone", 30),
+    address: pick("address", 300),
+    allergies: Array.isArray(b.allergies) ? normalizeArrayOfStrings(b.allergies, 50, 160) : (Array.isArray(prev.allergies) ? prev.allergies : []),
+    comorbidities: Array.isArray(b.comorbidities) ? normalizeArrayOfStrings(b.comorbidities, 50, 160) : (Array.isArray(prev.comorbidities) ? prev.comorbidities : []),
+    medications: Array.isArray(b.medications) ? normalizeArrayOfStrings(b.medications, 50, 160) : (Array.isArray(prev.medications) ? prev.medications : []),
+    notes: pick("notes", 2000)
+  };
+
+  if (!fields.fullName) return { error: "Nome completo do paciente é obrigatório." };
+  if (!fields.cpf && !fields.cns) return { error: "Informe CPF ou CNS do paciente." };
+  if (fields.cpf && !isValidCpf(fields.cpf)) return { error: "CPF inválido." };
+  if (fields.cns && !isValidCns(fields.cns)) return { error: "CNS inválido." };
+  if (fields.dob && !/^\d{4}-\d{2}-\d{2}$/.test(fields.dob)) return { error: "Data de nascimento inválida. Use AAAA-MM-DD." };
+  return { fields };
+}
+
+function patientSummary(p) {
+  const records = (Array.isArray(DB.patientRecords) ? DB.patientRecords : []).filter(r => r && r.patientId === p.id);
+  const last = records.reduce((acc, r) => (String(r.createdAt || "") > acc ? String(r.createdAt || "") : acc), "");
+  return {
+    id: p.id,
+    fullName: p.fullName || "",
+    cpf: p.cpf || "",
+    cns: p.cns || "",
+    dob: p.dob || "",
+    sex: p.sex || "",
+    allergies: Array.isArray(p.allergies) ? p.allergies : [],
+    comorbidities: Array.isArray(p.comorbidities) ? p.comorbidities : [],
+    recordsCount: records.length,
+    lastRecordAt: last,
+    updatedAt: p.updatedAt || ""
+  };
+}
+
+function listPatientRecords(patientId, tipo, limit) {
+  return (Array.isArray(DB.patientRecords) ? DB.patientRecords : [])
+    .filter(r => r && r.patientId === patientId && (!tipo || r.tipo === tipo))
+    .sort((a, b) => String(b.createdAt || "").localeCompare(String(a.createdAt || "")))
+    .slice(0, limit || 100);
+}
+
+function addPatientRecord(patient, tipo, conteudo, extra) {
+  const item = {
+    id: makeId("reg"),
+    patientId: patient.id,
+    ownerKey: patient.ownerKey,
+    tipo: normalizeText(String(tipo || ""), 40) || "outro",
+    conteudo,
+    createdAt: nowIso(),
+    ...(extra || {})
+  };
+
+  DB.patientRecords = Array.isArray(DB.patientRecords) ? DB.patientRecords : [];
+  DB.patientRecords.push(item);
+
+  // Limite por paciente: mantém os registros mais recentes
+  const byPatient = DB.patientRecords.filter(r => r && r.patientId === patient.id)
+    .sort((a, b) => String(b.createdAt || "").localeCompare(String(a.createdAt || "")));
+  if (byPatient.length > PATIENT_RECORDS_MAX_PER_PATIENT) {
+    const keepIds = new Set(byPatient.slice(0, PATIENT_RECORDS_MAX_PER_PATIENT).map(r => r.id));
+    DB.patientRecords = DB.patientRecords.filter(r => !r || r.patientId !== patient.id || keepIds.has(r.id));
+  }
+
+  patient.updatedAt = item.createdAt;
+  return item;
+}
+
+// Paciente do corpo da requisição: "paciente_id" ou o paciente vinculado ao "atendimento_id".
+function resolvePatientFromReq(req) {
+  const key = clinicalOwnerKey(req);
+  if (!key) return null;
+  let pid = normalizeText(String(req.body?.paciente_id || ""), 50);
+  if (!pid) {
+    const aid = normalizeText(String(req.body?.atendimento_id || ""), 50);
+    const atendimento = aid ? (DB.atendimentos || []).find(a => a && a.id === aid && (a.ownerKey === key || key === "admin")) : null;
+    pid = atendimento ? String(atendimento.patientId || "") : "";
+  }
+  return pid ? findPatientForOwner(key, pid) : null;
+}
+
+// Resumo textual das últimas N evoluções (SOAP) do paciente para os prompts.
+// Ignora registros do atendimento corrente e mantém só a versão mais recente de cada atendimento.
+function buildPatientHistoryBlock(patient, n, currentAtendimentoId) {
+  const seenAtendimentos = new Set();
+  const picked = [];
+  for (const r of listPatientRecords(patient.id, "soap", PATIENT_RECORDS_MAX_PER_PATIENT)) {
+    const aid = String(r.atendimentoId || "");
+    if (aid && aid === currentAtendimentoId) continue;
+    if (aid) {
+      if (seenAtendimentos.has(aid)) continue;
+      seenAtendimentos.add(aid);
+    }
+    picked.push(r);
+    if (picked.length >= n) break;
+  }
+
+  const lines = [];
+  const fixed = [];
+  if (Array.isArray(patient.allergies) && patient.allergies.length) fixed.push(`Alergias: ${patient.allergies.join("; ")}`);
+  if (Array.isArray(patient.comorbidities) && patient.comorbidities.length) fixed.push(`Comorbidades: ${patient.comorbidities.join("; ")}`);
+  if (Array.isArray(patient.medications) && patient.medications.length) fixed.push(`Medicações em uso (cadastro): ${patient.medications.join("; ")}`);
+  if (fixed.length) lines.push(fixed.join("\n"));
+
+  for (const r of picked) {
+    const c = (r.conteudo && typeof r.conteudo === "object") ? r.conteudo : { soap: String(r.conteudo || "") };
+    const parts = [`Consulta de ${String(r.createdAt || "").slice(0, 10) || "data não informada"}:`];
+    if (c.soap) parts.push(`SOAP: ${normalizeText(String(c.soap), 1500)}`);
+    if (c.prescricao) parts.push(`Plano: ${normalizeText(String(c.prescricao), 600)}`);
+    lines.push(parts.join("\n"));
+  }
+
+  return {
+    texto: picked.length ? lines.join("\n\n") : "",
+    usados: picked.map(r => ({ id: r.id, createdAt: r.createdAt || "" }))
+  };
+}
+
+app.get("/api/pacientes", requireAuth, requireClinicalAccess("clinical.read"), (req, res) => {
+  try {
+    const key = rosterUserKey(req);
+    if (!key) return res.status(400).json({ error: "Usuário inválido." });
+
+    const q = normalizeDrugKey(req.query?.q || "");
+    const qDigits = onlyDigits(req.query?.q || "");
+
+    const items = (Array.isArray(DB.patients) ? DB.patients : [])
+      .filter(p => p && !p.isDeleted && p.ownerKey === key)
+      .filter(p => {
+        if (!q) return true;
+        if (qDigits && (String(p.cpf || "").includes(qDigits) || String(p.cns || "").includes(qDigits))) return true;
+        return normalizeDrugKey(p.fullName).includes(q);
+      })
+      .sort((a, b) => String(a.fullName || "").localeCompare(String(b.fullName || "")))
+      .slice(0, 200)
+      .map(patientSummary);
+
+    return res.json({ items });
+  } catch (e) {
+    return res.status(500).json({ error: "Falha ao listar pacientes." });
+  }
+});
+
+app.post("/api/pacientes", requireAuth, requireClinicalAccess("clinical.write"), (req, res) => {
+  try {
+    const key = rosterUserKey(req);
+    if (!key) return res.status(400).json({ error: "Usuário inválido." });
+
+    const parsed = readPatientFields(req.body, null);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    if (findPatientByIdentifier(key, parsed.fields.cpf, parsed.fields.cns, "")) {
+      return res.status(409).json({ error: "Já existe paciente com este CPF/CNS." });
+    }
+
+    const patient = {
+      id: makeId("pac"),
+      ownerKey: key,
+      ...parsed.fields,
+      isDeleted: false,
+      createdAt: nowIso(),
+      updatedAt: nowIso()
+    };
+
+    DB.patients = Array.isArray(DB.patients) ? DB.patients : [];
+    DB.patients.push(patient);
+    saveDb(DB, "patient_create");
+    audit("patient_create", key, `Paciente cadastrado: ${patient.id}`);
+    return res.json({ ok: true, id: patient.id });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Falha ao cadastrar paciente." });
+  }
+});
+
+app.get("/api/pacientes/:id", requireAuth, requireClinicalAccess("clinical.read"), (req, res) => {
+  try {
+    const key = rosterUserKey(req);
+    if (!key) return res.status(400).json({ error: "Usuário inválido." });
+
+    const patient = findPatientForOwner(key, normalizeText(req.params?.id, 50));
+    if (!patient) return res.status(404).json({ error: "Paciente não encontrado." });
+
+    return res.json({ patient, records: listPatientRecords(patient.id, "", 20) });
+  } catch (e) {
+    return res.status(500).json({ error: "Falha ao carregar paciente." });
+  }
+});
+
+app.put("/api/pacientes/:id", requireAuth, requireClinicalAccess("clinical.write"), (req, res) => {
+  try {
+    const key = rosterUserKey(req);
+    if (!key) return res.status(400).json({ error: "Usuário inválido." });
+
+    const patient = findPatientForOwner(key, normalizeText(req.params?.id, 50));
+    if (!patient) return res.status(404).json({ error: "Paciente não encontrado." });
+
+    const parsed = readPatientFields(req.body, patient);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    if (findPatientByIdentifier(patient.ownerKey, parsed.fields.cpf, parsed.fields.cns, patient.id)) {
+      return res.status(409).json({ error: "Já existe paciente com este CPF/CNS." });
+    }
+
+    Object.assign(patient, parsed.fields, { updatedAt: nowIso() });
+    saveDb(DB, "patient_update");
+    audit("patient_update", key, `Paciente atualizado: ${patient.id}`);
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Falha ao atualizar paciente." });
+  }
+});
+
+app.delete("/api/pacientes/:id", requireAuth, requireClinicalAccess("clinical.write"), (req, res) => {
+  try {
+    const key = rosterUserKey(req);
+    if (!key) return res.status(400).json({ error: "Usuário inválido." });
+
+    const patient = findPatientForOwner(key, normalizeText(req.params?.id, 50));
+    if (!patient) return res.status(404).json({ error: "Paciente não encontrado." });
+
+    patient.isDeleted = true;
+    patient.updatedAt = nowIso();
+    saveDb(DB, "patient_delete");
+    audit("patient_delete_logical", key, `Exclusão lógica do paciente ${patient.id}`);
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(500).json({ error: "Falha ao excluir paciente." });
+  }
+});
+
+app.get("/api/pacientes/:id/registros", requireAuth, requireClinicalAccess("clinical.read"), (req, res) => {
+  try {
+    const key = rosterUserKey(req);
+    if (!key) return res.status(400).json({ error: "Usuário inválido." });
+
+    const patient = findPatientForOwner(key, normalizeText(req.params?.id, 50));
+    if (!patient) return res.status(404).json({ error: "Paciente não encontrado." });
+
+    const tipo = normalizeText(String(req.query?.tipo || ""), 40);
+    const limit = clampNumber(parseInt(String(req.query?.limit || "100"), 10), 1, PATIENT_RECORDS_MAX_PER_PATIENT);
+    return res.json({ items: listPatientRecords(patient.id, tipo, limit) });
+  } catch (e) {
+    return res.status(500).json({ error: "Falha ao listar registros do paciente." });
+  }
+});
+
+// Anexa manualmente uma saída já gerada (ex.: texto editado no frontend) ao paciente.
+app.post("/api/pacientes/:id/registros", requireAuth, requireClinicalAccess("clinical.write"), (req, res) => {
+  try {
+    const key = rosterUserKey(req);
+    if (!key) return res.status(400).json({ error: "Usuário inválido." });
+
+    const patient = findPatientForOwner(key, normalizeText(req.params?.id, 50));
+    if (!patient) return res.status(404).json({ error: "Paciente não encontrado." });
+
+    const tipo = normalizeText(String(req.body?.tipo || ""), 40);
+    const conteudo = req.body?.conteudo;
+    if (!tipo) return res.status(400).json({ error: "Tipo do registro é obrigatório." });
+    if (conteudo === undefined || conteudo === null || conteudo === "") return res.status(400).json({ error: "Conteúdo do registro é obrigatório." });
+    if (!rosterLimitJsonSize(conteudo, 200_000)) return res.status(413).json({ error: "Registro muito grande." });
+
+    const item = addPatientRecord(patient, tipo, conteudo, { origem: "manual" });
+    saveDb(DB, "patient_record");
+    return res.json({ ok: true, id: item.id });
+  } catch (e) {
+    return res.status(500).json({ error: "Falha ao anexar registro ao paciente." });
+  }
+});
+
+// ======================================================================
+// MÓDULO: Atendimentos (agrupa todos os documentos gerados em uma consulta)
+// - Um atendimento guarda a transcrição e cada artefato gerado (SOAP,
+//   classificação de risco, SAE, documento médico...), com versão por tipo.
+// - As rotas clínicas aceitam "atendimento_id" e anexam a saída automaticamente.
+// - Após finalizado, o atendimento fica somente leitura (reimpressão).
+// ======================================================================
+
+const ATENDIMENTO_MAX_ARTEFATOS = 200;
+const ATENDIMENTOS_MAX_PER_USER = 2000;
+
+function findAtendimentoForOwner(key, id) {
+  const aid = String(id || "");
+  if (!key || !aid) return null;
+  return (Array.isArray(DB.atendimentos) ? DB.atendimentos : [])
+    .find(a => a && a.id === aid && (a.ownerKey === key || key === "admin")) || null;
+}
+
+function atendimentoSummary(a) {
+  const artefatos = Array.isArray(a.artefatos) ? a.artefatos : [];
+  const patient = a.patientId ? (DB.patients || []).find(p => p && p.id === a.patientId) : null;
+  return {
+    id: a.id,
+    status: a.status,
+    patientId: a.patientId || "",
+    patientName: patient ? (patient.fullName || "") : "",
+    tipos: Array.from(new Set(artefatos.map(x => x.tipo))),
+    artefatosCount: artefatos.length,
+    createdAt: a.createdAt || "",
+    updatedAt: a.updatedAt || "",
+    finalizedAt: a.finalizedAt || ""
+  };
+}
+
+// Última versão de cada tipo de artefato (o que normalmente se reimprime).
+function latestArtefatosByTipo(a) {
+  const latest = {};
+  for (const x of (Array.isArray(a.artefatos) ? a.artefatos : [])) {
+    if (!x || !x.tipo) continue;
+    if (!latest[x.tipo] || Number(x.versao || 0) > Number(latest[x.tipo].versao || 0)) latest[x.tipo] = x;
+  }
+  return latest;
+}
+
+function addAtendimentoArtefato(atendimento, tipo, conteudo, origem) {
+  atendimento.artefatos = Array.isArray(atendimento.artefatos) ? atendimento.artefatos : [];
+  const t = normalizeText(String(tipo || ""), 40) || "outro";
+  const versao = atendimento.artefatos
+    .filter(x => x && x.tipo === t)
+    .reduce((max, x) => Math.max(max, Number(x.versao || 0)), 0) + 1;
+
+  const item = {
+    id: makeId("art"),
+    tipo: t,
+    versao,
+    conteudo,
+    origem: String(origem || ""),
+    createdAt: nowIso()
+  };
+  atendimento.artefatos.push(item);
+  if (atendimento.artefatos.length > ATENDIMENTO_MAX_ARTEFATOS) {
+    atendimento.artefatos = atendimento.artefatos.slice(atendimento.artefatos.length - ATENDIMENTO_MAX_ARTEFATOS);
+  }
+  atendimento.updatedAt = item.createdAt;
+  return item;
+}
+
+// Usado pelas rotas clínicas: anexa a saída gerada ao atendimento ("atendimento_id")
+// e/ou ao paciente ("paciente_id", ou o paciente vinculado ao atendimento).
+// Retorna os ids criados para serem incluídos na resposta.
+// Nunca lança erro (a geração já foi feita; falha ao anexar não deve derrubar a resposta).
+function attachGeneratedOutput(req, tipo, conteudo) {
+  const out = {};
+  try {
+    const key = clinicalOwnerKey(req, "clinical.write");
+    if (!key) return out;
+    if (!rosterLimitJsonSize(conteudo, 200_000)) return out;
+    // Cópia desacoplada do objeto de resposta (que a rota ainda pode alterar)
+    const copia = JSON.parse(JSON.stringify(conteudo));
+
+    const origem = String(req.path || "");
+    const aid = normalizeText(String(req.body?.atendimento_id || ""), 50);
+    const atendimento = aid ? findAtendimentoForOwner(key, aid) : null;
+
+    if (atendimento) {
+      if (atendimento.status !== "aberto") {
+        out.atendimento_aviso = "Atendimento finalizado: saída não anexada.";
+      } else {
+        const transcricao = normalizeText(req.body?.transcricao, 25000);
+        if (transcricao) atendimento.transcricao = transcricao;
+        const art = addAtendimentoArtefato(atendimento, tipo, copia, origem);
+        out.atendimento_id = atendimento.id;
+        out.artefato_id = art.id;
+        out.artefato_versao = art.versao;
+      }
+    }
+
+    const pid = normalizeText(String(req.body?.paciente_id || ""), 50) || (atendimento ? atendimento.patientId : "");
+    const patient = pid ? findPatientForOwner(key, pid) : null;
+    if (patient) {
+      const reg = addPatientRecord(patient, tipo, copia, { origem, atendimentoId: out.atendimento_id || "" });
+      out.registro_id = reg.id;
+    }
+
+    if (out.artefato_id || out.registro_id) saveDb(DB, "generated_output");
+  } catch (e) {
+    console.error("[ATENDIMENTOS] falha ao anexar saída:", e?.message || e);
+  }
+  return out;
+}
+
+app.get("/api/atendimentos", requireAuth, requireClinicalAccess("clinical.read"), (req, res) => {
+  try {
+    const key = rosterUserKey(req);
+    if (!key) return res.status(400).json({ error: "Usuário inválido." });
+
+    const status = normalizeText(String(req.query?.status || ""), 20);
+    const pid = normalizeText(String(req.query?.paciente_id || ""), 50);
+    const from = normalizeText(String(req.query?.from || ""), 10);
+    const to = normalizeText(String(req.query?.to || ""), 10);
+
+    const items = (Array.isArray(DB.atendimentos) ? DB.atendimentos : [])
+      .filter(a => a && a.ownerKey === key)
+      .filter(a => !status || a.status === status)
+      .filter(a => !pid || a.patientId === pid)
+      .filter(a => !from || String(a.createdAt || "").slice(0, 10) >= from)
+      .filter(a => !to || String(a.createdAt || "").slice(0, 10) <= to)
+      .sort((a, b) => String(b.createdAt || "").localeCompare(String(a.createdAt || "")))
+      .slice(0, 100)
+      .map(atendimentoSummary);
+
+    return res.json({ items });
+  } catch (e) {
+    return res.status(500).json({ error: "Falha ao listar atendimentos." });
+  }
+});
+
+app.post("/api/atendimentos", requireAuth, requireClinicalAccess("clinical.write"), (req, res) => {
+  try {
+    const key = rosterUserKey(req);
+    if (!key) return res.status(400).json({ error: "Usuário inválido." });
+
+    const pid = normalizeText(String(req.body?.paciente_id || ""), 50);
+    if (pid && !findPatientForOwner(key, pid)) return res.status(404).json({ error: "Paciente não encontrado." });
+
+    const item = {
+      id: makeId("atd"),
+      ownerKey: key,
+      patientId: pid,
+      status: "aberto",
+      transcricao: normalizeText(req.body?.transcricao, 25000),
+      artefatos: [],
+      createdAt: nowIso(),
+      updatedAt: nowIso(),
+      finalizedAt: ""
+    };
+
+    DB.atendimentos = Array.isArray(DB.atendimentos) ? DB.atendimentos : [];
+    DB.atendimentos.push(item);
+
+    // Limite por usuário: mantém os mais recentes
+    const byUser = DB.atendimentos.filter(a => a && a.ownerKey === key)
+      .sort((a, b) => String(b.createdAt || "").localeCompare(String(a.createdAt || "")));
+    if (byUser.length > ATENDIMENTOS_MAX_PER_USER) {
+      const keepIds = new Set(byUser.slice(0, ATENDIMENTOS_MAX_PER_USER).map(a => a.id));
+      DB.atendimentos = DB.atendimentos.filter(a => !a || a.ownerKey !== key || keepIds.has(a.id));
+    }
+
+    saveDb(DB, "atendimento_create");
+    return res.json({ ok: true, id: item.id });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Falha ao iniciar atendimento." });
+  }
+});
+
+app.get("/api/atendimentos/:id", requireAuth, requireClinicalAccess("clinical.read"), (req, res) => {
+  try {
+    const key = rosterUserKey(req);
+    if (!key) return res.status(400).json({ error: "Usuário inválido." });
+
+    const item = findAtendimentoForOwner(key, normalizeText(req.params?.id, 50));
+    if (!item) return res.status(404).json({ error: "Atendimento não encontrado." });
+
+    return res.json({ item, ultimos: latestArtefatosByTipo(item) });
+  } catch (e) {
+    return res.status(500).json({ error: "Falha ao carregar atendimento." });
+  }
+});
+
+// Anexa manualmente um artefato (ex.: documento editado no frontend antes de imprimir).
+app.post("/api/atendimentos/:id/artefatos", requireAuth, requireClinicalAccess("clinical.write"), (req, res) => {
+  try {
+    const key = rosterUserKey(req);
+    if (!key) return res.status(400).json({ error: "Usuário inválido." });
+
+    const item = findAtendimentoForOwner(key, normalizeText(req.params?.id, 50));
+    if (!item) return res.status(404).json({ error: "Atendimento não encontrado." });
+    if (item.status !== "aberto") return res.status(409).json({ error: "Atendimento já finalizado." });
+
+    const tipo = normalizeText(String(req.body?.tipo || ""), 40);
+    const conteudo = req.body?.conteudo;
+    if (!tipo) return res.status(400).json({ error: "Tipo do artefato é obrigatório." });
+    if (conteudo === undefined || conteudo === null || conteudo === "") return res.status(400).json({ error: "Conteúdo do artefato é obrigatório." });
+    if (!rosterLimitJsonSize(conteudo, 200_000)) return res.status(413).json({ error: "Artefato muito grande." });
+
+    const art = addAtendimentoArtefato(item, tipo, conteudo, "manual");
+    saveDb(DB, "atendimento_artefato");
+    return res.json({ ok: true, id: art.id, versao: art.versao });
+  } catch (e) {
+    return res.status(500).json({ error: "Falha ao anexar artefato." });
+  }
+});
+
+app.post("/api/atendimentos/:id/finalizar", requireAuth, requireClinicalAccess("clinical.write"), (req, res) => {
+  try {
+    const key = rosterUserKey(req);
+    if (!key) return res.status(400).json({ error: "Usuário inválido." });
+
+    const item = findAtendimentoForOwner(key, normalizeText(req.params?.id, 50));
+    if (!item) return res.status(404).json({ error: "Atendimento não encontrado." });
+    if (item.status !== "aberto") return res.status(409).json({ error: "Atendimento já finalizado." });
+
+    item.status = "finalizado";
+    item.finalizedAt = nowIso();
+    item.updatedAt = item.finalizedAt;
+    saveDb(DB, "atendimento_finalize");
+    audit("atendimento_finalize", key, `Atendimento finalizado: ${item.id} (${(item.artefatos || []).length} artefatos)`);
+    return res.json({ ok: true, finalizedAt: item.finalizedAt });
+  } catch (e) {
+    return res.status(500).json({ error: "Falha ao finalizar atendimento." });
+  }
+});
+
 app.get("/api/health", async (req, res) => {
   let storage = "file";
   let pg_ok = false;
   let pg_error = null;
+  let pg_schema_version = null;
+  let sqlite_schema_version = null;
+
+  if (STORAGE === SQLITE_STORAGE) {
+    storage = "sqlite";
+    try { sqlite_schema_version = Number(sqliteDbOrNull().pragma("user_version", { simple: true }) || 0); } catch {}
+  }
 
   if (USE_PG_STORE) {
     storage = "postgres";
     try {
-      await pgEnsureTable();
+      const r = await pgPoolOrNull().query("SELECT COALESCE(MAX(version), 0) AS v FROM schema_migrations");
+      pg_schema_version = Number(r.rows?.[0]?.v || 0);
       pg_ok = true;
     } catch (e) {
       pg_ok = false;
@@ -4751,13 +10049,24 @@ app.get("/api/health", async (req, res) => {
     ok: true,
     time: new Date().toISOString(),
     has_openai_key: Boolean(process.env.OPENAI_API_KEY),
+    llm: {
+      provider: LLM_DEFAULT_PROVIDER,
+      model: llmRouteConfig("text", "").model,
+      configured: LLM_PROVIDERS[LLM_DEFAULT_PROVIDER].configured(),
+      route_rules: LLM_ROUTE_MODELS.map(r => ({ route: r.route + (r.prefix ? "*" : ""), provider: r.provider || LLM_DEFAULT_PROVIDER, model: r.model || null }))
+    },
     storage: {
       backend: storage,
       data_dir: DATA_DIR,
       db_path: DB_PATH,
       backups_dir: BACKUP_DIR,
+      backups_encrypted: Boolean(BACKUP_KEY),
       pg_ok,
       pg_state_id: USE_PG_STORE ? PG_STATE_ID : null,
+      pg_schema_version,
+      sqlite_schema_version,
+      db_schema_version: dbSchemaVersionOf(DB),
+      db_schema_supported: DB_SCHEMA_VERSION,
       pg_error
     },
     counts: {
@@ -4985,7 +10294,7 @@ app.post("/api/guia-tempo-real", requirePaidOrAdmin, async(req, res) => {
     let confianca = 0;
     let sugestoes = [];
 
-    if (process.env.OPENAI_API_KEY) {
+    if (llmAvailable()) {
             const promptConsulta = `
 Você está auxiliando um enfermeiro durante uma consulta.
 Objetivo: sugerir no máximo 3 itens essenciais por vez (perguntas e/ou procedimentos) para orientar a avaliação com eficiência e segurança.
@@ -5080,7 +10389,7 @@ Transcrição (trecho):
 `;
 
       const prompt = isHandoff ? promptHandoff : (isTriage ? promptTriage : promptConsulta);
-      const data = await callOpenAIJson(prompt);
+      const data = await callLlmJson(prompt);
       contexto = typeof data?.contexto === "string" ? data.contexto.trim() : "";
       hipotese = typeof data?.hipotese_principal === "string" ? data.hipotese_principal.trim() : "";
       confianca = clampNumber(data?.confianca, 0, 95);
@@ -5194,7 +10503,8 @@ async function gerarMidiaOpenAIParaSlide(tema, publico, slide) {
   const filepath = path.join(EDU_MEDIA_DIR, filename);
 
   if (!fs.existsSync(filepath)) {
-    const img = await openai.images.generate({
+    // Geração de imagem só existe no provedor OpenAI (independe de LLM_PROVIDER).
+    const img = await openaiClient().images.generate({
       model: EDU_IMAGE_MODEL,
       prompt,
       n: 1,
@@ -5350,7 +10660,7 @@ Responda SOMENTE com JSON no formato exato:
 }
 `.trim();
 
-  const out = await callOpenAIJson(prompt, 3);
+  const out = await callLlmJson(prompt, 3);
 
   const slides = Array.isArray(out?.slides) ? out.slides : [];
   const cleanedSlides = slides.map(s => ({
@@ -5403,8 +10713,11 @@ app.post("/api/educacao-saude/apresentacao", requirePaidOrAdmin, async (req, res
   } catch (e) {
     console.error(e);
     const code = e?.code || "";
+    if (code === "LLM_NOT_CONFIGURED") {
+      return res.status(500).json({ error: `Configuração ausente: ${e.message}` });
+    }
     if (code === "OPENAI_API_KEY_MISSING") {
-      return res.status(500).json({ error: "Configuração ausente: OPENAI_API_KEY." });
+      return res.status(500).json({ error: "Configuração ausente: OPENAI_API_KEY (geração de imagens)." });
     }
     return res.status(500).json({ error: "Falha ao gerar a apresentação." });
   }
@@ -5468,12 +10781,44 @@ app.get("/api/proxy", requirePaidOrAdmin, async (req, res) => {
 // INICIALIZAÇÃO DO SERVIDOR
 // ======================================================================
 
-(async () => {
-  // Se DATABASE_URL estiver configurado, carrega o estado do Postgres antes de aceitar tráfego.
-  const info = await hydrateDbFromPgIfAvailable();
+async function startServer(listenPort = port) {
+  if (STORAGE_BACKEND_ERROR) {
+    console.error(`[storage] Inicialização recusada: ${STORAGE_BACKEND_ERROR}`);
+    process.exit(1);
+  }
+
+  // Com backend de banco (Postgres/SQLite), carrega o estado antes de aceitar tráfego.
+  const info = await hydrateDbFromStorage();
   console.log("[storage]", info);
+  if (info.error) {
+    console.error(`[storage] Inicialização recusada: não foi possível carregar o backend "${info.backend}".`);
+    process.exit(1);
+  }
+
+  // Migrações de dados pendentes; dados de versão mais nova impedem a subida (sem gravar nada).
+  try {
+    const r = migrateDbSchema(DB, STORAGE.name);
+    DB = r.db;
+    if (r.applied.length) {
+      saveDb(DB, "schema_migration");
+      console.log(`[schema] DB migrado da versão ${r.from} para ${DB_SCHEMA_VERSION}:`, r.applied.map(m => `${m.version}-${m.name}`).join(", "));
+    }
+  } catch (e) {
+    console.error("[schema] Inicialização recusada:", e?.message || e);
+    process.exit(1);
+  }
 
-  app.listen(port, () => {
-    console.log(`Servidor escutando na porta ${port}`);
+  await ensureBootstrapAdmin();
+
+  return new Promise(resolve => {
+    const server = app.listen(listenPort, () => {
+      console.log(`Servidor escutando na porta ${server.address().port}`);
+      resolve(server);
+    });
   });
-})();
+}
+
+if (require.main === module) startServer();
+
+// Usado pelos testes (test/*.test.js): o servidor só sobe com "node server.js".
+module.exports = { app, startServer, classifyReceituario, classifyTriage, findFormularyEntry, calcularDosePediatrica, extractVitalSignsByPattern };
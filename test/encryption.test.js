@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const { loadServer } = require("./helpers");
+
+const KEY = "11".repeat(32);
+
+const { startServer } = loadServer({
+  BACKUP_ENCRYPTION_KEY: KEY,
+  ADMIN_LOGIN: "admin-teste",
+  ADMIN_PASSWORD: "senha-teste-123"
+});
+
+// Altera um byte de um campo base64 do envelope.
+function flipByte(b64) {
+  const buf = Buffer.from(b64, "base64");
+  buf[0] ^= 0xff;
+  return buf.toString("base64");
+}
+
+test("export cifrado volta no import e envelope alterado é recusado antes da mescla", async (t) => {
+  const server = await startServer(0);
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const api = async (method, p, body, token) => {
+    const headers = { "Content-Type": "application/json", "x-device-id": "device-test-0001" };
+    if (token) headers.Authorization = "Bearer " + token;
+    const r = await fetch(base + p, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    return { status: r.status, json: await r.json() };
+  };
+  const admin = (await api("POST", "/api/auth/login", { login: "admin-teste", senha: "senha-teste-123" })).json.token;
+  assert.ok(admin);
+  await api("POST", "/api/admin/users", { fullName: "Fulana", phone: "1", login: "fulana01", password: "senha1234" }, admin);
+
+  const exportado = (await api("GET", "/api/admin/backup/export", null, admin)).json;
+  assert.strictEqual(exportado.format, "enfermagem-encrypted");
+  assert.ok(!JSON.stringify(exportado).includes("fulana01"));
+
+  const ida = await api("POST", "/api/admin/backup/import", exportado, admin);
+  assert.strictEqual(ida.status, 200, JSON.stringify(ida.json));
+  assert.strictEqual(ida.json.report.users.added, 0);
+
+  const usuarios = async () => (await api("GET", "/api/admin/users", null, admin)).json.users.map(u => u.login).sort();
+  const antes = await usuarios();
+
+  // Mesmo "kid", outra chave: só a tag do GCM denuncia.
+  const outraChave = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", outraChave, iv);
+  cipher.setAAD(Buffer.from(`${exportado.format}:${exportado.version}:${exportado.alg}:${exportado.kid}`, "utf-8"));
+  const texto = JSON.stringify({ db: { users: [{ id: "usr_intrusa", login: "intrusa01", fullName: "Intrusa" }] } });
+  const ciphertext = Buffer.concat([cipher.update(texto, "utf-8"), cipher.final()]);
+  const chaveErrada = { ...exportado, iv: iv.toString("base64"), tag: cipher.getAuthTag().toString("base64"), ciphertext: ciphertext.toString("base64") };
+
+  for (const [nome, env] of [
+    ["conteúdo", { ...exportado, ciphertext: flipByte(exportado.ciphertext) }],
+    ["tag", { ...exportado, tag: flipByte(exportado.tag) }],
+    ["chave errada", chaveErrada]
+  ]) {
+    const r = await api("POST", "/api/admin/backup/import", env, admin);
+    assert.strictEqual(r.status, 400, nome);
+    assert.strictEqual(r.json.code, "ENCRYPTION_INTEGRITY", nome);
+  }
+
+  const kidDesconhecido = await api("POST", "/api/admin/backup/import", { ...exportado, kid: "0".repeat(16) }, admin);
+  assert.strictEqual(kidDesconhecido.json.code, "ENCRYPTION_KEY_UNKNOWN");
+  assert.deepStrictEqual(await usuarios(), antes);
+});
@@ -0,0 +1,31 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadServer } = require("./helpers");
+
+const { findFormularyEntry, calcularDosePediatrica } = loadServer();
+
+test("formulário só aceita nome ou sinônimo exato", () => {
+  assert.strictEqual(findFormularyEntry("Sulfato ferroso")?.medicamento, "sulfato ferroso");
+  assert.strictEqual(findFormularyEntry("ferro (sulfato ferroso)")?.medicamento, "sulfato ferroso");
+  for (const nome of ["ferro", "sacarato de ferro", "ferro polimaltosado", "paracetamol e codeína", "dipirona 500 mg"]) {
+    assert.strictEqual(findFormularyEntry(nome), null, nome);
+  }
+  assert.ok(findFormularyEntry("Fluoxetina"));
+});
+
+test("dose pediátrica recusa apresentação sem correspondência exata", () => {
+  const entry = {
+    medicamento: "paracetamol",
+    concentracoes: [
+      { descricao: "Gotas 200 mg/mL", forma: "gotas", mg_por_ml: 200, gotas_por_ml: 20 },
+      { descricao: "Suspensão 32 mg/mL", forma: "suspensao oral", mg_por_ml: 32, gotas_por_ml: null }
+    ],
+    pediatria: { dose_mgkg: 15, intervalo_horas: 6, dose_max_mg_dose: 1000, idade_minima_meses: null }
+  };
+  const base = { pesoKg: 10, idadeMeses: 24 };
+  assert.strictEqual(calcularDosePediatrica(entry, { ...base, apresentacao: "Gotas 200 mg/mL" }).dose_ml, 0.7);
+  assert.strictEqual(calcularDosePediatrica(entry, { ...base, apresentacao: "gotas" }).dose_ml, 0.7);
+  for (const apresentacao of ["200", "gotas 100 mg/mL", "mg/mL"]) {
+    assert.ok(calcularDosePediatrica(entry, { ...base, apresentacao }).error, apresentacao);
+  }
+});
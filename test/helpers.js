@@ -0,0 +1,12 @@
+// Carrega server.js com DATA_DIR temporário (sem subir o servidor).
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+function loadServer(env = {}) {
+  process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "enfermagem-test-"));
+  Object.assign(process.env, env);
+  return require("../server.js");
+}
+
+module.exports = { loadServer };
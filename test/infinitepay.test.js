@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { loadServer } = require("./helpers");
+
+// Servidor falso da InfinitePay: gera links e responde payment_check conforme "pagos".
+function startFakeInfinitePay(pagos) {
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", c => { body += c; });
+    req.on("end", () => {
+      const j = JSON.parse(body || "{}");
+      res.setHeader("Content-Type", "application/json");
+      if (req.url.endsWith("/checkout/links")) {
+        return res.end(JSON.stringify({ url: `https://checkout.fake/${j.order_nsu}`, invoice_slug: `slug-${j.order_nsu}` }));
+      }
+      if (req.url.endsWith("/payment_check")) {
+        const cents = pagos.get(j.order_nsu);
+        return res.end(JSON.stringify(cents ? { success: true, paid: true, amount: cents, paid_amount: cents, capture_method: "pix" } : { success: true, paid: false }));
+      }
+      res.statusCode = 404;
+      res.end("{}");
+    });
+  });
+  return new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+test("webhook da InfinitePay registra os pagamentos do plano uma única vez", async (t) => {
+  const pagos = new Map();
+  const fake = await startFakeInfinitePay(pagos);
+  t.after(() => fake.close());
+
+  const { startServer } = loadServer({
+    INFINITEPAY_API_URL: `http://127.0.0.1:${fake.address().port}`,
+    INFINITEPAY_HANDLE: "loja-teste",
+    ADMIN_LOGIN: "admin-teste",
+    ADMIN_PASSWORD: "senha-teste-123"
+  });
+  const server = await startServer(0);
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const api = async (method, p, body, token) => {
+    const headers = { "Content-Type": "application/json", "x-device-id": "device-test-0001" };
+    if (token) headers.Authorization = "Bearer " + token;
+    const r = await fetch(base + p, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    return { status: r.status, json: await r.json() };
+  };
+
+  await api("POST", "/api/auth/signup", { fullName: "Enf Teste", phone: "83999990000", login: "nurse1", password: "senha1234" });
+  const nurse = (await api("POST", "/api/auth/login", { login: "nurse1", senha: "senha1234" })).json.token;
+  const admin = (await api("POST", "/api/auth/login", { login: "admin-teste", senha: "senha-teste-123" })).json.token;
+  assert.ok(nurse && admin);
+
+  const pagamentos = async () => {
+    const orders = await api("GET", "/api/client/infinitepay/orders", null, nurse);
+    const userId = orders.json.orders[0].userId;
+    return (await api("GET", `/api/admin/users/${userId}/payments`, null, admin)).json.payments;
+  };
+  const webhook = (order) => api("POST", "/api/webhooks/infinitepay", { order_nsu: order.order_nsu, transaction_nsu: "tx-" + order.order_nsu, invoice_slug: order.invoice_slug });
+
+  // Mensal: sem confirmação não grava nada; confirmado grava um pagamento.
+  const mensal = (await api("POST", "/api/client/infinitepay/checkout-link", { plan: "monthly" }, nurse)).json;
+  assert.ok(mensal.order_nsu);
+  assert.strictEqual((await webhook(mensal)).status, 400);
+  assert.strictEqual((await pagamentos()).length, 0);
+
+  pagos.set(mensal.order_nsu, mensal.amount_cents);
+  assert.strictEqual((await webhook(mensal)).status, 200);
+  assert.strictEqual((await pagamentos()).length, 1);
+
+  // Callback repetido não altera os pagamentos.
+  const antes = await pagamentos();
+  assert.strictEqual((await webhook(mensal)).status, 200);
+  assert.deepStrictEqual(await pagamentos(), antes);
+
+  // Anual: 12 pagamentos mensais encadeados, somando o valor pago.
+  const anual = (await api("POST", "/api/client/infinitepay/checkout-link", { plan: "annual" }, nurse)).json;
+  pagos.set(anual.order_nsu, anual.amount_cents);
+  assert.strictEqual((await webhook(anual)).status, 200);
+  assert.strictEqual((await webhook(anual)).status, 200);
+  const doAnual = (await pagamentos()).filter(p => p.orderNsu === anual.order_nsu)
+    .sort((a, b) => a.coverageStart.localeCompare(b.coverageStart));
+  assert.strictEqual(doAnual.length, 12);
+  assert.strictEqual(Math.round(doAnual.reduce((s, p) => s + p.amount, 0) * 100), anual.amount_cents);
+  for (let i = 1; i < doAnual.length; i++) {
+    const fimAnterior = new Date(Date.parse(doAnual[i - 1].coverageEnd) + 86400000).toISOString().slice(0, 10);
+    assert.strictEqual(doAnual[i].coverageStart, fimAnterior);
+  }
+});
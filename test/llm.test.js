@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadServer } = require("./helpers");
+
+const stubFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "enfermagem-stub-")), "respostas.json");
+fs.writeFileSync(stubFile, JSON.stringify({ "/api/gerar-soap": { soap: "S: resposta fixa", evolucao_enfermagem: "e", prescricao: "p" } }));
+
+const { startServer } = loadServer({
+  LLM_PROVIDER: "stub",
+  LLM_STUB_FILE: stubFile,
+  LLM_ROUTE_MODELS: "/api/gerar-sbar=azure:dep1",
+  OPENAI_API_KEY: "",
+  AZURE_OPENAI_ENDPOINT: "",
+  AZURE_OPENAI_API_KEY: ""
+});
+
+test("provedor stub e aviso do provedor sem configuração", async (t) => {
+  const server = await startServer(0);
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const api = async (p, body, token) => {
+    const headers = { "Content-Type": "application/json", "x-device-id": "device-test-0001" };
+    if (token) headers.Authorization = "Bearer " + token;
+    const r = await fetch(base + p, { method: body ? "POST" : "GET", headers, body: body ? JSON.stringify(body) : undefined });
+    return { status: r.status, json: await r.json() };
+  };
+
+  await api("/api/auth/signup", { fullName: "Enf Teste", phone: "83999990000", login: "nurse1", password: "senha1234" });
+  const login = await api("/api/auth/login", { login: "nurse1", senha: "senha1234" });
+  assert.strictEqual(login.status, 200);
+  const token = login.json.token;
+
+  // A resposta fixa continua valendo mesmo que o arquivo mude (lido uma vez).
+  const r1 = await api("/api/gerar-soap", { transcricao: "paciente refere dor de cabeça há dois dias" }, token);
+  fs.writeFileSync(stubFile, "{}");
+  const r2 = await api("/api/gerar-soap", { transcricao: "paciente refere dor de cabeça há dois dias" }, token);
+  assert.strictEqual(r1.status, 200);
+  assert.strictEqual(r1.json.soap, "S: resposta fixa");
+  assert.strictEqual(r2.json.soap, r1.json.soap);
+
+  const sbar = await api("/api/gerar-sbar", { transcricao: "paciente refere dor de cabeça há dois dias" }, token);
+  assert.match(sbar.json.sbar, /Provedor de IA "azure".*AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY/);
+  assert.doesNotMatch(sbar.json.sbar, /OPENAI_API_KEY configurada/);
+
+  const health = await api("/api/health");
+  assert.strictEqual(health.json.llm.provider, "stub");
+});
@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadServer } = require("./helpers");
+
+const SERVER = require.resolve("../server.js");
+
+loadServer({
+  ADMIN_LOGIN: "admin-teste",
+  ADMIN_PASSWORD: "senha-teste-123",
+  LOGIN_MAX_FAILURES: "3",
+  LOGIN_MAX_FAILURES_PER_IP: "50"
+});
+
+// Sobe uma instância nova do server.js sobre o mesmo DATA_DIR (simula restart).
+async function boot(t) {
+  delete require.cache[SERVER];
+  const server = await require(SERVER).startServer(0);
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return async (method, p, body, { token, ip } = {}) => {
+    const headers = { "Content-Type": "application/json", "x-device-id": "device-test-0001" };
+    if (token) headers.Authorization = "Bearer " + token;
+    if (ip) headers["X-Forwarded-For"] = ip;
+    const r = await fetch(base + p, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    return { status: r.status, json: await r.json() };
+  };
+}
+
+test("bloqueio por login vale só para o IP que errou, sobrevive ao restart e é desbloqueável", async (t) => {
+  let api = await boot(t);
+  await api("POST", "/api/auth/signup", { fullName: "Enf Teste", phone: "83999990000", login: "nurse1", password: "senha1234" });
+  const entrar = (senha, ip) => api("POST", "/api/auth/login", { login: "nurse1", senha }, { ip });
+
+  assert.strictEqual((await entrar("errada", "10.0.0.9")).status, 401);
+  assert.strictEqual((await entrar("errada", "10.0.0.9")).status, 401);
+  const bloqueio = await entrar("errada", "10.0.0.9");
+  assert.strictEqual(bloqueio.status, 429);
+  assert.strictEqual(bloqueio.json.code, "LOGIN_LOCKED");
+  assert.strictEqual((await entrar("senha1234", "10.0.0.9")).status, 429);
+
+  // Outro IP (a própria enfermeira) continua entrando.
+  assert.strictEqual((await entrar("senha1234", "10.0.0.20")).status, 200);
+
+  // Depois do restart, o bloqueio e os contadores continuam lá.
+  api = await boot(t);
+  assert.strictEqual((await entrar("senha1234", "10.0.0.9")).status, 429);
+  const admin = (await api("POST", "/api/auth/login", { login: "admin-teste", senha: "senha-teste-123" })).json.token;
+  assert.ok(admin);
+  const locks = (await api("GET", "/api/admin/login-locks", null, { token: admin })).json.locks;
+  const doLogin = locks.find(x => x.kind === "login");
+  assert.deepStrictEqual([doLogin.key, doLogin.locked, doLogin.lockCount], ["nurse1@10.0.0.9", true, 1]);
+  assert.strictEqual(locks.find(x => x.id === "ip:10.0.0.9").failures, 3);
+
+  const desbloqueio = await api("POST", "/api/admin/login-locks/unlock", { login: "nurse1" }, { token: admin });
+  assert.deepStrictEqual(desbloqueio.json.ids, ["login:nurse1@10.0.0.9"]);
+  assert.strictEqual((await entrar("senha1234", "10.0.0.9")).status, 200);
+});
@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadServer } = require("./helpers");
+
+const { startServer } = loadServer({ ADMIN_LOGIN: "admin-teste", ADMIN_PASSWORD: "senha-teste-123" });
+
+test("import com registro mais antigo: ignorado sem mudança, atualizado só se completar campos", async (t) => {
+  const server = await startServer(0);
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const api = async (method, p, body, token) => {
+    const headers = { "Content-Type": "application/json", "x-device-id": "device-test-0001" };
+    if (token) headers.Authorization = "Bearer " + token;
+    const r = await fetch(base + p, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    return { status: r.status, json: await r.json() };
+  };
+  const admin = (await api("POST", "/api/auth/login", { login: "admin-teste", senha: "senha-teste-123" })).json.token;
+  assert.ok(admin);
+
+  const atual = { id: "usr_m1", fullName: "Atual", login: "atual01", phone: "1", isActive: true, isDeleted: false, updatedAt: "2025-06-01T00:00:00.000Z" };
+  assert.strictEqual((await api("POST", "/api/admin/backup/import", { db: { users: [atual] } }, admin)).status, 200);
+  const usuario = async () => (await api("GET", "/api/admin/users", null, admin)).json.users.find(u => u.id === "usr_m1");
+
+  const antigo = { ...atual, fullName: "Antigo", updatedAt: "2025-01-01T00:00:00.000Z" };
+  const ignorado = await api("POST", "/api/admin/backup/import", { db: { users: [antigo] }, dryRun: true }, admin);
+  assert.deepStrictEqual([ignorado.json.report.users.updated, ignorado.json.report.users.skipped], [0, 1]);
+  await api("POST", "/api/admin/backup/import", { db: { users: [antigo] } }, admin);
+  assert.strictEqual((await usuario()).fullName, "Atual");
+
+  const comCampo = { ...antigo, dob: "1990-05-05" };
+  const completado = await api("POST", "/api/admin/backup/import", { db: { users: [comCampo] }, dryRun: true }, admin);
+  assert.deepStrictEqual([completado.json.report.users.updated, completado.json.report.users.skipped], [1, 0]);
+  await api("POST", "/api/admin/backup/import", { db: { users: [comCampo] } }, admin);
+  const depois = await usuario();
+  assert.strictEqual(depois.fullName, "Atual");
+  assert.strictEqual(depois.dob, "1990-05-05");
+});
@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadServer } = require("./helpers");
+
+// DB já existente com um usuário no hash antigo sha256("sal:senha").
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "enfermagem-test-"));
+const dbFile = path.join(dataDir, "enfermagem_users_db.json");
+const salt = "abcd1234";
+fs.writeFileSync(dbFile, JSON.stringify({
+  users: [{
+    id: "usr_legado", fullName: "Legado", dob: "", phone: "1", login: "legado01", salt,
+    passwordHash: crypto.createHash("sha256").update(`${salt}:1234`).digest("hex"),
+    isActive: true, isDeleted: false, createdAt: new Date().toISOString(),
+    trialStartedAt: new Date().toISOString(), trialEndsAt: new Date(Date.now() + 10 * 86400000).toISOString()
+  }],
+  payments: [],
+  audit: []
+}));
+
+const { startServer } = loadServer({ DATA_DIR: dataDir });
+
+test("hash sha256 antigo continua entrando e é regravado com scrypt", async (t) => {
+  const server = await startServer(0);
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const login = async (senha) => {
+    const r = await fetch(base + "/api/auth/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "x-device-id": "device-test-0001" },
+      body: JSON.stringify({ login: "legado01", senha })
+    });
+    return r.status;
+  };
+  const usuario = () => JSON.parse(fs.readFileSync(dbFile, "utf8")).users.find(u => u.id === "usr_legado");
+
+  assert.strictEqual(await login("12345"), 401);
+  assert.match(usuario().passwordHash, /^[0-9a-f]{64}$/);
+
+  assert.strictEqual(await login("1234"), 200);
+  const migrado = usuario();
+  assert.match(migrado.passwordHash, /^scrypt\$\d+\$\d+\$\d+\$[0-9a-f]{128}$/);
+  assert.notStrictEqual(migrado.salt, salt);
+
+  // Depois da migração, a mesma senha continua valendo (e só ela).
+  assert.strictEqual(await login("1234"), 200);
+  assert.strictEqual(await login("12345"), 401);
+});
@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadServer } = require("./helpers");
+
+const { classifyReceituario } = loadServer();
+
+const RCE = "Receita de Controle Especial - 2 vias (branca, com retenção)";
+const NRA = "Notificação de Receita A (entorpecentes) - amarela";
+
+test("adendo da lista A2 pela dose por unidade", () => {
+  assert.strictEqual(classifyReceituario("paracetamol 500 mg + codeína 30 mg").tipo_receituario, RCE);
+  assert.strictEqual(classifyReceituario("Tylex 30 mg").tipo_receituario, RCE);
+  assert.strictEqual(classifyReceituario("tramadol 50mg").tipo_receituario, RCE);
+  assert.strictEqual(classifyReceituario("tramadol 150 mg").tipo_receituario, NRA);
+  assert.strictEqual(classifyReceituario("morfina 10 mg").tipo_receituario, NRA);
+});
+
+test("sem dose informada, devolve as duas regras possíveis", () => {
+  for (const nome of ["paracetamol + codeína", "Tylex", "tramadol"]) {
+    const r = classifyReceituario(nome);
+    assert.strictEqual(r.lista, "A2", nome);
+    assert.deepStrictEqual(r.possibilidades.map(p => p.regra.receituario), [RCE, NRA], nome);
+    assert.ok(r.tipo_receituario.includes(RCE) && r.tipo_receituario.includes(NRA), nome);
+  }
+});
+
+test("retinoides tópicos seguem o adendo da lista C2", () => {
+  assert.strictEqual(classifyReceituario("adapaleno gel").classificado, false);
+  const topico = classifyReceituario("tretinoína creme 0,05%");
+  assert.strictEqual(topico.lista, "C2");
+  assert.strictEqual(topico.regra.adendo, true);
+  assert.notStrictEqual(topico.tipo_receituario, "Notificação de Receita Especial de Retinoides - branca");
+  assert.strictEqual(classifyReceituario("isotretinoína 20 mg").tipo_receituario, "Notificação de Receita Especial de Retinoides - branca");
+});
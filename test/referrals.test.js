@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { loadServer } = require("./helpers");
+
+const { startServer } = loadServer();
+
+test("cobrança e indicações só leem o livro; cadastro de subusuário grava", async (t) => {
+  const server = await startServer(0);
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const api = async (method, p, body, token) => {
+    const headers = { "Content-Type": "application/json", "x-device-id": "device-test-0001" };
+    if (token) headers.Authorization = "Bearer " + token;
+    const r = await fetch(base + p, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    return { status: r.status, json: await r.json() };
+  };
+  const livro = () => JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, "enfermagem_users_db.json"), "utf8")).referralLedger;
+
+  await api("POST", "/api/auth/signup", { fullName: "Titular", phone: "83999990000", login: "titular1", password: "senha1234" });
+  const nurse = (await api("POST", "/api/auth/login", { login: "titular1", senha: "senha1234" })).json.token;
+  assert.ok(nurse);
+
+  const cobranca = await api("GET", "/api/client/billing", null, nurse);
+  assert.strictEqual(cobranca.status, 200);
+  assert.strictEqual(cobranca.json.discountPercent, 0);
+  const indicacoes = await api("GET", "/api/client/referrals", null, nurse);
+  assert.strictEqual(indicacoes.json.current.status, "open");
+  assert.deepStrictEqual(livro(), []);
+
+  assert.strictEqual((await api("POST", "/api/client/friends", { fullName: "Amiga", phone: "1", login: "amiga01", password: "senha1234" }, nurse)).status, 200);
+  const gravado = livro();
+  assert.strictEqual(gravado.length, 1);
+  assert.deepStrictEqual(gravado[0].friends.map(f => [f.login, f.status]), [["amiga01", "counted"]]);
+
+  const depois = await api("GET", "/api/client/billing", null, nurse);
+  assert.deepStrictEqual(depois.json.friends.map(f => f.referralStatus), ["counted"]);
+  await api("GET", "/api/client/referrals", null, nurse);
+  assert.deepStrictEqual(livro(), gravado);
+});
@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { loadServer } = require("./helpers");
+
+const DB_FILE = "enfermagem_users_db.json";
+
+test("servidor não sobe com DB de esquema mais novo e não grava nada", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "enfermagem-test-"));
+  const original = JSON.stringify({ users: [{ id: "usr_1", login: "x", fullName: "X" }], payments: [], meta: { schema: { version: 999 } } });
+  fs.writeFileSync(path.join(dir, DB_FILE), original);
+
+  const r = spawnSync(process.execPath, [path.join(__dirname, "..", "server.js")], {
+    env: { ...process.env, DATA_DIR: dir, PORT: "0", STORAGE_BACKEND: "file", GITHUB_TOKEN: "" },
+    encoding: "utf8",
+    timeout: 30000
+  });
+  assert.strictEqual(r.status, 1, r.stdout + r.stderr);
+  assert.match(r.stderr, /versão de esquema 999/);
+  assert.strictEqual(fs.readFileSync(path.join(dir, DB_FILE), "utf8"), original);
+  const backups = path.join(dir, "backups");
+  assert.deepStrictEqual(fs.existsSync(backups) ? fs.readdirSync(backups) : [], []);
+});
+
+test("import e restauração migram export v1 e recusam esquema mais novo", async (t) => {
+  const { startServer } = loadServer({ ADMIN_LOGIN: "admin-teste", ADMIN_PASSWORD: "senha-teste-123" });
+  const server = await startServer(0);
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const api = async (method, p, body, token) => {
+    const headers = { "Content-Type": "application/json", "x-device-id": "device-test-0001" };
+    if (token) headers.Authorization = "Bearer " + token;
+    const r = await fetch(base + p, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    return { status: r.status, json: await r.json() };
+  };
+  const admin = (await api("POST", "/api/auth/login", { login: "admin-teste", senha: "senha-teste-123" })).json.token;
+  assert.ok(admin);
+
+  // Export v1: sem meta.schema, pagamentos só com "month".
+  const v1 = {
+    schemaVersion: 1,
+    db: {
+      users: [{ id: "usr_v1", fullName: "Antiga", login: "antiga01", phone: "1", salt: "s", passwordHash: "0".repeat(64), isActive: true, isDeleted: false }],
+      payments: [{ id: "pay_v1", userId: "usr_v1", month: "2024-02", paidAt: "2024-02-03T10:00:00.000Z", amount: 30 }],
+      audit: []
+    }
+  };
+  const r = await api("POST", "/api/admin/backup/import", v1, admin);
+  assert.strictEqual(r.status, 200, JSON.stringify(r.json));
+  const pagamentos = (await api("GET", "/api/admin/users/usr_v1/payments", null, admin)).json.payments;
+  assert.deepStrictEqual(
+    pagamentos.map(p => [p.id, p.plan, p.coverageStart, p.coverageEnd]),
+    [["pay_v1", "monthly", "2024-02-01", "2024-02-29"]]
+  );
+
+  const antes = (await api("GET", "/api/admin/users", null, admin)).json.users.length;
+  const novo = await api("POST", "/api/admin/backup/import", { db: { users: [{ id: "usr_v9", login: "nova01" }], meta: { schema: { version: 999 } } } }, admin);
+  assert.strictEqual(novo.status, 409);
+  assert.strictEqual(novo.json.code, "DB_SCHEMA_DOWNGRADE");
+  assert.strictEqual((await api("GET", "/api/admin/users", null, admin)).json.users.length, antes);
+
+  const arquivo = "enfermagem_users_db.backup-2099-01-01T00-00-00-000Z-manual.json";
+  fs.writeFileSync(path.join(process.env.DATA_DIR, "backups", arquivo), JSON.stringify({ users: [], meta: { schema: { version: 999 } } }));
+  const restore = await api("POST", `/api/admin/backup/restore/${arquivo}`, { mode: "replace" }, admin);
+  assert.strictEqual(restore.status, 409);
+  assert.strictEqual(restore.json.code, "DB_SCHEMA_DOWNGRADE");
+  assert.strictEqual((await api("GET", "/api/admin/users", null, admin)).json.users.length, antes);
+});
@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadServer } = require("./helpers");
+
+// Servidor em São Paulo (UTC-3): 22h do dia 28/02 locais já é 01/03 em UTC.
+process.env.TZ = "America/Sao_Paulo";
+const AGORA = Date.parse("2025-03-01T01:00:00.000Z");
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "enfermagem-test-"));
+fs.writeFileSync(path.join(dataDir, "enfermagem_users_db.json"), JSON.stringify({
+  users: [{
+    id: "usr_fev", fullName: "Fevereiro", dob: "", phone: "1", login: "fev01", salt: "s",
+    passwordHash: crypto.createHash("sha256").update("s:senha1234").digest("hex"),
+    isActive: true, isDeleted: false, createdAt: "2025-01-01T00:00:00.000Z",
+    trialStartedAt: "2025-01-01T00:00:00.000Z", trialEndsAt: "2025-01-16T00:00:00.000Z"
+  }],
+  payments: [{ id: "pay_fev", userId: "usr_fev", month: "2025-02", plan: "monthly", coverageStart: "2025-02-01", coverageEnd: "2025-02-28", paidAt: "2025-02-01T12:00:00.000Z", amount: 25 }],
+  audit: []
+}));
+
+const { startServer } = loadServer({ DATA_DIR: dataDir });
+
+test("datas da assinatura usam UTC, independente do fuso do servidor", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: AGORA });
+  const server = await startServer(0);
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const api = async (method, p, body, token) => {
+    const headers = { "Content-Type": "application/json", "x-device-id": "device-test-0001" };
+    if (token) headers.Authorization = "Bearer " + token;
+    const r = await fetch(base + p, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    return { status: r.status, json: await r.json() };
+  };
+
+  const login = await api("POST", "/api/auth/login", { login: "fev01", senha: "senha1234" });
+  assert.strictEqual(login.status, 200, JSON.stringify(login.json));
+  assert.strictEqual(login.json.currentMonth, "2025-03");
+
+  const { subscription } = (await api("GET", "/api/client/billing", null, login.json.token)).json;
+  assert.strictEqual(subscription.status, "grace");
+  assert.strictEqual(subscription.renewalDate, "2025-03-01");
+  assert.strictEqual(subscription.graceUntil, "2025-03-05");
+});
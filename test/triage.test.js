@@ -0,0 +1,31 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadServer } = require("./helpers");
+
+const { classifyTriage } = loadServer();
+
+const cor = (texto, queixa) => classifyTriage({ texto, queixa }).cor;
+
+test("negação não atravessa a vírgula", () => {
+  assert.strictEqual(cor("paciente sem alergias, inconsciente"), "Vermelho");
+  assert.strictEqual(cor("sem febre, dor toracica intensa"), cor("dor toracica intensa"));
+  assert.notStrictEqual(cor("sem febre, dor toracica"), "Não informado");
+});
+
+test("negação termina em conjunção", () => {
+  assert.strictEqual(cor("nega alergias e esta inconsciente"), "Vermelho");
+  assert.strictEqual(cor("sem febre mas com dor toracica"), cor("dor toracica"));
+});
+
+test("negação na mesma oração continua valendo", () => {
+  assert.strictEqual(cor("paciente nega dor toracica"), "Não informado");
+  assert.strictEqual(cor("sem vomito com sangue"), "Não informado");
+  assert.notStrictEqual(cor("dor abdominal, vomito com sangue"), "Não informado");
+});
+
+test("negação vale para a enumeração inteira", () => {
+  assert.strictEqual(cor("nega febre, dispneia ou dor toracica"), "Não informado");
+  assert.strictEqual(cor("nega perda de forca ou boca torta"), "Não informado");
+  assert.strictEqual(cor("nega febre, dispneia ou dor toracica, refere dor toracica intensa"), cor("dor toracica intensa"));
+  assert.strictEqual(cor("paciente nao apresenta dor toracica"), "Não informado");
+});
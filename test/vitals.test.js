@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadServer } = require("./helpers");
+
+const { startServer, extractVitalSignsByPattern } = loadServer({ LLM_PROVIDER: "openai", OPENAI_API_KEY: "" });
+
+test("padrões extraem sinais vitais e idade sem modelo", () => {
+  const out = extractVitalSignsByPattern("Paciente de 67 anos, tosse há 3 anos. FC 118 bpm, FR: 26 irpm, PA 88x54 mmHg, SpO2 89% em ar ambiente, Tax 38,6 °C, dor 8/10, Glasgow 14.");
+  assert.deepStrictEqual(out.sinais_vitais, {
+    fc: 118, fr: 26, pas: 88, pad: 54, spo2: 89, temperatura: 38.6, dor: 8, glasgow: 14,
+    glicemia: null, o2_suplementar: false, consciencia: null
+  });
+  assert.strictEqual(out.idade_anos, 67);
+});
+
+test("duração não é lida como idade e O2 suplementar é reconhecido", () => {
+  const out = extractVitalSignsByPattern("Dispneia há 2 anos, saturação de 93% com cateter nasal.");
+  assert.strictEqual(out.idade_anos, null);
+  assert.strictEqual(out.sinais_vitais.spo2, 93);
+  assert.strictEqual(out.sinais_vitais.o2_suplementar, true);
+});
+
+test("idade só em forma ancorada no paciente", () => {
+  assert.strictEqual(extractVitalSignsByPattern("FC 72 bpm. Tem 2 filhos de 10 anos").idade_anos, null);
+  assert.strictEqual(extractVitalSignsByPattern("Criança de 8 meses, febre").idade_anos, 0.67);
+  assert.strictEqual(extractVitalSignsByPattern("3 anos de idade").idade_anos, 3);
+});
+
+test("PA falada em cmHg e saturação no gerúndio", () => {
+  const v = extractVitalSignsByPattern("pa de 13 por 8, saturando 92%").sinais_vitais;
+  assert.strictEqual(v.pas, 130);
+  assert.strictEqual(v.pad, 80);
+  assert.strictEqual(v.spo2, 92);
+});
+
+test("triagem hospitalar calcula o NEWS2 sem provedor de IA", async (t) => {
+  const server = await startServer(0);
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const api = async (p, body, token) => {
+    const headers = { "Content-Type": "application/json", "x-device-id": "device-test-0001" };
+    if (token) headers.Authorization = "Bearer " + token;
+    const r = await fetch(base + p, { method: "POST", headers, body: JSON.stringify(body) });
+    return { status: r.status, json: await r.json() };
+  };
+
+  await api("/api/auth/signup", { fullName: "Enf Teste", phone: "83999990000", login: "nurse1", password: "senha1234" });
+  const login = await api("/api/auth/login", { login: "nurse1", senha: "senha1234" });
+  assert.strictEqual(login.status, 200);
+
+  const r = await api("/api/gerar-triagem-hospitalar", {
+    transcricao: "Paciente de 70 anos com febre e tosse. FC 118 bpm, FR 26 irpm, PA 88x54 mmHg, SpO2 89% em ar ambiente, temperatura 38,6."
+  }, login.json.token);
+  assert.strictEqual(r.status, 200);
+  assert.strictEqual(r.json.sinais_vitais.fc, 118);
+  assert.strictEqual(r.json.sinais_vitais_origem.fc, "extraido");
+  assert.strictEqual(r.json.escore_alerta.escala, "NEWS2");
+  assert.strictEqual(r.json.escore_alerta.total, 12);
+  assert.match(r.json.alertas_red_flags, /não configurado/);
+});